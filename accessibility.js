@@ -0,0 +1,91 @@
+// Accessibility helpers for the boxing game
+// Screen-reader announcements through ARIA live regions and keyboard navigation between thought bubbles.
+
+const ANNOUNCE_DELAY = 50; // ms between clearing and filling a live region so repeats are re-read
+
+/**
+ * Announce a message through the game's live regions
+ * @param {string} message - Text to announce
+ * @param {object} options - { assertive: true } interrupts the current announcement (penalties, endings)
+ */
+export function announce(message, { assertive = false } = {}) {
+  const region = document.getElementById(assertive ? 'game-announcer-assertive' : 'game-announcer');
+  if (!region || !message) return;
+
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = message;
+  }, ANNOUNCE_DELAY);
+}
+
+/**
+ * Accessible name for a thought bubble, naming its role rather than relying on color
+ * @param {string} text - Thought text
+ * @param {boolean} isPositive - Affirmation (true) or negative thought (false)
+ * @returns {string} Label for aria-label
+ */
+export function describeThought(text, isPositive) {
+  return isPositive
+    ? `Affirmation: ${text}. Don't punch it. Press A to absorb it.`
+    : `Doubt: ${text}. Press Space or Enter to punch it.`;
+}
+
+/**
+ * Thought bubbles in reading order (top to bottom, then left to right)
+ * @param {Iterable<HTMLElement>} thoughtElements - Rendered thought bubbles
+ * @returns {HTMLElement[]} Ordered, still-active bubbles
+ */
+export function getThoughtNavigationOrder(thoughtElements) {
+  return Array.from(thoughtElements)
+    .filter(element => element.isConnected && !element.classList.contains('clicked'))
+    .sort((a, b) => {
+      const topDifference = a.offsetTop - b.offsetTop;
+      return Math.abs(topDifference) > 20 ? topDifference : a.offsetLeft - b.offsetLeft;
+    });
+}
+
+/**
+ * Move focus between thought bubbles with the arrow keys
+ * @param {KeyboardEvent} event - Keydown event
+ * @param {Iterable<HTMLElement>} thoughtElements - Rendered thought bubbles
+ * @returns {boolean} True if the key was handled
+ */
+export function handleThoughtNavigationKey(event, thoughtElements) {
+  const forwardKeys = ['ArrowRight', 'ArrowDown'];
+  const backwardKeys = ['ArrowLeft', 'ArrowUp'];
+  if (!forwardKeys.includes(event.key) && !backwardKeys.includes(event.key)) return false;
+
+  const ordered = getThoughtNavigationOrder(thoughtElements);
+  if (ordered.length === 0) return false;
+
+  const currentIndex = ordered.indexOf(document.activeElement);
+  let nextIndex;
+  if (currentIndex === -1) {
+    nextIndex = forwardKeys.includes(event.key) ? 0 : ordered.length - 1;
+  } else {
+    const step = forwardKeys.includes(event.key) ? 1 : -1;
+    nextIndex = (currentIndex + step + ordered.length) % ordered.length;
+  }
+
+  ordered[nextIndex].focus();
+  return true;
+}
+
+/**
+ * When a focused bubble goes away, keep keyboard focus inside the ring
+ * @param {HTMLElement} removedElement - Bubble being removed
+ * @param {Iterable<HTMLElement>} thoughtElements - Remaining bubbles
+ * @param {HTMLElement} fallback - Element to focus when no bubbles remain (the game area)
+ */
+export function moveFocusFromRemovedThought(removedElement, thoughtElements, fallback) {
+  if (document.activeElement !== removedElement) return;
+
+  const remaining = getThoughtNavigationOrder(thoughtElements).filter(element => element !== removedElement);
+  const next = remaining.find(element => element.classList.contains('negative')) || remaining[0];
+
+  if (next) {
+    next.focus();
+  } else if (fallback) {
+    fallback.focus();
+  }
+}
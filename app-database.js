@@ -0,0 +1,86 @@
+// App Database
+// The one IndexedDB database the app keeps its data in, shared by the session history and the
+// audio cache. Each store is declared below; bump DB_VERSION when adding one and the upgrade
+// creates whatever is missing. Without IndexedDB (private browsing, tests) the database resolves
+// to null and each caller falls back on its own.
+
+const DB_NAME = 'imposter-syndrome-defeato';
+const DB_VERSION = 1;
+
+// Store name -> schema
+const STORES = {
+  sessions: { keyPath: 'id', indexes: ['date'] }, // session-history.js
+  audio: { keyPath: 'key', indexes: ['lastUsed'] } // audio-cache.js
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and on first use create or upgrade) the database
+ * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB isn't available
+ */
+export function openAppDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    try {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(STORES).forEach(([name, { keyPath, indexes }]) => {
+          if (db.objectStoreNames.contains(name)) return;
+          const store = db.createObjectStore(name, { keyPath });
+          indexes.forEach(index => store.createIndex(index, index));
+        });
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version open in another tab instead of blocking it
+        db.onversionchange = () => db.close();
+        resolve(db);
+      };
+      request.onerror = () => {
+        console.warn('APP_DATABASE: IndexedDB unavailable:', request.error?.message);
+        resolve(null);
+      };
+      request.onblocked = () => {
+        console.warn('APP_DATABASE: Upgrade blocked by another open tab');
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn('APP_DATABASE: IndexedDB unavailable:', error.message);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run work against one store in a single transaction
+ * @param {string} storeName - Store declared in STORES
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Called with (store, setResult)
+ * @returns {Promise<*>} Whatever work passed to setResult once the transaction completes,
+ *   or null without a database
+ */
+export async function withStore(storeName, mode, work) {
+  const db = await openAppDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    let result = null;
+    work(transaction.objectStore(storeName), value => { result = value; });
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
@@ -1,35 +1,107 @@
-// AWS Polly TTS imports and initialization
+// TTS imports and initialization
 import { 
-  initializePollyClient, 
-  isPollyAvailable, 
+  initializeTts, 
+  setTtsProvider, 
+  getTtsProviders, 
+  isTtsAvailable, 
   speakText, 
   getTtsStatus, 
   resetTtsErrors,
   configureAudioSettings,
   getAudioStatus,
   stopAllAudio,
+  pauseAllAudio,
+  resumeAllAudio,
   setAudioVolume
-} from './aws-polly-client.js';
+} from './tts.js';
+import { pollyProvider, loadAudioManifest, describePollyVoices, configurePollyVoice, getPollyVoice, onPollyEngineFallback } from './aws-polly-client.js';
+import { clearAudioCache } from './audio-cache.js';
+import { webSpeechProvider } from './web-speech-tts.js';
+import { silentProvider, getSpokenLog } from './silent-tts.js';
 
 // Sound Effects imports
 import { 
   soundEffects,
   playPunchSound, 
   playCollectionSound, 
+  playBellSound,
   setSoundVolume, 
   setSoundEnabled, 
   getSoundStatus,
-  preloadGameSounds
+  preloadGameSounds,
+  suspendSoundEffects,
+  resumeSoundEffects
 } from './sound-effects.js';
 
-// Initialize AWS Polly client on module load
-let pollyInitialized = false;
+// Headless game engine and game modes
+import { GameSession, DEFAULT_RULES, END_REASONS } from './game-session.js';
+import { SCORING_RULES } from './scoring.js';
+import { getGameMode, DEFAULT_MODE_ID, summarizeKnockout, summarizeRounds } from './game-modes.js';
+
+// Thought packs
+import {
+  DEFAULT_PACK_ID,
+  getAvailablePacks,
+  getThoughtPack,
+  importThoughtPackFile,
+  saveCustomPack,
+  serializeThoughtPackJson,
+  serializeThoughtPackCsv
+} from './thought-packs.js';
+
+// The player's own doubts and answers
+import {
+  MAX_PERSONAL_THOUGHTS,
+  loadPersonalThoughts,
+  savePersonalThoughts,
+  clearPersonalThoughts,
+  normalizePersonalThoughts
+} from './personal-thoughts.js';
+
+// Session history
+import {
+  createSessionRecord,
+  computeHistoryTrends,
+  saveSessionRecord,
+  getSessionHistory,
+  clearSessionHistory,
+  getHistoryStatus
+} from './session-history.js';
+
+// Keyboard and screen-reader support
+import { announce, handleThoughtNavigationKey } from './accessibility.js';
+
+// Pointer Events input (mouse, pen and multi-touch swipes)
+import { PointerInput } from './pointer-input.js';
+
+// Thought renderers (accessible DOM bubbles or a single canvas) and the setting choosing between them
+import { DomRenderer } from './dom-renderer.js';
+import { CanvasRenderer } from './canvas-renderer.js';
+import { getSetting, saveSettings } from './settings.js';
+
+// Drift, approach, orbit and float patterns for moving thoughts
+import { MOTION_PATTERNS, pickMotionPattern } from './thought-motion.js';
+
+// Session replay recording, playback and export
+import { ReplayRecorder, ReplayPlayer, REPLAY_SPEEDS, parseReplay, serializeReplay } from './session-replay.js';
+
+// Confidence zones and the results screen breakdown
+import { getConfidenceZone, buildSessionResults } from './session-results.js';
+
+// Guided breathing for cooling down between or after sessions
+import { BreathingExercise, getBreathingPattern } from './breathing.js';
+
+// Initialize TTS on module load with the provider picked in settings, or the best available:
+// Polly when credentials are configured or clips were pre-synthesized at build time, then the
+// browser's voice, then silence
+let ttsInitialized = false;
 try {
-  const client = initializePollyClient();
-  pollyInitialized = client !== null;
+  configurePollyVoice({ voiceId: getSetting('pollyVoice'), engine: getSetting('pollyEngine') });
+  const providerId = initializeTts([pollyProvider, webSpeechProvider, silentProvider], getSetting('ttsProvider'));
+  ttsInitialized = providerId !== null;
   
   // Configure audio settings for optimal game performance (Requirement 3.3, 1.4)
-  if (pollyInitialized) {
+  if (ttsInitialized) {
     configureAudioSettings({
       maxConcurrentAudio: 2, // Limit to 2 for game performance
       defaultVolume: 0.6, // Slightly lower for game audio balance
@@ -38,94 +110,26 @@ try {
     });
   }
   
-  console.log('Polly initialization status:', pollyInitialized);
+  console.log('TTS initialization status:', ttsInitialized);
+  
+  // Pre-synthesized clips make Polly available without credentials, so pick again once they load
+  loadAudioManifest().then(clipCount => {
+    if (clipCount === 0) return;
+    ttsInitialized = setTtsProvider(getSetting('ttsProvider')) !== null;
+    renderTtsOptions();
+    refreshPollyVoices();
+  });
 } catch (error) {
-  console.warn('Failed to initialize Polly client:', error.message);
-  pollyInitialized = false;
+  console.warn('Failed to initialize TTS:', error.message);
+  ttsInitialized = false;
 }
 
 // Initialize sound effects system
 let soundEffectsInitialized = false;
 console.log('Sound effects system loaded, will initialize on first user interaction');
 
-// Game data
+// Game data (thoughts come from the selected thought pack, see thought-packs.js)
 const gameData = {
-  negativeThoughts: [
-    "I don't belong here",
-    "Everyone will find out I'm a fraud",
-    "I just got lucky",
-    "I'm not qualified enough",
-    "Others are so much better than me",
-    "I'm going to fail",
-    "I don't deserve this success",
-    "I'm not smart enough",
-    "They made a mistake hiring me",
-    "I'm fooling everyone",
-    "I don't know what I'm doing",
-    "I'm not experienced enough",
-    "Everyone else is more talented",
-    "I'm going to be exposed",
-    "I'm not cut out for this",
-    "I'm winging it and hoping no one notices",
-    "I should give up before I embarrass myself",
-    "I'm in over my head",
-    "I'm not creative enough",
-    "I'm too slow compared to others",
-    "I'm going to disappoint everyone",
-    "I'm not leadership material",
-    "I'm just pretending to know what I'm doing",
-    "I don't have what it takes",
-    "I'm going to mess this up badly",
-    "I'm not innovative enough",
-    "I'm falling behind everyone else",
-    "I don't deserve this opportunity",
-    "I'm not as experienced as I should be",
-    "I'm going to let my team down",
-    "I'm not worthy of this position",
-    "I'm just lucky they haven't figured me out yet",
-    "I'm not confident enough to lead",
-    "I'm going to crumble under pressure",
-    "I'm not as skilled as people think"
-  ],
-  
-  positiveAffirmations: [
-    "I earned my place here",
-    "My unique perspective adds value",
-    "I am capable and competent",
-    "I belong in this space",
-    "My skills got me here",
-    "I deserve my achievements",
-    "I am learning and growing",
-    "I have valuable contributions to make",
-    "I am enough, just as I am",
-    "My voice matters",
-    "I have overcome challenges before",
-    "I am building expertise every day",
-    "I bring creativity and innovation",
-    "I am resilient and adaptable",
-    "I make a positive difference",
-    "I am worthy of success",
-    "I trust my abilities and judgment",
-    "I am confident in my decisions",
-    "I embrace challenges as growth opportunities",
-    "I am a valuable team member",
-    "I deserve respect and recognition",
-    "I am constantly improving my skills",
-    "I have the courage to take on new challenges",
-    "I am proud of my accomplishments",
-    "I contribute meaningfully to my work",
-    "I am intelligent and resourceful",
-    "I handle pressure with grace",
-    "I am a natural problem solver",
-    "I inspire others with my dedication",
-    "I am building a successful career",
-    "I deserve to be here as much as anyone",
-    "I am confident in my unique strengths",
-    "I turn setbacks into comebacks",
-    "I am worthy of opportunities and growth",
-    "I trust myself to figure things out"
-  ],
-  
   achievementMessages: [
     "Great punch! That doubt is gone!",
     "You're fighting back strong!",
@@ -137,26 +141,48 @@ const gameData = {
   ]
 };
 
-// Game state
-let gameState = {
-  isPlaying: false,
-  confidence: 50,
-  score: 0,
-  currentLevel: 1,
-  startTime: 0,
-  thoughtsDefeated: 0,
-  activeThoughts: new Set(),
-  gameTimer: null,
-  negativeSpawnTimer: null,
-  positiveSpawnTimer: null
-};
+// Current game session (headless engine) and the renderer drawing its thoughts
+let session = null;
+let renderer = null;
+
+// Game mode and thought pack chosen on the start screen
+let selectedModeId = DEFAULT_MODE_ID;
+let currentPack = getThoughtPack(DEFAULT_PACK_ID);
+let personalThoughts = loadPersonalThoughts(); // [{ doubt, affirmation }] typed on the start screen
+
+// Screen to return to when the History screen is closed
+let historyReturnScreen = 'start-screen';
+
+// Last zone announced to screen readers (null until a session is running)
+let announcedZone = null;
+
+// Pointer input layer for the game area (created once the DOM is ready)
+let pointerInput = null;
+
+// Replay of the session being played, the last finished one, and the one being watched
+let replayRecorder = null;
+let lastReplay = null;
+let replayPlayer = null;
+let replaySpeed = REPLAY_SPEEDS[0];
+let replayReturnScreen = 'victory-screen';
+
+// Players who ask for less motion still get moving thoughts, just much slower ones
+const REDUCED_MOTION_SPEED = 0.3;
+
+// Breathing exercise in progress and the screen to go back to when it's closed
+let breathingExercise = null;
+let breathingReturnScreen = 'start-screen';
+
+// Sessions where this share of punches (and at least this many) hit affirmations get offered a breather
+const HIGH_PENALTY_RATE = 0.3;
+const HIGH_PENALTY_MIN = 3;
 
 // Show screen function
 function showScreen(targetScreenId) {
   console.log('Switching to screen:', targetScreenId);
   
   // Hide all screens
-  const screens = ['start-screen', 'game-screen', 'victory-screen'];
+  const screens = ['start-screen', 'game-screen', 'breathing-screen', 'rest-screen', 'victory-screen', 'knockout-screen', 'history-screen'];
   screens.forEach(screenId => {
     const screen = document.getElementById(screenId);
     if (screen) {
@@ -174,11 +200,46 @@ function showScreen(targetScreenId) {
   }
 }
 
+// Read an optional ?seed= query parameter so a reported session can be replayed exactly
+function getSeedFromUrl() {
+  const seedParam = new URLSearchParams(window.location.search).get('seed');
+  if (seedParam === null || seedParam.trim() === '') return undefined;
+  
+  const seed = Number(seedParam);
+  return Number.isFinite(seed) ? seed : undefined;
+}
+
 // Start game
 function startGame() {
-  console.log('Starting boxing match...');
-  gameState.isPlaying = true;
-  gameState.startTime = Date.now();
+  const mode = getGameMode(selectedModeId);
+  console.log('Starting boxing match in mode:', mode.id);
+  
+  // Rounds come from the start screen setting and apply to every mode
+  const roundCount = Number(getSetting('roundCount')) || 0;
+  session = new GameSession({
+    thoughts: currentPack,
+    personalThoughts,
+    mode,
+    seed: getSeedFromUrl(),
+    rules: roundCount > 0 ? { roundCount, roundLength: Number(getSetting('roundLength')) * 1000 } : {}
+  });
+  bindSessionEvents(session);
+  
+  // Record what happens so the session can be watched back and reviewed afterwards
+  replayRecorder = new ReplayRecorder(session, {
+    packId: currentPack.id,
+    getAreaRect: () => renderer.getAreaRect()
+  });
+  
+  // Label the session with the mode and offer a way out when the mode has no finish line
+  const levelName = document.getElementById('level-name');
+  if (levelName) levelName.textContent = `${mode.label} Training`;
+  
+  const workoutControls = document.getElementById('workout-controls');
+  if (workoutControls) workoutControls.classList.toggle('hidden', !mode.allowManualEnd);
+  
+  const timerEl = document.getElementById('timer');
+  if (timerEl) timerEl.textContent = formatTime(session.getRemainingSeconds() ?? 0);
   
   // Initialize sound effects on first game start (requires user interaction)
   if (!soundEffectsInitialized) {
@@ -204,192 +265,246 @@ function startGame() {
     }
   }, 100);
   
-  // Start game timer with Ultrahuman format
-  gameState.gameTimer = setInterval(() => {
-    if (gameState.isPlaying) {
-      const elapsed = Math.floor((Date.now() - gameState.startTime) / 1000);
-      const timerEl = document.getElementById('timer');
-      if (timerEl) {
-        timerEl.textContent = formatTime(elapsed);
-      }
-    }
-  }, 1000);
+  // Thoughts move faster as the level rises; orbits follow the confidence ring
+  updateMotionSpeed();
+  updateMotionAnchor();
   
-  // Start spawning thoughts after level indicator disappears
-  setTimeout(() => {
-    startThoughtSpawning();
-  }, 1000);
+  // The session owns the clock and starts spawning after the level indicator disappears
+  session.start();
   
   // Update UI
+  announcedZone = null;
   updateUI();
+  
+  // Put keyboard focus in the ring so the arrow keys reach the thoughts
+  const gameArea = document.getElementById('game-area');
+  if (gameArea) gameArea.focus();
+  announce(`${mode.label} session started. Use Tab or the arrow keys to move between thoughts, Space or Enter to punch a doubt, A to absorb an affirmation, and Escape to pause.`);
 }
 
-// Start thought spawning
-function startThoughtSpawning() {
-  console.log('Starting thought spawning...');
-  
-  // Spawn negative thoughts every 2.5 seconds
-  gameState.negativeSpawnTimer = setInterval(() => {
-    if (gameState.isPlaying && gameState.confidence < 100) {
-      spawnThought(false);
+// Render engine events into the DOM
+function bindSessionEvents(gameSession) {
+  gameSession.on('spawn', thought => spawnThought(thought));
+  
+  gameSession.on('expire', (thought, { confidenceDelta }) => {
+    const thoughtRect = renderer.getThoughtRect(thought.id);
+    if (replayRecorder) replayRecorder.recordExpire(thought.id, thoughtRect, confidenceDelta);
+    if (thoughtRect) {
+      console.log('Lingering doubt drifting into the confidence ring');
+      showLingeringDoubt(thoughtRect, thought.text, confidenceDelta);
+      renderer.removeThought(thought.id);
     }
-  }, 2500);
+    
+    const drainText = confidenceDelta < 0 ? ` Confidence down ${Math.abs(Math.round(confidenceDelta))} to ${Math.round(session.state.confidence)} percent.` : '';
+    announce(`Missed doubt: ${thought.text}.${drainText}`);
+  });
   
-  // Spawn positive thoughts every 4 seconds
-  gameState.positiveSpawnTimer = setInterval(() => {
-    if (gameState.isPlaying && gameState.confidence < 100) {
-      spawnThought(true);
-    }
-  }, 4000);
-}
-
-// Check if a position overlaps with existing thoughts
-function checkCollision(x, y, width, height, existingThoughts) {
-  const buffer = 25; // Minimum distance between thought bubbles
+  gameSession.on('confidence', () => updateUI());
+  
+  // Celebrate combo milestones; a broken combo resets the counter
+  gameSession.on('combo', ({ combo, comboMultiplier }) => showAchievementMessage(combo, comboMultiplier));
+  gameSession.on('combo-break', () => updateUI());
   
-  for (const existingThought of existingThoughts) {
-    // Skip if the thought element is not in the DOM anymore
-    if (!existingThought.parentNode) {
-      continue;
+  // Rounds: the bell opens and closes each one, with a rest in the corner between them
+  gameSession.on('round-start', ({ round, roundCount }) => {
+    playBellSound(1).catch(error => {
+      console.debug('SOUND_EFFECTS: Bell sound failed:', error.message);
+    });
+    
+    const roundIndicator = document.getElementById('round-indicator');
+    if (roundIndicator) {
+      roundIndicator.textContent = `ROUND ${round} / ${roundCount}`;
+      roundIndicator.classList.remove('hidden');
     }
     
-    const existingRect = existingThought.getBoundingClientRect();
-    const gameArea = document.getElementById('game-area');
-    const gameAreaRect = gameArea.getBoundingClientRect();
-    
-    // Convert existing thought position to relative coordinates
-    const existingX = existingRect.left - gameAreaRect.left;
-    const existingY = existingRect.top - gameAreaRect.top;
-    const existingWidth = existingRect.width;
-    const existingHeight = existingRect.height;
-    
-    // Check if rectangles overlap (with buffer)
-    if (x < existingX + existingWidth + buffer &&
-        x + width + buffer > existingX &&
-        y < existingY + existingHeight + buffer &&
-        y + height + buffer > existingY) {
-      return true; // Collision detected
+    const timerEl = document.getElementById('timer');
+    if (timerEl) timerEl.textContent = formatTime(gameSession.getRemainingSeconds());
+    
+    if (round > 1) {
+      showScreen('game-screen');
+      announce(`Round ${round} of ${roundCount}. Fight!`, { assertive: true });
     }
-  }
-  return false; // No collision
-}
-
-// Find a non-overlapping position for a thought bubble
-function findNonOverlappingPosition(gameAreaRect, thoughtElement) {
-  // Add element temporarily to measure its actual dimensions
-  const gameArea = document.getElementById('game-area');
-  thoughtElement.style.visibility = 'hidden';
-  thoughtElement.style.position = 'absolute';
-  thoughtElement.style.left = '-9999px';
-  gameArea.appendChild(thoughtElement);
+  });
   
-  const thoughtRect = thoughtElement.getBoundingClientRect();
-  const thoughtWidth = thoughtRect.width;
-  const thoughtHeight = thoughtRect.height;
+  gameSession.on('round-end', result => {
+    playBellSound(3).catch(error => {
+      console.debug('SOUND_EFFECTS: Bell sound failed:', error.message);
+    });
+    if (result.isLastRound) return;
+    
+    if (pointerInput) pointerInput.cancelDwells();
+    if (ttsInitialized) stopAllAudio();
+    clearThoughtElements();
+    renderKnockdownCount(null);
+    renderRestScreen(result, gameSession.rules.roundCount);
+    showScreen('rest-screen');
+    announce(`End of round ${result.round}. Rest for ${result.restSeconds} seconds. Confidence ${Math.round(result.endConfidence)} percent.`, { assertive: true });
+    
+    const nextRoundBtn = document.getElementById('next-round-btn');
+    if (nextRoundBtn) nextRoundBtn.focus();
+  });
   
-  // Remove from DOM temporarily
-  gameArea.removeChild(thoughtElement);
-  thoughtElement.style.visibility = 'visible';
+  gameSession.on('rest-tick', ({ remainingSeconds }) => {
+    const countdown = document.getElementById('rest-countdown');
+    if (countdown) countdown.textContent = remainingSeconds;
+  });
   
-  const maxX = Math.max(20, gameAreaRect.width - thoughtWidth - 20);
-  const maxY = Math.max(20, gameAreaRect.height - thoughtHeight - 20);
-  const maxAttempts = 50; // Increased attempts to reduce fallback usage
+  // Knocked down at 0%: the referee counts while the player punches their way back up
+  gameSession.on('knockdown', knockdown => {
+    renderKnockdownCount(knockdown);
+    announce(`Knocked down! Punch ${knockdown.punchesNeeded} doubts before the count of ${knockdown.count} to get back up.`, { assertive: true });
+  });
+  gameSession.on('knockdown-count', knockdown => renderKnockdownCount(knockdown));
+  gameSession.on('punch', () => {
+    if (gameSession.state.knockdown) renderKnockdownCount(gameSession.getState().knockdown, { counting: false });
+  });
+  gameSession.on('recover', ({ confidence }) => {
+    renderKnockdownCount(null);
+    showRecoveryMessage();
+    announce(`You're back up. Confidence ${Math.round(confidence)} percent.`, { assertive: true });
+  });
   
-  const existingThoughts = Array.from(gameState.activeThoughts);
+  gameSession.on('level', ({ level, previousLevel, difficulty }) => {
+    console.log(`Level changed ${previousLevel} -> ${level}`, difficulty);
+    updateMotionSpeed();
+    if (level > previousLevel && difficulty.label) {
+      showLevelUpMessage(level, difficulty.label);
+    }
+  });
   
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const x = Math.random() * maxX;
-    const y = Math.random() * maxY;
-    
-    if (!checkCollision(x, y, thoughtWidth, thoughtHeight, existingThoughts)) {
-      return { x, y };
+  // Update timer with Ultrahuman format (counts down in time-limited modes)
+  gameSession.on('tick', ({ elapsedSeconds, remainingSeconds }) => {
+    const timerEl = document.getElementById('timer');
+    if (timerEl) {
+      timerEl.textContent = formatTime(remainingSeconds ?? elapsedSeconds);
     }
-  }
+  });
+  
+  gameSession.on('pause', () => {
+    // Absorbing is timed in real time, so let go of any affirmation being absorbed
+    if (pointerInput) pointerInput.cancelDwells();
+    renderer.setPaused(true);
+    
+    // Freeze audio together with the session clock
+    if (ttsInitialized) pauseAllAudio();
+    suspendSoundEffects();
+    showPauseOverlay(true);
+  });
   
-  // If we can't find a non-overlapping position after max attempts,
-  // use grid-based fallback positioning to minimize overlaps
-  console.debug('Could not find non-overlapping position after', maxAttempts, 'attempts, using grid-based fallback');
-  return findGridBasedPosition(maxX, maxY, thoughtWidth, thoughtHeight, existingThoughts);
+  gameSession.on('resume', () => {
+    renderer.setPaused(false);
+    if (ttsInitialized) resumeAllAudio();
+    resumeSoundEffects();
+    showPauseOverlay(false);
+  });
+  
+  gameSession.on('end', summary => endGame(summary));
 }
 
-// Grid-based fallback positioning to minimize overlaps
-function findGridBasedPosition(maxX, maxY, thoughtWidth, thoughtHeight, existingThoughts) {
-  const gridSize = Math.max(thoughtWidth + 30, thoughtHeight + 30); // Grid cell size with padding
-  const cols = Math.floor(maxX / gridSize) || 1;
-  const rows = Math.floor(maxY / gridSize) || 1;
+// Pause the running session (reason is shown on the overlay)
+function pauseGame(reason = 'Take a breath. Your session is on hold.') {
+  if (!session || !session.state.isPlaying || session.state.isPaused) return;
   
-  // Create array of all grid positions
-  const gridPositions = [];
-  for (let row = 0; row < rows; row++) {
-    for (let col = 0; col < cols; col++) {
-      gridPositions.push({
-        x: col * gridSize + Math.random() * (gridSize - thoughtWidth),
-        y: row * gridSize + Math.random() * (gridSize - thoughtHeight)
-      });
-    }
-  }
+  const pauseReason = document.getElementById('pause-reason');
+  if (pauseReason) pauseReason.textContent = reason;
   
-  // Shuffle grid positions for variety
-  for (let i = gridPositions.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [gridPositions[i], gridPositions[j]] = [gridPositions[j], gridPositions[i]];
-  }
+  session.pause();
+}
+
+// Match thought motion to the current level (and the player's reduced-motion preference)
+function updateMotionSpeed() {
+  if (!session || !renderer) return;
+  
+  const prefersReducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  const speed = session.getDifficulty().motionSpeed;
+  renderer.setMotionSpeed(prefersReducedMotion ? speed * REDUCED_MOTION_SPEED : speed);
+}
+
+// Point orbiting thoughts at the confidence ring (relative to the game area)
+function updateMotionAnchor() {
+  const gameArea = document.getElementById('game-area');
+  const progressRing = document.querySelector('#game-screen .progress-ring');
+  if (!renderer || !gameArea || !progressRing) return;
+  
+  const areaRect = gameArea.getBoundingClientRect();
+  const ringRect = progressRing.getBoundingClientRect();
+  renderer.setMotionAnchor({
+    x: ringRect.left + ringRect.width / 2 - areaRect.left,
+    y: ringRect.top + ringRect.height / 2 - areaRect.top
+  });
+}
+
+// Resume a paused session
+function resumeGame() {
+  if (session) session.resume();
+}
+
+// Show or hide the pause overlay
+function showPauseOverlay(visible) {
+  const pauseOverlay = document.getElementById('pause-overlay');
+  const gameArea = document.getElementById('game-area');
   
-  // Find first grid position without collision
-  for (const pos of gridPositions) {
-    if (!checkCollision(pos.x, pos.y, thoughtWidth, thoughtHeight, existingThoughts)) {
-      return pos;
+  if (pauseOverlay) pauseOverlay.classList.toggle('hidden', !visible);
+  if (gameArea) gameArea.classList.toggle('paused', visible);
+  
+  if (visible) {
+    const resumeBtn = document.getElementById('resume-btn');
+    if (resumeBtn) resumeBtn.focus();
+  }
+}
+
+// Show the referee's count while knocked down (null hides it)
+function renderKnockdownCount(knockdown, { counting = true } = {}) {
+  const overlay = document.getElementById('knockdown-overlay');
+  const countEl = document.getElementById('knockdown-count');
+  const progressEl = document.getElementById('knockdown-progress');
+  if (!overlay) return;
+  
+  overlay.classList.toggle('hidden', !knockdown);
+  if (!knockdown) return;
+  
+  if (countEl) {
+    countEl.textContent = knockdown.count;
+    
+    // Replay the count animation on every number the referee calls
+    if (counting) {
+      countEl.classList.remove('counting');
+      void countEl.offsetWidth;
+      countEl.classList.add('counting');
     }
   }
   
-  // Final fallback: use the first grid position (least likely to overlap severely)
-  return gridPositions[0] || { x: 20, y: 20 };
+  if (progressEl) {
+    const remaining = knockdown.punchesNeeded - knockdown.punches;
+    progressEl.textContent = `Punch ${remaining} more ${remaining === 1 ? 'doubt' : 'doubts'} to get back up`;
+  }
 }
 
-// Spawn a thought bubble
-function spawnThought(isPositive = false) {
+// Render a thought bubble spawned by the session
+function spawnThought(thoughtData) {
+  const { id, text: message, isPositive } = thoughtData;
   console.log('Spawning thought, isPositive:', isPositive);
   
-  const gameArea = document.getElementById('game-area');
-  if (!gameArea) {
-    console.error('Game area not found');
+  if (!renderer) {
+    console.error('Renderer not ready');
     return;
   }
   
-  const thought = document.createElement('div');
-  thought.className = `thought-bubble ${isPositive ? 'positive' : 'negative'}`;
-  
-  // Select random message
-  const messages = isPositive ? gameData.positiveAffirmations : gameData.negativeThoughts;
-  const message = messages[Math.floor(Math.random() * messages.length)];
-  thought.textContent = message;
-  
-  // Get game area dimensions
-  const gameAreaRect = gameArea.getBoundingClientRect();
-  
-  // Find non-overlapping position using actual element dimensions
-  const position = findNonOverlappingPosition(gameAreaRect, thought);
-  
-  thought.style.left = position.x + 'px';
-  thought.style.top = position.y + 'px';
-  
-  // Add click handler
-  thought.addEventListener('click', function(event) {
-    event.preventDefault();
-    event.stopPropagation();
-    clickThought(thought, isPositive, event);
+  // The renderer places the bubble using its cached metrics and spatial index, then keeps it moving
+  const pattern = pickMotionPattern(isPositive, session.layoutRandom);
+  renderer.addThought(thoughtData, session.layoutRandom, {
+    pattern,
+    lifetime: isPositive ? null : session.getDifficulty().negativeLifetime
   });
-  
-  // Add to game area
-  gameArea.appendChild(thought);
-  gameState.activeThoughts.add(thought);
+  if (replayRecorder) replayRecorder.recordSpawn(thoughtData, renderer.getThoughtRect(id), pattern);
+  announce(isPositive ? `Affirmation: ${message}` : `New doubt: ${message}`);
   
   // Only play TTS for positive thoughts to reinforce positive affirmations (Requirements 1.1, 1.2, 3.1)
   // Performance monitoring for TTS impact on game responsiveness (Requirement 1.4)
-  if (isPositive && pollyInitialized && isPollyAvailable()) {
+  if (isPositive && ttsInitialized && isTtsAvailable()) {
     const ttsStartTime = performance.now();
     
-    speakText(message).then(() => {
+    speakText(message, { ssml: currentPack.ssml?.[message] }).then(() => {
       const ttsEndTime = performance.now();
       const ttsDuration = ttsEndTime - ttsStartTime;
       
@@ -404,106 +519,129 @@ function spawnThought(isPositive = false) {
       console.debug(`TTS_PERFORMANCE: Failed TTS request took ${ttsDuration.toFixed(2)}ms`);
       // Game continues normally even if TTS fails
     });
-  } else if (isPositive && pollyInitialized && !isPollyAvailable()) {
+  } else if (isPositive && ttsInitialized && !isTtsAvailable()) {
     console.debug('TTS_INTEGRATION_DEBUG: TTS temporarily disabled, skipping speech for positive thought');
   } else if (!isPositive) {
     console.debug('TTS_INTEGRATION_DEBUG: Negative thought - audio muted for positive reinforcement');
   }
   
-  // IMPORTANT: Only auto-remove negative thoughts, positive ones stay until clicked
-  if (!isPositive) {
-    const removeTimeout = setTimeout(() => {
-      if (gameArea.contains(thought)) {
-        console.log('Auto-removing negative thought');
-        removeThought(thought);
-      }
-    }, 5000); // 5 seconds for negative thoughts
-    
-    thought.removeTimeout = removeTimeout;
-  }
+  // Negative thought expiry is owned by the session, which emits 'expire'
 }
 
-// Handle thought click
-function clickThought(thought, isPositive, event) {
-  console.log('Thought clicked! isPositive:', isPositive);
+// Handle a punch on a thought
+// hit is { x, y, direction } from the pointer that landed it; keyboard punches pass nothing
+function clickThought(id, hit = null) {
+  if (!session || replayPlayer || !renderer.hasThought(id)) {
+    return;
+  }
   
-  if (!gameState.isPlaying || thought.classList.contains('clicked')) {
+  // Let the engine apply scoring and confidence; a null outcome means the punch didn't land
+  const outcome = session.punchThought(id);
+  if (!outcome) {
     return;
   }
+  console.log('Thought clicked! isPositive:', outcome.isPenalty);
+  
+  // Keyboard punches have no pointer position, so aim at the middle of the bubble
+  const { x, y } = getEffectPosition(id, hit);
+  const direction = hit ? hit.direction : null;
+  const confidence = Math.round(session.state.confidence);
+  if (replayRecorder) replayRecorder.recordPunch(id, outcome, renderer.getThoughtRect(id), { x, y }, direction);
   
   // Show effects and play sounds based on thought type
-  if (!isPositive) {
+  if (!outcome.isPenalty) {
     // Punching negative thoughts: GOOD action
     // Show enhanced punch effect with sound sync
-    showPunchEffect(event.clientX, event.clientY, true);
+    showPunchEffect(x, y, true, direction);
     
     // Play punch sound effect with slight intensity variation
     const intensity = 0.8 + Math.random() * 0.4; // Random intensity between 0.8 and 1.2
     playPunchSound(intensity).catch(error => {
+      // The punch effect is already on screen, the game just carries on silently
       console.debug('SOUND_EFFECTS: Punch sound failed:', error.message);
-      // Fallback to regular punch effect if sound fails
-      showPunchEffect(event.clientX, event.clientY, false);
     });
+    
+    const comboText = outcome.combo > 1 ? ` Combo ${outcome.combo}.` : '';
+    const reframeText = outcome.reframe ? ` Reframed: ${outcome.reframe.text}.` : '';
+    announce(`Punched!${comboText}${reframeText} Confidence ${confidence} percent.`);
   } else {
     // Punching positive thoughts: BAD action (penalty)
     // Show a different effect to indicate this was wrong
-    showPenaltyEffect(event.clientX, event.clientY);
+    showPenaltyEffect(x, y);
     
     // No sound effect for penalty to make it feel less satisfying
     console.log('Player punched a positive thought - penalty applied');
+    announce(`Penalty! That was an affirmation. Confidence ${confidence} percent.`, { assertive: true });
+    showPenaltyMessage();
   }
   
-  // Clear auto-remove timeout if it exists
-  if (thought.removeTimeout) {
-    clearTimeout(thought.removeTimeout);
-  }
-  
-  // Add clicked animation
-  thought.classList.add('clicked');
-  
-  // Update game state based on thought type
-  if (!isPositive) {
-    // Punching negative thoughts: REWARD
-    const points = 10;
-    gameState.score += points;
-    const confidenceIncrease = 5;
-    gameState.confidence += confidenceIncrease;
-    gameState.thoughtsDefeated++;
-    showAchievementMessage();
+  // Knock the bubble out (a swipe knocks it away in the swipe direction), or turn it over into its reframe
+  if (outcome.reframe) {
+    showReframe(id, outcome.reframe);
   } else {
-    // Punching positive thoughts: PENALTY
-    const pointsPenalty = 15;
-    gameState.score = Math.max(0, gameState.score - pointsPenalty); // Don't go below 0
-    const confidenceDecrease = 3;
-    gameState.confidence = Math.max(0, gameState.confidence - confidenceDecrease); // Don't go below 0
-    showPenaltyMessage();
+    renderer.removeThought(id, { type: direction ? 'swipe' : 'punch', direction });
   }
   
-  // Ensure confidence doesn't exceed 100
-  gameState.confidence = Math.min(gameState.confidence, 100);
-  
   // Update UI
   updateUI();
+}
+
+// Turn a punched doubt over into its reframe, which stays on the board as an affirmation
+function showReframe(doubtId, reframe) {
+  const pattern = pickMotionPattern(true, session.layoutRandom);
+  renderer.flipThought(doubtId, reframe, session.layoutRandom, { pattern, lifetime: null });
+  if (replayRecorder) replayRecorder.recordSpawn(reframe, renderer.getThoughtRect(reframe.id), pattern);
+  
+  if (getSetting('reframeVoice') && ttsInitialized && isTtsAvailable()) {
+    speakText(reframe.text).catch(error => {
+      console.warn('TTS_INTEGRATION_ERROR: Failed to speak reframe:', error.message);
+    });
+  }
+}
+
+// Absorb an affirmation the player rested on
+function absorbThought(id) {
+  if (replayPlayer) return;
+  renderer.setAbsorbing(id, null);
+  if (!session || !renderer.hasThought(id)) return;
+  
+  const text = session.state.activeThoughts.get(id)?.text || '';
+  const outcome = session.absorbThought(id);
+  if (!outcome) return;
+  
+  const { x, y } = getEffectPosition(id, null);
+  if (replayRecorder) replayRecorder.recordAbsorb(id, renderer.getThoughtRect(id));
+  showCollectionEffect(x, y);
+  playCollectionSound().catch(error => {
+    console.debug('SOUND_EFFECTS: Collection sound failed:', error.message);
+  });
   
-  // Remove thought after animation
-  setTimeout(() => {
-    removeThought(thought);
-  }, 400);
+  announce(`Absorbed: ${text}. Confidence ${Math.round(session.state.confidence)} percent.`);
   
-  // Check win condition
-  if (gameState.confidence >= 100) {
-    setTimeout(() => {
-      endGame();
-    }, 500);
+  renderer.removeThought(id, { type: 'absorb' });
+  updateUI();
+}
+
+// Screen position for a punch effect: the pointer, or the bubble's center for keyboard punches
+function getEffectPosition(id, hit) {
+  if (hit && hit.x !== undefined && hit.y !== undefined) {
+    return { x: hit.x, y: hit.y };
   }
+  
+  const rect = renderer.getThoughtRect(id);
+  if (!rect) return { x: 0, y: 0 };
+  return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
 }
 
-// Show punch effect
-function showPunchEffect(x, y, withSound = false) {
+// Show punch effect (one element per punch so simultaneous touches each get their own glove)
+function showPunchEffect(x, y, withSound = false, direction = null) {
   const gameArea = document.getElementById('game-area');
-  const punchEffect = document.getElementById('punch-effect');
   
-  if (!gameArea || !punchEffect) return;
+  if (!gameArea) return;
+  
+  // Create punch effect element
+  const punchEffect = document.createElement('div');
+  punchEffect.className = 'punch-effect';
   
   // Get the game area's position and dimensions
   const gameAreaRect = gameArea.getBoundingClientRect();
@@ -512,7 +650,7 @@ function showPunchEffect(x, y, withSound = false) {
   const relativeX = x - gameAreaRect.left;
   const relativeY = y - gameAreaRect.top;
   
-  // Center the 60px x 60px punch effect exactly on the cursor position
+  // Center the 60px x 60px punch effect exactly on the pointer position
   const effectSize = 60;
   const centeredX = relativeX - (effectSize / 2);
   const centeredY = relativeY - (effectSize / 2);
@@ -528,6 +666,14 @@ function showPunchEffect(x, y, withSound = false) {
   punchEffect.style.left = finalX + 'px';
   punchEffect.style.top = finalY + 'px';
   
+  // Swipe punches streak along the swipe direction
+  if (direction) {
+    punchEffect.style.setProperty('--swipe-angle', Math.atan2(direction.y, direction.x) + 'rad');
+    punchEffect.classList.add('swipe');
+  }
+  
+  gameArea.appendChild(punchEffect);
+  
   // Use enhanced animation if sound is available
   if (withSound && soundEffectsInitialized) {
     punchEffect.classList.add('active', 'with-sound');
@@ -535,8 +681,11 @@ function showPunchEffect(x, y, withSound = false) {
     punchEffect.classList.add('active');
   }
   
+  // Remove element after animation
   setTimeout(() => {
-    punchEffect.classList.remove('active', 'with-sound');
+    if (gameArea.contains(punchEffect)) {
+      gameArea.removeChild(punchEffect);
+    }
   }, 300);
 }
 
@@ -636,41 +785,99 @@ function showPenaltyEffect(x, y) {
   }, 500);
 }
 
-// Remove thought from game
-function removeThought(thought) {
-  // Always remove from activeThoughts set, even if element is not in DOM
-  gameState.activeThoughts.delete(thought);
+// Lingering doubt: a ghost of the expired bubble fades into the confidence ring
+function showLingeringDoubt(thoughtRect, text, confidenceDelta) {
+  const progressRing = document.querySelector('#game-screen .progress-ring');
+  if (!progressRing) return;
+  
+  const ringRect = progressRing.getBoundingClientRect();
+  
+  // The game area clips its children, so the ghost lives on the body in fixed coordinates
+  const ghost = document.createElement('div');
+  ghost.className = 'lingering-doubt';
+  ghost.setAttribute('aria-hidden', 'true');
+  ghost.textContent = text;
+  ghost.style.left = thoughtRect.left + 'px';
+  ghost.style.top = thoughtRect.top + 'px';
+  ghost.style.width = thoughtRect.width + 'px';
+  
+  // Travel from the bubble's center to the ring's center
+  const deltaX = (ringRect.left + ringRect.width / 2) - (thoughtRect.left + thoughtRect.width / 2);
+  const deltaY = (ringRect.top + ringRect.height / 2) - (thoughtRect.top + thoughtRect.height / 2);
+  ghost.style.setProperty('--ring-dx', deltaX + 'px');
+  ghost.style.setProperty('--ring-dy', deltaY + 'px');
+  
+  document.body.appendChild(ghost);
   
-  const gameArea = document.getElementById('game-area');
-  if (gameArea && gameArea.contains(thought)) {
-    gameArea.removeChild(thought);
-  }
+  // Trigger animation
+  setTimeout(() => {
+    ghost.classList.add('active');
+  }, 10);
   
-  if (thought.removeTimeout) {
-    clearTimeout(thought.removeTimeout);
-    thought.removeTimeout = null;
-  }
+  // The ring flinches when the doubt lands, if it cost any confidence
+  setTimeout(() => {
+    ghost.remove();
+    if (confidenceDelta < 0) {
+      progressRing.classList.remove('drained');
+      void progressRing.offsetWidth;
+      progressRing.classList.add('drained');
+      setTimeout(() => progressRing.classList.remove('drained'), 500);
+    }
+  }, 700);
 }
 
-// Show achievement message
-function showAchievementMessage() {
+// Show achievement message when a combo reaches a milestone
+// (rules default to the running session's; replays pass the recorded ones)
+function showAchievementMessage(combo, comboMultiplier, rules = session.rules) {
   const achievementPopup = document.getElementById('achievement-popup');
   const achievementText = document.getElementById('achievement-text');
   
   if (!achievementPopup || !achievementText) return;
   
-  if (Math.random() < 0.6) {
-    const message = gameData.achievementMessages[
-      Math.floor(Math.random() * gameData.achievementMessages.length)
-    ];
-    
-    achievementText.textContent = message;
-    achievementPopup.classList.add('visible');
-    
-    setTimeout(() => {
-      achievementPopup.classList.remove('visible');
-    }, 2000);
-  }
+  // Walk through the messages as the milestones go up so each one feels different
+  const milestoneIndex = Math.max(0, (rules.scoring ? rules.scoring.comboMilestones : []).indexOf(combo));
+  const message = gameData.achievementMessages[milestoneIndex % gameData.achievementMessages.length];
+  
+  const pointsText = rules.scoringEnabled && comboMultiplier > 1 ? ` ×${comboMultiplier} points.` : '';
+  achievementText.textContent = `${combo} combo!${pointsText} ${message}`;
+  achievementPopup.classList.remove('penalty');
+  achievementPopup.classList.add('visible');
+  
+  setTimeout(() => {
+    achievementPopup.classList.remove('visible');
+  }, 2000);
+}
+
+// Show level up message when the difficulty steps up
+function showLevelUpMessage(level, label) {
+  const achievementPopup = document.getElementById('achievement-popup');
+  const achievementText = document.getElementById('achievement-text');
+  
+  if (!achievementPopup || !achievementText) return;
+  
+  achievementText.textContent = `Level ${level}: ${label}! The doubts are getting faster.`;
+  achievementPopup.classList.remove('penalty');
+  achievementPopup.classList.add('visible');
+  
+  setTimeout(() => {
+    achievementPopup.classList.remove('visible');
+  }, 2000);
+}
+
+// Show a message when the player gets back up from a knockdown
+function showRecoveryMessage() {
+  const achievementPopup = document.getElementById('achievement-popup');
+  const achievementText = document.getElementById('achievement-text');
+  
+  if (!achievementPopup || !achievementText) return;
+  
+  achievementText.textContent = "Back on your feet! Knocked down isn't knocked out.";
+  achievementPopup.classList.remove('penalty');
+  achievementPopup.classList.add('visible');
+  
+  setTimeout(() => {
+    achievementPopup.classList.remove('visible');
+  }, 2000);
 }
 
 // Show penalty message for punching positive thoughts
@@ -700,7 +907,24 @@ function showPenaltyMessage() {
 
 // Update UI elements - Ultrahuman Style
 function updateUI() {
-  const confidence = Math.round(gameState.confidence);
+  const state = session ? session.getState() : {
+    confidence: DEFAULT_RULES.startingConfidence,
+    score: 0,
+    currentLevel: GameSession.levelForConfidence(DEFAULT_RULES.startingConfidence)
+  };
+  
+  renderScoreboard({
+    confidence: state.confidence,
+    score: state.score,
+    combo: state.streak || 0,
+    comboMultiplier: session && session.rules.scoringEnabled ? state.comboMultiplier : 1,
+    level: state.currentLevel
+  });
+}
+
+// Show confidence, score, combo and level (from the live session or a replay)
+function renderScoreboard({ confidence: rawConfidence, score, combo, comboMultiplier, level }) {
+  const confidence = Math.round(rawConfidence);
   
   // Update circular progress ring
   const confidencePercentage = document.getElementById('confidence-percentage');
@@ -713,13 +937,9 @@ function updateUI() {
   
   // Update score display during gameplay
   const currentScoreEl = document.getElementById('current-score');
-  if (currentScoreEl) currentScoreEl.textContent = gameState.score;
-  if (currentLevelEl) {
-    // Update level based on confidence
-    const level = Math.floor(confidence / 20) + 1;
-    currentLevelEl.textContent = `Level ${level}`;
-    gameState.currentLevel = level;
-  }
+  if (currentScoreEl) currentScoreEl.textContent = score;
+  updateComboCounter(combo, comboMultiplier);
+  if (currentLevelEl) currentLevelEl.textContent = `Level ${level}`;
   
   // Update progress ring gradient based on confidence
   updateProgressRing(confidence);
@@ -728,6 +948,24 @@ function updateUI() {
   updateZoneIndicator(confidence);
 }
 
+// Update the combo counter next to the score (hidden until two doubts in a row)
+function updateComboCounter(combo, comboMultiplier) {
+  const comboCounter = document.getElementById('combo-counter');
+  if (!comboCounter) return;
+  
+  const previousCombo = Number(comboCounter.dataset.combo || 0);
+  comboCounter.dataset.combo = combo;
+  comboCounter.classList.toggle('hidden', combo < 2);
+  comboCounter.textContent = comboMultiplier > 1 ? `${combo} COMBO ×${comboMultiplier}` : `${combo} COMBO`;
+  
+  // Replay the bump animation each time the combo grows
+  if (combo > previousCombo) {
+    comboCounter.classList.remove('bump');
+    void comboCounter.offsetWidth;
+    comboCounter.classList.add('bump');
+  }
+}
+
 // Update the circular progress ring
 function updateProgressRing(confidence) {
   const progressBackground = document.querySelector('.progress-ring__background');
@@ -761,139 +999,1376 @@ function updateZoneIndicator(confidence) {
   const zoneText = document.querySelector('.zone-text');
   if (!zoneText) return;
   
-  let zone, range, color;
-  
-  if (confidence < 25) {
-    zone = 1;
-    range = '0 - 25%';
-    color = 'var(--color-accent-red)';
-  } else if (confidence < 50) {
-    zone = 2;
-    range = '25 - 50%';
-    color = 'var(--color-accent-orange)';
-  } else if (confidence < 75) {
-    zone = 3;
-    range = '50 - 75%';
-    color = 'var(--color-accent-teal)';
-  } else {
-    zone = 4;
-    range = '75 - 100%';
-    color = 'var(--color-secondary)';
-  }
+  const { zone, range, color } = getConfidenceZone(confidence);
   
   zoneText.textContent = `Zone ${zone} • ${range}`;
   zoneText.parentElement.style.background = color;
+  
+  // Zone color changes aren't visible to screen readers, so say them
+  if (session && session.state.isPlaying) {
+    if (announcedZone !== null && zone !== announcedZone) {
+      announce(`Zone ${zone}, ${range.replace(' - ', ' to ')}. Confidence ${confidence} percent.`);
+    }
+    announcedZone = zone;
+  }
+}
+
+// Remove every rendered thought bubble
+function clearThoughtElements() {
+  if (renderer) renderer.clear();
 }
 
-// End game
-function endGame() {
+// End game (called with the session summary once the session has ended)
+function endGame(summary) {
   console.log('Ending boxing match...');
-  gameState.isPlaying = false;
-  
-  // Clear timers
-  if (gameState.gameTimer) clearInterval(gameState.gameTimer);
-  if (gameState.negativeSpawnTimer) clearInterval(gameState.negativeSpawnTimer);
-  if (gameState.positiveSpawnTimer) clearInterval(gameState.positiveSpawnTimer);
   
   // Stop all TTS audio for clean game end (Performance optimization)
-  if (pollyInitialized) {
+  if (ttsInitialized) {
     stopAllAudio();
   }
   
   // Clear active thoughts
-  gameState.activeThoughts.forEach(thought => {
-    if (thought.removeTimeout) clearTimeout(thought.removeTimeout);
-    removeThought(thought);
-  });
-  gameState.activeThoughts.clear();
+  clearThoughtElements();
+  renderKnockdownCount(null);
+  
+  const roundIndicator = document.getElementById('round-indicator');
+  if (roundIndicator) roundIndicator.classList.add('hidden');
+  
+  // Keep the finished replay for the Watch and Export buttons
+  lastReplay = replayRecorder ? replayRecorder.finish(summary) : null;
+  replayRecorder = null;
+  updateReplayButtons();
+  
+  // Fill the summary for the mode that was played
+  renderSessionSummary(getGameMode(summary.modeId), summary);
+  renderSessionResults(summary);
+  renderRoundScorecard(summary.roundResults);
   
-  // Update final stats
-  const finalTimeSeconds = Math.floor((Date.now() - gameState.startTime) / 1000);
-  const finalTime = document.getElementById('final-time');
-  const thoughtsDefeatedEl = document.getElementById('thoughts-defeated');
+  // Remember the session for the History screen (storage failures don't affect the game)
+  saveSessionRecord(createSessionRecord(summary, { packId: currentPack.id })).catch(error => {
+    console.warn('SESSION_HISTORY: Failed to save session:', error.message);
+  });
   
-  if (finalTime) finalTime.textContent = formatTime(finalTimeSeconds);
-  if (thoughtsDefeatedEl) thoughtsDefeatedEl.textContent = gameState.thoughtsDefeated;
+  // A knockout gets its own screen; the full results stay one click away
+  if (summary.endReason === END_REASONS.KNOCKOUT) {
+    const knockoutSummary = renderKnockoutSummary(summary);
+    showScreen('knockout-screen');
+    announce(`${knockoutSummary.subtitle}. ${knockoutSummary.lines[0]}`, { assertive: true });
+    
+    const knockoutRestartBtn = document.getElementById('knockout-restart-btn');
+    if (knockoutRestartBtn) knockoutRestartBtn.focus();
+    return;
+  }
   
-  // Update final score
-  const finalScoreEl = document.getElementById('final-score');
-  if (finalScoreEl) finalScoreEl.textContent = gameState.score;
+  // A rough session gets offered a breather before the next one
+  const breathingOffer = document.getElementById('breathing-offer');
+  if (breathingOffer) breathingOffer.classList.toggle('hidden', !isHighPenaltySession(summary));
   
   // Show victory screen
   showScreen('victory-screen');
+  
+  const modeSummary = getGameMode(summary.modeId).summarize(summary);
+  announce(`${modeSummary.subtitle}. ${modeSummary.headline.value} ${modeSummary.headline.unit}.`, { assertive: true });
+  
+  const restartBtn = document.getElementById('restart-btn');
+  if (restartBtn) restartBtn.focus();
 }
 
-// Restart game
-function restartGame() {
-  console.log('Restarting boxing match...');
+// Fill a stat grid with one card per {label, value}
+function renderStatCards(container, stats) {
+  if (!container) return;
+  
+  container.innerHTML = '';
+  stats.forEach(stat => {
+    const statEl = document.createElement('div');
+    statEl.className = 'session-stat';
+    
+    const valueEl = document.createElement('span');
+    valueEl.className = 'stat-value';
+    valueEl.textContent = stat.value;
+    
+    const labelEl = document.createElement('span');
+    labelEl.className = 'stat-label';
+    labelEl.textContent = stat.label;
+    
+    statEl.append(valueEl, labelEl);
+    container.appendChild(statEl);
+  });
+}
+
+// Fill a metric row with one item per {label, value}
+function renderMetricCards(container, metrics) {
+  if (!container) return;
+  
+  container.innerHTML = '';
+  metrics.forEach(metric => {
+    const metricEl = document.createElement('div');
+    metricEl.className = 'metric-item';
+    
+    const valueEl = document.createElement('span');
+    valueEl.className = 'stat-value';
+    valueEl.textContent = metric.value;
+    
+    const labelEl = document.createElement('span');
+    labelEl.className = 'metric-label';
+    labelEl.textContent = metric.label;
+    
+    metricEl.append(valueEl, labelEl);
+    container.appendChild(metricEl);
+  });
+}
+
+// Render the rest screen with the round that just ended
+function renderRestScreen(result, roundCount) {
+  const title = document.getElementById('rest-title');
+  const next = document.getElementById('rest-next');
+  const countdown = document.getElementById('rest-countdown');
+  const startConfidence = document.getElementById('rest-start-confidence');
+  const endConfidence = document.getElementById('rest-end-confidence');
+  const stats = document.getElementById('rest-stats');
+  const nextRoundBtn = document.getElementById('next-round-btn');
+  const nextRound = result.round + 1;
+  
+  if (title) title.textContent = `Round ${result.round} of ${roundCount} Complete`;
+  if (next) next.textContent = nextRound === roundCount ? 'The final round starts when the rest is over.' : `Round ${nextRound} starts when the rest is over.`;
+  if (countdown) countdown.textContent = result.restSeconds;
+  if (startConfidence) startConfidence.textContent = `${Math.round(result.startConfidence)}%`;
+  if (endConfidence) endConfidence.textContent = `${Math.round(result.endConfidence)}%`;
+  if (nextRoundBtn) nextRoundBtn.textContent = `START ROUND ${nextRound}`;
+  
+  renderStatCards(stats, [
+    ...(session.rules.scoringEnabled ? [{ label: 'Round Score', value: result.score }] : []),
+    { label: 'Doubts Punched', value: result.thoughtsDefeated },
+    { label: 'Penalties', value: result.penalties },
+    { label: 'Doubts Missed', value: result.expired },
+    { label: 'Affirmations Absorbed', value: result.affirmationsAbsorbed }
+  ]);
+}
+
+// Fill the round-by-round scorecard (hidden for sessions without rounds)
+function renderRoundScorecard(roundResults) {
+  const section = document.getElementById('round-scorecard-section');
+  const body = document.getElementById('round-scorecard');
+  if (!section || !body) return;
+  
+  section.classList.toggle('hidden', roundResults.length === 0);
+  section.querySelector('table').classList.toggle('round-scorecard--no-score', Boolean(session && !session.rules.scoringEnabled));
+  body.innerHTML = '';
+  
+  roundResults.forEach(result => {
+    const row = document.createElement('tr');
+    [
+      result.round,
+      result.score,
+      result.thoughtsDefeated,
+      result.penalties,
+      result.expired,
+      `${Math.round(result.startConfidence)}% → ${Math.round(result.endConfidence)}%`
+    ].forEach((value, index) => {
+      const cell = document.createElement(index === 0 ? 'th' : 'td');
+      if (index === 0) cell.setAttribute('scope', 'row');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+}
+
+// Whether enough punches hit affirmations to offer a breathing exercise
+function isHighPenaltySession(summary) {
+  const punches = summary.thoughtsDefeated + summary.penalties;
+  return summary.penalties >= HIGH_PENALTY_MIN && summary.penalties / punches >= HIGH_PENALTY_RATE;
+}
+
+// Render the knockout screen for a session whose count ran out
+function renderKnockoutSummary(summary) {
+  const knockoutSummary = summarizeKnockout(summary);
+  
+  const subtitle = document.getElementById('knockout-subtitle');
+  const description = document.getElementById('knockout-description');
+  const stats = document.getElementById('knockout-stats');
+  
+  if (subtitle) subtitle.textContent = knockoutSummary.subtitle;
+  
+  if (description) {
+    description.innerHTML = '';
+    knockoutSummary.lines.forEach(line => {
+      const lineEl = document.createElement('div');
+      lineEl.className = 'achievement-line';
+      lineEl.textContent = line;
+      description.appendChild(lineEl);
+    });
+  }
   
-  // Clear timers
-  if (gameState.gameTimer) clearInterval(gameState.gameTimer);
-  if (gameState.negativeSpawnTimer) clearInterval(gameState.negativeSpawnTimer);
-  if (gameState.positiveSpawnTimer) clearInterval(gameState.positiveSpawnTimer);
+  renderStatCards(stats, knockoutSummary.stats);
   
-  // Stop all TTS audio for clean restart (Performance optimization)
-  if (pollyInitialized) {
-    stopAllAudio();
+  return knockoutSummary;
+}
+
+// Render the victory screen summary described by the game mode
+function renderSessionSummary(mode, summary) {
+  let modeSummary = mode.summarize(summary);
+  if (summary.endReason === END_REASONS.KNOCKOUT) {
+    modeSummary = summarizeKnockout(summary);
+  } else if (summary.endReason === END_REASONS.ROUNDS_COMPLETE) {
+    modeSummary = summarizeRounds(summary);
   }
   
-  // Clear thoughts
-  const gameArea = document.getElementById('game-area');
-  if (gameArea) {
-    const thoughts = gameArea.querySelectorAll('.thought-bubble');
-    thoughts.forEach(thought => {
-      if (thought.removeTimeout) clearTimeout(thought.removeTimeout);
-      thought.remove();
+  const headlineValue = document.getElementById('summary-headline-value');
+  const headlineUnit = document.getElementById('summary-headline-unit');
+  const subtitle = document.getElementById('summary-subtitle');
+  const description = document.getElementById('summary-description');
+  const timelineStart = document.getElementById('timeline-start-value');
+  const timelineEnd = document.getElementById('timeline-end-value');
+  const sessionStats = document.getElementById('session-stats');
+  
+  if (headlineValue) headlineValue.textContent = modeSummary.headline.value;
+  if (headlineUnit) headlineUnit.textContent = modeSummary.headline.unit;
+  if (subtitle) subtitle.textContent = modeSummary.subtitle;
+  
+  if (description) {
+    description.innerHTML = '';
+    modeSummary.lines.forEach(line => {
+      const lineEl = document.createElement('div');
+      lineEl.className = 'achievement-line';
+      lineEl.textContent = line;
+      description.appendChild(lineEl);
     });
   }
   
-  // Reset game state
-  gameState = {
-    isPlaying: false,
-    confidence: 50,
-    score: 0,
-    currentLevel: 1,
-    startTime: 0,
-    thoughtsDefeated: 0,
-    activeThoughts: new Set(),
-    gameTimer: null,
-    negativeSpawnTimer: null,
-    positiveSpawnTimer: null
-  };
+  const startConfidence = summary.confidenceTimeline.length ? summary.confidenceTimeline[0].confidence : DEFAULT_RULES.startingConfidence;
+  if (timelineStart) timelineStart.textContent = `${Math.round(startConfidence)}%`;
+  if (timelineEnd) timelineEnd.textContent = `${Math.round(summary.confidence)}%`;
   
-  // Update UI and show start screen
-  updateUI();
-  showScreen('start-screen');
+  renderStatCards(sessionStats, modeSummary.stats);
 }
 
-// Format time in Ultrahuman style (HH:MM:SS)
-function formatTime(seconds) {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = seconds % 60;
+// Render the results breakdown: confidence chart, accuracy, zone times and the thoughts that stood out
+function renderSessionResults(summary) {
+  const maxConfidence = session ? session.rules.maxConfidence : DEFAULT_RULES.maxConfidence;
+  const results = buildSessionResults(summary, maxConfidence);
+  
+  renderConfidenceChart(results);
+  
+  renderMetricCards(document.getElementById('results-accuracy'), [
+    { label: 'Accuracy', value: formatRate(results.accuracy) },
+    { label: 'Doubts Punched', value: results.doubtsPunched },
+    { label: 'Affirmations Hit', value: results.affirmationsPunched },
+    { label: 'Avg Reaction', value: formatReactionTime(results.averageReactionTime) }
+  ]);
+  
+  const zoneBar = document.getElementById('zone-time-bar');
+  const zoneList = document.getElementById('zone-time-list');
+  if (zoneBar) {
+    zoneBar.innerHTML = '';
+    results.zoneTimes.filter(zone => zone.share > 0).forEach(zone => {
+      const segment = document.createElement('span');
+      segment.className = 'zone-time-bar__segment';
+      segment.style.flexGrow = zone.share;
+      segment.style.background = zone.color;
+      zoneBar.appendChild(segment);
+    });
+  }
+  if (zoneList) {
+    zoneList.innerHTML = '';
+    results.zoneTimes.forEach(zone => {
+      const itemEl = document.createElement('li');
+      itemEl.className = 'results-list__item';
+  
+      const swatch = document.createElement('span');
+      swatch.className = 'zone-swatch';
+      swatch.style.background = zone.color;
+      swatch.setAttribute('aria-hidden', 'true');
+  
+      const labelEl = document.createElement('span');
+      labelEl.className = 'results-list__text';
+      labelEl.textContent = `Zone ${zone.zone} • ${zone.range}`;
+  
+      const valueEl = document.createElement('span');
+      valueEl.className = 'results-list__value';
+      valueEl.textContent = `${formatShortDuration(zone.time / 1000)} (${formatRate(zone.share)})`;
+  
+      itemEl.append(swatch, labelEl, valueEl);
+      zoneList.appendChild(itemEl);
+    });
+  }
   
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  renderResultsList('slowest-doubts', results.slowestDoubts.map(doubt => ({
+    text: doubt.text,
+    value: formatReactionTime(doubt.reactionTime)
+  })), 'No doubts punched this session.');
+  
+  renderResultsList('mistaken-affirmations', results.mistakenAffirmations.map(affirmation => ({
+    text: affirmation.text,
+    value: affirmation.count > 1 ? `×${affirmation.count}` : ''
+  })), 'None. Every affirmation was left standing.');
 }
 
-// Initialize segmented control
-function initializeSegmentedControl() {
-  const segmentedOptions = document.querySelectorAll('.segmented-control__option');
-  
-  segmentedOptions.forEach(option => {
-    option.addEventListener('click', function() {
-      // Remove active class from all options
-      segmentedOptions.forEach(opt => opt.classList.remove('active'));
-      // Add active class to clicked option
-      this.classList.add('active');
-      
-      // Update game mode if needed
-      const mode = this.dataset.mode;
-      console.log('Game mode selected:', mode);
-    });
+// Draw the confidence-over-time chart: zone bands behind a stepped line
+function renderConfidenceChart(results) {
+  const chart = document.getElementById('confidence-chart');
+  const endLabel = document.getElementById('confidence-chart-end');
+  if (!chart) return;
+  
+  const svgNamespace = 'http://www.w3.org/2000/svg';
+  const [width, height] = chart.getAttribute('viewBox').split(' ').slice(2).map(Number);
+  chart.innerHTML = '';
+  
+  results.zoneTimes.forEach((zone, index) => {
+    const nextMin = index + 1 < results.zoneTimes.length ? results.zoneTimes[index + 1].min : 100;
+    const band = document.createElementNS(svgNamespace, 'rect');
+    band.setAttribute('class', 'confidence-chart__zone');
+    band.setAttribute('x', 0);
+    band.setAttribute('width', width);
+    band.setAttribute('y', height * (1 - nextMin / 100));
+    band.setAttribute('height', height * (nextMin - zone.min) / 100);
+    band.style.fill = zone.color;
+    chart.appendChild(band);
   });
+  
+  if (results.chartPoints.length > 0) {
+    const line = document.createElementNS(svgNamespace, 'polyline');
+    line.setAttribute('class', 'confidence-chart__line');
+    line.setAttribute('vector-effect', 'non-scaling-stroke');
+    line.setAttribute('points', results.chartPoints
+      .map(point => `${(point.x * width).toFixed(1)},${((1 - point.y) * height).toFixed(1)}`)
+      .join(' '));
+    chart.appendChild(line);
+  }
+  
+  chart.setAttribute('aria-label', `Confidence over time: started at ${Math.round(results.startConfidence)}%, ` +
+    `lowest ${Math.round(results.lowestConfidence)}%, highest ${Math.round(results.highestConfidence)}%, ` +
+    `ended at ${Math.round(results.endConfidence)}% after ${formatShortDuration(results.duration / 1000)}.`);
+  if (endLabel) endLabel.textContent = formatShortDuration(results.duration / 1000);
 }
 
-// Initialize when DOM is loaded
+// Fill one of the results lists, or say why it's empty
+function renderResultsList(listId, items, emptyText) {
+  const listEl = document.getElementById(listId);
+  if (!listEl) return;
+  
+  listEl.innerHTML = '';
+  if (items.length === 0) {
+    const emptyEl = document.createElement('li');
+    emptyEl.className = 'results-list__empty';
+    emptyEl.textContent = emptyText;
+    listEl.appendChild(emptyEl);
+    return;
+  }
+  
+  items.forEach(item => {
+    const itemEl = document.createElement('li');
+    itemEl.className = 'results-list__item';
+  
+    const textEl = document.createElement('span');
+    textEl.className = 'results-list__text';
+    textEl.textContent = item.text;
+  
+    const valueEl = document.createElement('span');
+    valueEl.className = 'results-list__value';
+    valueEl.textContent = item.value;
+  
+    itemEl.append(textEl, valueEl);
+    listEl.appendChild(itemEl);
+  });
+}
+
+// Format a reaction time in ms (e.g. "1.4s"), or a dash when there's no data
+function formatReactionTime(ms) {
+  return ms === null || ms === undefined ? '—' : `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Format a number of seconds for the History screen (e.g. "1m 05s")
+function formatShortDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.round(seconds % 60);
+  return minutes > 0 ? `${minutes}m ${secs.toString().padStart(2, '0')}s` : `${secs}s`;
+}
+
+// Format a 0-1 rate as a percentage, or a dash when there's no data
+function formatRate(rate) {
+  return rate === null ? '—' : `${Math.round(rate * 100)}%`;
+}
+
+// Show the History screen with trends and past sessions
+async function showHistory(returnScreenId) {
+  historyReturnScreen = returnScreenId;
+  showScreen('history-screen');
+  
+  let records = [];
+  try {
+    records = await getSessionHistory();
+  } catch (error) {
+    console.warn('SESSION_HISTORY: Failed to load history:', error.message);
+  }
+  
+  renderHistoryTrends(computeHistoryTrends(records));
+  renderHistoryList(records);
+}
+
+// Render the trend cards at the top of the History screen
+function renderHistoryTrends(trends) {
+  let penaltyTrend = formatRate(trends.recentPenaltyRate);
+  if (trends.recentPenaltyRate !== null && trends.previousPenaltyRate !== null) {
+    const arrow = trends.recentPenaltyRate <= trends.previousPenaltyRate ? '↓' : '↑';
+    penaltyTrend = `${penaltyTrend} ${arrow}`;
+  }
+  
+  const metrics = [
+    { label: 'Sessions', value: trends.totalSessions },
+    { label: 'Avg Time to 100%', value: trends.averageTimeToMaxSeconds === null ? '—' : formatShortDuration(trends.averageTimeToMaxSeconds) },
+    { label: 'Penalty Rate', value: formatRate(trends.penaltyRate) },
+    { label: 'Recent Penalty Rate', value: penaltyTrend }
+  ];
+  
+  renderMetricCards(document.getElementById('history-trends'), metrics);
+}
+
+// Render the list of past sessions, newest first
+function renderHistoryList(records) {
+  const listEl = document.getElementById('history-list');
+  const emptyEl = document.getElementById('history-empty');
+  if (!listEl) return;
+  
+  listEl.innerHTML = '';
+  if (emptyEl) emptyEl.classList.toggle('hidden', records.length > 0);
+  
+  records.forEach(record => {
+    const itemEl = document.createElement('div');
+    itemEl.className = 'history-item';
+    
+    const dateEl = document.createElement('span');
+    dateEl.className = 'history-item__date';
+    dateEl.textContent = new Date(record.date).toLocaleString(undefined, {
+      month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    
+    const modeEl = document.createElement('span');
+    modeEl.className = 'history-item__mode';
+    modeEl.textContent = getGameMode(record.mode).label;
+    
+    itemEl.append(dateEl, modeEl);
+    
+    [
+      { label: 'Time', value: formatShortDuration(record.duration) },
+      { label: 'Score', value: record.score },
+      { label: 'Punches', value: record.punches },
+      { label: 'Penalties', value: record.penalties }
+    ].forEach(({ label, value }) => {
+      const valueEl = document.createElement('span');
+      valueEl.className = 'history-item__value';
+      valueEl.textContent = value;
+      
+      const labelEl = document.createElement('small');
+      labelEl.textContent = label;
+      
+      valueEl.appendChild(labelEl);
+      itemEl.appendChild(valueEl);
+    });
+    
+    listEl.appendChild(itemEl);
+  });
+}
+
+// Enable the replay buttons once a session has been recorded
+function updateReplayButtons() {
+  ['watch-replay-btn', 'export-replay-btn'].forEach(buttonId => {
+    const button = document.getElementById(buttonId);
+    if (button) button.disabled = !lastReplay;
+  });
+}
+
+// Client point for a position recorded as a fraction of the game area
+function fromReplayPoint(x, y) {
+  const areaRect = renderer.getAreaRect();
+  return { x: areaRect.left + x * areaRect.width, y: areaRect.top + y * areaRect.height };
+}
+
+// Bubble position (relative to the game area) for a recorded fraction of the game area
+function toReplayBubblePosition(point) {
+  const areaRect = renderer.getAreaRect();
+  return { x: point.x * areaRect.width, y: point.y * areaRect.height };
+}
+
+// Show or hide the replay bar in place of the session controls
+function showReplayControls(visible, mode = null) {
+  const replayControls = document.getElementById('replay-controls');
+  const pauseBtn = document.getElementById('pause-btn');
+  const workoutControls = document.getElementById('workout-controls');
+  
+  if (replayControls) replayControls.classList.toggle('hidden', !visible);
+  if (pauseBtn) pauseBtn.classList.toggle('hidden', visible);
+  if (workoutControls && visible) workoutControls.classList.add('hidden');
+  
+  const levelName = document.getElementById('level-name');
+  if (levelName && mode) levelName.textContent = `${mode.label} Replay`;
+}
+
+// Play a recorded session back on the game area
+function watchReplay(log) {
+  if (!renderer || !log) return;
+  if (session && session.state.isPlaying) {
+    console.warn('REPLAY: Finish the current session before watching a replay');
+    return;
+  }
+  stopReplay({ returnToSummary: false });
+  
+  // Go back to wherever the replay was started from (the summary, or the start screen for imports)
+  const activeScreen = document.querySelector('.screen.active');
+  replayReturnScreen = activeScreen && activeScreen.id !== 'game-screen' ? activeScreen.id : 'victory-screen';
+  
+  const replayState = {
+    confidence: log.startingConfidence,
+    score: 0,
+    combo: 0,
+    comboMultiplier: 1,
+    level: GameSession.levelForConfidence(log.startingConfidence),
+    rules: { scoringEnabled: log.scoringEnabled, scoring: SCORING_RULES },
+    texts: new Map() // id -> text of the thoughts on screen
+  };
+  
+  clearThoughtElements();
+  renderer.setPaused(false);
+  showReplayControls(true, getGameMode(log.modeId));
+  renderScoreboard(replayState);
+  
+  const timerEl = document.getElementById('timer');
+  if (timerEl) timerEl.textContent = formatTime(0);
+  showScreen('game-screen');
+  
+  const player = new ReplayPlayer(log, {
+    onEvent: event => playReplayEvent(event, replayState),
+    onFrame: time => {
+      if (timerEl) timerEl.textContent = formatTime(Math.floor(time / 1000));
+      
+      // Glide each bubble from where it appeared to where it was hit
+      replayState.texts.forEach((text, id) => {
+        const position = player.positionAt(id, time);
+        if (position) renderer.moveThought(id, toReplayBubblePosition(position));
+      });
+    },
+    onFinish: () => {
+      announce('Replay finished.');
+      setTimeout(() => {
+        if (replayPlayer === player) stopReplay();
+      }, 1500);
+    }
+  });
+  player.setSpeed(replaySpeed);
+  replayPlayer = player;
+  replayPlayer.play();
+  
+  const gameArea = document.getElementById('game-area');
+  if (gameArea) gameArea.focus();
+  announce(`Replay started at ${replaySpeed}x. Press Escape to stop.`);
+}
+
+// Show one recorded event with the same effects the player saw
+function playReplayEvent(event, replayState) {
+  switch (event.type) {
+    case 'spawn': {
+      if (event.bx === undefined) break;
+      replayState.texts.set(event.id, event.text);
+      
+      // A reframe turns over from the doubt it replaced, which its punch left on the board
+      const thought = { id: event.id, text: event.text, isPositive: event.positive, isPersonal: Boolean(event.personal) };
+      const motion = { pattern: MOTION_PATTERNS.SCRIPTED, position: toReplayBubblePosition({ x: event.bx, y: event.by }) };
+      if (event.from !== undefined && renderer.hasThought(event.from)) {
+        renderer.flipThought(event.from, thought, Math.random, motion);
+      } else {
+        renderer.addThought(thought, Math.random, motion);
+      }
+      break;
+    }
+    
+    case 'punch': {
+      const { x, y } = fromReplayPoint(event.x, event.y);
+      const direction = event.dx !== undefined ? { x: event.dx, y: event.dy } : null;
+      if (event.penalty) {
+        showPenaltyEffect(x, y);
+      } else {
+        showPunchEffect(x, y, true, direction);
+        playPunchSound().catch(error => {
+          console.debug('SOUND_EFFECTS: Punch sound failed:', error.message);
+        });
+      }
+      replayState.texts.delete(event.id);
+      if (!event.reframed) renderer.removeThought(event.id, { type: direction ? 'swipe' : 'punch', direction });
+      replayState.score = event.score;
+      replayState.combo = event.combo;
+      replayState.comboMultiplier = replayState.rules.scoringEnabled ? event.multiplier : 1;
+      break;
+    }
+    
+    case 'absorb': {
+      const rect = renderer.getThoughtRect(event.id);
+      if (rect) showCollectionEffect(rect.left + rect.width / 2, rect.top + rect.height / 2);
+      playCollectionSound().catch(error => {
+        console.debug('SOUND_EFFECTS: Collection sound failed:', error.message);
+      });
+      replayState.texts.delete(event.id);
+      renderer.removeThought(event.id, { type: 'absorb' });
+      replayState.score = event.score;
+      break;
+    }
+    
+    case 'expire': {
+      const rect = renderer.getThoughtRect(event.id);
+      if (rect) showLingeringDoubt(rect, replayState.texts.get(event.id) || '', event.drain);
+      replayState.texts.delete(event.id);
+      renderer.removeThought(event.id);
+      replayState.combo = 0;
+      break;
+    }
+    
+    case 'confidence':
+      replayState.confidence = event.value;
+      break;
+    
+    case 'level':
+      replayState.level = event.level;
+      break;
+    
+    case 'combo':
+      showAchievementMessage(event.combo, event.multiplier, replayState.rules);
+      break;
+  }
+  
+  renderScoreboard(replayState);
+}
+
+// Stop the replay being watched (and go back to where it was started from)
+function stopReplay({ returnToSummary = true } = {}) {
+  if (!replayPlayer) return;
+  
+  replayPlayer.stop();
+  replayPlayer = null;
+  clearThoughtElements();
+  showReplayControls(false);
+  
+  if (returnToSummary) {
+    showScreen(replayReturnScreen);
+    const watchBtn = document.getElementById('watch-replay-btn');
+    if (watchBtn && replayReturnScreen === 'victory-screen') watchBtn.focus();
+  }
+}
+
+// Initialize the replay buttons and speed picker
+function initializeReplayControls() {
+  const watchBtn = document.getElementById('watch-replay-btn');
+  const exportBtn = document.getElementById('export-replay-btn');
+  const exitBtn = document.getElementById('exit-replay-btn');
+  const speedOptions = document.querySelectorAll('.replay-speed__option');
+  
+  updateReplayButtons();
+  
+  if (watchBtn) {
+    watchBtn.addEventListener('click', function(event) {
+      event.preventDefault();
+      watchReplay(lastReplay);
+    });
+  }
+  
+  if (exportBtn) {
+    exportBtn.addEventListener('click', function(event) {
+      event.preventDefault();
+      if (!lastReplay) return;
+      downloadTextFile(`replay-${lastReplay.modeId}-${lastReplay.recordedAt.slice(0, 10)}.json`, serializeReplay(lastReplay), 'application/json');
+    });
+  }
+  
+  if (exitBtn) {
+    exitBtn.addEventListener('click', function(event) {
+      event.preventDefault();
+      stopReplay();
+    });
+  }
+  
+  speedOptions.forEach(option => {
+    option.addEventListener('click', function() {
+      speedOptions.forEach(opt => {
+        opt.classList.remove('active');
+        opt.setAttribute('aria-checked', 'false');
+      });
+      this.classList.add('active');
+      this.setAttribute('aria-checked', 'true');
+      
+      replaySpeed = Number(this.dataset.speed);
+      if (replayPlayer) replayPlayer.setSpeed(replaySpeed);
+    });
+  });
+}
+
+// Restart game
+function restartGame() {
+  console.log('Restarting boxing match...');
+  stopReplay({ returnToSummary: false });
+  replayRecorder = null;
+  
+  // Tear down the previous session and its timers
+  if (session) {
+    session.dispose();
+    session = null;
+  }
+  
+  // Stop all TTS audio for clean restart (Performance optimization)
+  if (ttsInitialized) {
+    stopAllAudio();
+  }
+  
+  // Quitting from the pause overlay leaves sound effects suspended and the renderer paused
+  resumeSoundEffects();
+  if (renderer) renderer.setPaused(false);
+  
+  // Clear thoughts
+  clearThoughtElements();
+  showPauseOverlay(false);
+  renderKnockdownCount(null);
+  
+  const roundIndicator = document.getElementById('round-indicator');
+  if (roundIndicator) roundIndicator.classList.add('hidden');
+  
+  // Reset timer display
+  const timerEl = document.getElementById('timer');
+  if (timerEl) timerEl.textContent = formatTime(0);
+  
+  // Update UI and show start screen
+  updateUI();
+  showScreen('start-screen');
+}
+
+// Format time in Ultrahuman style (HH:MM:SS)
+function formatTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+// Initialize segmented control
+function initializeSegmentedControl() {
+  const segmentedOptions = document.querySelectorAll('.mode-picker .segmented-control__option');
+  
+  segmentedOptions.forEach(option => {
+    option.addEventListener('click', function() {
+      // Remove active class from all options
+      segmentedOptions.forEach(opt => {
+        opt.classList.remove('active');
+        opt.setAttribute('aria-checked', 'false');
+      });
+      // Add active class to clicked option
+      this.classList.add('active');
+      this.setAttribute('aria-checked', 'true');
+      
+      // Update game mode for the next session
+      const mode = getGameMode(this.dataset.mode);
+      selectedModeId = mode.id;
+      console.log('Game mode selected:', mode.id);
+      
+      const modeDescription = document.getElementById('mode-description');
+      if (modeDescription) modeDescription.textContent = mode.description;
+      
+      const reframeVoice = document.getElementById('reframe-voice');
+      if (reframeVoice) reframeVoice.classList.toggle('hidden', !mode.rules.reframing);
+    });
+  });
+  
+  const reframeVoiceToggle = document.getElementById('reframe-voice-toggle');
+  if (reframeVoiceToggle) {
+    reframeVoiceToggle.checked = Boolean(getSetting('reframeVoice'));
+    reframeVoiceToggle.addEventListener('change', function() {
+      saveSettings({ reframeVoice: this.checked });
+    });
+  }
+}
+
+// Fill the thought pack dropdown, keeping the current pack selected
+function renderThoughtPackOptions() {
+  const packSelect = document.getElementById('thought-pack-select');
+  if (!packSelect) return;
+  
+  packSelect.innerHTML = '';
+  getAvailablePacks().forEach(pack => {
+    const option = document.createElement('option');
+    option.value = pack.id;
+    option.textContent = `${pack.name} (${pack.negativeThoughts.length} doubts)`;
+    option.selected = pack.id === currentPack.id;
+    packSelect.appendChild(option);
+  });
+}
+
+// Show import/export feedback under the pack picker
+function showPackStatus(message, isError = false) {
+  const packStatus = document.getElementById('pack-status');
+  if (!packStatus) return;
+  
+  packStatus.textContent = message;
+  packStatus.classList.toggle('pack-status--error', isError);
+}
+
+// Offer text content as a file download
+function downloadTextFile(fileName, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Initialize thought pack picker, import and export
+function initializeThoughtPacks() {
+  const packSelect = document.getElementById('thought-pack-select');
+  const importBtn = document.getElementById('import-pack-btn');
+  const importInput = document.getElementById('import-pack-input');
+  const exportJsonBtn = document.getElementById('export-pack-json-btn');
+  const exportCsvBtn = document.getElementById('export-pack-csv-btn');
+  
+  renderThoughtPackOptions();
+  
+  if (packSelect) {
+    packSelect.addEventListener('change', function() {
+      currentPack = getThoughtPack(this.value);
+      console.log('Thought pack selected:', currentPack.id);
+      showPackStatus('');
+    });
+  }
+  
+  if (importBtn && importInput) {
+    importBtn.addEventListener('click', () => importInput.click());
+    
+    importInput.addEventListener('change', async function() {
+      const file = this.files && this.files[0];
+      this.value = ''; // allow importing the same file again
+      if (!file) return;
+      
+      try {
+        const pack = saveCustomPack(await importThoughtPackFile(file));
+        currentPack = pack;
+        renderThoughtPackOptions();
+        showPackStatus(`Imported "${pack.name}": ${pack.negativeThoughts.length} doubts, ${pack.positiveAffirmations.length} affirmations.`);
+      } catch (error) {
+        console.warn('THOUGHT_PACKS: Import failed:', error.message, error.details || []);
+        showPackStatus(error.message, true);
+      }
+    });
+  }
+  
+  if (exportJsonBtn) {
+    exportJsonBtn.addEventListener('click', () => {
+      downloadTextFile(`${currentPack.id}.json`, serializeThoughtPackJson(currentPack), 'application/json');
+    });
+  }
+  
+  if (exportCsvBtn) {
+    exportCsvBtn.addEventListener('click', () => {
+      downloadTextFile(`${currentPack.id}.csv`, serializeThoughtPackCsv(currentPack), 'text/csv');
+    });
+  }
+}
+
+// List the player's own doubts on the start screen, each with a button to remove it
+function renderPersonalThoughts() {
+  const list = document.getElementById('personal-thought-list');
+  const addBtn = document.getElementById('add-personal-thought-btn');
+  if (!list) return;
+  
+  list.innerHTML = '';
+  personalThoughts.forEach((entry, index) => {
+    const item = document.createElement('li');
+    item.className = 'personal-thought';
+    
+    const text = document.createElement('span');
+    text.className = 'personal-thought__text';
+    
+    const doubt = document.createElement('span');
+    doubt.className = 'personal-thought__doubt';
+    doubt.textContent = entry.doubt;
+    text.appendChild(doubt);
+    
+    if (entry.affirmation) {
+      const affirmation = document.createElement('span');
+      affirmation.className = 'personal-thought__affirmation';
+      affirmation.textContent = entry.affirmation;
+      text.appendChild(affirmation);
+    }
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'personal-thought__remove';
+    removeBtn.textContent = '✕';
+    removeBtn.setAttribute('aria-label', `Remove "${entry.doubt}"`);
+    removeBtn.addEventListener('click', () => {
+      personalThoughts = personalThoughts.filter((_, i) => i !== index);
+      keepPersonalThoughts();
+      renderPersonalThoughts();
+      const doubtInput = document.getElementById('personal-doubt-input');
+      if (doubtInput) doubtInput.focus();
+    });
+    
+    item.append(text, removeBtn);
+    list.appendChild(item);
+  });
+  
+  if (addBtn) addBtn.disabled = personalThoughts.length >= MAX_PERSONAL_THOUGHTS;
+}
+
+// Save the player's own doubts when they've asked to keep them
+function keepPersonalThoughts() {
+  const saveToggle = document.getElementById('save-personal-thoughts-toggle');
+  if (saveToggle && saveToggle.checked) {
+    personalThoughts = savePersonalThoughts(personalThoughts);
+  }
+}
+
+// Initialize the "your own doubts" inputs on the start screen
+function initializePersonalThoughts() {
+  const form = document.getElementById('personal-thought-form');
+  const doubtInput = document.getElementById('personal-doubt-input');
+  const affirmationInput = document.getElementById('personal-affirmation-input');
+  const saveToggle = document.getElementById('save-personal-thoughts-toggle');
+  
+  // Thoughts loaded from a previous visit were saved on purpose, so keep saving them
+  if (saveToggle) saveToggle.checked = personalThoughts.length > 0;
+  renderPersonalThoughts();
+  
+  if (form && doubtInput && affirmationInput) {
+    form.addEventListener('submit', function(event) {
+      event.preventDefault();
+      
+      personalThoughts = normalizePersonalThoughts([
+        ...personalThoughts,
+        { doubt: doubtInput.value, affirmation: affirmationInput.value }
+      ]);
+      keepPersonalThoughts();
+      renderPersonalThoughts();
+      
+      doubtInput.value = '';
+      affirmationInput.value = '';
+      doubtInput.focus();
+    });
+  }
+  
+  if (saveToggle) {
+    saveToggle.addEventListener('change', function() {
+      if (this.checked) {
+        keepPersonalThoughts();
+      } else {
+        clearPersonalThoughts();
+      }
+    });
+  }
+}
+
+// Punch with any pointer: taps, clicks and swipes, several at once on touch screens
+function initializePointerInput() {
+  const gameArea = document.getElementById('game-area');
+  if (!gameArea) return;
+  
+  pointerInput = new PointerInput(gameArea, {
+    getTargets: () => (renderer && !replayPlayer ? renderer.getTargets() : []),
+    onPunch: (target, hit) => clickThought(target.id, hit),
+    
+    // Resting on an affirmation absorbs it
+    isDwellTarget: target => target.isPositive,
+    getDwellTime: () => (session ? session.rules.absorbDwellTime : DEFAULT_RULES.absorbDwellTime),
+    onDwellStart: (target, dwellTime) => {
+      if (!session || session.state.isPaused) return;
+      renderer.setAbsorbing(target.id, dwellTime);
+    },
+    onDwellCancel: target => renderer.setAbsorbing(target.id, null),
+    onDwellComplete: target => absorbThought(target.id)
+  });
+  pointerInput.attach();
+}
+
+// Create the thought renderer chosen in settings ('dom' or 'canvas')
+function createRenderer(type) {
+  const gameArea = document.getElementById('game-area');
+  if (!gameArea) return null;
+  
+  if (type === 'canvas') {
+    return new CanvasRenderer(gameArea);
+  }
+  
+  return new DomRenderer(gameArea, {
+    onPunch: (id, hit) => clickThought(id, hit),
+    onAbsorb: id => absorbThought(id)
+  });
+}
+
+// Swap to another renderer (only between sessions, the bubbles on screen are not carried over)
+function useRenderer(type) {
+  if (renderer && renderer.type === type) return;
+  
+  if (renderer) renderer.unmount();
+  renderer = createRenderer(type);
+  if (renderer) {
+    renderer.mount();
+    console.log('Thought renderer:', renderer.type);
+  }
+}
+
+// Open the breathing screen (returnScreenId is where closing it goes back to)
+function showBreathing(returnScreenId) {
+  breathingReturnScreen = returnScreenId;
+  stopBreathing();
+  resetBreathingScreen();
+  showScreen('breathing-screen');
+  
+  const startBtn = document.getElementById('breathing-start-btn');
+  if (startBtn) startBtn.focus();
+}
+
+// Put the breathing screen back to its setup state
+function resetBreathingScreen(statusText = 'Find a comfortable position.') {
+  const pattern = getBreathingPattern(getSetting('breathingPattern'));
+  const ring = document.getElementById('breathing-ring');
+  const count = document.getElementById('breathing-count');
+  const phase = document.getElementById('breathing-phase');
+  const status = document.getElementById('breathing-status');
+  const setup = document.getElementById('breathing-setup');
+  const startBtn = document.getElementById('breathing-start-btn');
+  
+  if (ring) {
+    ring.style.setProperty('--breath-scale', '0');
+    ring.style.setProperty('--breath-progress', '0');
+  }
+  if (count) count.textContent = pattern.phases[0].duration / 1000;
+  if (phase) phase.textContent = 'Ready';
+  if (status) status.textContent = statusText;
+  if (setup) setup.classList.remove('hidden');
+  if (startBtn) startBtn.classList.remove('hidden');
+}
+
+// Start the breathing exercise with the saved pattern, duration and voice setting
+function startBreathing() {
+  stopBreathing();
+  
+  const pattern = getBreathingPattern(getSetting('breathingPattern'));
+  const speakCues = Boolean(getSetting('breathingVoice'));
+  const ring = document.getElementById('breathing-ring');
+  const count = document.getElementById('breathing-count');
+  const phase = document.getElementById('breathing-phase');
+  const status = document.getElementById('breathing-status');
+  const setup = document.getElementById('breathing-setup');
+  const startBtn = document.getElementById('breathing-start-btn');
+  
+  if (setup) setup.classList.add('hidden');
+  if (startBtn) startBtn.classList.add('hidden');
+  
+  const exercise = new BreathingExercise(pattern, Number(getSetting('breathingDuration')) * 1000, {
+    onPhase: state => {
+      if (phase) phase.textContent = state.phase.label;
+      if (status) status.textContent = `${state.phase.label}. Breath ${state.cycle + 1} of ${exercise.cycles}.`;
+      
+      // Spoken cues go through the same TTS as the affirmations
+      if (speakCues && ttsInitialized && isTtsAvailable()) {
+        speakText(state.phase.label).catch(error => {
+          console.warn('BREATHING: Failed to speak cue:', error.message);
+        });
+      }
+    },
+    onFrame: state => {
+      if (ring) {
+        ring.style.setProperty('--breath-scale', state.scale.toFixed(3));
+        ring.style.setProperty('--breath-progress', state.progress.toFixed(3));
+      }
+      if (count) count.textContent = state.secondsLeft;
+    },
+    onFinish: () => {
+      breathingExercise = null;
+      resetBreathingScreen('Well done. Notice how you feel right now, then carry it with you.');
+      const doneBtn = document.getElementById('breathing-done-btn');
+      if (doneBtn) doneBtn.focus();
+    }
+  });
+  
+  breathingExercise = exercise;
+  console.log(`BREATHING: ${pattern.label} for ${exercise.cycles} breaths`);
+  exercise.play();
+}
+
+// Stop the breathing exercise in progress, if any
+function stopBreathing() {
+  if (!breathingExercise) return;
+  breathingExercise.stop();
+  breathingExercise = null;
+  if (ttsInitialized) stopAllAudio();
+}
+
+// Close the breathing screen
+function closeBreathing() {
+  stopBreathing();
+  showScreen(breathingReturnScreen);
+}
+
+// Initialize the breathing screen's pattern, duration and voice settings and its buttons
+function initializeBreathing() {
+  const patternOptions = document.querySelectorAll('.breathing-pattern__option');
+  const description = document.getElementById('breathing-description');
+  const durationSelect = document.getElementById('breathing-duration-select');
+  const voiceToggle = document.getElementById('breathing-voice-toggle');
+  
+  const selectPattern = patternId => {
+    const pattern = getBreathingPattern(patternId);
+    patternOptions.forEach(option => {
+      const isActive = option.dataset.pattern === pattern.id;
+      option.classList.toggle('active', isActive);
+      option.setAttribute('aria-checked', String(isActive));
+    });
+    if (description) description.textContent = pattern.description;
+    return pattern;
+  };
+  
+  selectPattern(getSetting('breathingPattern'));
+  patternOptions.forEach(option => {
+    option.addEventListener('click', function() {
+      const pattern = selectPattern(this.dataset.pattern);
+      saveSettings({ breathingPattern: pattern.id });
+      resetBreathingScreen();
+    });
+  });
+  
+  if (durationSelect) {
+    durationSelect.value = String(getSetting('breathingDuration'));
+    durationSelect.addEventListener('change', function() {
+      saveSettings({ breathingDuration: Number(this.value) });
+    });
+  }
+  
+  if (voiceToggle) {
+    voiceToggle.checked = Boolean(getSetting('breathingVoice'));
+    voiceToggle.addEventListener('change', function() {
+      saveSettings({ breathingVoice: this.checked });
+    });
+  }
+  
+  [
+    { id: 'start-breathing-btn', returnScreen: 'start-screen' },
+    { id: 'victory-breathing-btn', returnScreen: 'victory-screen' },
+    { id: 'knockout-breathing-btn', returnScreen: 'knockout-screen' }
+  ].forEach(({ id, returnScreen }) => {
+    const button = document.getElementById(id);
+    if (button) {
+      button.addEventListener('click', function(event) {
+        event.preventDefault();
+        showBreathing(returnScreen);
+      });
+    }
+  });
+  
+  const startBtn = document.getElementById('breathing-start-btn');
+  const doneBtn = document.getElementById('breathing-done-btn');
+  const closeBtn = document.getElementById('breathing-close-btn');
+  
+  if (startBtn) {
+    startBtn.addEventListener('click', function(event) {
+      event.preventDefault();
+      startBreathing();
+    });
+  }
+  [doneBtn, closeBtn].forEach(button => {
+    if (button) {
+      button.addEventListener('click', function(event) {
+        event.preventDefault();
+        closeBreathing();
+      });
+    }
+  });
+}
+
+// Initialize the rounds picker on the start screen
+function initializeRoundSettings() {
+  const roundCountSelect = document.getElementById('round-count-select');
+  const roundLengthSelect = document.getElementById('round-length-select');
+  if (!roundCountSelect || !roundLengthSelect) return;
+  
+  roundCountSelect.value = String(getSetting('roundCount'));
+  roundLengthSelect.value = String(getSetting('roundLength'));
+  roundLengthSelect.disabled = roundCountSelect.value === '0';
+  
+  roundCountSelect.addEventListener('change', function() {
+    saveSettings({ roundCount: Number(this.value) });
+    roundLengthSelect.disabled = this.value === '0';
+  });
+  roundLengthSelect.addEventListener('change', function() {
+    saveSettings({ roundLength: Number(this.value) });
+  });
+}
+
+// Initialize the renderer picker on the start screen
+function initializeRendererSetting() {
+  useRenderer(getSetting('renderer'));
+  
+  const rendererSelect = document.getElementById('renderer-select');
+  if (!rendererSelect) return;
+  
+  rendererSelect.value = renderer ? renderer.type : 'dom';
+  rendererSelect.addEventListener('change', function() {
+    if (session && session.state.isPlaying) return;
+    saveSettings({ renderer: this.value });
+    useRenderer(this.value);
+  });
+}
+
+// Describe which voice is in use under the voice picker
+function renderTtsHint() {
+  const ttsHint = document.getElementById('tts-provider-hint');
+  if (!ttsHint) return;
+  
+  const activeProvider = getTtsProviders().find(provider => provider.active);
+  ttsHint.textContent = activeProvider && activeProvider.id !== 'silent'
+    ? `Now speaking with: ${activeProvider.label}.`
+    : 'Affirmations are shown but not spoken.';
+}
+
+// Mark voices that can't work here (no credentials or clips, no browser support) in the voice picker
+function renderTtsOptions() {
+  const ttsSelect = document.getElementById('tts-provider-select');
+  if (!ttsSelect) return;
+  
+  getTtsProviders().forEach(provider => {
+    const option = ttsSelect.querySelector(`option[value="${provider.id}"]`);
+    if (!option) return;
+    option.dataset.label = option.dataset.label || option.textContent;
+    option.disabled = !provider.supported;
+    option.textContent = provider.supported ? option.dataset.label : `${option.dataset.label} (not available)`;
+  });
+  
+  ttsSelect.value = getSetting('ttsProvider');
+  if (ttsSelect.selectedIndex === -1 || ttsSelect.selectedOptions[0].disabled) ttsSelect.value = 'auto';
+  renderTtsHint();
+}
+
+// Initialize the voice picker on the start screen
+function initializeTtsSetting() {
+  const ttsSelect = document.getElementById('tts-provider-select');
+  if (!ttsSelect) return;
+  
+  renderTtsOptions();
+  
+  ttsSelect.addEventListener('change', function() {
+    saveSettings({ ttsProvider: this.value });
+    ttsInitialized = setTtsProvider(this.value) !== null;
+    renderTtsHint();
+    refreshPollyVoices();
+  });
+}
+
+// Apply the saved Polly voice and engine, explaining under the pickers when the voice doesn't
+// support the chosen engine (fallback is the one Polly forced during synthesis, if any)
+function applyPollyVoiceSetting(voices, fallback = null) {
+  const configured = configurePollyVoice({
+    voiceId: getSetting('pollyVoice'),
+    engine: getSetting('pollyEngine')
+  });
+  const { voiceId, engine, requestedEngine, engineFallback } = fallback || configured;
+  
+  const voiceHint = document.getElementById('polly-voice-hint');
+  if (!voiceHint) return;
+  
+  const voice = voices.find(candidate => candidate.id === voiceId);
+  const voiceName = voice ? voice.name : voiceId;
+  voiceHint.textContent = engineFallback
+    ? `${voiceName} doesn't support the ${requestedEngine} engine, so the ${engine} engine is used.`
+    : `${voiceName}, ${engine} engine. Neural voices sound more natural.`;
+}
+
+// Fill the language, voice and engine pickers from Polly's voice list
+function renderPollyVoiceOptions(voices) {
+  const languageSelect = document.getElementById('polly-language-select');
+  const voiceSelect = document.getElementById('polly-voice-select');
+  const engineSelect = document.getElementById('polly-engine-select');
+  if (!languageSelect || !voiceSelect || !engineSelect) return;
+  
+  const languages = new Map();
+  voices.forEach(voice => languages.set(voice.languageCode, voice.languageName));
+  languageSelect.innerHTML = '';
+  [...languages]
+    .sort((a, b) => a[1].localeCompare(b[1]))
+    .forEach(([code, name]) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = name;
+      languageSelect.appendChild(option);
+    });
+  
+  // The language shown is the voice's own
+  const currentVoice = voices.find(voice => voice.id === getPollyVoice().voiceId);
+  languageSelect.value = currentVoice ? currentVoice.languageCode : 'en-US';
+  if (languageSelect.selectedIndex === -1) languageSelect.selectedIndex = 0;
+  
+  voiceSelect.innerHTML = '';
+  voices
+    .filter(voice => voice.languageCode === languageSelect.value)
+    .forEach(voice => {
+      const engineNote = voice.engines.length === 1 ? `, ${voice.engines[0]} only` : '';
+      const option = document.createElement('option');
+      option.value = voice.id;
+      option.textContent = `${voice.name} (${voice.gender.toLowerCase()}${engineNote})`;
+      voiceSelect.appendChild(option);
+    });
+  voiceSelect.value = currentVoice ? currentVoice.id : '';
+  if (voiceSelect.selectedIndex === -1) voiceSelect.selectedIndex = 0;
+  
+  engineSelect.value = getSetting('pollyEngine') || getPollyVoice().engine;
+}
+
+// Show the Polly pickers while Polly is speaking and its voices can be listed
+async function refreshPollyVoices(fallback = null) {
+  const pollySettings = document.getElementById('polly-voice-settings');
+  if (!pollySettings) return;
+  
+  const pollyActive = getTtsProviders().some(provider => provider.id === 'polly' && provider.active);
+  const voices = pollyActive ? await describePollyVoices() : [];
+  pollySettings.classList.toggle('hidden', voices.length === 0);
+  if (voices.length === 0) return;
+  
+  applyPollyVoiceSetting(voices, fallback);
+  renderPollyVoiceOptions(voices);
+}
+
+// Initialize the Polly language, voice and engine pickers on the start screen
+function initializePollyVoiceSetting() {
+  const languageSelect = document.getElementById('polly-language-select');
+  const voiceSelect = document.getElementById('polly-voice-select');
+  const engineSelect = document.getElementById('polly-engine-select');
+  if (!languageSelect || !voiceSelect || !engineSelect) return;
+  
+  // A new language starts with its first voice that has the chosen engine
+  languageSelect.addEventListener('change', async function() {
+    const voices = (await describePollyVoices()).filter(voice => voice.languageCode === this.value);
+    const engine = engineSelect.value;
+    const voice = voices.find(candidate => candidate.engines.includes(engine)) || voices[0];
+    saveSettings({ pollyVoice: voice ? voice.id : '' });
+    refreshPollyVoices();
+  });
+  
+  voiceSelect.addEventListener('change', function() {
+    saveSettings({ pollyVoice: this.value });
+    refreshPollyVoices();
+  });
+  
+  engineSelect.addEventListener('change', function() {
+    saveSettings({ pollyEngine: this.value });
+    refreshPollyVoices();
+  });
+  
+  // Polly rejected the engine while speaking: keep the one that works and say why
+  onPollyEngineFallback(fallback => {
+    saveSettings({ pollyEngine: fallback.engine });
+    refreshPollyVoices(fallback);
+  });
+  
+  refreshPollyVoices();
+}
+
+// Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
   console.log('DOM loaded, initializing Ultrahuman-style app...');
   
@@ -904,6 +2379,9 @@ document.addEventListener('DOMContentLoaded', function() {
   window.stopAllAudio = stopAllAudio;
   window.setAudioVolume = setAudioVolume;
   window.configureAudioSettings = configureAudioSettings;
+  window.setTtsProvider = setTtsProvider;
+  window.getSpokenLog = getSpokenLog;
+  window.clearAudioCache = clearAudioCache;
   
   // Add sound effects control functions to global scope
   window.getSoundStatus = getSoundStatus;
@@ -913,15 +2391,46 @@ document.addEventListener('DOMContentLoaded', function() {
   window.playCollectionSound = playCollectionSound;
   window.preloadGameSounds = preloadGameSounds;
   
-  console.log('TTS_DEBUG: Available TTS console functions: getTtsStatus(), resetTtsErrors(), getAudioStatus(), stopAllAudio(), setAudioVolume(0.5), configureAudioSettings({maxConcurrentAudio: 3})');
+  // Add session history functions to global scope
+  window.getSessionHistory = getSessionHistory;
+  window.getHistoryStatus = getHistoryStatus;
+  
+  // Inspect active pointers when debugging touch input
+  window.getPointerStatus = () => pointerInput ? pointerInput.getStatus() : null;
+  
+  // Check which renderer is drawing the thoughts (the canvas one reports its frame rate)
+  window.getRendererStatus = () => renderer ? renderer.getStatus() : null;
+  
+  // Replays: grab the last recording, or watch an exported one (JSON text or object)
+  window.getLastReplay = () => lastReplay;
+  window.watchReplay = input => watchReplay(parseReplay(input));
+  window.getReplayStatus = () => replayPlayer ? replayPlayer.getStatus() : null;
+  
+  // Check the breathing exercise in progress (phase, breath count, time left)
+  window.getBreathingStatus = () => breathingExercise ? breathingExercise.getStatus() : null;
+  
+  // Expose the current session for reproducing bug reports (seed, state)
+  window.getGameSession = () => session;
+  
+  console.log('TTS_DEBUG: Available TTS console functions: getTtsStatus(), resetTtsErrors(), getAudioStatus(), stopAllAudio(), setAudioVolume(0.5), configureAudioSettings({maxConcurrentAudio: 3}), setTtsProvider(\'speech\'), getSpokenLog(), clearAudioCache()');
   console.log('SOUND_DEBUG: Available sound console functions: getSoundStatus(), setSoundVolume(0.7), setSoundEnabled(true), playPunchSound(), playCollectionSound(), preloadGameSounds()');
   
   // Initialize components
   initializeSegmentedControl();
+  initializeThoughtPacks();
+  initializePersonalThoughts();
+  initializeRendererSetting();
+  initializeTtsSetting();
+  initializePollyVoiceSetting();
+  initializeRoundSettings();
+  initializeBreathing();
+  initializePointerInput();
+  initializeReplayControls();
   
   // Add event listeners
   const startBtn = document.getElementById('start-btn');
   const restartBtn = document.getElementById('restart-btn');
+  const endSessionBtn = document.getElementById('end-session-btn');
   
   if (startBtn) {
     startBtn.addEventListener('click', function(event) {
@@ -945,6 +2454,146 @@ document.addEventListener('DOMContentLoaded', function() {
     console.error('Restart button not found');
   }
   
+  const nextRoundBtn = document.getElementById('next-round-btn');
+  const restEndBtn = document.getElementById('rest-end-btn');
+  
+  if (nextRoundBtn) {
+    nextRoundBtn.addEventListener('click', function(event) {
+      event.preventDefault();
+      if (session) session.startNextRound();
+    });
+  }
+  
+  if (restEndBtn) {
+    restEndBtn.addEventListener('click', function(event) {
+      event.preventDefault();
+      if (session) session.end(END_REASONS.PLAYER_ENDED);
+    });
+  }
+  
+  const knockoutRestartBtn = document.getElementById('knockout-restart-btn');
+  const knockoutResultsBtn = document.getElementById('knockout-results-btn');
+  
+  if (knockoutRestartBtn) {
+    knockoutRestartBtn.addEventListener('click', function(event) {
+      event.preventDefault();
+      restartGame();
+    });
+  }
+  
+  if (knockoutResultsBtn) {
+    knockoutResultsBtn.addEventListener('click', function(event) {
+      event.preventDefault();
+      showScreen('victory-screen');
+      const restartBtn = document.getElementById('restart-btn');
+      if (restartBtn) restartBtn.focus();
+    });
+  }
+  
+  const historyButtons = [
+    { id: 'start-history-btn', returnScreen: 'start-screen' },
+    { id: 'victory-history-btn', returnScreen: 'victory-screen' }
+  ];
+  historyButtons.forEach(({ id, returnScreen }) => {
+    const button = document.getElementById(id);
+    if (button) {
+      button.addEventListener('click', function(event) {
+        event.preventDefault();
+        showHistory(returnScreen);
+      });
+    }
+  });
+  
+  const historyCloseBtn = document.getElementById('history-close-btn');
+  if (historyCloseBtn) {
+    historyCloseBtn.addEventListener('click', function(event) {
+      event.preventDefault();
+      showScreen(historyReturnScreen);
+    });
+  }
+  
+  const clearHistoryBtn = document.getElementById('clear-history-btn');
+  if (clearHistoryBtn) {
+    clearHistoryBtn.addEventListener('click', async function(event) {
+      event.preventDefault();
+      if (!window.confirm('Delete all saved sessions? This cannot be undone.')) return;
+      
+      await clearSessionHistory();
+      showHistory(historyReturnScreen);
+    });
+  }
+  
+  const pauseBtn = document.getElementById('pause-btn');
+  const resumeBtn = document.getElementById('resume-btn');
+  const quitBtn = document.getElementById('quit-btn');
+  
+  if (pauseBtn) {
+    pauseBtn.addEventListener('click', function(event) {
+      event.preventDefault();
+      pauseGame();
+    });
+  }
+  
+  if (resumeBtn) {
+    resumeBtn.addEventListener('click', function(event) {
+      event.preventDefault();
+      resumeGame();
+    });
+  }
+  
+  if (quitBtn) {
+    quitBtn.addEventListener('click', function(event) {
+      event.preventDefault();
+      restartGame();
+    });
+  }
+  
+  // Escape toggles pause during a session, and stops a replay
+  document.addEventListener('keydown', function(event) {
+    if (event.key === 'Escape' && replayPlayer) {
+      event.preventDefault();
+      stopReplay();
+      return;
+    }
+    if (event.key !== 'Escape' || !session || !session.state.isPlaying) return;
+    event.preventDefault();
+    if (session.state.isPaused) {
+      resumeGame();
+    } else {
+      pauseGame();
+    }
+  });
+  
+  // Arrow keys move between thoughts during a session
+  document.addEventListener('keydown', function(event) {
+    if (!session || !session.state.isPlaying || session.state.isPaused) return;
+    if (event.target.closest && event.target.closest('input, select, textarea')) return;
+    
+    if (handleThoughtNavigationKey(event, renderer.getFocusableElements())) {
+      event.preventDefault();
+    }
+  });
+  
+  // Keep orbits around the ring when the layout changes
+  window.addEventListener('resize', function() {
+    if (session && session.state.isPlaying) updateMotionAnchor();
+  });
+  
+  // Auto-pause when the tab is hidden; the player resumes from the overlay
+  document.addEventListener('visibilitychange', function() {
+    if (document.visibilityState === 'hidden') {
+      pauseGame('Paused while you were away. Resume when you are ready.');
+    }
+  });
+  
+  if (endSessionBtn) {
+    endSessionBtn.addEventListener('click', function(event) {
+      console.log('End session button clicked');
+      event.preventDefault();
+      if (session) session.end(END_REASONS.PLAYER_ENDED);
+    });
+  }
+  
   // Initialize UI
   updateUI();
   console.log('Ultrahuman-style app initialization complete');
@@ -0,0 +1,187 @@
+// Synthesized audio cache
+// Keeps synthesized speech so a repeated affirmation plays without another request: blobs in
+// memory for this visit, and in IndexedDB so they survive between visits. Both tiers are capped
+// in bytes and evict the least recently played audio first. Without IndexedDB (private browsing,
+// tests) only the memory tier is used.
+
+import { withStore } from './app-database.js';
+
+export const AUDIO_CACHE_MAX_BYTES = 10 * 1024 * 1024; // per tier, roughly 300 short affirmations
+
+const STORE_NAME = 'audio';
+
+// key -> Blob, least recently used first (Map keeps insertion order)
+const memoryCache = new Map();
+let memoryBytes = 0;
+
+const stats = {
+  hits: 0,
+  persistentHits: 0,
+  misses: 0
+};
+
+/**
+ * Cache key for a piece of synthesized speech. Anything that changes the audio must be part of it.
+ * @param {object} params
+ * @param {string} params.text - Text that was spoken
+ * @param {string} params.voiceId - Voice (e.g. 'Joanna')
+ * @param {string} params.engine - 'standard' or 'neural'
+ * @param {string} params.outputFormat - e.g. 'mp3'
+ * @returns {string} Key
+ */
+export function getAudioCacheKey({ text, voiceId, engine, outputFormat }) {
+  return [engine, voiceId, outputFormat, text].join('|');
+}
+
+/**
+ * Look up cached audio, from memory first and then IndexedDB
+ * @param {string} key - Key from getAudioCacheKey()
+ * @returns {Promise<Blob|null>} Audio, or null on a miss
+ */
+export async function getCachedAudio(key) {
+  if (memoryCache.has(key)) {
+    const blob = memoryCache.get(key);
+    // Move to the most recently used end
+    memoryCache.delete(key);
+    memoryCache.set(key, blob);
+    stats.hits++;
+    touchStoredAudio(key);
+    return blob;
+  }
+
+  const record = await readStoredAudio(key);
+  if (record) {
+    rememberAudio(key, record.blob);
+    stats.hits++;
+    stats.persistentHits++;
+    return record.blob;
+  }
+
+  stats.misses++;
+  return null;
+}
+
+/**
+ * Cache freshly synthesized audio in memory and (in the background) in IndexedDB
+ * @param {string} key - Key from getAudioCacheKey()
+ * @param {Blob} blob - Audio
+ */
+export function cacheAudio(key, blob) {
+  if (!blob || blob.size > AUDIO_CACHE_MAX_BYTES) return;
+  rememberAudio(key, blob);
+  writeStoredAudio(key, blob);
+}
+
+/**
+ * Cache hit and miss counts, for getAudioStatus().performanceMetrics
+ * @returns {object} { cacheHits, cachePersistentHits, cacheMisses, cacheEntries, cacheBytes }
+ *   (entries and bytes are the memory tier)
+ */
+export function getAudioCacheStats() {
+  return {
+    cacheHits: stats.hits,
+    cachePersistentHits: stats.persistentHits,
+    cacheMisses: stats.misses,
+    cacheEntries: memoryCache.size,
+    cacheBytes: memoryBytes
+  };
+}
+
+/**
+ * Forget all cached audio, in memory and in IndexedDB
+ * @returns {Promise<void>}
+ */
+export async function clearAudioCache() {
+  memoryCache.clear();
+  memoryBytes = 0;
+
+  try {
+    await withStore(STORE_NAME, 'readwrite', store => store.clear());
+    console.log('TTS_CACHE: Audio cache cleared');
+  } catch (error) {
+    console.warn('TTS_CACHE: Failed to clear stored audio:', error.message);
+  }
+}
+
+/**
+ * Add audio to the memory tier, evicting the least recently used beyond the cap
+ * @param {string} key - Cache key
+ * @param {Blob} blob - Audio
+ */
+function rememberAudio(key, blob) {
+  if (memoryCache.has(key)) {
+    memoryBytes -= memoryCache.get(key).size;
+    memoryCache.delete(key);
+  }
+  memoryCache.set(key, blob);
+  memoryBytes += blob.size;
+
+  for (const [oldestKey, oldestBlob] of memoryCache) {
+    if (memoryBytes <= AUDIO_CACHE_MAX_BYTES) break;
+    memoryCache.delete(oldestKey);
+    memoryBytes -= oldestBlob.size;
+  }
+}
+
+/**
+ * Read audio from IndexedDB, marking it as just used
+ * @param {string} key - Cache key
+ * @returns {Promise<object|null>} { key, blob, size, lastUsed }, or null
+ */
+async function readStoredAudio(key) {
+  try {
+    return await withStore(STORE_NAME, 'readwrite', (store, setResult) => {
+      const request = store.get(key);
+      request.onsuccess = () => {
+        if (!request.result) return;
+        const record = { ...request.result, lastUsed: Date.now() };
+        store.put(record);
+        setResult(record);
+      };
+    });
+  } catch (error) {
+    console.warn('TTS_CACHE: Failed to read stored audio:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Mark stored audio as just used so it isn't the next to be evicted
+ * @param {string} key - Cache key
+ */
+function touchStoredAudio(key) {
+  withStore(STORE_NAME, 'readwrite', store => {
+    const request = store.get(key);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, lastUsed: Date.now() });
+    };
+  }).catch(error => {
+    console.warn('TTS_CACHE: Failed to update stored audio:', error.message);
+  });
+}
+
+/**
+ * Store audio in IndexedDB, then evict the least recently used beyond the cap
+ * @param {string} key - Cache key
+ * @param {Blob} blob - Audio
+ */
+function writeStoredAudio(key, blob) {
+  withStore(STORE_NAME, 'readwrite', store => {
+    store.put({ key, blob, size: blob.size, lastUsed: Date.now() });
+  })
+    .then(() => withStore(STORE_NAME, 'readwrite', store => {
+      // Walk from the most recently used, deleting everything past the cap
+      let storedBytes = 0;
+      const request = store.index('lastUsed').openCursor(null, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        storedBytes += cursor.value.size;
+        if (storedBytes > AUDIO_CACHE_MAX_BYTES) cursor.delete();
+        cursor.continue();
+      };
+    }))
+    .catch(error => {
+      console.warn('TTS_CACHE: Failed to store audio:', error.message);
+    });
+}
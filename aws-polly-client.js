@@ -1,33 +1,42 @@
 // AWS Polly client initialization and configuration
-import { PollyClient, SynthesizeSpeechCommand } from '@aws-sdk/client-polly';
-import { awsConfig, pollyConfig } from './config.js';
+// The Polly TTS provider (see tts.js): plays MP3s through an <audio> element, from the clips
+// pre-synthesized at build time (scripts/presynthesize.js) when there is one for the text, and
+// otherwise synthesized with SynthesizeSpeechCommand. Audio is cached (see audio-cache.js), so
+// each affirmation is only requested once per voice. Live synthesis goes through the TTS proxy
+// (scripts/tts-proxy.js) when VITE_TTS_PROXY_URL is set, which keeps the AWS keys off the
+// browser. On the dev server only, it can also use AWS credentials in VITE_AWS_ACCESS_KEY_ID and
+// VITE_AWS_SECRET_ACCESS_KEY (production builds leave them out, see config.js). Otherwise only
+// pre-synthesized text is spoken with Polly and the rest falls back to the next provider.
+//
+// The voice and engine default to pollyConfig and can be changed with configurePollyVoice(), using
+// the list from describePollyVoices(). When Polly rejects the engine for a voice, the voice's other
+// engine is configured instead and onPollyEngineFallback()'s handler is told. Text that comes with
+// SSML (see ssml.js) is sent as SSML when it validates for the current engine, and as plain text
+// otherwise.
+import { PollyClient, SynthesizeSpeechCommand, DescribeVoicesCommand } from '@aws-sdk/client-polly';
+import { awsConfig, pollyConfig, ttsProxyConfig } from './config.js';
+import { TtsError, createAudioClip } from './tts.js';
+import { getAudioCacheKey, getCachedAudio, cacheAudio } from './audio-cache.js';
+import { validateSsml } from './ssml.js';
 
 let pollyClient = null;
-let ttsErrorCount = 0;
-let lastErrorTime = null;
-const MAX_ERROR_COUNT = 5;
-const ERROR_RESET_TIME = 300000; // 5 minutes in milliseconds
-
-// Audio management for concurrent playback and performance optimization
-let activeAudioElements = new Set();
-let audioQueue = [];
-let isProcessingQueue = false;
-let audioSettings = {
-  maxConcurrentAudio: 3, // Maximum simultaneous audio streams (Requirement 3.3)
-  defaultVolume: 0.7,
-  fadeOutDuration: 500, // ms for smooth audio transitions
-  queueProcessingDelay: 100 // ms between queue processing attempts
-};
+let audioManifest = null;
+let voiceListPromise = null;
+let knownVoices = null;
+let engineFallbackHandler = null;
+
+// voiceId -> engines Polly rejected for it this visit
+const rejectedEngines = new Map();
 
-// Performance monitoring
-let performanceMetrics = {
-  totalRequests: 0,
-  successfulRequests: 0,
-  averageResponseTime: 0,
-  lastRequestTime: 0,
-  queuedRequests: 0
+const voiceSettings = {
+  voiceId: pollyConfig.voiceId || 'Joanna',
+  engine: pollyConfig.engine || 'standard'
 };
 
+const AUDIO_MANIFEST_URL = `${import.meta.env?.BASE_URL || '/'}tts/manifest.json`;
+const PLACEHOLDER_CREDENTIALS = ['YOUR_AWS_ACCESS_KEY_ID', 'YOUR_AWS_SECRET_ACCESS_KEY'];
+export const POLLY_ENGINES = ['standard', 'neural'];
+
 /**
  * Initialize AWS Polly client with credentials and region configuration
  * @returns {PollyClient|null} Initialized Polly client or null if initialization fails
@@ -37,13 +46,13 @@ export function initializePollyClient() {
     // Validate required credentials with detailed error messages
     if (!awsConfig.credentials.accessKeyId || awsConfig.credentials.accessKeyId.trim() === '') {
       console.warn('TTS_INIT_ERROR: AWS Access Key ID not found or empty. TTS functionality will be disabled.');
-      console.debug('TTS_DEBUG: Check VITE_AWS_ACCESS_KEY_ID environment variable');
+      console.debug('TTS_DEBUG: Check VITE_AWS_ACCESS_KEY_ID environment variable (dev server only)');
       return null;
     }
 
     if (!awsConfig.credentials.secretAccessKey || awsConfig.credentials.secretAccessKey.trim() === '') {
       console.warn('TTS_INIT_ERROR: AWS Secret Access Key not found or empty. TTS functionality will be disabled.');
-      console.debug('TTS_DEBUG: Check VITE_AWS_SECRET_ACCESS_KEY environment variable');
+      console.debug('TTS_DEBUG: Check VITE_AWS_SECRET_ACCESS_KEY environment variable (dev server only)');
       return null;
     }
 
@@ -84,326 +93,327 @@ export function getPollyClient() {
 }
 
 /**
- * Check if Polly client is available and ready to use
- * @returns {boolean} True if client is available, false otherwise
+ * Check whether speech is synthesized by the server-side proxy instead of a client in the browser
+ * @returns {boolean} True when a proxy URL is configured
  */
-export function isPollyAvailable() {
-  return pollyClient !== null && !isTtsTemporarilyDisabled();
+export function isProxyMode() {
+  return Boolean(ttsProxyConfig.url);
 }
 
 /**
- * Check if TTS is temporarily disabled due to repeated errors
- * @returns {boolean} True if TTS should be disabled, false otherwise
+ * Check that real credentials were provided (not empty and not the config.js placeholders)
+ * @returns {boolean} True if Polly can be tried
  */
-function isTtsTemporarilyDisabled() {
-  if (ttsErrorCount < MAX_ERROR_COUNT) {
-    return false;
-  }
+function credentialsConfigured() {
+  const { accessKeyId, secretAccessKey } = awsConfig.credentials;
+  return [accessKeyId, secretAccessKey].every(value =>
+    typeof value === 'string' && value.trim() !== '' && !PLACEHOLDER_CREDENTIALS.includes(value)
+  );
+}
 
-  // Check if enough time has passed to reset error count
-  const now = Date.now();
-  if (lastErrorTime && (now - lastErrorTime) > ERROR_RESET_TIME) {
-    console.log('TTS_RECOVERY: Error count reset after timeout, re-enabling TTS');
-    ttsErrorCount = 0;
-    lastErrorTime = null;
-    return false;
-  }
+/**
+ * Load the manifest of pre-synthesized clips written by scripts/presynthesize.js
+ * @param {string} url - Manifest URL (clip files are relative to it)
+ * @returns {Promise<number>} Number of clips available, 0 when there is no manifest
+ */
+export async function loadAudioManifest(url = AUDIO_MANIFEST_URL) {
+  try {
+    const manifestUrl = new URL(url, window.location.href);
+    const response = await fetch(manifestUrl);
+    if (!response.ok) return 0;
+
+    const manifest = await response.json();
+    if (!manifest || typeof manifest.entries !== 'object' || manifest.entries === null) {
+      console.warn('TTS_MANIFEST: Ignoring malformed audio manifest');
+      return 0;
+    }
+
+    const clipCount = Object.keys(manifest.entries).length;
+    if (clipCount === 0) return 0;
 
-  return true;
+    audioManifest = { entries: manifest.entries, baseUrl: manifestUrl };
+    console.log(`TTS_MANIFEST: ${clipCount} pre-synthesized clips available`);
+    return clipCount;
+  } catch (error) {
+    console.debug('TTS_DEBUG: No audio manifest loaded:', error.message);
+    return 0;
+  }
 }
 
 /**
- * Record a TTS error for tracking and potential temporary disabling
- * @param {string} errorType - Type of error that occurred
+ * Fetch a pre-synthesized clip
+ * @param {string} cacheKey - Key from getAudioCacheKey()
+ * @returns {Promise<Blob|null>} Audio, or null when the text wasn't pre-synthesized
  */
-function recordTtsError(errorType) {
-  ttsErrorCount++;
-  lastErrorTime = Date.now();
-  
-  console.warn(`TTS_ERROR_TRACKING: Error count increased to ${ttsErrorCount}/${MAX_ERROR_COUNT} (${errorType})`);
-  
-  if (ttsErrorCount >= MAX_ERROR_COUNT) {
-    console.warn(`TTS_CIRCUIT_BREAKER: TTS temporarily disabled due to repeated errors. Will retry in ${ERROR_RESET_TIME / 60000} minutes.`);
+async function fetchPresynthesizedAudio(cacheKey) {
+  const fileName = audioManifest && audioManifest.entries[cacheKey];
+  if (!fileName) return null;
+
+  try {
+    const response = await fetch(new URL(fileName, audioManifest.baseUrl));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await response.blob();
+  } catch (error) {
+    console.warn('TTS_MANIFEST: Failed to fetch pre-synthesized clip:', error.message);
+    return null;
   }
 }
 
 /**
- * Get TTS system status and diagnostics
- * @returns {object} Status information for debugging
+ * Audio that doesn't need a request to Polly: cached, or else pre-synthesized (which is then cached)
+ * @param {string} cacheKey - Key from getParamsCacheKey()
+ * @returns {Promise<Blob|null>} Audio, or null when it has to be synthesized
  */
-export function getTtsStatus() {
-  return {
-    clientInitialized: pollyClient !== null,
-    errorCount: ttsErrorCount,
-    lastErrorTime: lastErrorTime,
-    temporarilyDisabled: isTtsTemporarilyDisabled(),
-    credentialsConfigured: !!(awsConfig.credentials.accessKeyId && awsConfig.credentials.secretAccessKey),
-    region: awsConfig.region
-  };
+async function findExistingAudio(cacheKey) {
+  const cachedBlob = await getCachedAudio(cacheKey);
+  if (cachedBlob) return cachedBlob;
+
+  const clipBlob = await fetchPresynthesizedAudio(cacheKey);
+  if (clipBlob) cacheAudio(cacheKey, clipBlob);
+  return clipBlob;
 }
 
 /**
- * Reset TTS error tracking (for manual recovery)
+ * List Polly's voices, from DescribeVoices directly or through the TTS proxy (GET /api/voices
+ * next to its /api/tts). The list is fetched once per visit.
+ * @returns {Promise<object[]>} [{ id, name, gender, languageCode, languageName, engines }] sorted by
+ *   name, empty when voices can't be listed (e.g. only pre-synthesized clips)
  */
-export function resetTtsErrors() {
-  ttsErrorCount = 0;
-  lastErrorTime = null;
-  console.log('TTS_RECOVERY: Error tracking manually reset');
+export function describePollyVoices() {
+  if (!voiceListPromise) {
+    voiceListPromise = fetchVoiceList()
+      .then(voices => {
+        knownVoices = voices
+          .map(normalizeVoice)
+          .filter(voice => voice.engines.length > 0)
+          .sort((a, b) => a.name.localeCompare(b.name));
+        console.log(`TTS_VOICES: ${knownVoices.length} Polly voices available`);
+        return knownVoices;
+      })
+      .catch(error => {
+        console.warn('TTS_VOICES: Failed to list Polly voices:', error.message);
+        // Try again next time
+        voiceListPromise = null;
+        return [];
+      });
+  }
+  return voiceListPromise;
 }
 
 /**
- * Configure audio settings for concurrent playback and performance
- * @param {object} settings - Audio configuration settings
+ * Fetch the raw voice list
+ * @returns {Promise<object[]>} Voices as DescribeVoices returns them
  */
-export function configureAudioSettings(settings = {}) {
-  audioSettings = {
-    ...audioSettings,
-    ...settings
-  };
-  
-  // Validate settings
-  audioSettings.maxConcurrentAudio = Math.max(1, Math.min(10, audioSettings.maxConcurrentAudio));
-  audioSettings.defaultVolume = Math.max(0, Math.min(1, audioSettings.defaultVolume));
-  audioSettings.fadeOutDuration = Math.max(0, Math.min(5000, audioSettings.fadeOutDuration));
-  
-  console.log('TTS_AUDIO_CONFIG: Audio settings updated:', audioSettings);
+async function fetchVoiceList() {
+  if (isProxyMode()) {
+    const response = await fetch(new URL('voices', new URL(ttsProxyConfig.url, window.location.href)));
+    if (!response.ok) throw new Error(`TTS proxy answered ${response.status}`);
+    const body = await response.json();
+    return Array.isArray(body.voices) ? body.voices : [];
+  }
+
+  if (pollyClient === null && credentialsConfigured()) initializePollyClient();
+  if (!pollyClient) return [];
+
+  const voices = [];
+  let nextToken;
+  do {
+    const response = await pollyClient.send(new DescribeVoicesCommand({ NextToken: nextToken }));
+    voices.push(...(response.Voices || []));
+    nextToken = response.NextToken;
+  } while (nextToken);
+  return voices;
 }
 
 /**
- * Get current audio settings and status
- * @returns {object} Audio configuration and status
+ * @param {object} voice - Voice as DescribeVoices returns it
+ * @returns {object} { id, name, gender, languageCode, languageName, engines } - engines lists the
+ *   POLLY_ENGINES the voice supports
  */
-export function getAudioStatus() {
+function normalizeVoice(voice) {
   return {
-    settings: { ...audioSettings },
-    activeAudioCount: activeAudioElements.size,
-    queuedAudioCount: audioQueue.length,
-    isProcessingQueue: isProcessingQueue,
-    performanceMetrics: { ...performanceMetrics }
+    id: voice.Id,
+    name: voice.Name || voice.Id,
+    gender: voice.Gender || '',
+    languageCode: voice.LanguageCode || '',
+    languageName: voice.LanguageName || voice.LanguageCode || '',
+    engines: (Array.isArray(voice.SupportedEngines) ? voice.SupportedEngines : ['standard'])
+      .filter(engine => POLLY_ENGINES.includes(engine))
   };
 }
 
 /**
- * Stop all active audio playback and clear queue
+ * Choose the voice and engine. When the voice doesn't support the engine (going by the voice list,
+ * or because Polly already rejected it), the voice's other engine is used instead.
+ * @param {object} options
+ * @param {string} options.voiceId - Polly voice ID, empty for pollyConfig's
+ * @param {string} options.engine - 'standard' or 'neural', empty for pollyConfig's
+ * @returns {object} { voiceId, engine, requestedEngine, engineFallback } - engineFallback is true
+ *   when requestedEngine wasn't supported
  */
-export function stopAllAudio() {
-  console.log('TTS_AUDIO_CONTROL: Stopping all active audio');
-  
-  // Stop all active audio elements
-  activeAudioElements.forEach(audioElement => {
-    try {
-      audioElement.pause();
-      audioElement.currentTime = 0;
-      if (audioElement.src && audioElement.src.startsWith('blob:')) {
-        URL.revokeObjectURL(audioElement.src);
-      }
-    } catch (error) {
-      console.warn('TTS_AUDIO_WARNING: Error stopping audio element:', error.message);
-    }
-  });
-  
-  activeAudioElements.clear();
-  audioQueue.length = 0; // Clear queue
-  isProcessingQueue = false;
-  
-  console.log('TTS_AUDIO_SUCCESS: All audio stopped and queue cleared');
+export function configurePollyVoice({ voiceId, engine } = {}) {
+  const requestedEngine = POLLY_ENGINES.includes(engine) ? engine : (pollyConfig.engine || 'standard');
+  voiceSettings.voiceId = voiceId || pollyConfig.voiceId || 'Joanna';
+  voiceSettings.engine = requestedEngine;
+
+  const voice = knownVoices && knownVoices.find(candidate => candidate.id === voiceSettings.voiceId);
+  const rejected = rejectedEngines.get(voiceSettings.voiceId) || new Set();
+  const engines = (voice ? voice.engines : POLLY_ENGINES).filter(candidate => !rejected.has(candidate));
+  if (engines.length > 0 && !engines.includes(requestedEngine)) {
+    voiceSettings.engine = engines[0];
+    console.warn(`TTS_VOICES: ${voice ? voice.name : voiceSettings.voiceId} doesn't support the ${requestedEngine} engine, using ${voiceSettings.engine}`);
+  }
+
+  return { ...voiceSettings, requestedEngine, engineFallback: voiceSettings.engine !== requestedEngine };
 }
 
 /**
- * Set volume for all active and future audio
- * @param {number} volume - Volume level (0.0 to 1.0)
+ * Set the handler told when Polly rejects the engine during synthesis and another one is configured
+ * @param {Function|null} handler - Called with configurePollyVoice()'s result
  */
-export function setAudioVolume(volume) {
-  const normalizedVolume = Math.max(0, Math.min(1, volume));
-  audioSettings.defaultVolume = normalizedVolume;
-  
-  // Update volume for all active audio elements
-  activeAudioElements.forEach(audioElement => {
-    audioElement.volume = normalizedVolume;
-  });
-  
-  console.log('TTS_AUDIO_CONTROL: Volume set to', normalizedVolume);
+export function onPollyEngineFallback(handler) {
+  engineFallbackHandler = handler;
 }
 
 /**
- * Manage concurrent audio playback by limiting active streams
+ * Get the voice and engine in use
+ * @returns {object} { voiceId, engine }
  */
-function manageAudioConcurrency() {
-  // Remove completed or errored audio elements from active set
-  const elementsToRemove = [];
-  activeAudioElements.forEach(audioElement => {
-    if (audioElement.ended || audioElement.error || audioElement.paused) {
-      elementsToRemove.push(audioElement);
-    }
-  });
-  
-  elementsToRemove.forEach(element => {
-    activeAudioElements.delete(element);
-    if (element.src && element.src.startsWith('blob:')) {
-      URL.revokeObjectURL(element.src);
-    }
-  });
-  
-  // If we're at or over the limit, fade out oldest audio
-  if (activeAudioElements.size >= audioSettings.maxConcurrentAudio) {
-    const oldestElement = Array.from(activeAudioElements)[0];
-    fadeOutAudio(oldestElement);
-  }
+export function getPollyVoice() {
+  return { ...voiceSettings };
 }
 
 /**
- * Fade out audio element smoothly
- * @param {HTMLAudioElement} audioElement - Audio element to fade out
+ * Amazon Polly TTS provider
  */
-function fadeOutAudio(audioElement) {
-  if (!audioElement || audioElement.paused) return;
-  
-  const originalVolume = audioElement.volume;
-  const fadeSteps = 20;
-  const stepDuration = audioSettings.fadeOutDuration / fadeSteps;
-  const volumeStep = originalVolume / fadeSteps;
-  
-  let currentStep = 0;
-  const fadeInterval = setInterval(() => {
-    currentStep++;
-    audioElement.volume = Math.max(0, originalVolume - (volumeStep * currentStep));
-    
-    if (currentStep >= fadeSteps || audioElement.volume <= 0) {
-      clearInterval(fadeInterval);
-      audioElement.pause();
-      activeAudioElements.delete(audioElement);
-      if (audioElement.src && audioElement.src.startsWith('blob:')) {
-        URL.revokeObjectURL(audioElement.src);
-      }
+export const pollyProvider = {
+  id: 'polly',
+  label: 'Amazon Polly',
+
+  isSupported() {
+    return isProxyMode() || credentialsConfigured() || audioManifest !== null;
+  },
+
+  initialize() {
+    if (isProxyMode()) return true;
+    if (pollyClient === null && credentialsConfigured()) initializePollyClient();
+    return pollyClient !== null || audioManifest !== null;
+  },
+
+  async synthesize(text, { ssml } = {}) {
+    let synthesizeParams = getSynthesizeParams(text, ssml);
+    let cacheKey = getParamsCacheKey(synthesizeParams);
+
+    let audioBlob = await findExistingAudio(cacheKey);
+    if (audioBlob) return createAudioClip(audioBlob);
+
+    if (!isProxyMode() && !pollyClient) {
+      // Custom text without credentials: let the next provider say it
+      throw new TtsError('UNAVAILABLE', 'No pre-synthesized audio for this text', { counts: false, fallback: true });
     }
-  }, stepDuration);
-}
 
-/**
- * Process queued audio requests with performance optimization
- */
-async function processAudioQueue() {
-  if (isProcessingQueue || audioQueue.length === 0) {
-    return;
-  }
-  
-  isProcessingQueue = true;
-  
-  while (audioQueue.length > 0 && activeAudioElements.size < audioSettings.maxConcurrentAudio) {
-    const queueItem = audioQueue.shift();
-    performanceMetrics.queuedRequests--;
-    
     try {
-      await processAudioRequest(queueItem);
+      audioBlob = await requestSynthesis(synthesizeParams);
     } catch (error) {
-      console.warn('TTS_QUEUE_ERROR: Failed to process queued audio:', error.message);
+      if (!(error instanceof TtsError) || error.type !== 'ENGINE') throw error;
+
+      // The voice list didn't say (or wasn't loaded): move to the voice's other engine
+      const { VoiceId: rejectedVoiceId, Engine: rejectedEngine } = synthesizeParams;
+      if (!rejectedEngines.has(rejectedVoiceId)) rejectedEngines.set(rejectedVoiceId, new Set());
+      rejectedEngines.get(rejectedVoiceId).add(rejectedEngine);
+      const voice = configurePollyVoice({ voiceId: rejectedVoiceId, engine: rejectedEngine });
+      if (!voice.engineFallback) throw error;
+      if (engineFallbackHandler) engineFallbackHandler(voice);
+
+      // The other engine's audio may already be cached or pre-synthesized
+      synthesizeParams = getSynthesizeParams(text, ssml);
+      cacheKey = getParamsCacheKey(synthesizeParams);
+      audioBlob = await findExistingAudio(cacheKey);
+      if (audioBlob) return createAudioClip(audioBlob);
+      audioBlob = await requestSynthesis(synthesizeParams);
     }
-    
-    // Small delay to prevent overwhelming the browser
-    if (audioQueue.length > 0) {
-      await new Promise(resolve => setTimeout(resolve, audioSettings.queueProcessingDelay));
-    }
-  }
-  
-  isProcessingQueue = false;
-  
-  // Schedule next queue processing if items remain
-  if (audioQueue.length > 0) {
-    setTimeout(() => processAudioQueue(), audioSettings.queueProcessingDelay * 2);
-  }
-}
-
-/**
- * Process individual audio request from queue
- * @param {object} queueItem - Queued audio request
- */
-async function processAudioRequest(queueItem) {
-  const { text, resolve, reject } = queueItem;
-  
-  try {
-    await synthesizeAndPlayAudio(text);
-    resolve();
-  } catch (error) {
-    reject(error);
+    cacheAudio(cacheKey, audioBlob);
+    return createAudioClip(audioBlob);
+  },
+
+  getStatus() {
+    return {
+      mode: isProxyMode() ? 'proxy' : 'direct',
+      clientInitialized: pollyClient !== null,
+      credentialsConfigured: credentialsConfigured(),
+      presynthesizedClips: audioManifest ? Object.keys(audioManifest.entries).length : 0,
+      voiceId: voiceSettings.voiceId,
+      engine: voiceSettings.engine,
+      region: awsConfig.region
+    };
   }
-}
+};
 
 /**
- * Synthesizes speech from text using Amazon Polly with concurrent audio management
+ * SynthesizeSpeech parameters for some text with the configured voice
  * @param {string} text - The text to be spoken
- * @param {object} options - Optional settings for this request
- * @returns {Promise<void>} - Resolves when audio playback begins or is queued
+ * @param {string} ssml - Optional SSML version, used instead of the text when it validates
+ * @returns {object} { Text, TextType, OutputFormat, VoiceId, Engine }
  */
-export async function speakText(text, options = {}) {
-  // Performance tracking
-  const requestStartTime = Date.now();
-  performanceMetrics.totalRequests++;
-  
-  // Validate input with detailed logging
-  if (!text || typeof text !== 'string' || text.trim().length === 0) {
-    console.warn('TTS_INPUT_ERROR: Invalid or empty text provided to speakText');
-    console.debug('TTS_DEBUG: Received text:', { text, type: typeof text });
-    return;
-  }
+function getSynthesizeParams(text, ssml) {
+  const params = {
+    Text: text,
+    TextType: 'text',
+    OutputFormat: pollyConfig.outputFormat || 'mp3',
+    VoiceId: voiceSettings.voiceId,
+    Engine: voiceSettings.engine
+  };
 
-  // Check if Polly client is available and not temporarily disabled
-  if (!pollyClient) {
-    console.warn('TTS_CLIENT_ERROR: Polly client not available, skipping TTS');
-    console.debug('TTS_DEBUG: Client initialization may have failed. Check credentials and network connectivity.');
-    return;
+  if (ssml) {
+    const { valid, errors } = validateSsml(ssml, { engine: params.Engine });
+    if (valid) {
+      params.Text = ssml.trim();
+      params.TextType = 'ssml';
+    } else {
+      console.warn(`TTS_SSML: Speaking "${text}" as plain text, its SSML is invalid for the ${params.Engine} engine:`, errors.join('; '));
+    }
   }
 
-  if (isTtsTemporarilyDisabled()) {
-    console.warn('TTS_CIRCUIT_BREAKER: TTS temporarily disabled due to repeated errors, skipping request');
-    return;
-  }
+  return params;
+}
 
-  // Manage concurrent audio - clean up completed streams
-  manageAudioConcurrency();
-  
-  // If we're at capacity, queue the request (Requirement 3.3)
-  if (activeAudioElements.size >= audioSettings.maxConcurrentAudio) {
-    console.log('TTS_QUEUE: Audio at capacity, queuing request');
-    performanceMetrics.queuedRequests++;
-    
-    return new Promise((resolve, reject) => {
-      audioQueue.push({ text, resolve, reject });
-      // Start processing queue if not already running
-      setTimeout(() => processAudioQueue(), audioSettings.queueProcessingDelay);
-    });
-  }
+/**
+ * Cache (and manifest) key for SynthesizeSpeech parameters; SSML is keyed by its markup
+ * @param {object} synthesizeParams - From getSynthesizeParams()
+ * @returns {string} Key
+ */
+function getParamsCacheKey(synthesizeParams) {
+  return getAudioCacheKey({
+    text: synthesizeParams.Text,
+    voiceId: synthesizeParams.VoiceId,
+    engine: synthesizeParams.Engine,
+    outputFormat: synthesizeParams.OutputFormat
+  });
+}
 
-  // Process immediately if under capacity
-  try {
-    await synthesizeAndPlayAudio(text, requestStartTime);
-  } catch (error) {
-    console.warn('TTS_DIRECT_ERROR: Failed to process audio directly:', error.message);
-    throw error;
-  }
+/**
+ * Synthesize through the proxy or the browser's own client
+ * @param {object} synthesizeParams - From getSynthesizeParams()
+ * @returns {Promise<Blob>} MP3 audio
+ */
+function requestSynthesis(synthesizeParams) {
+  return isProxyMode() ? synthesizeWithProxy(synthesizeParams) : synthesizeAudio(synthesizeParams);
 }
 
 /**
- * Core synthesis and playback function with performance optimization
- * @param {string} text - The text to be spoken
- * @param {number} requestStartTime - When the request started (for performance tracking)
+ * Synthesize speech with Amazon Polly
+ * @param {object} synthesizeParams - From getSynthesizeParams()
+ * @returns {Promise<Blob>} MP3 audio
+ * @throws {TtsError} Classified Polly, network or stream error
  */
-async function synthesizeAndPlayAudio(text, requestStartTime = Date.now()) {
-  // Validate text length (Polly has limits)
-  const maxTextLength = 3000; // AWS Polly limit for standard voices
-  if (text.length > maxTextLength) {
-    console.warn(`TTS_INPUT_ERROR: Text too long (${text.length} chars). Truncating to ${maxTextLength} characters.`);
-    text = text.substring(0, maxTextLength);
+async function synthesizeAudio(synthesizeParams) {
+  if (!pollyClient) {
+    throw new TtsError('CREDENTIALS', 'Polly client not available', { fatal: true });
   }
 
+  const text = synthesizeParams.Text;
+  let response;
   try {
-    // Prepare synthesis parameters with validation
-    const synthesizeParams = {
-      Text: text.trim(),
-      OutputFormat: pollyConfig.outputFormat || 'mp3',
-      VoiceId: pollyConfig.voiceId || 'Joanna',
-      Engine: pollyConfig.engine || 'standard'
-    };
-
     // Create synthesis command
     const command = new SynthesizeSpeechCommand(synthesizeParams);
     
@@ -415,254 +425,150 @@ async function synthesizeAndPlayAudio(text, requestStartTime = Date.now()) {
       setTimeout(() => reject(new Error('API_TIMEOUT')), 10000); // 10 second timeout
     });
 
-    const response = await Promise.race([
+    response = await Promise.race([
       pollyClient.send(command),
       timeoutPromise
     ]);
+  } catch (error) {
+    throw classifyPollyError(error, text);
+  }
 
-    // Check if we got audio data
-    if (!response || !response.AudioStream) {
-      console.warn('TTS_API_ERROR: No audio stream received from Polly API');
-      console.debug('TTS_DEBUG: Response received:', { hasResponse: !!response, hasAudioStream: !!(response && response.AudioStream) });
-      return;
-    }
-
-    // Convert audio stream to blob with error handling
-    let audioBytes;
-    try {
-      audioBytes = await streamToUint8Array(response.AudioStream);
-    } catch (streamError) {
-      console.error('TTS_STREAM_ERROR: Failed to process audio stream:', streamError.message);
-      console.debug('TTS_DEBUG: Stream processing error details:', {
-        name: streamError.name,
-        message: streamError.message
-      });
-      return;
-    }
+  // Check if we got audio data
+  if (!response || !response.AudioStream) {
+    console.debug('TTS_DEBUG: Response received:', { hasResponse: !!response, hasAudioStream: !!(response && response.AudioStream) });
+    throw new TtsError('STREAM', 'No audio stream received from Polly API', { counts: false });
+  }
 
-    if (!audioBytes || audioBytes.length === 0) {
-      console.warn('TTS_STREAM_ERROR: Empty audio data received');
-      return;
-    }
+  // Convert audio stream to blob with error handling
+  let audioBytes;
+  try {
+    audioBytes = await streamToUint8Array(response.AudioStream);
+  } catch (streamError) {
+    console.debug('TTS_DEBUG: Stream processing error details:', {
+      name: streamError.name,
+      message: streamError.message
+    });
+    throw new TtsError('STREAM', `Failed to process audio stream: ${streamError.message}`, { counts: false });
+  }
 
-    const audioBlob = new Blob([audioBytes], { type: 'audio/mpeg' });
-    const audioUrl = URL.createObjectURL(audioBlob);
+  if (!audioBytes || audioBytes.length === 0) {
+    throw new TtsError('STREAM', 'Empty audio data received', { counts: false });
+  }
 
-    // Create and configure HTML5 audio element with comprehensive error handling
-    const audioElement = new Audio();
-    audioElement.src = audioUrl;
-    audioElement.volume = audioSettings.defaultVolume; // Use configurable volume
-    audioElement.preload = 'auto';
-    
-    // Add to active audio set for concurrent management
-    activeAudioElements.add(audioElement);
+  return new Blob([audioBytes], { type: 'audio/mpeg' });
+}
 
-    // Handle audio events with detailed logging
-    audioElement.addEventListener('loadeddata', () => {
-      console.log('TTS_AUDIO_SUCCESS: Audio loaded successfully');
-    });
+/**
+ * Synthesize speech through the TTS proxy, which holds the credentials and calls Polly
+ * @param {object} synthesizeParams - From getSynthesizeParams()
+ * @returns {Promise<Blob>} MP3 audio
+ * @throws {TtsError} Classified proxy or network error
+ */
+async function synthesizeWithProxy(synthesizeParams) {
+  const text = synthesizeParams.Text;
+  console.log('TTS_REQUEST: Synthesizing speech via proxy for text:', text.substring(0, 50) + (text.length > 50 ? '...' : ''));
 
-    audioElement.addEventListener('error', (errorEvent) => {
-      const audioError = audioElement.error;
-      console.warn('TTS_AUDIO_ERROR: Audio playback error occurred');
-      console.debug('TTS_DEBUG: Audio error details:', {
-        code: audioError?.code,
-        message: audioError?.message,
-        networkState: audioElement.networkState,
-        readyState: audioElement.readyState
-      });
-      // Clean up resources and remove from active set
-      activeAudioElements.delete(audioElement);
-      URL.revokeObjectURL(audioUrl);
-      // Process queue in case this frees up capacity
-      setTimeout(() => processAudioQueue(), audioSettings.queueProcessingDelay);
-    });
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 10000); // 10 second timeout
 
-    audioElement.addEventListener('ended', () => {
-      console.log('TTS_AUDIO_SUCCESS: Audio playback completed');
-      // Clean up resources and remove from active set
-      activeAudioElements.delete(audioElement);
-      URL.revokeObjectURL(audioUrl);
-      // Process queue in case this frees up capacity
-      setTimeout(() => processAudioQueue(), audioSettings.queueProcessingDelay);
+  let response;
+  try {
+    response = await fetch(ttsProxyConfig.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        text,
+        textType: synthesizeParams.TextType,
+        voiceId: synthesizeParams.VoiceId,
+        engine: synthesizeParams.Engine
+      }),
+      signal: controller.signal
     });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new TtsError('TIMEOUT', 'TTS proxy request timed out');
+    }
+    throw new TtsError('NETWORK', `Could not reach the TTS proxy: ${error.message}`);
+  } finally {
+    clearTimeout(timeout);
+  }
 
-    // Handle pause event (for manual stops)
-    audioElement.addEventListener('pause', () => {
-      if (audioElement.currentTime === 0 || audioElement.ended) {
-        activeAudioElements.delete(audioElement);
-        URL.revokeObjectURL(audioUrl);
-        setTimeout(() => processAudioQueue(), audioSettings.queueProcessingDelay);
-      }
+  if (!response.ok) {
+    // The proxy answers errors with { error, type } using the same types as TtsError
+    const problem = await response.json().catch(() => ({}));
+    const type = problem.type || (response.status === 429 ? 'RATE_LIMIT' : 'SERVICE');
+    // Requests the proxy refuses (too long, malformed, wrong engine) aren't the service's fault
+    throw new TtsError(type, `TTS proxy answered ${response.status}: ${problem.error || response.statusText}`, {
+      counts: type !== 'PARAMETER' && type !== 'ENGINE'
     });
+  }
 
-    // Start audio playback with comprehensive error handling and autoplay optimization
-    try {
-      // Optimize for browser autoplay policies (Requirement: optimize for browser audio autoplay policies)
-      await handleAutoplayOptimization(audioElement);
-      
-      console.log('TTS_AUDIO_SUCCESS: Audio playback started successfully');
-      
-      // Update performance metrics
-      const responseTime = Date.now() - requestStartTime;
-      performanceMetrics.successfulRequests++;
-      performanceMetrics.averageResponseTime = 
-        (performanceMetrics.averageResponseTime * (performanceMetrics.successfulRequests - 1) + responseTime) / 
-        performanceMetrics.successfulRequests;
-      performanceMetrics.lastRequestTime = responseTime;
-      
-    } catch (playError) {
-      // Remove from active set on error
-      activeAudioElements.delete(audioElement);
-      
-      // Handle different types of play errors
-      if (playError.name === 'NotAllowedError') {
-        console.warn('TTS_AUDIO_POLICY: Audio autoplay blocked by browser policy');
-        console.debug('TTS_DEBUG: User interaction required for audio playback');
-        // Try to queue for later when user interacts
-        handleAutoplayBlocked(audioElement, audioUrl);
-      } else if (playError.name === 'NotSupportedError') {
-        console.warn('TTS_AUDIO_ERROR: Audio format not supported by browser');
-        console.debug('TTS_DEBUG: Browser may not support MP3 format');
-      } else {
-        console.warn('TTS_AUDIO_ERROR: Audio playback failed:', playError.message);
-        console.debug('TTS_DEBUG: Play error details:', {
-          name: playError.name,
-          message: playError.message
-        });
-      }
-      // Clean up resources even if playback fails
-      URL.revokeObjectURL(audioUrl);
-      // Process queue in case this frees up capacity
-      setTimeout(() => processAudioQueue(), audioSettings.queueProcessingDelay);
-    }
-
-  } catch (error) {
-    // Comprehensive error handling for different error types
-    let errorType = 'UNKNOWN';
-    
-    if (error.message === 'API_TIMEOUT') {
-      errorType = 'TIMEOUT';
-      console.warn('TTS_TIMEOUT_ERROR: AWS Polly API request timed out');
-      console.debug('TTS_DEBUG: Request exceeded 10 second timeout. Check network connectivity.');
-      recordTtsError(errorType);
-    } else if (error.name === 'CredentialsProviderError' || error.code === 'CredentialsError') {
-      errorType = 'CREDENTIALS';
-      console.error('TTS_CREDENTIALS_ERROR: AWS credentials are invalid or expired');
-      console.debug('TTS_DEBUG: Check AWS credentials configuration and permissions');
-      // Disable client to prevent further failed attempts
-      pollyClient = null;
-      recordTtsError(errorType);
-    } else if (error.name === 'NetworkingError' || error.code === 'NetworkingError') {
-      errorType = 'NETWORK';
-      console.warn('TTS_NETWORK_ERROR: Network connectivity issue during TTS request');
-      console.debug('TTS_DEBUG: Check internet connection and AWS service availability');
-      recordTtsError(errorType);
-    } else if (error.code === 'Throttling' || error.code === 'ThrottlingException') {
-      errorType = 'RATE_LIMIT';
-      console.warn('TTS_RATE_LIMIT_ERROR: AWS Polly API rate limit exceeded');
-      console.debug('TTS_DEBUG: Too many requests. Consider implementing request queuing.');
-      recordTtsError(errorType);
-    } else if (error.code === 'InvalidParameterValue' || error.code === 'ValidationException') {
-      errorType = 'PARAMETER';
-      console.error('TTS_PARAMETER_ERROR: Invalid parameters sent to Polly API');
-      console.debug('TTS_DEBUG: Parameter validation failed:', {
-        text: text.substring(0, 100),
-        textLength: text.length,
-        voiceId: pollyConfig.voiceId,
-        outputFormat: pollyConfig.outputFormat
-      });
-      // Don't record parameter errors as they indicate code issues, not service issues
-    } else if (error.code === 'ServiceUnavailable' || error.code === 'InternalFailure') {
-      errorType = 'SERVICE';
-      console.warn('TTS_SERVICE_ERROR: AWS Polly service temporarily unavailable');
-      console.debug('TTS_DEBUG: AWS service issue. Retry may succeed later.');
-      recordTtsError(errorType);
-    } else {
-      errorType = 'UNKNOWN';
-      console.warn('TTS_UNKNOWN_ERROR: Unexpected error during text-to-speech:', error.message);
-      console.debug('TTS_DEBUG: Unknown error details:', {
-        name: error.name,
-        code: error.code,
-        message: error.message,
-        stack: error.stack
-      });
-      recordTtsError(errorType);
-    }
-    
-    // Game continues without audio as per error handling strategy
-    // No re-throwing to ensure game functionality is not disrupted
+  const audioBlob = await response.blob();
+  if (audioBlob.size === 0) {
+    throw new TtsError('STREAM', 'Empty audio data received', { counts: false });
   }
+  return audioBlob;
 }
 
 /**
- * Handle autoplay optimization for different browsers and policies
- * @param {HTMLAudioElement} audioElement - Audio element to play
+ * Turn a Polly or SDK error into a TtsError
+ * @param {Error} error - Error from the API call
+ * @param {string} text - The text that was being synthesized
+ * @returns {TtsError}
  */
-async function handleAutoplayOptimization(audioElement) {
-  // Check if autoplay is likely to work
-  if (document.visibilityState === 'hidden') {
-    throw new Error('NotAllowedError: Page not visible');
+function classifyPollyError(error, text) {
+  if (error.message === 'API_TIMEOUT') {
+    console.debug('TTS_DEBUG: Request exceeded 10 second timeout. Check network connectivity.');
+    return new TtsError('TIMEOUT', 'AWS Polly API request timed out');
   }
-  
-  // Try to play with different strategies
-  try {
-    // Strategy 1: Direct play (works if user has interacted)
-    await audioElement.play();
-  } catch (error) {
-    if (error.name === 'NotAllowedError') {
-      // Strategy 2: Lower volume and try again
-      const originalVolume = audioElement.volume;
-      audioElement.volume = 0.1;
-      try {
-        await audioElement.play();
-        // Gradually increase volume
-        setTimeout(() => {
-          audioElement.volume = originalVolume;
-        }, 100);
-      } catch (secondError) {
-        audioElement.volume = originalVolume;
-        throw secondError;
-      }
-    } else {
-      throw error;
-    }
+
+  if (error.name === 'CredentialsProviderError' || error.code === 'CredentialsError') {
+    console.debug('TTS_DEBUG: Check AWS credentials configuration and permissions');
+    // Disable client to prevent further failed attempts
+    pollyClient = null;
+    // Pre-synthesized clips still work without credentials
+    return new TtsError('CREDENTIALS', 'AWS credentials are invalid or expired', { fatal: audioManifest === null });
   }
-}
 
-/**
- * Handle autoplay blocked scenario
- * @param {HTMLAudioElement} audioElement - Blocked audio element
- * @param {string} audioUrl - Audio blob URL
- */
-function handleAutoplayBlocked(audioElement, audioUrl) {
-  // Store for potential later playback when user interacts
-  const playOnInteraction = () => {
-    audioElement.play().then(() => {
-      console.log('TTS_AUDIO_SUCCESS: Delayed audio playback after user interaction');
-      activeAudioElements.add(audioElement);
-    }).catch(() => {
-      URL.revokeObjectURL(audioUrl);
+  if (error.name === 'NetworkingError' || error.code === 'NetworkingError') {
+    console.debug('TTS_DEBUG: Check internet connection and AWS service availability');
+    return new TtsError('NETWORK', 'Network connectivity issue during TTS request');
+  }
+
+  if (error.code === 'Throttling' || error.code === 'ThrottlingException') {
+    console.debug('TTS_DEBUG: Too many requests. Consider implementing request queuing.');
+    return new TtsError('RATE_LIMIT', 'AWS Polly API rate limit exceeded');
+  }
+
+  if (error.name === 'EngineNotSupportedException') {
+    return new TtsError('ENGINE', 'The voice does not support the selected engine', { counts: false });
+  }
+
+  if (error.code === 'InvalidParameterValue' || error.code === 'ValidationException' ||
+      error.name === 'InvalidSsmlException') {
+    console.debug('TTS_DEBUG: Parameter validation failed:', {
+      text: text.substring(0, 100),
+      textLength: text.length,
+      voiceId: voiceSettings.voiceId,
+      engine: voiceSettings.engine,
+      outputFormat: pollyConfig.outputFormat
     });
-    
-    // Remove listeners after first use
-    document.removeEventListener('click', playOnInteraction);
-    document.removeEventListener('keydown', playOnInteraction);
-    document.removeEventListener('touchstart', playOnInteraction);
-  };
-  
-  // Add temporary listeners for user interaction
-  document.addEventListener('click', playOnInteraction, { once: true });
-  document.addEventListener('keydown', playOnInteraction, { once: true });
-  document.addEventListener('touchstart', playOnInteraction, { once: true });
-  
-  // Clean up after timeout
-  setTimeout(() => {
-    document.removeEventListener('click', playOnInteraction);
-    document.removeEventListener('keydown', playOnInteraction);
-    document.removeEventListener('touchstart', playOnInteraction);
-    URL.revokeObjectURL(audioUrl);
-  }, 30000); // 30 second timeout
+    // Don't record parameter errors as they indicate code issues, not service issues
+    return new TtsError('PARAMETER', 'Invalid parameters sent to Polly API', { counts: false });
+  }
+
+  if (error.code === 'ServiceUnavailable' || error.code === 'InternalFailure') {
+    console.debug('TTS_DEBUG: AWS service issue. Retry may succeed later.');
+    return new TtsError('SERVICE', 'AWS Polly service temporarily unavailable');
+  }
+
+  console.debug('TTS_DEBUG: Unknown error details:', {
+    name: error.name,
+    code: error.code,
+    message: error.message,
+    stack: error.stack
+  });
+  return new TtsError('UNKNOWN', `Unexpected error during text-to-speech: ${error.message}`);
 }
 
 /**
@@ -0,0 +1,160 @@
+// Guided breathing
+// A calm-down exercise between or after sessions: box breathing or 4-7-8, timed with one
+// requestAnimationFrame loop. BreathingExercise reports each phase as it starts (for spoken
+// cues and screen readers) and every frame where the ring should be (for the animation).
+
+/**
+ * Breathing patterns, each a cycle of phases; scale is the ring size at the end of the phase
+ */
+export const BREATHING_PATTERNS = {
+  box: {
+    id: 'box',
+    label: 'Box Breathing',
+    description: 'In, hold, out, hold. Four seconds each.',
+    phases: [
+      { id: 'inhale', label: 'Breathe in', duration: 4000, scale: 1 },
+      { id: 'hold', label: 'Hold', duration: 4000, scale: 1 },
+      { id: 'exhale', label: 'Breathe out', duration: 4000, scale: 0 },
+      { id: 'rest', label: 'Hold', duration: 4000, scale: 0 }
+    ]
+  },
+  '4-7-8': {
+    id: '4-7-8',
+    label: '4-7-8',
+    description: 'In for 4, hold for 7, out slowly for 8.',
+    phases: [
+      { id: 'inhale', label: 'Breathe in', duration: 4000, scale: 1 },
+      { id: 'hold', label: 'Hold', duration: 7000, scale: 1 },
+      { id: 'exhale', label: 'Breathe out', duration: 8000, scale: 0 }
+    ]
+  }
+};
+
+export const DEFAULT_BREATHING_PATTERN = 'box';
+
+/**
+ * Look up a breathing pattern, falling back to box breathing
+ * @param {string} patternId - Pattern id
+ * @returns {object} Pattern
+ */
+export function getBreathingPattern(patternId) {
+  return BREATHING_PATTERNS[patternId] || BREATHING_PATTERNS[DEFAULT_BREATHING_PATTERN];
+}
+
+/**
+ * Length of one full cycle of a pattern
+ * @param {object} pattern - Breathing pattern
+ * @returns {number} ms
+ */
+export function getCycleLength(pattern) {
+  return pattern.phases.reduce((total, phase) => total + phase.duration, 0);
+}
+
+/**
+ * Where in the pattern a moment of the exercise falls
+ * @param {object} pattern - Breathing pattern
+ * @param {number} elapsed - ms since the exercise started
+ * @returns {object} { phase, phaseIndex, cycle (from 0), progress (0-1 through the phase),
+ *   secondsLeft (in the phase), scale (0-1 ring size) }
+ */
+export function getBreathingPhase(pattern, elapsed) {
+  const cycleLength = getCycleLength(pattern);
+  const cycle = Math.floor(elapsed / cycleLength);
+  let offset = elapsed - cycle * cycleLength;
+
+  let phaseIndex = 0;
+  while (offset >= pattern.phases[phaseIndex].duration && phaseIndex < pattern.phases.length - 1) {
+    offset -= pattern.phases[phaseIndex].duration;
+    phaseIndex++;
+  }
+
+  const phase = pattern.phases[phaseIndex];
+  const previous = pattern.phases[(phaseIndex + pattern.phases.length - 1) % pattern.phases.length];
+  const progress = Math.min(1, offset / phase.duration);
+
+  // Ease in and out so the ring breathes rather than ticks
+  const eased = (1 - Math.cos(Math.PI * progress)) / 2;
+  return {
+    phase,
+    phaseIndex,
+    cycle,
+    progress,
+    secondsLeft: Math.ceil((phase.duration - offset) / 1000),
+    scale: previous.scale + (phase.scale - previous.scale) * eased
+  };
+}
+
+export class BreathingExercise {
+  /**
+   * @param {object} pattern - Breathing pattern
+   * @param {number} duration - Requested length in ms, rounded up to whole cycles
+   * @param {object} callbacks
+   * @param {Function} callbacks.onPhase - Called with (phaseState) as each phase starts
+   * @param {Function} [callbacks.onFrame] - Called with (phaseState, remaining ms) every animation frame
+   * @param {Function} [callbacks.onFinish] - Called once the last cycle is done
+   */
+  constructor(pattern, duration, { onPhase, onFrame = () => {}, onFinish = () => {} }) {
+    this.pattern = pattern;
+    this.cycles = Math.max(1, Math.ceil(duration / getCycleLength(pattern)));
+    this.duration = this.cycles * getCycleLength(pattern);
+    this.onPhase = onPhase;
+    this.onFrame = onFrame;
+    this.onFinish = onFinish;
+    this.elapsed = 0;
+    this.lastFrameAt = null;
+    this.lastPhaseKey = null;
+    this.frameHandle = null;
+    this.isPlaying = false;
+
+    this.frame = this.frame.bind(this);
+  }
+
+  play() {
+    if (this.isPlaying) return;
+    this.isPlaying = true;
+    this.lastFrameAt = null;
+    this.frameHandle = requestAnimationFrame(this.frame);
+  }
+
+  stop() {
+    this.isPlaying = false;
+    cancelAnimationFrame(this.frameHandle);
+    this.frameHandle = null;
+  }
+
+  frame(timestamp) {
+    if (!this.isPlaying) return;
+
+    const elapsed = this.lastFrameAt === null ? 0 : timestamp - this.lastFrameAt;
+    this.lastFrameAt = timestamp;
+    this.elapsed = Math.min(this.duration, this.elapsed + elapsed);
+
+    if (this.elapsed >= this.duration) {
+      this.stop();
+      this.onFinish();
+      return;
+    }
+
+    const state = getBreathingPhase(this.pattern, this.elapsed);
+    const phaseKey = `${state.cycle}:${state.phaseIndex}`;
+    if (phaseKey !== this.lastPhaseKey) {
+      this.lastPhaseKey = phaseKey;
+      this.onPhase(state);
+    }
+    this.onFrame(state, this.duration - this.elapsed);
+    this.frameHandle = requestAnimationFrame(this.frame);
+  }
+
+  getStatus() {
+    const state = getBreathingPhase(this.pattern, this.elapsed);
+    return {
+      pattern: this.pattern.id,
+      isPlaying: this.isPlaying,
+      elapsed: Math.round(this.elapsed),
+      duration: this.duration,
+      cycle: Math.min(this.cycles, state.cycle + 1),
+      cycles: this.cycles,
+      phase: state.phase.id
+    };
+  }
+}
@@ -0,0 +1,356 @@
+// Built-in thought packs
+// Themed sets of negative thoughts and affirmations. The workplace pack is the
+// original game content; the others tailor the doubts to different groups.
+// Every doubt has a reframe: the thought that replaces it in Reframe mode. A few
+// workplace affirmations have SSML so Polly says them slowly, with a pause.
+
+export const BUILT_IN_PACKS = [
+  {
+    id: 'workplace',
+    name: 'Workplace',
+    locale: 'en',
+    negativeThoughts: [
+      "I don't belong here",
+      "Everyone will find out I'm a fraud",
+      "I just got lucky",
+      "I'm not qualified enough",
+      "Others are so much better than me",
+      "I'm going to fail",
+      "I don't deserve this success",
+      "I'm not smart enough",
+      "They made a mistake hiring me",
+      "I'm fooling everyone",
+      "I don't know what I'm doing",
+      "I'm not experienced enough",
+      "Everyone else is more talented",
+      "I'm going to be exposed",
+      "I'm not cut out for this",
+      "I'm winging it and hoping no one notices",
+      "I should give up before I embarrass myself",
+      "I'm in over my head",
+      "I'm not creative enough",
+      "I'm too slow compared to others",
+      "I'm going to disappoint everyone",
+      "I'm not leadership material",
+      "I'm just pretending to know what I'm doing",
+      "I don't have what it takes",
+      "I'm going to mess this up badly",
+      "I'm not innovative enough",
+      "I'm falling behind everyone else",
+      "I don't deserve this opportunity",
+      "I'm not as experienced as I should be",
+      "I'm going to let my team down",
+      "I'm not worthy of this position",
+      "I'm just lucky they haven't figured me out yet",
+      "I'm not confident enough to lead",
+      "I'm going to crumble under pressure",
+      "I'm not as skilled as people think"
+    ],
+  
+    positiveAffirmations: [
+      "I earned my place here",
+      "My unique perspective adds value",
+      "I am capable and competent",
+      "I belong in this space",
+      "My skills got me here",
+      "I deserve my achievements",
+      "I am learning and growing",
+      "I have valuable contributions to make",
+      "I am enough, just as I am",
+      "My voice matters",
+      "I have overcome challenges before",
+      "I am building expertise every day",
+      "I bring creativity and innovation",
+      "I am resilient and adaptable",
+      "I make a positive difference",
+      "I am worthy of success",
+      "I trust my abilities and judgment",
+      "I am confident in my decisions",
+      "I embrace challenges as growth opportunities",
+      "I am a valuable team member",
+      "I deserve respect and recognition",
+      "I am constantly improving my skills",
+      "I have the courage to take on new challenges",
+      "I am proud of my accomplishments",
+      "I contribute meaningfully to my work",
+      "I am intelligent and resourceful",
+      "I handle pressure with grace",
+      "I am a natural problem solver",
+      "I inspire others with my dedication",
+      "I am building a successful career",
+      "I deserve to be here as much as anyone",
+      "I am confident in my unique strengths",
+      "I turn setbacks into comebacks",
+      "I am worthy of opportunities and growth",
+      "I trust myself to figure things out"
+    ],
+    reframes: {
+      "I don't belong here": "I belong here as much as anyone",
+      "Everyone will find out I'm a fraud": "There's nothing to find out: I do the work",
+      "I just got lucky": "My skills got me here",
+      "I'm not qualified enough": "I was hired for what I can already do",
+      "Others are so much better than me": "Others are strong in different ways, and so am I",
+      "I'm going to fail": "I might stumble, and I know how to recover",
+      "I don't deserve this success": "I worked for this success",
+      "I'm not smart enough": "I am smart enough to learn what I need",
+      "They made a mistake hiring me": "They chose me for good reasons",
+      "I'm fooling everyone": "People see real work because I do real work",
+      "I don't know what I'm doing": "I know enough to take the next step",
+      "I'm not experienced enough": "I'm gaining experience every day",
+      "Everyone else is more talented": "My talents are different, not lesser",
+      "I'm going to be exposed": "Being seen is how my work gets recognised",
+      "I'm not cut out for this": "I am growing into this",
+      "I'm winging it and hoping no one notices": "Figuring things out as I go is what everyone does",
+      "I should give up before I embarrass myself": "Trying is never embarrassing",
+      "I'm in over my head": "Stretching is how I grow",
+      "I'm not creative enough": "My ideas count, even the small ones",
+      "I'm too slow compared to others": "Careful work is worth the time it takes",
+      "I'm going to disappoint everyone": "I can only do my best, and my best is good",
+      "I'm not leadership material": "Leadership is a skill I can build",
+      "I'm just pretending to know what I'm doing": "I know more than I give myself credit for",
+      "I don't have what it takes": "I have what it takes to learn what it takes",
+      "I'm going to mess this up badly": "Mistakes are fixable, and I can fix them",
+      "I'm not innovative enough": "Innovation starts with curious questions, and I ask them",
+      "I'm falling behind everyone else": "My path has its own pace",
+      "I don't deserve this opportunity": "I earned this opportunity",
+      "I'm not as experienced as I should be": "I'm exactly as experienced as my journey so far",
+      "I'm going to let my team down": "My team is stronger with me on it",
+      "I'm not worthy of this position": "I am worthy of this position",
+      "I'm just lucky they haven't figured me out yet": "They have figured me out: I'm good at this",
+      "I'm not confident enough to lead": "Confidence grows each time I lead",
+      "I'm going to crumble under pressure": "I have handled pressure before",
+      "I'm not as skilled as people think": "People trust my skills because they've seen them"
+    },
+    ssml: {
+      "I earned my place here": '<speak><prosody rate="90%">I earned <break time="200ms"/> my place here.</prosody></speak>',
+      "I belong in this space": '<speak><prosody rate="85%">I belong in this space.</prosody></speak>',
+      "I am enough, just as I am": '<speak><prosody rate="85%">I am enough, <break time="400ms"/> just as I am.</prosody></speak>',
+      "My voice matters": '<speak><prosody rate="90%" volume="soft">My voice <break time="300ms"/> matters.</prosody></speak>',
+      "I trust myself to figure things out": '<speak><prosody rate="90%">I trust myself <break time="300ms"/> to figure things out.</prosody></speak>'
+    }
+  },
+  {
+    id: 'students',
+    name: 'Students',
+    locale: 'en',
+    negativeThoughts: [
+      "Everyone else understands this except me",
+      "I only got in because of luck",
+      "My classmates are all smarter than me",
+      "I'm going to fail this exam",
+      "I don't deserve to be in this program",
+      "Asking a question will make me look stupid",
+      "My professor will realise I'm not good enough",
+      "I should already know this",
+      "I'm too far behind to catch up",
+      "My grades don't reflect real ability",
+      "I'm not a real student of this subject",
+      "Everyone will see my work is not good enough",
+      "I'll never find a job after graduating",
+      "I'm wasting everyone's time in group projects",
+      "I can't keep up with the reading"
+    ],
+    positiveAffirmations: [
+      "I earned my place in this program",
+      "Questions are how I learn",
+      "I am learning at my own pace",
+      "Every exam is a chance to show growth",
+      "My effort matters more than comparisons",
+      "I belong in this classroom",
+      "Not knowing yet is part of studying",
+      "I can ask for help when I need it",
+      "My ideas add value to group work",
+      "I have passed hard courses before",
+      "I am building knowledge every day",
+      "Mistakes help me understand more deeply",
+      "I am more prepared than I feel",
+      "My curiosity is a strength",
+      "I deserve my education"
+    ],
+    reframes: {
+      "Everyone else understands this except me": "Other people are unsure too, they just don't say it",
+      "I only got in because of luck": "I got in because of my work",
+      "My classmates are all smarter than me": "We're all here to learn, me included",
+      "I'm going to fail this exam": "I've prepared, and I'll do what I can",
+      "I don't deserve to be in this program": "I earned my place in this program",
+      "Asking a question will make me look stupid": "Asking a question helps everyone learn",
+      "My professor will realise I'm not good enough": "My professor wants to see me grow",
+      "I should already know this": "I'm learning it now, and that's the point",
+      "I'm too far behind to catch up": "One step at a time, I can catch up",
+      "My grades don't reflect real ability": "My grades reflect real work",
+      "I'm not a real student of this subject": "Studying it makes me a real student of it",
+      "Everyone will see my work is not good enough": "My work shows where I am, and I'm improving",
+      "I'll never find a job after graduating": "I'm building skills that lead somewhere",
+      "I'm wasting everyone's time in group projects": "My ideas add value to group work",
+      "I can't keep up with the reading": "I can read what matters most, and that's enough"
+    }
+  },
+  {
+    id: 'engineers',
+    name: 'Engineers',
+    locale: 'en',
+    negativeThoughts: [
+      "My code review will expose me",
+      "Everyone else ships faster than me",
+      "I should have known that API already",
+      "I'm the weakest engineer on the team",
+      "I only fixed that bug by accident",
+      "I don't understand the architecture well enough",
+      "Someone will find out I copy from Stack Overflow",
+      "I'll break production and everyone will know",
+      "I'm not senior enough for this title",
+      "I can't contribute to design discussions",
+      "My pull requests are never good enough",
+      "I'm too slow at debugging",
+      "Real engineers don't need to look things up",
+      "I don't know enough algorithms",
+      "I'll never keep up with new frameworks"
+    ],
+    positiveAffirmations: [
+      "Looking things up is part of engineering",
+      "Code review makes my work better",
+      "I solve real problems every day",
+      "My questions improve the design",
+      "I learn every system one piece at a time",
+      "Every bug I fix makes me stronger",
+      "I ship work that people rely on",
+      "My perspective catches issues others miss",
+      "I am a valued member of this team",
+      "I don't need to know everything to be good",
+      "I have debugged hard problems before",
+      "Growing as an engineer is a lifelong path",
+      "My experience counts",
+      "I write code that helps people",
+      "I earned my title"
+    ],
+    reframes: {
+      "My code review will expose me": "Code review makes my work better",
+      "Everyone else ships faster than me": "I ship work that people can rely on",
+      "I should have known that API already": "Nobody knows every API; I can look it up",
+      "I'm the weakest engineer on the team": "I bring strengths the team needs",
+      "I only fixed that bug by accident": "I fixed that bug by investigating it",
+      "I don't understand the architecture well enough": "I learn every system one piece at a time",
+      "Someone will find out I copy from Stack Overflow": "Looking things up is part of engineering",
+      "I'll break production and everyone will know": "If something breaks, we'll fix it together",
+      "I'm not senior enough for this title": "I earned my title",
+      "I can't contribute to design discussions": "My questions improve the design",
+      "My pull requests are never good enough": "Every pull request I open makes the code better",
+      "I'm too slow at debugging": "Careful debugging finds the real cause",
+      "Real engineers don't need to look things up": "Real engineers look things up all the time",
+      "I don't know enough algorithms": "I know how to learn the algorithms I need",
+      "I'll never keep up with new frameworks": "I don't need every framework to be good"
+    }
+  },
+  {
+    id: 'new-managers',
+    name: 'New Managers',
+    locale: 'en',
+    negativeThoughts: [
+      "My team will realise I'm not ready to lead",
+      "I was promoted by mistake",
+      "I should have all the answers",
+      "I'm not as good as my old manager",
+      "My reports know more than I do",
+      "I'll make the wrong call and lose their trust",
+      "I'm no longer doing real work",
+      "Giving feedback will make them dislike me",
+      "I can't handle difficult conversations",
+      "Everyone can see I'm struggling",
+      "I'm failing my team",
+      "Other managers have it all figured out",
+      "I don't have executive presence",
+      "I'll never be respected as a leader",
+      "I'm just pretending to be a manager"
+    ],
+    positiveAffirmations: [
+      "I was chosen to lead for good reasons",
+      "I don't need every answer to lead well",
+      "My team's strengths make us stronger",
+      "Learning to lead is a skill I am building",
+      "Honest feedback is a gift to my team",
+      "I can handle hard conversations with care",
+      "Supporting my team is real work",
+      "I ask good questions",
+      "I listen, and that builds trust",
+      "Every leader started where I am",
+      "I make thoughtful decisions",
+      "I grow alongside my team",
+      "My care for people is a strength",
+      "I am becoming the manager I wanted to have",
+      "I belong in this role"
+    ],
+    reframes: {
+      "My team will realise I'm not ready to lead": "My team will see me grow as a leader",
+      "I was promoted by mistake": "I was chosen to lead for good reasons",
+      "I should have all the answers": "I don't need every answer to lead well",
+      "I'm not as good as my old manager": "I'm leading in my own way",
+      "My reports know more than I do": "My team's expertise makes us stronger",
+      "I'll make the wrong call and lose their trust": "Owning my calls, right or wrong, builds trust",
+      "I'm no longer doing real work": "Supporting my team is real work",
+      "Giving feedback will make them dislike me": "Honest feedback is a gift to my team",
+      "I can't handle difficult conversations": "I can handle hard conversations with care",
+      "Everyone can see I'm struggling": "Struggling while learning is normal",
+      "I'm failing my team": "I show up for my team, and that counts",
+      "Other managers have it all figured out": "Every leader started where I am",
+      "I don't have executive presence": "My presence is calm, honest and my own",
+      "I'll never be respected as a leader": "Respect comes from care, and I care",
+      "I'm just pretending to be a manager": "I'm becoming the manager I wanted to have"
+    }
+  },
+  {
+    id: 'parents',
+    name: 'Parents',
+    locale: 'en',
+    negativeThoughts: [
+      "Other parents have it all together",
+      "I'm failing my kids",
+      "I don't know what I'm doing as a parent",
+      "I should be more patient",
+      "Everyone is judging my parenting",
+      "I'm not doing enough for my family",
+      "I lost my temper, so I'm a bad parent",
+      "I can't balance work and family",
+      "My kids deserve someone better",
+      "I'm missing all the important moments",
+      "I should know how to handle this",
+      "I'm making mistakes that will harm them",
+      "Everyone else's kids are doing better",
+      "I have no idea if I'm doing this right",
+      "I'm not a natural parent"
+    ],
+    positiveAffirmations: [
+      "I am the parent my kids need",
+      "Love matters more than perfection",
+      "I am learning alongside my children",
+      "Repairing after mistakes teaches my kids",
+      "I am doing my best, and it is enough",
+      "My family is lucky to have me",
+      "Every parent figures it out as they go",
+      "I show up for my kids every day",
+      "Rest is part of good parenting",
+      "I trust my instincts",
+      "I notice what my children need",
+      "I am patient more often than I remember",
+      "Small moments make a big difference",
+      "My kids feel my love",
+      "I deserve kindness too"
+    ],
+    reframes: {
+      "Other parents have it all together": "Other parents are figuring it out too",
+      "I'm failing my kids": "I show up for my kids every day",
+      "I don't know what I'm doing as a parent": "Every parent figures it out as they go",
+      "I should be more patient": "I am patient more often than I remember",
+      "Everyone is judging my parenting": "I know my family best",
+      "I'm not doing enough for my family": "I am doing my best, and it is enough",
+      "I lost my temper, so I'm a bad parent": "Repairing after mistakes teaches my kids",
+      "I can't balance work and family": "Balance shifts, and I keep adjusting",
+      "My kids deserve someone better": "I am the parent my kids need",
+      "I'm missing all the important moments": "Small moments make a big difference",
+      "I should know how to handle this": "I can learn how to handle this",
+      "I'm making mistakes that will harm them": "Love matters more than perfection",
+      "Everyone else's kids are doing better": "My kids are growing at their own pace",
+      "I have no idea if I'm doing this right": "I notice what my children need",
+      "I'm not a natural parent": "Parenting is learned, and I'm learning"
+    }
+  }
+];
@@ -0,0 +1,587 @@
+// Canvas renderer for thought bubbles
+// Draws every bubble on one <canvas> from a single requestAnimationFrame loop. Text layout
+// is measured once per thought text and positions live in a spatial index, so a busy board
+// never touches DOM layout. Screen-reader announcements still come from app.js, but the
+// bubbles themselves aren't focusable; the DOM renderer is the accessible choice.
+
+import { SpatialGrid, findFreePosition } from './spatial-index.js';
+import { ThoughtMotion } from './thought-motion.js';
+
+const PADDING_X = 20;
+const PADDING_Y = 16;
+const MAX_WIDTH = 280;
+const MIN_HEIGHT = 64;
+const CORNER_RADIUS = 16;
+const TEXT_SIZE = 14;
+const LINE_HEIGHT = TEXT_SIZE * 1.4;
+const TAG_SIZE = 10;
+const TAG_GAP = 4;
+const GLOW_PADDING = 24; // room around a cached bitmap for the bubble's glow
+
+const SPAWN_ANIMATION_MS = 600;
+const EXIT_ANIMATION_MS = 400;
+const AREA_RECT_MAX_AGE = 100; // ms a cached canvas rect is trusted before it's read again
+
+const easeOut = (t) => 1 - Math.pow(1 - t, 3);
+
+/**
+ * Role tag drawn above a bubble's text
+ */
+function tagText(isPositive, isPersonal) {
+  return `${isPositive ? '★' : '✊'} ${isPersonal ? 'YOUR ' : ''}${isPositive ? 'AFFIRMATION' : 'DOUBT'}`;
+}
+
+/**
+ * Trace a rounded rectangle path (ctx.roundRect isn't available everywhere)
+ */
+function traceRoundedRect(ctx, x, y, width, height, radius) {
+  const r = Math.min(radius, width / 2, height / 2);
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.lineTo(x + width - r, y);
+  ctx.arcTo(x + width, y, x + width, y + r, r);
+  ctx.lineTo(x + width, y + height - r);
+  ctx.arcTo(x + width, y + height, x + width - r, y + height, r);
+  ctx.lineTo(x + r, y + height);
+  ctx.arcTo(x, y + height, x, y + height - r, r);
+  ctx.lineTo(x, y + r);
+  ctx.arcTo(x, y, x + r, y, r);
+  ctx.closePath();
+}
+
+export class CanvasRenderer {
+  /**
+   * @param {HTMLElement} gameArea - Container the canvas is added to
+   */
+  constructor(gameArea) {
+    this.type = 'canvas';
+    this.gameArea = gameArea;
+    this.canvas = null;
+    this.ctx = null;
+    this.sprites = new Map(); // id -> sprite, including bubbles still animating out
+    this.grid = new SpatialGrid();
+    this.motion = new ThoughtMotion(this.grid);
+    this.layoutCache = new Map(); // "type|text" -> { lines, width, height }
+    this.bitmapCache = new Map(); // "type|text" -> pre-rendered bubble canvas
+    this.theme = null;
+    this.frameHandle = null;
+    this.lastFrameAt = null;
+    this.resizeObserver = null;
+    this.areaSize = { width: 0, height: 0 };
+    this.areaRect = null;
+    this.areaRectReadAt = 0;
+    this.pausedAt = null;
+    this.pausedTotal = 0;
+    this.isDirty = true;
+    this.fps = 0;
+    this.frameCount = 0;
+    this.fpsWindowStart = 0;
+
+    this.frame = this.frame.bind(this);
+    this.handleResize = this.handleResize.bind(this);
+    this.invalidateAreaRect = () => { this.areaRect = null; };
+  }
+
+  mount() {
+    if (this.canvas) return;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'thought-canvas';
+    this.canvas.setAttribute('aria-hidden', 'true');
+    this.gameArea.prepend(this.canvas);
+    this.ctx = this.canvas.getContext('2d');
+
+    this.theme = this.readTheme();
+    this.handleResize();
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(this.handleResize);
+      this.resizeObserver.observe(this.gameArea);
+    }
+    window.addEventListener('resize', this.handleResize);
+    window.addEventListener('scroll', this.invalidateAreaRect, true);
+
+    this.fpsWindowStart = performance.now();
+    this.frameHandle = requestAnimationFrame(this.frame);
+  }
+
+  unmount() {
+    if (!this.canvas) return;
+
+    cancelAnimationFrame(this.frameHandle);
+    this.frameHandle = null;
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    this.resizeObserver = null;
+    window.removeEventListener('resize', this.handleResize);
+    window.removeEventListener('scroll', this.invalidateAreaRect, true);
+
+    this.clear();
+    this.canvas.remove();
+    this.canvas = null;
+    this.ctx = null;
+  }
+
+  /**
+   * Colors and font from the stylesheet, so the canvas matches the DOM bubbles
+   */
+  readTheme() {
+    const rootStyle = getComputedStyle(document.documentElement);
+    const read = (name, fallback) => rootStyle.getPropertyValue(name).trim() || fallback;
+
+    return {
+      fontFamily: getComputedStyle(this.gameArea).fontFamily || 'sans-serif',
+      negative: read('--color-accent-red', '#FF453A'),
+      negativeRgb: read('--color-accent-red-rgb', '255, 69, 58'),
+      positive: read('--color-secondary', '#34C759'),
+      positiveRgb: read('--color-secondary-rgb', '52, 199, 89')
+    };
+  }
+
+  handleResize() {
+    if (!this.canvas) return;
+
+    this.areaRect = null;
+    const width = this.gameArea.clientWidth;
+    const height = this.gameArea.clientHeight;
+    const ratio = window.devicePixelRatio || 1;
+    this.areaSize = { width, height };
+    this.motion.setBounds(this.areaSize);
+
+    if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+      this.canvas.width = Math.round(width * ratio);
+      this.canvas.height = Math.round(height * ratio);
+      this.canvas.style.width = width + 'px';
+      this.canvas.style.height = height + 'px';
+      this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      this.isDirty = true;
+    }
+  }
+
+  /**
+   * Game area position in client coordinates (cached briefly)
+   */
+  getAreaRect() {
+    const now = performance.now();
+    if (!this.areaRect || now - this.areaRectReadAt > AREA_RECT_MAX_AGE) {
+      this.areaRect = this.gameArea.getBoundingClientRect();
+      this.areaRectReadAt = now;
+    }
+    return this.areaRect;
+  }
+
+  /**
+   * Animation time, frozen while paused
+   */
+  now() {
+    const current = this.pausedAt !== null ? this.pausedAt : performance.now();
+    return current - this.pausedTotal;
+  }
+
+  /**
+   * Wrap a thought's text and size its bubble (cached per text)
+   */
+  layout({ text, isPositive, isPersonal }) {
+    const key = `${isPositive ? 'positive' : 'negative'}${isPersonal ? '-personal' : ''}|${text}`;
+    if (this.layoutCache.has(key)) return this.layoutCache.get(key);
+
+    const ctx = this.ctx;
+    const maxTextWidth = MAX_WIDTH - PADDING_X * 2;
+    ctx.font = `500 ${TEXT_SIZE}px ${this.theme.fontFamily}`;
+
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(candidate).width > maxTextWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    if (line) lines.push(line);
+
+    const textWidth = Math.max(...lines.map(item => ctx.measureText(item).width));
+    ctx.font = `600 ${TAG_SIZE}px ${this.theme.fontFamily}`;
+    const tagWidth = ctx.measureText(tagText(isPositive, isPersonal)).width;
+
+    const layout = {
+      lines,
+      width: Math.min(MAX_WIDTH, Math.ceil(Math.max(textWidth, tagWidth)) + PADDING_X * 2),
+      height: Math.max(MIN_HEIGHT, Math.ceil(TAG_SIZE + TAG_GAP + lines.length * LINE_HEIGHT + PADDING_Y * 2))
+    };
+    this.layoutCache.set(key, layout);
+    return layout;
+  }
+
+  /**
+   * Render a spawned thought
+   * @param {object} thought - Thought from the session ({ id, text, isPositive })
+   * @param {function(): number} random - Session layout random generator for placement and motion
+   * @param {object} [motion] - { pattern, lifetime } to keep the bubble moving (see thought-motion.js),
+   *   and an optional { position } to place it at instead of finding a free spot
+   * @returns {object} { x, y } position relative to the game area
+   */
+  addThought(thought, random, motion = {}) {
+    const layout = this.layout(thought);
+    const position = motion.position || findFreePosition(this.grid, this.areaSize, layout, random);
+
+    this.sprites.set(thought.id, {
+      id: thought.id,
+      text: thought.text,
+      isPositive: thought.isPositive,
+      isPersonal: Boolean(thought.isPersonal),
+      lines: layout.lines,
+      x: position.x,
+      y: position.y,
+      width: layout.width,
+      height: layout.height,
+      scale: 1,
+      bornAt: this.now(),
+      flippedIn: false, // turned over from another bubble instead of fading in
+      exit: null,
+      absorb: null
+    });
+    this.grid.insert(thought.id, { ...position, width: layout.width, height: layout.height });
+    if (motion.pattern) {
+      this.motion.add(thought.id, { ...position, width: layout.width, height: layout.height }, { ...motion, random });
+      this.applyMotion(this.sprites.get(thought.id));
+    }
+    this.isDirty = true;
+    return position;
+  }
+
+  /**
+   * Turn a bubble over to show another thought where it was (a doubt becoming its reframe)
+   * @param {number} id - Thought id of the bubble to turn over
+   * @param {object} thought - Thought for the other side ({ id, text, isPositive })
+   * @param {function(): number} random - Session layout random generator for motion
+   * @param {object} [motion] - { pattern, lifetime } to keep the new bubble moving
+   * @returns {object} { x, y } position relative to the game area
+   */
+  flipThought(id, thought, random, motion = {}) {
+    const sprite = this.sprites.get(id);
+    if (!sprite || sprite.exit) return this.addThought(thought, random, motion);
+
+    const position = { x: sprite.x, y: sprite.y };
+    this.removeThought(id, { type: 'flip' });
+    this.addThought(thought, random, { ...motion, position });
+    this.sprites.get(thought.id).flippedIn = true;
+    return position;
+  }
+
+  /**
+   * Copy a bubble's moved position and scale onto its sprite
+   */
+  applyMotion(sprite) {
+    const position = this.motion.get(sprite.id);
+    if (!position) return;
+
+    sprite.x = position.x;
+    sprite.y = position.y;
+    sprite.scale = position.scale;
+  }
+
+  /**
+   * Move a scripted bubble (see MOTION_PATTERNS.SCRIPTED)
+   * @param {number} id - Thought id
+   * @param {object} position - { x, y } relative to the game area
+   */
+  moveThought(id, position) {
+    const sprite = this.sprites.get(id);
+    if (!sprite || sprite.exit) return;
+
+    this.motion.moveTo(id, position);
+    this.applyMotion(sprite);
+    this.isDirty = true;
+  }
+
+  /**
+   * How fast moving bubbles go (follows the level)
+   * @param {number} speed - Multiplier for the motion patterns' speeds
+   */
+  setMotionSpeed(speed) {
+    this.motion.setSpeed(speed);
+  }
+
+  /**
+   * Where orbiting bubbles circle, relative to the game area
+   * @param {object|null} anchor - { x, y }
+   */
+  setMotionAnchor(anchor) {
+    this.motion.setAnchor(anchor);
+  }
+
+  hasThought(id) {
+    const sprite = this.sprites.get(id);
+    return Boolean(sprite && !sprite.exit);
+  }
+
+  /**
+   * Client rectangle of a bubble
+   * @param {number} id - Thought id
+   * @returns {object|null} { left, top, right, bottom, width, height }
+   */
+  getThoughtRect(id) {
+    const sprite = this.sprites.get(id);
+    if (!sprite) return null;
+
+    const areaRect = this.getAreaRect();
+    const width = sprite.width * sprite.scale;
+    const height = sprite.height * sprite.scale;
+    const left = areaRect.left + sprite.x + (sprite.width - width) / 2;
+    const top = areaRect.top + sprite.y + (sprite.height - height) / 2;
+    return { left, top, right: left + width, bottom: top + height, width, height };
+  }
+
+  /**
+   * Bubbles that can be punched or absorbed, with client rectangles for hit testing
+   * @returns {object[]} [{ id, isPositive, rect }]
+   */
+  getTargets() {
+    const targets = [];
+    this.sprites.forEach(sprite => {
+      if (!sprite.exit) {
+        targets.push({ id: sprite.id, isPositive: sprite.isPositive, rect: this.getThoughtRect(sprite.id) });
+      }
+    });
+    return targets;
+  }
+
+  /**
+   * Show or hide the absorb ring on an affirmation
+   * @param {number} id - Thought id
+   * @param {number|null} duration - Dwell time in ms, or null to stop
+   */
+  setAbsorbing(id, duration) {
+    const sprite = this.sprites.get(id);
+    if (!sprite || sprite.exit) return;
+
+    // A bubble being absorbed holds still under the pointer
+    sprite.absorb = duration ? { startedAt: this.now(), duration } : null;
+    this.motion.setHeld(id, Boolean(duration));
+    this.isDirty = true;
+  }
+
+  /**
+   * Take a bubble off the board
+   * @param {number} id - Thought id
+   * @param {object|null} exit - { type: 'punch' | 'swipe' | 'absorb' | 'flip', direction } to animate out,
+   *   null to remove at once
+   */
+  removeThought(id, exit = null) {
+    const sprite = this.sprites.get(id);
+    if (!sprite || sprite.exit) return;
+
+    this.motion.remove(id);
+    this.grid.remove(id);
+    this.isDirty = true;
+
+    if (!exit) {
+      this.sprites.delete(id);
+      return;
+    }
+
+    sprite.absorb = null;
+    sprite.exit = { type: exit.type, direction: exit.direction || null, startedAt: this.now() };
+  }
+
+  getFocusableElements() {
+    return [];
+  }
+
+  setPaused(paused) {
+    if (paused && this.pausedAt === null) {
+      this.pausedAt = performance.now();
+    } else if (!paused && this.pausedAt !== null) {
+      this.pausedTotal += performance.now() - this.pausedAt;
+      this.pausedAt = null;
+    }
+  }
+
+  clear() {
+    this.sprites.clear();
+    this.motion.clear();
+    this.grid.clear();
+    this.isDirty = true;
+  }
+
+  frame(timestamp) {
+    this.frameHandle = requestAnimationFrame(this.frame);
+
+    this.frameCount++;
+    if (timestamp - this.fpsWindowStart >= 1000) {
+      this.fps = Math.round(this.frameCount * 1000 / (timestamp - this.fpsWindowStart));
+      this.frameCount = 0;
+      this.fpsWindowStart = timestamp;
+    }
+
+    const elapsed = this.lastFrameAt === null ? 0 : timestamp - this.lastFrameAt;
+    this.lastFrameAt = timestamp;
+    if (this.pausedAt === null && this.motion.size > 0) {
+      this.motion.step(elapsed).forEach(id => this.applyMotion(this.sprites.get(id)));
+    }
+
+    // Nothing on the board and nothing changed: skip the redraw
+    if (this.sprites.size === 0 && !this.isDirty) return;
+    this.isDirty = false;
+
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    const now = this.now();
+    this.sprites.forEach(sprite => {
+      if (sprite.exit && now - sprite.exit.startedAt >= EXIT_ANIMATION_MS) {
+        this.sprites.delete(sprite.id);
+        this.isDirty = true;
+        return;
+      }
+      this.drawSprite(ctx, sprite, now);
+    });
+  }
+
+  /**
+   * Pre-render a bubble (fill, glow, border, tag and text) once per text so each
+   * frame is a single drawImage
+   */
+  getBitmap(sprite) {
+    const key = `${sprite.isPositive ? 'positive' : 'negative'}${sprite.isPersonal ? '-personal' : ''}|${sprite.text}`;
+    if (this.bitmapCache.has(key)) return this.bitmapCache.get(key);
+
+    const { width, height } = sprite;
+    const ratio = window.devicePixelRatio || 1;
+    const bitmap = document.createElement('canvas');
+    bitmap.width = Math.ceil((width + GLOW_PADDING * 2) * ratio);
+    bitmap.height = Math.ceil((height + GLOW_PADDING * 2) * ratio);
+
+    const ctx = bitmap.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.translate(GLOW_PADDING, GLOW_PADDING);
+
+    const color = sprite.isPositive ? this.theme.positive : this.theme.negative;
+    const rgb = sprite.isPositive ? this.theme.positiveRgb : this.theme.negativeRgb;
+
+    // Bubble
+    traceRoundedRect(ctx, 0, 0, width, height, CORNER_RADIUS);
+    ctx.shadowColor = `rgba(${rgb}, 0.3)`;
+    ctx.shadowBlur = 20;
+    ctx.fillStyle = `rgba(${rgb}, 0.1)`;
+    ctx.fill();
+    ctx.shadowBlur = 0;
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = color;
+    ctx.stroke();
+
+    // Role tag and text
+    ctx.fillStyle = color;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    const contentHeight = TAG_SIZE + TAG_GAP + sprite.lines.length * LINE_HEIGHT;
+    let textY = (height - contentHeight) / 2;
+
+    ctx.font = `600 ${TAG_SIZE}px ${this.theme.fontFamily}`;
+    ctx.globalAlpha = 0.85;
+    ctx.fillText(tagText(sprite.isPositive, sprite.isPersonal), width / 2, textY);
+    textY += TAG_SIZE + TAG_GAP;
+
+    ctx.globalAlpha = 1;
+    ctx.font = `500 ${TEXT_SIZE}px ${this.theme.fontFamily}`;
+    sprite.lines.forEach(line => {
+      ctx.fillText(line, width / 2, textY + (LINE_HEIGHT - TEXT_SIZE) / 2);
+      textY += LINE_HEIGHT;
+    });
+
+    this.bitmapCache.set(key, bitmap);
+    return bitmap;
+  }
+
+  drawSprite(ctx, sprite, now) {
+    let alpha = 1;
+    let scale = sprite.scale;
+    let scaleX = 1; // squeezed to 0 at the edge of a flip
+    let offsetX = 0;
+    let offsetY = 0;
+
+    // Fade in, or finish turning over in the second half of a flip
+    const age = now - sprite.bornAt;
+    if (sprite.flippedIn) {
+      if (age < EXIT_ANIMATION_MS) {
+        scaleX = Math.max(0, (age - EXIT_ANIMATION_MS / 2) / (EXIT_ANIMATION_MS / 2));
+      }
+    } else if (age < SPAWN_ANIMATION_MS) {
+      const t = easeOut(age / SPAWN_ANIMATION_MS);
+      alpha = t;
+      scale *= 0.8 + 0.2 * t;
+      offsetY = 30 * (1 - t);
+    }
+
+    // Doubts twitch every few seconds
+    if (!sprite.isPositive) {
+      const phase = (age % 3000) / 3000;
+      if (phase < 0.04) offsetX = phase < 0.02 ? -1 : 1;
+    }
+
+    if (sprite.exit) {
+      const t = Math.min(1, (now - sprite.exit.startedAt) / EXIT_ANIMATION_MS);
+      if (sprite.exit.type === 'flip') {
+        scaleX = Math.max(0, 1 - t * 2); // edge-on halfway, where the other side takes over
+      } else {
+        alpha *= 1 - t;
+        if (sprite.exit.type === 'swipe' && sprite.exit.direction) {
+          offsetX += sprite.exit.direction.x * 160 * easeOut(t);
+          offsetY += sprite.exit.direction.y * 160 * easeOut(t);
+          scale *= 1 - 0.4 * t;
+        } else if (sprite.exit.type === 'absorb') {
+          scale *= t < 0.4 ? 1 + 0.2 * t : 1.08 - 0.78 * ((t - 0.4) / 0.6);
+        } else {
+          scale *= t < 0.3 ? 1 + t / 3 : 1.1 * (1 - (t - 0.3) / 0.7);
+        }
+      }
+    }
+
+    if (alpha <= 0 || scale <= 0 || scaleX <= 0) return;
+
+    const { width, height } = sprite;
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.translate(sprite.x + width / 2 + offsetX, sprite.y + height / 2 + offsetY);
+    ctx.scale(scale * scaleX, scale);
+
+    ctx.drawImage(
+      this.getBitmap(sprite),
+      -width / 2 - GLOW_PADDING,
+      -height / 2 - GLOW_PADDING,
+      width + GLOW_PADDING * 2,
+      height + GLOW_PADDING * 2
+    );
+
+    // Absorb ring filling clockwise around the bubble
+    if (sprite.absorb) {
+      const progress = Math.min(1, (now - sprite.absorb.startedAt) / sprite.absorb.duration);
+      const ringWidth = width + 10;
+      const ringHeight = height + 10;
+      const radius = CORNER_RADIUS + 4;
+      const perimeter = 2 * (ringWidth + ringHeight) - (8 - 2 * Math.PI) * radius;
+
+      traceRoundedRect(ctx, -ringWidth / 2, -ringHeight / 2, ringWidth, ringHeight, radius);
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = this.theme.positive;
+      ctx.setLineDash([progress * perimeter, perimeter]);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    ctx.restore();
+  }
+
+  getStatus() {
+    return {
+      type: this.type,
+      thoughts: this.sprites.size,
+      moving: this.motion.size,
+      cachedLayouts: this.layoutCache.size,
+      cachedBitmaps: this.bitmapCache.size,
+      fps: this.fps
+    };
+  }
+}
@@ -1,11 +1,14 @@
 // Environment configuration for AWS Polly TTS
 // Note: In production, these should be loaded securely, not hardcoded
 
+// Calling Polly straight from the browser is for the dev server only: Vite replaces
+// import.meta.env.DEV with false in production builds and drops the keys with the dead branch,
+// so a deployed bundle never carries AWS credentials (use the TTS proxy or pre-synthesized clips)
 export const awsConfig = {
   region: 'us-east-1',
   credentials: {
-    accessKeyId: import.meta.env?.VITE_AWS_ACCESS_KEY_ID || 'YOUR_AWS_ACCESS_KEY_ID',
-    secretAccessKey: import.meta.env?.VITE_AWS_SECRET_ACCESS_KEY || 'YOUR_AWS_SECRET_ACCESS_KEY'
+    accessKeyId: (import.meta.env?.DEV && import.meta.env.VITE_AWS_ACCESS_KEY_ID) || 'YOUR_AWS_ACCESS_KEY_ID',
+    secretAccessKey: (import.meta.env?.DEV && import.meta.env.VITE_AWS_SECRET_ACCESS_KEY) || 'YOUR_AWS_SECRET_ACCESS_KEY'
   }
 };
 
@@ -14,4 +17,10 @@ export const pollyConfig = {
   voiceId: 'Joanna',
   outputFormat: 'mp3',
   engine: 'standard'
-};
\ No newline at end of file
+};
+
+// Server-side TTS proxy (scripts/tts-proxy.js). When set, the browser sends text to this URL
+// instead of calling Polly itself, and the AWS credentials above aren't needed in the bundle.
+export const ttsProxyConfig = {
+  url: import.meta.env?.VITE_TTS_PROXY_URL || ''
+};
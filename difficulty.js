@@ -0,0 +1,69 @@
+// Difficulty curve for the boxing game
+// Each level scales the mode's base spawn intervals and negative-thought lifetime,
+// caps how many doubts can be on screen at once and sets how fast thoughts move. Level 3 (the 50% start)
+// plays exactly like the base rules; the last stretch to 100% is the hardest.
+
+/**
+ * Tunable difficulty table, indexed by level (see GameSession.levelForConfidence)
+ * - spawnIntervalScale: multiplier for negative/positive spawn intervals (lower = faster)
+ * - lifetimeScale: multiplier for how long a negative thought stays before expiring
+ * - maxActiveNegatives: most negative thoughts allowed on screen at the same time
+ * - motionSpeedScale: multiplier for how fast thought bubbles move (see thought-motion.js)
+ */
+export const DIFFICULTY_CURVE = [
+  { level: 1, label: 'Warm Up', spawnIntervalScale: 1.2, lifetimeScale: 1.2, maxActiveNegatives: 2, motionSpeedScale: 0.6 },   // 0 - 19%
+  { level: 2, label: 'Finding Rhythm', spawnIntervalScale: 1.1, lifetimeScale: 1.1, maxActiveNegatives: 2, motionSpeedScale: 0.8 }, // 20 - 39%
+  { level: 3, label: 'In The Ring', spawnIntervalScale: 1.0, lifetimeScale: 1.0, maxActiveNegatives: 3, motionSpeedScale: 1.0 }, // 40 - 59%
+  { level: 4, label: 'Heating Up', spawnIntervalScale: 0.85, lifetimeScale: 0.85, maxActiveNegatives: 4, motionSpeedScale: 1.25 }, // 60 - 79%
+  { level: 5, label: 'Final Rounds', spawnIntervalScale: 0.7, lifetimeScale: 0.7, maxActiveNegatives: 5, motionSpeedScale: 1.5 }, // 80 - 99%
+  { level: 6, label: 'Champion', spawnIntervalScale: 0.6, lifetimeScale: 0.6, maxActiveNegatives: 6, motionSpeedScale: 1.7 }  // 100%
+];
+
+// Never spawn or expire faster than this, whatever the table says
+const MIN_SPAWN_INTERVAL = 600;
+const MIN_NEGATIVE_LIFETIME = 1500;
+
+/**
+ * Get the curve entry for a level, clamped to the first/last entry
+ * @param {number} level - Current level
+ * @param {Array} curve - Difficulty table
+ * @returns {object} Curve entry
+ */
+export function getDifficultyForLevel(level, curve = DIFFICULTY_CURVE) {
+  const entry = curve.find(item => item.level === level);
+  if (entry) return entry;
+
+  return level < curve[0].level ? curve[0] : curve[curve.length - 1];
+}
+
+/**
+ * Resolve concrete spawn settings for a level from the session rules
+ * @param {object} rules - Session rules (base intervals, lifetime and difficultyCurve)
+ * @param {number} level - Current level
+ * @returns {object} { level, label, negativeSpawnInterval, positiveSpawnInterval, negativeLifetime, maxActiveNegatives, motionSpeed }
+ */
+export function resolveDifficulty(rules, level) {
+  // A mode without a curve (e.g. Zen) keeps the same pace for the whole session
+  if (!rules.difficultyCurve || rules.difficultyCurve.length === 0) {
+    return {
+      level,
+      label: null,
+      negativeSpawnInterval: rules.negativeSpawnInterval,
+      positiveSpawnInterval: rules.positiveSpawnInterval,
+      negativeLifetime: rules.negativeLifetime,
+      maxActiveNegatives: Infinity,
+      motionSpeed: rules.motionSpeed
+    };
+  }
+
+  const entry = getDifficultyForLevel(level, rules.difficultyCurve);
+  return {
+    level,
+    label: entry.label || null,
+    negativeSpawnInterval: Math.max(MIN_SPAWN_INTERVAL, Math.round(rules.negativeSpawnInterval * entry.spawnIntervalScale)),
+    positiveSpawnInterval: Math.max(MIN_SPAWN_INTERVAL, Math.round(rules.positiveSpawnInterval * entry.spawnIntervalScale)),
+    negativeLifetime: Math.max(MIN_NEGATIVE_LIFETIME, Math.round(rules.negativeLifetime * entry.lifetimeScale)),
+    maxActiveNegatives: entry.maxActiveNegatives,
+    motionSpeed: rules.motionSpeed * (entry.motionSpeedScale ?? 1)
+  };
+}
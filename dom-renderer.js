@@ -0,0 +1,348 @@
+// DOM renderer for thought bubbles
+// Each thought is a focusable element with an accessible name, so this renderer is the
+// accessible default. Bubble sizes are measured once per text and positions live in a
+// spatial index, so placement and hit testing don't read layout for every bubble.
+// Moving bubbles are stepped from one requestAnimationFrame loop and shifted with the CSS
+// translate and scale properties, which leave the bubble animations' transforms alone.
+
+import { SpatialGrid, findFreePosition } from './spatial-index.js';
+import { ThoughtMotion } from './thought-motion.js';
+import { describeThought, moveFocusFromRemovedThought } from './accessibility.js';
+
+const EXIT_ANIMATION_MS = 400;
+const AREA_RECT_MAX_AGE = 100; // ms a cached game area rect is trusted before it's read again
+
+export class DomRenderer {
+  /**
+   * @param {HTMLElement} gameArea - Container for the bubbles
+   * @param {object} callbacks
+   * @param {Function} callbacks.onPunch - Called with (id, hit) for clicks and Space/Enter
+   * @param {Function} callbacks.onAbsorb - Called with (id) when A is pressed on an affirmation
+   */
+  constructor(gameArea, { onPunch, onAbsorb }) {
+    this.type = 'dom';
+    this.gameArea = gameArea;
+    this.onPunch = onPunch;
+    this.onAbsorb = onAbsorb;
+    this.thoughts = new Map(); // id -> { id, isPositive, text, element, placedAt } for bubbles that can still be hit
+    this.grid = new SpatialGrid();
+    this.motion = new ThoughtMotion(this.grid);
+    this.sizeCache = new Map(); // "type|text" -> { width, height }
+    this.areaRect = null;
+    this.areaRectReadAt = 0;
+    this.frameHandle = null;
+    this.lastFrameAt = null;
+    this.isPaused = false;
+
+    this.frame = this.frame.bind(this);
+    this.invalidateAreaRect = () => { this.areaRect = null; };
+  }
+
+  mount() {
+    window.addEventListener('resize', this.invalidateAreaRect);
+    window.addEventListener('scroll', this.invalidateAreaRect, true);
+    this.frameHandle = requestAnimationFrame(this.frame);
+  }
+
+  unmount() {
+    this.clear();
+    cancelAnimationFrame(this.frameHandle);
+    this.frameHandle = null;
+    window.removeEventListener('resize', this.invalidateAreaRect);
+    window.removeEventListener('scroll', this.invalidateAreaRect, true);
+  }
+
+  /**
+   * Game area position in client coordinates (cached briefly)
+   */
+  getAreaRect() {
+    const now = performance.now();
+    if (!this.areaRect || now - this.areaRectReadAt > AREA_RECT_MAX_AGE) {
+      this.areaRect = this.gameArea.getBoundingClientRect();
+      this.areaRectReadAt = now;
+    }
+    return this.areaRect;
+  }
+
+  createElement({ id, text, isPositive, isPersonal }) {
+    const element = document.createElement('div');
+    element.className = `thought-bubble ${isPositive ? 'positive' : 'negative'}${isPersonal ? ' personal' : ''}`;
+    element.dataset.thoughtId = id;
+
+    // Focusable button named by its role, with a visible tag so color isn't the only cue
+    element.setAttribute('role', 'button');
+    element.setAttribute('tabindex', '0');
+    element.setAttribute('aria-label', describeThought(text, isPositive));
+
+    const tag = document.createElement('span');
+    tag.className = 'thought-bubble__tag';
+    tag.setAttribute('aria-hidden', 'true');
+    tag.textContent = `${isPersonal ? 'Your ' : ''}${isPositive ? 'Affirmation' : 'Doubt'}`;
+
+    const textElement = document.createElement('span');
+    textElement.className = 'thought-bubble__text';
+    textElement.textContent = text;
+
+    element.append(tag, textElement);
+    return element;
+  }
+
+  /**
+   * Size of a bubble, measured off-screen the first time a text is shown
+   */
+  measure(element, { text, isPositive }) {
+    const key = `${isPositive ? 'positive' : 'negative'}|${text}`;
+    if (this.sizeCache.has(key)) return this.sizeCache.get(key);
+
+    element.style.visibility = 'hidden';
+    element.style.left = '-9999px';
+    this.gameArea.appendChild(element);
+    const rect = element.getBoundingClientRect();
+    this.gameArea.removeChild(element);
+    element.style.visibility = '';
+
+    const size = { width: rect.width, height: rect.height };
+    this.sizeCache.set(key, size);
+    return size;
+  }
+
+  /**
+   * Render a spawned thought
+   * @param {object} thought - Thought from the session ({ id, text, isPositive })
+   * @param {function(): number} random - Session layout random generator for placement and motion
+   * @param {object} [motion] - { pattern, lifetime } to keep the bubble moving (see thought-motion.js),
+   *   and an optional { position } to place it at instead of finding a free spot
+   * @returns {object} { x, y } position relative to the game area
+   */
+  addThought(thought, random, motion = {}) {
+    const element = this.createElement(thought);
+    const size = this.measure(element, thought);
+    const areaRect = this.getAreaRect();
+    const position = motion.position || findFreePosition(this.grid, areaRect, size, random);
+    this.motion.setBounds(areaRect);
+
+    element.style.left = position.x + 'px';
+    element.style.top = position.y + 'px';
+
+    // Pointers punch through the game area's PointerInput; this catches clicks that
+    // don't come from a pointer, such as activation by assistive technology
+    element.addEventListener('click', event => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.onPunch(thought.id, event.detail !== 0 ? { x: event.clientX, y: event.clientY } : null);
+    });
+
+    // Space or Enter punches the focused thought, A absorbs a focused affirmation
+    element.addEventListener('keydown', event => {
+      if (thought.isPositive && (event.key === 'a' || event.key === 'A')) {
+        event.preventDefault();
+        this.onAbsorb(thought.id);
+        return;
+      }
+
+      if (event.key !== ' ' && event.key !== 'Enter') return;
+      event.preventDefault();
+      event.stopPropagation();
+      this.onPunch(thought.id, null);
+    });
+
+    this.gameArea.appendChild(element);
+    this.grid.insert(thought.id, { ...position, ...size });
+    this.thoughts.set(thought.id, { id: thought.id, text: thought.text, isPositive: thought.isPositive, element, placedAt: position });
+    if (motion.pattern) {
+      this.motion.add(thought.id, { ...position, ...size }, { ...motion, random });
+      this.applyMotion(thought.id);
+    }
+    return position;
+  }
+
+  /**
+   * Turn a bubble over to show another thought where it was (a doubt becoming its reframe)
+   * @param {number} id - Thought id of the bubble to turn over
+   * @param {object} thought - Thought for the other side ({ id, text, isPositive })
+   * @param {function(): number} random - Session layout random generator for motion
+   * @param {object} [motion] - { pattern, lifetime } to keep the new bubble moving
+   * @returns {object} { x, y } position relative to the game area
+   */
+  flipThought(id, thought, random, motion = {}) {
+    const rect = this.grid.get(id);
+    if (!rect) return this.addThought(thought, random, motion);
+
+    const hadFocus = document.activeElement === this.thoughts.get(id).element;
+    this.removeThought(id, { type: 'flip' });
+    const position = this.addThought(thought, random, { ...motion, position: { x: rect.x, y: rect.y } });
+
+    const { element } = this.thoughts.get(thought.id);
+    element.classList.add('flipped-in');
+    if (hadFocus) element.focus();
+    return position;
+  }
+
+  /**
+   * Move a bubble's element to where its motion has taken it
+   */
+  applyMotion(id) {
+    const thought = this.thoughts.get(id);
+    const position = this.motion.get(id);
+    if (!thought || !position) return;
+
+    const { element, placedAt } = thought;
+    element.style.translate = `${(position.x - placedAt.x).toFixed(1)}px ${(position.y - placedAt.y).toFixed(1)}px`;
+    element.style.scale = position.scale === 1 ? '' : position.scale.toFixed(3);
+  }
+
+  /**
+   * Move a scripted bubble (see MOTION_PATTERNS.SCRIPTED)
+   * @param {number} id - Thought id
+   * @param {object} position - { x, y } relative to the game area
+   */
+  moveThought(id, position) {
+    this.motion.moveTo(id, position);
+    this.applyMotion(id);
+  }
+
+  frame(timestamp) {
+    this.frameHandle = requestAnimationFrame(this.frame);
+
+    const elapsed = this.lastFrameAt === null ? 0 : timestamp - this.lastFrameAt;
+    this.lastFrameAt = timestamp;
+    if (this.isPaused || this.motion.size === 0) return;
+
+    // The area only changes size on resize, so its rect is only read again after one
+    if (!this.areaRect) this.motion.setBounds(this.getAreaRect());
+    this.motion.step(elapsed).forEach(id => this.applyMotion(id));
+  }
+
+  /**
+   * How fast moving bubbles go (follows the level)
+   * @param {number} speed - Multiplier for the motion patterns' speeds
+   */
+  setMotionSpeed(speed) {
+    this.motion.setSpeed(speed);
+  }
+
+  /**
+   * Where orbiting bubbles circle, relative to the game area
+   * @param {object|null} anchor - { x, y }
+   */
+  setMotionAnchor(anchor) {
+    this.motion.setAnchor(anchor);
+  }
+
+  hasThought(id) {
+    return this.thoughts.has(id);
+  }
+
+  /**
+   * Client rectangle of a bubble from the cached metrics
+   * @param {number} id - Thought id
+   * @returns {object|null} { left, top, right, bottom, width, height }
+   */
+  getThoughtRect(id) {
+    const rect = this.grid.get(id);
+    if (!rect) return null;
+
+    const areaRect = this.getAreaRect();
+    const left = areaRect.left + rect.x;
+    const top = areaRect.top + rect.y;
+    return { left, top, right: left + rect.width, bottom: top + rect.height, width: rect.width, height: rect.height };
+  }
+
+  /**
+   * Bubbles that can be punched or absorbed, with client rectangles for hit testing
+   * @returns {object[]} [{ id, isPositive, rect }]
+   */
+  getTargets() {
+    return Array.from(this.thoughts.values()).map(({ id, isPositive }) => ({
+      id,
+      isPositive,
+      rect: this.getThoughtRect(id)
+    }));
+  }
+
+  /**
+   * Show or hide the absorb ring on an affirmation
+   * @param {number} id - Thought id
+   * @param {number|null} duration - Dwell time in ms, or null to stop
+   */
+  setAbsorbing(id, duration) {
+    const thought = this.thoughts.get(id);
+    if (!thought) return;
+
+    // A bubble being absorbed holds still under the pointer
+    this.motion.setHeld(id, Boolean(duration));
+    if (duration) {
+      thought.element.style.setProperty('--dwell-duration', duration + 'ms');
+      thought.element.classList.add('absorbing');
+    } else {
+      thought.element.classList.remove('absorbing');
+    }
+  }
+
+  /**
+   * Take a bubble off the board
+   * @param {number} id - Thought id
+   * @param {object|null} exit - { type: 'punch' | 'swipe' | 'absorb' | 'flip', direction } to animate out,
+   *   null to remove at once
+   */
+  removeThought(id, exit = null) {
+    const thought = this.thoughts.get(id);
+    if (!thought) return;
+
+    const { element } = thought;
+    this.thoughts.delete(id);
+    this.motion.remove(id);
+    this.grid.remove(id);
+
+    // Don't drop keyboard focus onto the page when the focused bubble disappears
+    moveFocusFromRemovedThought(element, this.getFocusableElements(), this.gameArea);
+
+    if (!exit) {
+      element.remove();
+      return;
+    }
+
+    element.classList.remove('absorbing');
+    if (exit.type === 'swipe' && exit.direction) {
+      element.style.setProperty('--swipe-x', exit.direction.x.toFixed(3));
+      element.style.setProperty('--swipe-y', exit.direction.y.toFixed(3));
+      element.classList.add('swiped');
+    } else if (exit.type === 'absorb') {
+      element.classList.add('absorbed');
+    }
+    element.classList.add(exit.type === 'flip' ? 'flipped-out' : 'clicked');
+
+    setTimeout(() => {
+      element.remove();
+    }, EXIT_ANIMATION_MS);
+  }
+
+  /**
+   * Bubbles that keyboard users can move between
+   * @returns {HTMLElement[]}
+   */
+  getFocusableElements() {
+    return Array.from(this.thoughts.values()).map(thought => thought.element);
+  }
+
+  setPaused(paused) {
+    // CSS pauses the bubble animations through the game area's .paused class; motion stops here
+    this.isPaused = paused;
+  }
+
+  clear() {
+    this.thoughts.clear();
+    this.motion.clear();
+    this.grid.clear();
+    this.gameArea.querySelectorAll('.thought-bubble').forEach(element => element.remove());
+  }
+
+  getStatus() {
+    return {
+      type: this.type,
+      thoughts: this.thoughts.size,
+      moving: this.motion.size,
+      cachedSizes: this.sizeCache.size
+    };
+  }
+}
@@ -0,0 +1,246 @@
+// Game mode definitions
+// Each mode overrides the engine rules, decides how the session ends and
+// describes what the victory screen should say about it.
+
+const formatDuration = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return minutes > 0 ? `${minutes}m ${secs}s` : `${secs}s`;
+};
+
+const formatAccuracy = (accuracy) => accuracy === null || accuracy === undefined ? '—' : `${Math.round(accuracy * 100)}%`;
+
+export const GAME_MODES = {
+  classic: {
+    id: 'classic',
+    label: 'Classic',
+    description: 'Build your confidence from 50% to 100% to win.',
+    rules: {},
+    allowManualEnd: false,
+    summarize(summary) {
+      return {
+        headline: { value: Math.round(summary.confidence), unit: '%' },
+        subtitle: 'Champion Mindset Achieved',
+        lines: [
+          "You've reached 100% confidence and knocked out your imposter syndrome!",
+          'You fought like a true champion.',
+          'Remember: you are capable, you belong here, and you deserve your success.',
+          'Keep that fighting spirit!'
+        ],
+        stats: [
+          { label: 'Session Duration', value: formatDuration(summary.elapsedSeconds) },
+          { label: 'Final Score', value: summary.score },
+          { label: 'Thoughts Defeated', value: summary.thoughtsDefeated },
+          { label: 'Doubts Missed', value: summary.expired },
+          { label: 'Affirmations Absorbed', value: summary.affirmationsAbsorbed },
+          { label: 'Best Combo', value: summary.bestStreak },
+          { label: 'Accuracy', value: formatAccuracy(summary.accuracy) }
+        ]
+      };
+    }
+  },
+
+  timed: {
+    id: 'timed',
+    label: 'Timed',
+    description: 'A 90-second sprint. Score as much as you can before the bell.',
+    rules: {
+      timeLimit: 90000,
+      winAtMaxConfidence: false
+    },
+    allowManualEnd: false,
+    summarize(summary) {
+      return {
+        headline: { value: summary.score, unit: 'pts' },
+        subtitle: 'Sprint Complete',
+        lines: [
+          `You knocked out ${summary.thoughtsDefeated} doubts in ${formatDuration(summary.elapsedSeconds)}.`,
+          'Short, sharp and focused. A great way to warm up your mindset.'
+        ],
+        stats: [
+          { label: 'Final Score', value: summary.score },
+          { label: 'Thoughts Defeated', value: summary.thoughtsDefeated },
+          { label: 'Penalties', value: summary.penalties },
+          { label: 'Doubts Missed', value: summary.expired },
+          { label: 'Affirmations Absorbed', value: summary.affirmationsAbsorbed },
+          { label: 'Best Combo', value: summary.bestStreak },
+          { label: 'Accuracy', value: formatAccuracy(summary.accuracy) }
+        ]
+      };
+    }
+  },
+
+  endless: {
+    id: 'endless',
+    label: 'Endless',
+    description: 'No finish line. Keep going past 100% and build your best combo.',
+    rules: {
+      winAtMaxConfidence: false,
+      missConfidence: 3 // no finish line, so lingering doubts bite a little harder
+    },
+    allowManualEnd: true,
+    summarize(summary) {
+      return {
+        headline: { value: summary.bestStreak, unit: 'combo' },
+        subtitle: 'Endless Session Complete',
+        lines: [
+          `Your best combo was ${summary.bestStreak} doubts in a row without a slip.`,
+          'Consistency is what turns confidence into a habit.'
+        ],
+        stats: [
+          { label: 'Session Duration', value: formatDuration(summary.elapsedSeconds) },
+          { label: 'Best Combo', value: summary.bestStreak },
+          { label: 'Final Score', value: summary.score },
+          { label: 'Doubts Missed', value: summary.expired },
+          { label: 'Affirmations Absorbed', value: summary.affirmationsAbsorbed },
+          { label: 'Accuracy', value: formatAccuracy(summary.accuracy) }
+        ]
+      };
+    }
+  },
+
+  reframe: {
+    id: 'reframe',
+    label: 'Reframe',
+    description: 'Punch a doubt to turn it into its reframe, then let the reframe stay.',
+    rules: {
+      reframing: true
+    },
+    allowManualEnd: false,
+    summarize(summary) {
+      return {
+        headline: { value: summary.reframes, unit: 'reframed' },
+        subtitle: 'Thoughts Reframed',
+        lines: [
+          `You replaced ${summary.reframes} doubts with kinder, truer thoughts.`,
+          "A doubt you've replaced is easier to answer the next time it shows up.",
+          'Keep practising the reframes that felt hardest to believe.'
+        ],
+        stats: [
+          { label: 'Session Duration', value: formatDuration(summary.elapsedSeconds) },
+          { label: 'Thoughts Reframed', value: summary.reframes },
+          { label: 'Final Score', value: summary.score },
+          { label: 'Doubts Missed', value: summary.expired },
+          { label: 'Reframes Punched', value: summary.penalties },
+          { label: 'Reframes Absorbed', value: summary.affirmationsAbsorbed },
+          { label: 'Accuracy', value: formatAccuracy(summary.accuracy) }
+        ]
+      };
+    }
+  },
+
+  zen: {
+    id: 'zen',
+    label: 'Zen',
+    description: 'No score and no penalties. Slow, calm practice at your own pace.',
+    rules: {
+      winAtMaxConfidence: false,
+      scoringEnabled: false,
+      penaltiesEnabled: false,
+      missConfidence: 0,
+      knockdownEnabled: false,
+      difficultyCurve: null,
+      negativeSpawnInterval: 5000,
+      positiveSpawnInterval: 8000,
+      negativeLifetime: 9000,
+      motionSpeed: 0.5 // thoughts drift slowly, there's no rush
+    },
+    allowManualEnd: true,
+    summarize(summary) {
+      return {
+        headline: { value: summary.thoughtsDefeated, unit: 'released' },
+        subtitle: 'Zen Session Complete',
+        lines: [
+          `You spent ${formatDuration(summary.elapsedSeconds)} letting go of ${summary.thoughtsDefeated} doubts.`,
+          'Take that calm with you into the rest of your day.'
+        ],
+        stats: [
+          { label: 'Session Duration', value: formatDuration(summary.elapsedSeconds) },
+          { label: 'Thoughts Released', value: summary.thoughtsDefeated },
+          { label: 'Affirmations Absorbed', value: summary.affirmationsAbsorbed },
+          { label: 'Final Confidence', value: `${Math.round(summary.confidence)}%` }
+        ]
+      };
+    }
+  }
+};
+
+export const DEFAULT_MODE_ID = 'classic';
+
+/**
+ * Look up a game mode, falling back to the default mode for unknown ids
+ * @param {string} modeId - Mode id from the segmented control
+ * @returns {object} Game mode definition
+ */
+export function getGameMode(modeId) {
+  if (GAME_MODES[modeId]) {
+    return GAME_MODES[modeId];
+  }
+
+  if (modeId) {
+    console.warn(`GAME_MODES: Unknown mode '${modeId}', using '${DEFAULT_MODE_ID}'`);
+  }
+  return GAME_MODES[DEFAULT_MODE_ID];
+}
+
+/**
+ * Summary for a session that ended in a knockout (confidence hit 0% and the count ran out),
+ * the same in every mode
+ * @param {object} summary - Session summary from the 'end' event
+ * @returns {object} { headline, subtitle, lines, stats }, like a mode's summarize()
+ */
+export function summarizeKnockout(summary) {
+  const highestConfidence = Math.max(...summary.confidenceTimeline.map(point => point.confidence), summary.confidence);
+  const lines = [
+    'Your confidence reached 0% and the count ran out. It happens to everyone who steps into the ring.',
+    'Doubts hit hardest when they pile up. Noticing them is already the first step to answering them.'
+  ];
+  if (summary.recoveries > 0) {
+    lines.push(`You got back up ${summary.recoveries === 1 ? 'once' : `${summary.recoveries} times`} before this. That resilience is real.`);
+  }
+  lines.push('Rest, breathe, and step back in when you are ready.');
+
+  return {
+    headline: { value: summary.thoughtsDefeated, unit: 'punched' },
+    subtitle: 'This Round Is Over',
+    lines,
+    stats: [
+      { label: 'Time in the Ring', value: formatDuration(summary.elapsedSeconds) },
+      { label: 'Doubts Punched', value: summary.thoughtsDefeated },
+      { label: 'Highest Confidence', value: `${Math.round(highestConfidence)}%` },
+      { label: 'Times Back Up', value: summary.recoveries },
+      { label: 'Best Combo', value: summary.bestStreak }
+    ]
+  };
+}
+
+/**
+ * Summary for a session that went the distance in rounds, the same in every mode
+ * @param {object} summary - Session summary from the 'end' event
+ * @returns {object} { headline, subtitle, lines, stats }, like a mode's summarize()
+ */
+export function summarizeRounds(summary) {
+  const rounds = summary.roundResults.length;
+  const bestRound = summary.roundResults.reduce((best, result) => (
+    !best || result.thoughtsDefeated > best.thoughtsDefeated ? result : best
+  ), null);
+
+  const lines = [`You went the distance: ${rounds} rounds, bell to bell.`];
+  if (bestRound && bestRound.thoughtsDefeated > 0) {
+    lines.push(`Round ${bestRound.round} was your strongest, with ${bestRound.thoughtsDefeated} doubts punched.`);
+  }
+  lines.push('Showing up round after round is how confidence gets built.');
+
+  return {
+    headline: { value: rounds, unit: 'rounds' },
+    subtitle: 'Final Bell',
+    lines,
+    stats: [
+      { label: 'Time in the Ring', value: formatDuration(summary.elapsedSeconds) },
+      { label: 'Thoughts Defeated', value: summary.thoughtsDefeated },
+      { label: 'Best Combo', value: summary.bestStreak },
+      { label: 'Final Confidence', value: `${Math.round(summary.confidence)}%` },
+      { label: 'Accuracy', value: formatAccuracy(summary.accuracy) }
+    ]
+  };
+}
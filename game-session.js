@@ -0,0 +1,1047 @@
+// Headless game engine for the boxing game
+// Owns the rules (spawning, scoring, confidence, win condition) without touching the DOM,
+// so it can run in Node/jsdom with an injected clock and seeded random number generator.
+
+import { DIFFICULTY_CURVE, resolveDifficulty } from './difficulty.js';
+import { SCORING_RULES, scorePunch, getComboMultiplier, isComboMilestone, calculateAccuracy } from './scoring.js';
+
+/**
+ * Default game rules, mirroring the original single-bout game
+ */
+export const DEFAULT_RULES = {
+  startingConfidence: 50,
+  maxConfidence: 100,
+  spawnStartDelay: 1000, // ms before the first thoughts appear
+  negativeSpawnInterval: 2500, // base ms between negative thoughts (scaled by the difficulty curve)
+  positiveSpawnInterval: 4000, // base ms between positive affirmations (scaled by the difficulty curve)
+  negativeLifetime: 5000, // base ms before an unpunched negative thought is removed
+  difficultyCurve: DIFFICULTY_CURVE, // null keeps the base pace for the whole session
+  motionSpeed: 1, // base speed of moving thoughts (scaled by the difficulty curve), 0 keeps them still
+  punchPoints: 10, // base points, multiplied by the combo and reaction multipliers
+  scoring: SCORING_RULES, // null scores a flat punchPoints per doubt
+  punchConfidence: 5,
+  penaltyPoints: 15,
+  penaltyConfidence: 3,
+  missConfidence: 2, // lingering doubt: confidence lost when a negative thought expires unpunched
+  absorbDwellTime: 800, // ms a pointer rests on an affirmation to absorb it
+  absorbPoints: 5,
+  absorbConfidence: 3,
+  reframing: false, // punched doubts turn into their paired reframe (thoughts.reframes) instead of leaving the board
+  personalThoughtWeight: 3, // how many times likelier each of the player's own thoughts is to spawn than a pack thought
+  winAtMaxConfidence: true, // end the session with a victory at 100%
+  knockdownEnabled: true, // at 0% the player is knocked down and has a count to get back up
+  knockdownCount: 10, // seconds the referee counts before the session ends
+  knockdownPunches: 3, // doubts to punch during the count to get back up (this many are spawned at once)
+  recoveryConfidence: 15, // confidence after getting back up
+  roundCount: 0, // split the session into this many rounds, 0 for one continuous bout
+  roundLength: 60000, // ms of play per round
+  roundRest: 30000, // ms of rest between rounds (real time, the session clock stands still)
+  timeLimit: null, // ms until the session ends on its own, null for no limit
+  scoringEnabled: true,
+  penaltiesEnabled: true, // when false, affirmations can't be punched
+  winEndDelay: 500 // ms between reaching 100% and the end of the session
+};
+
+// Mixed into the seed for the layout generator so it doesn't repeat the engine's sequence
+const LAYOUT_SEED_SALT = 0x9E3779B9;
+
+/**
+ * Reasons a session can end, included in the 'end' summary
+ */
+export const END_REASONS = {
+  VICTORY: 'victory',
+  TIME_UP: 'time-up',
+  PLAYER_ENDED: 'player-ended',
+  ROUNDS_COMPLETE: 'rounds-complete',
+  KNOCKOUT: 'knockout' // knocked down at 0% and didn't get back up before the count ended
+};
+
+/**
+ * Create a deterministic pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a fresh seed for sessions that don't specify one
+ * @returns {number} 32-bit integer seed
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Clock backed by the real timers of the host environment
+ * @returns {object} Clock with now/setTimeout/clearTimeout/setInterval/clearInterval
+ */
+export function createSystemClock() {
+  return {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (id) => clearTimeout(id),
+    setInterval: (callback, delay) => setInterval(callback, delay),
+    clearInterval: (id) => clearInterval(id)
+  };
+}
+
+/**
+ * Clock that only moves when advance() is called, for tests and bug reproduction
+ * @param {number} startTime - Initial value returned by now()
+ * @returns {object} Clock with the system clock interface plus advance(ms)
+ */
+export function createManualClock(startTime = 0) {
+  let currentTime = startTime;
+  let nextId = 1;
+  const timers = new Map();
+
+  const schedule = (callback, delay, repeat) => {
+    const id = nextId++;
+    timers.set(id, { callback, delay: Math.max(0, delay), repeat, dueAt: currentTime + Math.max(0, delay) });
+    return id;
+  };
+
+  return {
+    now: () => currentTime,
+    setTimeout: (callback, delay = 0) => schedule(callback, delay, false),
+    clearTimeout: (id) => timers.delete(id),
+    setInterval: (callback, delay = 0) => schedule(callback, Math.max(1, delay), true),
+    clearInterval: (id) => timers.delete(id),
+
+    /**
+     * Move time forward, firing due timers in chronological order
+     * @param {number} ms - Milliseconds to advance
+     */
+    advance(ms) {
+      const targetTime = currentTime + ms;
+
+      while (true) {
+        let nextTimerId = null;
+        let nextTimer = null;
+        timers.forEach((timer, id) => {
+          if (timer.dueAt <= targetTime && (!nextTimer || timer.dueAt < nextTimer.dueAt)) {
+            nextTimerId = id;
+            nextTimer = timer;
+          }
+        });
+
+        if (!nextTimer) break;
+
+        currentTime = nextTimer.dueAt;
+        if (nextTimer.repeat) {
+          nextTimer.dueAt += nextTimer.delay;
+        } else {
+          timers.delete(nextTimerId);
+        }
+        nextTimer.callback();
+      }
+
+      currentTime = targetTime;
+    },
+
+    /**
+     * Number of pending timers (useful to assert a session cleaned up after itself)
+     * @returns {number}
+     */
+    pendingTimers: () => timers.size
+  };
+}
+
+/**
+ * A single play session. Emits:
+ * - 'start'      ({ seed, confidence })
+ * - 'spawn'      (thought)
+ * - 'punch'      (thought, outcome)      negative thought punched
+ * - 'penalty'    (thought, outcome)      positive affirmation punched
+ * - 'absorb'     (thought, outcome)      positive affirmation absorbed
+ * - 'expire'     (thought, outcome)      negative thought left alone until its lifetime ran out
+ * - 'reframe'    (doubt, affirmation)    punched doubt turned into its reframe (reframing only)
+ * - 'combo'      ({ combo, comboMultiplier })  combo reached a milestone
+ * - 'combo-break' ({ combo })           penalty or missed doubt ended a combo
+ * - 'confidence' ({ confidence, level, previousConfidence })
+ * - 'level'      ({ level, previousLevel, difficulty })
+ * - 'tick'       ({ elapsedSeconds, remainingSeconds })
+ * - 'pause'      (state)
+ * - 'resume'     (state)
+ * - 'win'        (state)
+ * - 'end'        (summary)
+ */
+export class GameSession {
+  /**
+   * @param {object} options
+   * @param {object} options.thoughts - { negativeThoughts: string[], positiveAffirmations: string[],
+   *   reframes?: { [doubt]: reframe } }
+   * @param {object[]} [options.personalThoughts] - The player's own [{ doubt, affirmation }], favoured when
+   *   picking thoughts; punching one of these doubts brings its affirmation up next
+   * @param {object} [options.clock] - Clock implementation, defaults to the system clock
+   * @param {number} [options.seed] - Seed for the random generator, generated when omitted
+   * @param {object} [options.mode] - Game mode definition (see game-modes.js) whose rules apply first
+   * @param {object} [options.rules] - Overrides for DEFAULT_RULES, applied after the mode rules
+   */
+  constructor({ thoughts, personalThoughts = [], clock = createSystemClock(), seed = generateSeed(), mode = null, rules = {} } = {}) {
+    if (!thoughts || !Array.isArray(thoughts.negativeThoughts) || !Array.isArray(thoughts.positiveAffirmations)) {
+      throw new Error('GAME_SESSION: thoughts.negativeThoughts and thoughts.positiveAffirmations are required');
+    }
+
+    this.thoughts = thoughts;
+    this.personalThoughts = {
+      negativeThoughts: personalThoughts.map(entry => entry.doubt),
+      positiveAffirmations: personalThoughts.map(entry => entry.affirmation).filter(Boolean)
+    };
+    this.counterAffirmations = new Map(personalThoughts.map(entry => [entry.doubt, entry.affirmation]));
+    this.queuedAffirmations = []; // answers to personal doubts just punched, spawned before any other affirmation
+
+    this.clock = clock;
+    this.seed = seed >>> 0;
+    this.random = createSeededRandom(this.seed);
+    // Where bubbles go and how they move draws a varying number of values (it depends on the
+    // viewport, collisions and the renderer), so the UI gets its own generator from the same seed
+    // and the engine's sequence of thoughts stays the same on every screen
+    this.layoutRandom = createSeededRandom(this.seed ^ LAYOUT_SEED_SALT);
+    this.modeId = mode ? mode.id : null;
+    this.rules = { ...DEFAULT_RULES, ...(mode ? mode.rules : {}), ...rules };
+
+    // Reframing pairs each doubt with a reframe (the player's own answers included) and only deals
+    // doubts that have one; the reframes are the affirmations, so none are spawned on their own
+    this.reframes = new Map();
+    if (this.rules.reframing) {
+      Object.entries(thoughts.reframes || {}).forEach(([doubt, reframe]) => this.reframes.set(doubt, reframe));
+      personalThoughts.forEach(entry => {
+        if (entry.affirmation) this.reframes.set(entry.doubt, entry.affirmation);
+      });
+    }
+    if (this.reframes.size > 0) {
+      this.thoughts = { ...thoughts, negativeThoughts: thoughts.negativeThoughts.filter(text => this.reframes.has(text)) };
+      this.personalThoughts.negativeThoughts = this.personalThoughts.negativeThoughts.filter(text => this.reframes.has(text));
+    }
+
+    this.listeners = new Map();
+    this.timers = new Map(); // handle -> { callback, interval, remaining, dueAt, clockId }
+    this.nextTimerHandle = 1;
+    this.nextThoughtId = 1;
+    this.pausedAt = null;
+    this.knockdownTimer = null;
+    this.roundTimer = null;
+    this.restTimer = null; // clock interval counting down a rest, which session timers can't do
+    this.roundStart = null; // snapshot of the counters when the current round began
+
+    this.state = {
+      isPlaying: false,
+      isPaused: false,
+      hasWon: false,
+      confidence: this.rules.startingConfidence,
+      score: 0,
+      currentLevel: GameSession.levelForConfidence(this.rules.startingConfidence),
+      startTime: null,
+      endTime: null,
+      pausedDuration: 0, // ms spent paused, excluded from session time
+      thoughtsDefeated: 0,
+      penalties: 0,
+      expired: 0,
+      affirmationsAbsorbed: 0,
+      reframes: 0, // doubts turned into their reframe
+      streak: 0, // current combo: doubts punched in a row without a penalty or a miss
+      bestStreak: 0,
+      comboMultiplier: 1,
+      totalReactionTime: 0, // ms from spawn to punch, summed over every doubt punched
+      fastestReaction: null,
+      endReason: null,
+      reachedMaxAt: null, // ms after start when confidence first hit the maximum
+      knockdown: null, // { count, punches, punchesNeeded } while knocked down
+      knockdowns: 0,
+      recoveries: 0, // knockdowns the player got back up from
+      round: 1,
+      isResting: false, // between rounds
+      restRemaining: null, // seconds left of the current rest
+      roundResults: [], // per-round stats, see finishRound()
+      confidenceTimeline: [], // [{ t: ms after start, confidence }]
+      thoughtResults: [], // [{ text, isPositive, isPersonal, outcome, reactionTime }] for every thought that left the board
+      activeThoughts: new Map()
+    };
+  }
+
+  /**
+   * Level shown in the progress ring for a confidence value
+   * @param {number} confidence - Confidence percentage
+   * @returns {number} Level starting at 1
+   */
+  static levelForConfidence(confidence) {
+    return Math.floor(Math.round(confidence) / 20) + 1;
+  }
+
+  /**
+   * Subscribe to an engine event
+   * @param {string} eventName - Event to listen for
+   * @param {function} handler - Called with the event payload
+   * @returns {function} Unsubscribe function
+   */
+  on(eventName, handler) {
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, new Set());
+    }
+    this.listeners.get(eventName).add(handler);
+    return () => this.off(eventName, handler);
+  }
+
+  /**
+   * Remove an event handler
+   * @param {string} eventName - Event name
+   * @param {function} handler - Handler previously passed to on()
+   */
+  off(eventName, handler) {
+    const handlers = this.listeners.get(eventName);
+    if (handlers) handlers.delete(handler);
+  }
+
+  emit(eventName, ...args) {
+    const handlers = this.listeners.get(eventName);
+    if (!handlers) return;
+    Array.from(handlers).forEach(handler => {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`GAME_SESSION: '${eventName}' handler failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Schedule a one-shot timer owned by this session. Session timers freeze while paused.
+   * @returns {number} Handle for cancel()
+   */
+  schedule(callback, delay, interval = null) {
+    const handle = this.nextTimerHandle++;
+    const timer = { callback, interval, remaining: Math.max(0, delay), dueAt: null, clockId: null };
+    this.timers.set(handle, timer);
+    if (!this.state.isPaused) {
+      this.armTimer(handle, timer);
+    }
+    return handle;
+  }
+
+  /**
+   * Schedule a repeating timer owned by this session
+   * @returns {number} Handle for cancel()
+   */
+  repeat(callback, delay) {
+    return this.schedule(callback, delay, delay);
+  }
+
+  armTimer(handle, timer) {
+    timer.dueAt = this.clock.now() + timer.remaining;
+    timer.clockId = this.clock.setTimeout(() => {
+      timer.clockId = null;
+      if (timer.interval) {
+        timer.remaining = timer.interval;
+        this.armTimer(handle, timer);
+      } else {
+        this.timers.delete(handle);
+      }
+      timer.callback();
+    }, timer.remaining);
+  }
+
+  cancel(handle) {
+    if (handle === null || handle === undefined) return;
+    const timer = this.timers.get(handle);
+    if (!timer) return;
+    if (timer.clockId !== null) {
+      this.clock.clearTimeout(timer.clockId);
+    }
+    this.timers.delete(handle);
+  }
+
+  cancelAllTimers() {
+    Array.from(this.timers.keys()).forEach(handle => this.cancel(handle));
+  }
+
+  /**
+   * Pick an item from a list using the session's random generator
+   * @param {Array} items - Items to pick from
+   * @returns {*} Picked item
+   */
+  pick(items) {
+    return items[Math.floor(this.random() * items.length)];
+  }
+
+  /**
+   * Start the session clock and thought spawning
+   */
+  start() {
+    if (this.state.isPlaying) return;
+
+    this.state.isPlaying = true;
+    this.state.startTime = this.clock.now();
+    this.state.confidenceTimeline = [{ t: 0, confidence: this.state.confidence }];
+    console.log('GAME_SESSION: Starting session with seed', this.seed);
+    this.emit('start', { seed: this.seed, confidence: this.state.confidence });
+
+    this.repeat(() => {
+      if (this.state.isPlaying) {
+        this.emit('tick', {
+          elapsedSeconds: this.getElapsedSeconds(),
+          remainingSeconds: this.getRemainingSeconds()
+        });
+      }
+    }, 1000);
+
+    // With rounds, the rounds set the length of the session
+    if (this.rules.roundCount > 0) {
+      this.beginRound();
+    } else if (this.rules.timeLimit) {
+      this.schedule(() => this.end(END_REASONS.TIME_UP), this.rules.timeLimit);
+    }
+
+    this.schedule(() => this.startSpawning(), this.rules.spawnStartDelay);
+  }
+
+  /**
+   * Freeze the session: spawning, negative-thought expiry and the session clock all stop
+   */
+  pause() {
+    if (!this.state.isPlaying || this.state.isPaused || this.state.isResting) return;
+
+    this.state.isPaused = true;
+    this.freezeTimers();
+
+    console.log('GAME_SESSION: Paused');
+    this.emit('pause', this.getState());
+  }
+
+  /**
+   * Continue a paused session where it left off
+   */
+  resume() {
+    if (!this.state.isPlaying || !this.state.isPaused) return;
+
+    this.state.isPaused = false;
+    this.thawTimers();
+
+    console.log('GAME_SESSION: Resumed');
+    this.emit('resume', this.getState());
+  }
+
+  /**
+   * Stop the session clock and every session timer where they are (pauses and rests)
+   */
+  freezeTimers() {
+    const now = this.clock.now();
+    this.pausedAt = now;
+
+    this.timers.forEach(timer => {
+      if (timer.clockId !== null) {
+        this.clock.clearTimeout(timer.clockId);
+        timer.clockId = null;
+      }
+      timer.remaining = Math.max(0, timer.dueAt - now);
+    });
+  }
+
+  thawTimers() {
+    this.state.pausedDuration += this.clock.now() - this.pausedAt;
+    this.pausedAt = null;
+    this.timers.forEach((timer, handle) => this.armTimer(handle, timer));
+  }
+
+  /**
+   * Ring the bell for the current round
+   */
+  beginRound() {
+    const { state } = this;
+    this.roundStart = {
+      startedAt: this.getSessionTime(),
+      confidence: state.confidence,
+      score: state.score,
+      thoughtsDefeated: state.thoughtsDefeated,
+      penalties: state.penalties,
+      expired: state.expired,
+      affirmationsAbsorbed: state.affirmationsAbsorbed,
+      knockdowns: state.knockdowns
+    };
+    this.roundTimer = this.schedule(() => this.endRound(), this.rules.roundLength);
+    this.emit('round-start', { round: state.round, roundCount: this.rules.roundCount });
+  }
+
+  /**
+   * Close the round in progress and add its stats to roundResults
+   * @returns {object} { round, duration, score, thoughtsDefeated, penalties, expired,
+   *   affirmationsAbsorbed, knockdowns, startConfidence, endConfidence }
+   */
+  finishRound() {
+    const { state, roundStart } = this;
+    const result = {
+      round: state.round,
+      duration: Math.round(this.getSessionTime() - roundStart.startedAt),
+      score: state.score - roundStart.score,
+      thoughtsDefeated: state.thoughtsDefeated - roundStart.thoughtsDefeated,
+      penalties: state.penalties - roundStart.penalties,
+      expired: state.expired - roundStart.expired,
+      affirmationsAbsorbed: state.affirmationsAbsorbed - roundStart.affirmationsAbsorbed,
+      knockdowns: state.knockdowns - roundStart.knockdowns,
+      startConfidence: roundStart.confidence,
+      endConfidence: state.confidence
+    };
+    state.roundResults.push(result);
+    this.cancel(this.roundTimer);
+    this.roundTimer = null;
+    this.roundStart = null;
+    return result;
+  }
+
+  /**
+   * The bell ends a round: clear the ring, then rest, or finish the session after the last one
+   */
+  endRound() {
+    const { state } = this;
+    if (!state.isPlaying || state.hasWon) return;
+
+    // Saved by the bell
+    if (state.knockdown) this.getBackUp();
+
+    state.activeThoughts.forEach(thought => this.cancel(thought.expiryTimer));
+    state.activeThoughts.clear();
+
+    const result = this.finishRound();
+    if (state.round >= this.rules.roundCount) {
+      this.emit('round-end', { ...result, isLastRound: true });
+      this.end(END_REASONS.ROUNDS_COMPLETE);
+      return;
+    }
+
+    state.isResting = true;
+    state.restRemaining = Math.ceil(this.rules.roundRest / 1000);
+    this.freezeTimers();
+    this.restTimer = this.clock.setInterval(() => {
+      state.restRemaining--;
+      this.emit('rest-tick', { remainingSeconds: state.restRemaining });
+      if (state.restRemaining <= 0) this.startNextRound();
+    }, 1000);
+    this.emit('round-end', { ...result, isLastRound: false, restSeconds: state.restRemaining });
+  }
+
+  /**
+   * Leave the corner and start the next round (happens on its own when the rest runs out)
+   */
+  startNextRound() {
+    const { state } = this;
+    if (!state.isPlaying || !state.isResting) return;
+
+    this.clock.clearInterval(this.restTimer);
+    this.restTimer = null;
+    state.isResting = false;
+    state.restRemaining = null;
+    state.round++;
+    this.thawTimers();
+    this.beginRound();
+  }
+
+  startSpawning() {
+    this.scheduleNextSpawn(false);
+    if (this.reframes.size === 0) {
+      this.scheduleNextSpawn(true);
+    }
+  }
+
+  /**
+   * Schedule the next spawn using the interval of the current level,
+   * so the pace follows the difficulty curve as confidence changes
+   * @param {boolean} isPositive - Affirmation (true) or negative thought (false)
+   */
+  scheduleNextSpawn(isPositive) {
+    const difficulty = this.getDifficulty();
+    const interval = isPositive ? difficulty.positiveSpawnInterval : difficulty.negativeSpawnInterval;
+
+    this.schedule(() => {
+      if (!this.state.isPlaying || this.state.hasWon) return;
+
+      if (isPositive || this.countActiveNegatives() < this.getDifficulty().maxActiveNegatives) {
+        this.spawnThought(isPositive);
+      }
+      this.scheduleNextSpawn(isPositive);
+    }, interval);
+  }
+
+  /**
+   * Spawn settings for the current level
+   * @returns {object} Resolved difficulty (see difficulty.js)
+   */
+  getDifficulty() {
+    return resolveDifficulty(this.rules, this.state.currentLevel);
+  }
+
+  countActiveNegatives() {
+    let count = 0;
+    this.state.activeThoughts.forEach(thought => {
+      if (!thought.isPositive) count++;
+    });
+    return count;
+  }
+
+  /**
+   * Spawn a thought and emit it to the renderer
+   * @param {boolean} isPositive - Affirmation (true) or negative thought (false)
+   * @returns {object|null} The spawned thought
+   */
+  spawnThought(isPositive = false) {
+    if (!this.state.isPlaying) return null;
+
+    const message = this.pickMessage(isPositive);
+    if (!message) return null;
+
+    const thought = {
+      id: this.nextThoughtId++,
+      text: message.text,
+      isPositive,
+      isPersonal: message.isPersonal,
+      spawnedAt: this.getSessionTime(),
+      expiryTimer: null
+    };
+
+    this.state.activeThoughts.set(thought.id, thought);
+
+    // Only negative thoughts expire; affirmations stay until punched
+    if (!isPositive) {
+      thought.expiryTimer = this.schedule(() => this.expireThought(thought.id), this.getDifficulty().negativeLifetime);
+    }
+
+    this.emit('spawn', thought);
+    return thought;
+  }
+
+  /**
+   * Choose the text of a new thought, weighting the player's own thoughts above the pack's
+   * @param {boolean} isPositive - Affirmation (true) or negative thought (false)
+   * @returns {object|null} { text, isPersonal }, or null when there's nothing to pick from
+   */
+  pickMessage(isPositive) {
+    if (isPositive && this.queuedAffirmations.length > 0) {
+      return { text: this.queuedAffirmations.shift(), isPersonal: true };
+    }
+
+    const messages = isPositive ? this.thoughts.positiveAffirmations : this.thoughts.negativeThoughts;
+    const personal = isPositive ? this.personalThoughts.positiveAffirmations : this.personalThoughts.negativeThoughts;
+    const personalWeight = personal.length * this.rules.personalThoughtWeight;
+    if (messages.length + personalWeight === 0) return null;
+
+    // Only draw the extra number when there are personal thoughts, so seeded sessions without any replay as before
+    if (personalWeight > 0 && this.random() * (messages.length + personalWeight) < personalWeight) {
+      return { text: this.pick(personal), isPersonal: true };
+    }
+    return { text: this.pick(messages), isPersonal: false };
+  }
+
+  expireThought(thoughtId) {
+    const thought = this.state.activeThoughts.get(thoughtId);
+    if (!thought) return;
+
+    this.state.activeThoughts.delete(thoughtId);
+    thought.expiryTimer = null;
+    this.state.expired++;
+    this.recordResult(thought, 'expired');
+    this.breakCombo(); // a missed doubt breaks the combo
+
+    // Lingering doubt: unaddressed self-talk wears confidence down
+    const previousConfidence = this.state.confidence;
+    if (this.rules.missConfidence > 0) {
+      this.setConfidence(previousConfidence - this.rules.missConfidence);
+    }
+
+    this.emit('expire', thought, { confidenceDelta: this.state.confidence - previousConfidence });
+    this.checkKnockdown();
+  }
+
+  /**
+   * Note how a thought left the board, for the results screen
+   * @param {object} thought - Active thought
+   * @param {string} outcome - 'punched', 'penalty', 'absorbed' or 'expired'
+   */
+  recordResult(thought, outcome) {
+    this.state.thoughtResults.push({
+      text: thought.text,
+      isPositive: thought.isPositive,
+      isPersonal: thought.isPersonal,
+      outcome,
+      reactionTime: Math.round(this.getSessionTime() - thought.spawnedAt)
+    });
+  }
+
+  breakCombo() {
+    const combo = this.state.streak;
+    this.state.streak = 0;
+    this.state.comboMultiplier = 1;
+    if (combo > 0) {
+      this.emit('combo-break', { combo });
+    }
+  }
+
+  /**
+   * Punch an active thought
+   * @param {number} thoughtId - Id of the spawned thought
+   * @returns {object|null} Outcome ({ isPenalty, reframe, scoreDelta, confidenceDelta, combo, comboMultiplier,
+   *   reactionTime, reactionMultiplier, reactionLabel, isComboMilestone }) or null if the punch didn't land;
+   *   reframe is the affirmation the doubt turned into, or null
+   */
+  punchThought(thoughtId) {
+    if (!this.state.isPlaying || this.state.isPaused) return null;
+
+    const thought = this.state.activeThoughts.get(thoughtId);
+    if (!thought) return null;
+
+    // Without penalties (Zen) affirmations are simply left alone
+    if (thought.isPositive && !this.rules.penaltiesEnabled) return null;
+
+    this.state.activeThoughts.delete(thoughtId);
+    this.cancel(thought.expiryTimer);
+    thought.expiryTimer = null;
+
+    const previousScore = this.state.score;
+    const previousConfidence = this.state.confidence;
+    const reactionTime = this.getSessionTime() - thought.spawnedAt;
+    this.recordResult(thought, thought.isPositive ? 'penalty' : 'punched');
+    let reactionMultiplier = 1;
+    let reactionLabel = null;
+
+    if (!thought.isPositive) {
+      // Punching negative thoughts: REWARD
+      this.state.thoughtsDefeated++;
+      this.state.streak++;
+      this.state.bestStreak = Math.max(this.state.bestStreak, this.state.streak);
+      this.state.totalReactionTime += reactionTime;
+      this.state.fastestReaction = this.state.fastestReaction === null
+        ? reactionTime
+        : Math.min(this.state.fastestReaction, reactionTime);
+
+      if (this.rules.scoring) {
+        this.state.comboMultiplier = getComboMultiplier(this.state.streak, this.rules.scoring);
+      }
+
+      if (this.rules.scoringEnabled) {
+        if (this.rules.scoring) {
+          const result = scorePunch({
+            basePoints: this.rules.punchPoints,
+            combo: this.state.streak,
+            reactionTime
+          }, this.rules.scoring);
+          this.state.score += result.points;
+          reactionMultiplier = result.reactionMultiplier;
+          reactionLabel = result.reactionLabel;
+        } else {
+          this.state.score += this.rules.punchPoints;
+        }
+      }
+      // Answer a personal doubt with the player's own affirmation (reframing turns it over instead)
+      const counter = thought.isPersonal ? this.counterAffirmations.get(thought.text) : null;
+      if (counter && !this.reframes.has(thought.text) && !this.queuedAffirmations.includes(counter)) {
+        this.queuedAffirmations.push(counter);
+      }
+
+      if (this.state.knockdown) {
+        this.state.knockdown.punches++; // while down, punches count toward getting back up
+      } else {
+        this.setConfidence(previousConfidence + this.rules.punchConfidence);
+      }
+    } else {
+      // Punching positive thoughts: PENALTY (score and confidence don't go below 0)
+      if (this.rules.scoringEnabled) {
+        this.state.score = Math.max(0, this.state.score - this.rules.penaltyPoints);
+      }
+      this.state.penalties++;
+      this.breakCombo();
+      this.setConfidence(previousConfidence - this.rules.penaltyConfidence);
+    }
+
+    const reframeText = thought.isPositive ? undefined : this.reframes.get(thought.text);
+    const outcome = {
+      isPenalty: thought.isPositive,
+      reframe: reframeText ? this.createReframe(thought, reframeText) : null,
+      scoreDelta: this.state.score - previousScore,
+      confidenceDelta: this.state.confidence - previousConfidence,
+      combo: this.state.streak,
+      comboMultiplier: this.state.comboMultiplier,
+      reactionTime,
+      reactionMultiplier,
+      reactionLabel,
+      isComboMilestone: !thought.isPositive && Boolean(this.rules.scoring)
+        && isComboMilestone(this.state.streak, this.rules.scoring)
+    };
+
+    this.emit(thought.isPositive ? 'penalty' : 'punch', thought, outcome);
+    if (outcome.reframe) {
+      this.emit('reframe', thought, outcome.reframe);
+    }
+    if (outcome.isComboMilestone) {
+      this.emit('combo', { combo: outcome.combo, comboMultiplier: outcome.comboMultiplier });
+    }
+    this.checkWinCondition();
+    this.checkKnockdown();
+    return outcome;
+  }
+
+  /**
+   * Put a punched doubt's reframe on the board in its place, as an affirmation
+   * @param {object} doubt - The punched doubt
+   * @param {string} text - Its reframe
+   * @returns {object} The new affirmation, with reframeOf set to the doubt's id
+   */
+  createReframe(doubt, text) {
+    const thought = {
+      id: this.nextThoughtId++,
+      text,
+      isPositive: true,
+      isPersonal: doubt.isPersonal,
+      reframeOf: doubt.id,
+      spawnedAt: this.getSessionTime(),
+      expiryTimer: null
+    };
+
+    this.state.activeThoughts.set(thought.id, thought);
+    this.state.reframes++;
+    return thought;
+  }
+
+  /**
+   * Absorb an active affirmation (the positive counterpart to punching a doubt)
+   * @param {number} thoughtId - Id of the spawned affirmation
+   * @returns {object|null} Outcome ({ scoreDelta, confidenceDelta }) or null if it can't be absorbed
+   */
+  absorbThought(thoughtId) {
+    if (!this.state.isPlaying || this.state.isPaused) return null;
+
+    const thought = this.state.activeThoughts.get(thoughtId);
+    if (!thought || !thought.isPositive) return null;
+
+    // Getting back up from a knockdown takes punching doubts
+    if (this.state.knockdown) return null;
+
+    this.state.activeThoughts.delete(thoughtId);
+
+    const previousScore = this.state.score;
+    const previousConfidence = this.state.confidence;
+
+    if (this.rules.scoringEnabled) {
+      this.state.score += this.rules.absorbPoints;
+    }
+    this.state.affirmationsAbsorbed++;
+    this.recordResult(thought, 'absorbed');
+    this.setConfidence(previousConfidence + this.rules.absorbConfidence);
+
+    const outcome = {
+      scoreDelta: this.state.score - previousScore,
+      confidenceDelta: this.state.confidence - previousConfidence
+    };
+
+    this.emit('absorb', thought, outcome);
+    this.checkWinCondition();
+    return outcome;
+  }
+
+  setConfidence(value) {
+    const previousConfidence = this.state.confidence;
+    const previousLevel = this.state.currentLevel;
+    this.state.confidence = Math.max(0, Math.min(this.rules.maxConfidence, value));
+    this.state.currentLevel = GameSession.levelForConfidence(this.state.confidence);
+
+    if (this.state.confidence !== previousConfidence && this.state.startTime !== null) {
+      const t = this.getSessionTime();
+      this.state.confidenceTimeline.push({ t, confidence: this.state.confidence });
+      if (this.state.reachedMaxAt === null && this.state.confidence >= this.rules.maxConfidence) {
+        this.state.reachedMaxAt = t;
+      }
+    }
+
+    this.emit('confidence', {
+      confidence: this.state.confidence,
+      level: this.state.currentLevel,
+      previousConfidence
+    });
+
+    if (this.state.currentLevel !== previousLevel) {
+      this.emit('level', {
+        level: this.state.currentLevel,
+        previousLevel,
+        difficulty: this.getDifficulty()
+      });
+    }
+  }
+
+  checkWinCondition() {
+    if (!this.rules.winAtMaxConfidence) return;
+    if (this.state.hasWon || this.state.confidence < this.rules.maxConfidence) return;
+
+    this.state.hasWon = true;
+    this.emit('win', this.getState());
+    this.schedule(() => this.end(END_REASONS.VICTORY), this.rules.winEndDelay);
+  }
+
+  /**
+   * Knock the player down when confidence hits 0%, or get them back up once they've
+   * punched enough doubts during the count
+   */
+  checkKnockdown() {
+    const { knockdown } = this.state;
+    if (knockdown) {
+      if (knockdown.punches >= knockdown.punchesNeeded) this.getBackUp();
+      return;
+    }
+    if (!this.rules.knockdownEnabled || !this.state.isPlaying || this.state.confidence > 0) return;
+
+    this.state.knockdowns++;
+    this.state.knockdown = {
+      count: this.rules.knockdownCount,
+      punches: 0,
+      punchesNeeded: this.rules.knockdownPunches
+    };
+    this.knockdownTimer = this.repeat(() => this.countKnockdown(), 1000);
+    this.emit('knockdown', { ...this.state.knockdown });
+
+    // A burst of doubts to punch back at
+    for (let i = 0; i < this.rules.knockdownPunches; i++) {
+      this.spawnThought(false);
+    }
+  }
+
+  countKnockdown() {
+    const { knockdown } = this.state;
+    if (!knockdown) return;
+
+    knockdown.count--;
+    this.emit('knockdown-count', { ...knockdown });
+    if (knockdown.count <= 0) {
+      this.cancel(this.knockdownTimer);
+      this.knockdownTimer = null;
+      this.end(END_REASONS.KNOCKOUT);
+    }
+  }
+
+  getBackUp() {
+    this.cancel(this.knockdownTimer);
+    this.knockdownTimer = null;
+    this.state.knockdown = null;
+    this.state.recoveries++;
+    this.setConfidence(this.rules.recoveryConfidence);
+    this.emit('recover', { confidence: this.state.confidence, recoveries: this.state.recoveries });
+  }
+
+  /**
+   * Milliseconds of active play since start, excluding pauses (frozen once the session ends)
+   * @returns {number}
+   */
+  getSessionTime() {
+    if (this.state.startTime === null) return 0;
+
+    let now = this.clock.now();
+    if (this.state.endTime !== null) {
+      now = this.state.endTime;
+    } else if (this.pausedAt !== null) {
+      now = this.pausedAt;
+    }
+    return now - this.state.startTime - this.state.pausedDuration;
+  }
+
+  /**
+   * Seconds of active play since start
+   * @returns {number}
+   */
+  getElapsedSeconds() {
+    return Math.floor(this.getSessionTime() / 1000);
+  }
+
+  /**
+   * Seconds left in a time-limited session
+   * @returns {number|null} Remaining seconds, or null when the mode has no time limit
+   */
+  getRemainingSeconds() {
+    if (this.rules.roundCount > 0) {
+      // The timer counts down the round in progress (a full round before it starts)
+      const roundSeconds = Math.ceil(this.rules.roundLength / 1000);
+      if (!this.roundStart) return roundSeconds;
+      return Math.max(0, roundSeconds - Math.floor((this.getSessionTime() - this.roundStart.startedAt) / 1000));
+    }
+    if (!this.rules.timeLimit) return null;
+    const limitSeconds = Math.ceil(this.rules.timeLimit / 1000);
+    return Math.max(0, limitSeconds - this.getElapsedSeconds());
+  }
+
+  /**
+   * Snapshot of the session state for rendering
+   * @returns {object}
+   */
+  getState() {
+    const { activeThoughts, confidenceTimeline, thoughtResults, roundResults, knockdown, ...rest } = this.state;
+    return {
+      ...rest,
+      knockdown: knockdown ? { ...knockdown } : null,
+      confidenceTimeline: confidenceTimeline.map(point => ({ ...point })),
+      thoughtResults: thoughtResults.map(result => ({ ...result })),
+      roundResults: roundResults.map(result => ({ ...result })),
+      seed: this.seed,
+      modeId: this.modeId,
+      accuracy: calculateAccuracy({
+        hits: rest.thoughtsDefeated,
+        penalties: rest.penalties,
+        misses: rest.expired
+      }),
+      averageReactionTime: rest.thoughtsDefeated === 0 ? null : Math.round(rest.totalReactionTime / rest.thoughtsDefeated),
+      sessionTime: Math.round(this.getSessionTime()), // ms played, pauses excluded
+      elapsedSeconds: this.getElapsedSeconds(),
+      remainingSeconds: this.getRemainingSeconds(),
+      activeThoughtIds: Array.from(activeThoughts.keys())
+    };
+  }
+
+  /**
+   * Stop the session, clear every timer it owns and emit the summary
+   * @param {string} reason - One of END_REASONS
+   * @returns {object} Final summary
+   */
+  end(reason = END_REASONS.PLAYER_ENDED) {
+    if (!this.state.isPlaying) return this.getState();
+
+    const now = this.clock.now();
+    if (this.state.isPaused || this.state.isResting) {
+      this.state.pausedDuration += now - this.pausedAt;
+      this.state.isPaused = false;
+      this.pausedAt = null;
+    }
+    if (this.state.isResting) {
+      this.clock.clearInterval(this.restTimer);
+      this.restTimer = null;
+      this.state.isResting = false;
+      this.state.restRemaining = null;
+    } else if (this.roundStart) {
+      this.finishRound(); // a round cut short still goes on the scorecard
+    }
+
+    this.state.isPlaying = false;
+    this.state.endTime = now;
+    this.state.endReason = reason;
+
+    this.cancelAllTimers();
+    this.state.activeThoughts.clear();
+
+    const summary = this.getState();
+    console.log('GAME_SESSION: Session ended', summary);
+    this.emit('end', summary);
+    return summary;
+  }
+
+  /**
+   * Tear down the session without emitting an end summary (e.g. on restart)
+   */
+  dispose() {
+    this.state.isPlaying = false;
+    this.cancelAllTimers();
+    this.clock.clearInterval(this.restTimer);
+    this.state.activeThoughts.clear();
+    this.listeners.clear();
+  }
+}
@@ -0,0 +1,388 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { GameSession, END_REASONS, createManualClock, createSeededRandom } from './game-session.js';
+import { SCORING_RULES } from './scoring.js';
+import { normalizePersonalThoughts } from './personal-thoughts.js';
+
+const thoughts = {
+  negativeThoughts: ['I just got lucky', "I don't belong here", "I'm not smart enough"],
+  positiveAffirmations: ['My skills got me here', 'I belong here', 'I am learning']
+};
+
+// Fixed pace and flat scoring unless a test asks for more
+const baseRules = {
+  difficultyCurve: null,
+  scoring: null,
+  knockdownEnabled: false
+};
+
+function createSession(rules = {}, seed = 42, options = {}) {
+  const clock = createManualClock();
+  const session = new GameSession({ thoughts, clock, seed, ...options, rules: { ...baseRules, ...rules } });
+  const events = [];
+  ['spawn', 'expire', 'punch', 'penalty', 'win', 'end', 'knockdown', 'knockdown-count', 'recover', 'round-start', 'round-end', 'rest-tick'].forEach(eventName => {
+    session.on(eventName, (payload, outcome) => events.push({ eventName, t: clock.now(), payload, outcome }));
+  });
+  return { clock, session, events };
+}
+
+const spawnsOf = (events, isPositive) => events.filter(event => event.eventName === 'spawn' && event.payload.isPositive === isPositive);
+const eventsNamed = (events, eventName) => events.filter(event => event.eventName === eventName);
+const firstActive = (session, isPositive) => [...session.state.activeThoughts.values()].find(thought => thought.isPositive === isPositive);
+
+describe('createSeededRandom', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = createSeededRandom(7);
+    const b = createSeededRandom(7);
+    const sequence = Array.from({ length: 5 }, () => a());
+    expect(Array.from({ length: 5 }, () => b())).toEqual(sequence);
+    sequence.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+});
+
+describe('GameSession', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('spawn cadence', () => {
+    it('spawns doubts and affirmations on their own intervals after the start delay', () => {
+      const { clock, session, events } = createSession({ negativeLifetime: 60000 });
+      session.start();
+
+      clock.advance(3499);
+      expect(spawnsOf(events, false)).toHaveLength(0);
+
+      clock.advance(1);
+      expect(spawnsOf(events, false).map(event => event.t)).toEqual([3500]);
+
+      clock.advance(8500); // t = 12000
+      expect(spawnsOf(events, false).map(event => event.t)).toEqual([3500, 6000, 8500, 11000]);
+      expect(spawnsOf(events, true).map(event => event.t)).toEqual([5000, 9000]);
+    });
+
+    it('picks the same thoughts for the same seed', () => {
+      const texts = seed => {
+        const { clock, session, events } = createSession({ negativeLifetime: 60000 }, seed);
+        session.start();
+        clock.advance(20000);
+        return events.filter(event => event.eventName === 'spawn').map(event => event.payload.text);
+      };
+      expect(texts(1234)).toEqual(texts(1234));
+    });
+
+    it('picks the same thoughts however much the layout draws from its generator', () => {
+      const texts = layoutDraws => {
+        const { clock, session, events } = createSession({ negativeLifetime: 60000 }, 1234);
+        session.on('spawn', () => {
+          for (let i = 0; i < layoutDraws; i++) session.layoutRandom();
+        });
+        session.start();
+        clock.advance(20000);
+        return events.filter(event => event.eventName === 'spawn').map(event => event.payload.text);
+      };
+      expect(texts(0)).toEqual(texts(25));
+    });
+
+    it('expires unpunched doubts after their lifetime, costing confidence', () => {
+      const { clock, session, events } = createSession();
+      session.start();
+      clock.advance(3500);
+      const doubt = spawnsOf(events, false)[0].payload;
+
+      clock.advance(5000);
+      const expired = events.find(event => event.eventName === 'expire');
+      expect(expired.payload.id).toBe(doubt.id);
+      expect(expired.t).toBe(8500);
+      expect(session.state.expired).toBe(1);
+      expect(session.state.confidence).toBe(50 - session.rules.missConfidence);
+    });
+  });
+
+  describe('scoring', () => {
+    it('rewards punching a doubt with points and confidence', () => {
+      const { clock, session } = createSession();
+      session.start();
+      clock.advance(3500);
+
+      const outcome = session.punchThought(firstActive(session, false).id);
+      expect(outcome).toMatchObject({ isPenalty: false, scoreDelta: 10, confidenceDelta: 5, combo: 1 });
+      expect(session.state.score).toBe(10);
+      expect(session.state.confidence).toBe(55);
+      expect(session.state.thoughtsDefeated).toBe(1);
+    });
+
+    it('applies the reaction multiplier with the scoring table', () => {
+      const { clock, session } = createSession({ scoring: SCORING_RULES });
+      session.start();
+      clock.advance(3500);
+      clock.advance(500);
+
+      const outcome = session.punchThought(firstActive(session, false).id);
+      expect(outcome.reactionLabel).toBe('Lightning');
+      expect(outcome.reactionMultiplier).toBe(2);
+      expect(outcome.scoreDelta).toBe(20);
+    });
+
+    it('penalizes punching an affirmation and breaks the combo', () => {
+      const { clock, session } = createSession({ negativeLifetime: 60000 });
+      session.start();
+      clock.advance(5000);
+
+      session.punchThought(firstActive(session, false).id);
+      const outcome = session.punchThought(firstActive(session, true).id);
+      expect(outcome).toMatchObject({ isPenalty: true, scoreDelta: -10, confidenceDelta: -3, combo: 0 });
+      expect(session.state.score).toBe(0); // never below zero
+      expect(session.state.confidence).toBe(52);
+      expect(session.state.penalties).toBe(1);
+    });
+
+    it('ignores punches on thoughts that are gone', () => {
+      const { clock, session } = createSession();
+      session.start();
+      clock.advance(3500);
+      const { id } = firstActive(session, false);
+
+      expect(session.punchThought(id)).not.toBeNull();
+      expect(session.punchThought(id)).toBeNull();
+    });
+  });
+
+  describe('win condition', () => {
+    it('wins at 100% confidence and ends with a victory after the delay', () => {
+      const { clock, session, events } = createSession({ startingConfidence: 95 });
+      session.start();
+      clock.advance(3500);
+
+      session.punchThought(firstActive(session, false).id);
+      expect(session.state.confidence).toBe(100);
+      expect(session.state.hasWon).toBe(true);
+      expect(events.filter(event => event.eventName === 'win')).toHaveLength(1);
+      expect(events.some(event => event.eventName === 'end')).toBe(false);
+
+      clock.advance(session.rules.winEndDelay);
+      const end = events.find(event => event.eventName === 'end');
+      expect(end.payload.endReason).toBe(END_REASONS.VICTORY);
+      expect(session.state.isPlaying).toBe(false);
+      expect(clock.pendingTimers()).toBe(0);
+    });
+
+    it('keeps playing at 100% when the mode doesn\'t end on a win', () => {
+      const { clock, session, events } = createSession({ startingConfidence: 95, winAtMaxConfidence: false });
+      session.start();
+      clock.advance(3500);
+
+      session.punchThought(firstActive(session, false).id);
+      clock.advance(1000);
+      expect(events.some(event => event.eventName === 'win')).toBe(false);
+      expect(session.state.isPlaying).toBe(true);
+    });
+  });
+
+  describe('personal thoughts', () => {
+    const personalThoughts = normalizePersonalThoughts([
+      { doubt: '  My code is never good enough ', affirmation: 'My code ships and helps people' }
+    ]);
+
+    // How often each doubt is picked in 600 draws
+    function countDoubts(rules, seed) {
+      const { session } = createSession(rules, seed, { personalThoughts });
+      const counts = {};
+      for (let i = 0; i < 600; i++) {
+        const { text } = session.pickMessage(false);
+        counts[text] = (counts[text] || 0) + 1;
+      }
+      return counts;
+    }
+
+    it('picks the player\'s own doubts more often than each pack doubt', () => {
+      // Weight 3 against 3 pack doubts: half the draws are personal, a sixth for each pack doubt
+      const counts = countDoubts({ personalThoughtWeight: 3 }, 99);
+      const personal = counts['My code is never good enough'];
+      expect(personal / 600).toBeGreaterThan(0.4);
+      expect(personal / 600).toBeLessThan(0.6);
+      thoughts.negativeThoughts.forEach(text => {
+        expect(counts[text] / 600).toBeGreaterThan(0.1);
+        expect(counts[text]).toBeLessThan(personal / 2);
+      });
+
+      expect(countDoubts({ personalThoughtWeight: 3 }, 99)).toEqual(counts);
+    });
+
+    it('weights them like a pack doubt at weight 1', () => {
+      const counts = countDoubts({ personalThoughtWeight: 1 }, 99);
+      expect(counts['My code is never good enough'] / 600).toBeGreaterThan(0.15);
+      expect(counts['My code is never good enough'] / 600).toBeLessThan(0.35);
+    });
+  });
+
+  describe('reframing', () => {
+    const reframeThoughts = {
+      ...thoughts,
+      reframes: {
+        'I just got lucky': 'I prepared for this',
+        "I don't belong here": 'I was chosen for a reason'
+      }
+    };
+
+    it('turns a punched doubt into its reframe and scores the punch', () => {
+      const { clock, session, events } = createSession({ reframing: true, negativeLifetime: 60000 }, 42, { thoughts: reframeThoughts });
+      const reframes = [];
+      session.on('reframe', (doubt, reframe) => reframes.push({ doubt, reframe }));
+      session.start();
+      clock.advance(6000);
+
+      // Only doubts with a reframe are dealt, and no affirmations spawn on their own
+      expect(spawnsOf(events, true)).toHaveLength(0);
+      spawnsOf(events, false).forEach(event => expect(Object.keys(reframeThoughts.reframes)).toContain(event.payload.text));
+      const doubt = firstActive(session, false);
+
+      const outcome = session.punchThought(doubt.id);
+      expect(outcome).toMatchObject({ isPenalty: false, scoreDelta: 10, confidenceDelta: 5 });
+      expect(outcome.reframe).toMatchObject({ text: reframeThoughts.reframes[doubt.text], isPositive: true, reframeOf: doubt.id });
+      expect(session.state.activeThoughts.get(outcome.reframe.id)).toBe(outcome.reframe);
+      expect(session.state.reframes).toBe(1);
+      expect(reframes).toEqual([{ doubt, reframe: outcome.reframe }]);
+
+      // The reframe is an affirmation: absorbing it scores too
+      expect(session.absorbThought(outcome.reframe.id)).toEqual({ scoreDelta: session.rules.absorbPoints, confidenceDelta: session.rules.absorbConfidence });
+    });
+  });
+
+  describe('knockdown', () => {
+    // Punching the affirmation at 5 s takes confidence from 3% to 0%
+    function knockDown() {
+      const context = createSession({ knockdownEnabled: true, startingConfidence: 3, negativeLifetime: 60000 });
+      context.session.start();
+      context.clock.advance(5000);
+      context.session.punchThought(firstActive(context.session, true).id);
+      return context;
+    }
+
+    it('starts the count at 0% with a burst of doubts to punch', () => {
+      const { clock, session, events } = knockDown();
+      expect(session.state.confidence).toBe(0);
+      expect(session.state.knockdown).toEqual({ count: 10, punches: 0, punchesNeeded: 3 });
+      expect(session.state.knockdowns).toBe(1);
+      expect(eventsNamed(events, 'knockdown')).toHaveLength(1);
+      expect(spawnsOf(events, false).filter(event => event.t === 5000)).toHaveLength(3);
+
+      clock.advance(3000);
+      expect(eventsNamed(events, 'knockdown-count').map(event => event.payload.count)).toEqual([9, 8, 7]);
+      expect(session.state.isPlaying).toBe(true);
+    });
+
+    it('gets back up after punching enough doubts during the count', () => {
+      const { clock, session, events } = knockDown();
+
+      session.punchThought(firstActive(session, false).id);
+      session.punchThought(firstActive(session, false).id);
+      expect(session.state.knockdown).toMatchObject({ punches: 2 });
+      expect(session.state.confidence).toBe(0); // punches while down don't add confidence
+
+      session.punchThought(firstActive(session, false).id);
+      expect(session.state.knockdown).toBeNull();
+      expect(session.state.confidence).toBe(session.rules.recoveryConfidence);
+      expect(session.state.recoveries).toBe(1);
+      expect(eventsNamed(events, 'recover')).toHaveLength(1);
+
+      clock.advance(20000);
+      expect(eventsNamed(events, 'knockdown-count')).toHaveLength(0);
+      expect(session.state.isPlaying).toBe(true);
+    });
+
+    it('ends in a knockout when the count runs out', () => {
+      const { clock, session, events } = knockDown();
+
+      clock.advance(9999);
+      expect(eventsNamed(events, 'end')).toHaveLength(0);
+
+      clock.advance(1);
+      const [end] = eventsNamed(events, 'end');
+      expect(end.t).toBe(15000);
+      expect(end.payload.endReason).toBe(END_REASONS.KNOCKOUT);
+      expect(session.state.isPlaying).toBe(false);
+    });
+  });
+
+  describe('rounds', () => {
+    const roundRules = { roundCount: 2, roundLength: 10000, roundRest: 3000, negativeLifetime: 60000 };
+
+    it('rings the bell after each round\'s length of play', () => {
+      const { clock, session, events } = createSession(roundRules);
+      session.start();
+      expect(eventsNamed(events, 'round-start').map(event => [event.t, event.payload.round])).toEqual([[0, 1]]);
+
+      clock.advance(9999);
+      expect(eventsNamed(events, 'round-end')).toHaveLength(0);
+
+      clock.advance(1);
+      const [roundEnd] = eventsNamed(events, 'round-end');
+      expect(roundEnd.payload).toMatchObject({ round: 1, duration: 10000, isLastRound: false, restSeconds: 3 });
+      expect(session.state.activeThoughts.size).toBe(0); // the ring is cleared for the rest
+    });
+
+    it('freezes the session clock and spawning during the rest', () => {
+      const { clock, session, events } = createSession(roundRules);
+      session.start();
+      clock.advance(10000);
+      const spawnsAtBell = eventsNamed(events, 'spawn').length;
+      expect(session.state.isResting).toBe(true);
+
+      clock.advance(2999);
+      expect(eventsNamed(events, 'spawn')).toHaveLength(spawnsAtBell);
+      expect(eventsNamed(events, 'rest-tick').map(event => event.payload.remainingSeconds)).toEqual([2, 1]);
+      expect(session.getElapsedSeconds()).toBe(10);
+
+      clock.advance(1);
+      expect(session.state.isResting).toBe(false);
+      expect(eventsNamed(events, 'round-start').map(event => [event.t, event.payload.round])).toEqual([[0, 1], [13000, 2]]);
+
+      // The spawn due at 11 s of play comes 1 s into the second round
+      clock.advance(1000);
+      expect(eventsNamed(events, 'spawn')).toHaveLength(spawnsAtBell + 1);
+      expect(session.getElapsedSeconds()).toBe(11);
+    });
+
+    it('ends after the final round with every round on the scorecard', () => {
+      const { clock, session, events } = createSession(roundRules);
+      session.start();
+      clock.advance(10000 + 3000 + 10000);
+
+      const roundEnds = eventsNamed(events, 'round-end');
+      expect(roundEnds.map(event => event.payload.isLastRound)).toEqual([false, true]);
+
+      const [end] = eventsNamed(events, 'end');
+      expect(end.t).toBe(23000);
+      expect(end.payload.endReason).toBe(END_REASONS.ROUNDS_COMPLETE);
+      expect(end.payload.roundResults.map(result => [result.round, result.duration])).toEqual([[1, 10000], [2, 10000]]);
+      expect(session.getElapsedSeconds()).toBe(20);
+    });
+  });
+
+  describe('pause', () => {
+    it('freezes spawning, expiry and the session clock until resumed', () => {
+      const { clock, session, events } = createSession();
+      session.start();
+      clock.advance(4000); // one doubt, 500 ms into its 5 s lifetime
+      const spawnsBefore = events.filter(event => event.eventName === 'spawn').length;
+
+      session.pause();
+      clock.advance(60000);
+      expect(events.filter(event => event.eventName === 'spawn')).toHaveLength(spawnsBefore);
+      expect(events.some(event => event.eventName === 'expire')).toBe(false);
+      expect(session.getElapsedSeconds()).toBe(4);
+      expect(session.punchThought(firstActive(session, false).id)).toBeNull();
+
+      session.resume();
+      clock.advance(1000); // the spawn due at 5 s comes 1 s after resuming
+      expect(events.filter(event => event.eventName === 'spawn')).toHaveLength(spawnsBefore + 1);
+
+      clock.advance(3500); // the doubt had 4.5 s left when paused
+      expect(events.filter(event => event.eventName === 'expire')).toHaveLength(1);
+      expect(session.getElapsedSeconds()).toBe(8);
+    });
+  });
+});
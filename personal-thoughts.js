@@ -0,0 +1,78 @@
+// Personal thoughts
+// The player's own doubts, typed in on the start screen, each with the affirmation they want to
+// answer it with. They're mixed into a session alongside the thought pack (see the
+// personalThoughts option of GameSession) and can be kept in localStorage for next time.
+
+export const MAX_PERSONAL_THOUGHTS = 10;
+export const MAX_PERSONAL_THOUGHT_LENGTH = 200;
+
+const PERSONAL_THOUGHTS_STORAGE_KEY = 'imposterSyndromeDefeato.personalThoughts';
+
+/**
+ * Trim entries, drop ones without a doubt and de-duplicate doubts
+ * @param {object[]} entries - [{ doubt, affirmation }] as typed
+ * @returns {object[]} [{ doubt, affirmation }], affirmation '' when none was given
+ */
+export function normalizePersonalThoughts(entries) {
+  if (!Array.isArray(entries)) return [];
+
+  const seen = new Set();
+  const thoughts = [];
+
+  entries.forEach(entry => {
+    if (!entry || typeof entry.doubt !== 'string') return;
+
+    const doubt = entry.doubt.trim().slice(0, MAX_PERSONAL_THOUGHT_LENGTH);
+    const affirmation = typeof entry.affirmation === 'string'
+      ? entry.affirmation.trim().slice(0, MAX_PERSONAL_THOUGHT_LENGTH)
+      : '';
+
+    if (!doubt || seen.has(doubt)) return;
+    seen.add(doubt);
+    thoughts.push({ doubt, affirmation });
+  });
+
+  return thoughts.slice(0, MAX_PERSONAL_THOUGHTS);
+}
+
+/**
+ * Load the thoughts saved in a previous visit
+ * @returns {object[]} [{ doubt, affirmation }]
+ */
+export function loadPersonalThoughts() {
+  try {
+    const stored = localStorage.getItem(PERSONAL_THOUGHTS_STORAGE_KEY);
+    return stored ? normalizePersonalThoughts(JSON.parse(stored)) : [];
+  } catch (error) {
+    console.warn('PERSONAL_THOUGHTS: Failed to load personal thoughts:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Keep thoughts for future sessions (replaces anything saved before)
+ * @param {object[]} entries - [{ doubt, affirmation }]
+ * @returns {object[]} The normalized thoughts that were saved
+ */
+export function savePersonalThoughts(entries) {
+  const thoughts = normalizePersonalThoughts(entries);
+
+  try {
+    localStorage.setItem(PERSONAL_THOUGHTS_STORAGE_KEY, JSON.stringify(thoughts));
+  } catch (error) {
+    console.warn('PERSONAL_THOUGHTS: Failed to save personal thoughts:', error.message);
+  }
+
+  return thoughts;
+}
+
+/**
+ * Forget saved thoughts
+ */
+export function clearPersonalThoughts() {
+  try {
+    localStorage.removeItem(PERSONAL_THOUGHTS_STORAGE_KEY);
+  } catch (error) {
+    console.warn('PERSONAL_THOUGHTS: Failed to clear personal thoughts:', error.message);
+  }
+}
@@ -0,0 +1,335 @@
+// Pointer input layer for the boxing game
+// One Pointer Events path for mouse, pen and touch. Every active pointer is tracked
+// separately, so several fingers can punch at once, and dragging a pointer through a
+// bubble counts as a swipe punch in the direction of travel.
+// Dwell targets (affirmations) can also be absorbed by resting on them: a hovering mouse,
+// or a finger held down without moving. A quick tap on a dwell target is still a punch.
+// Targets are plain { id, isPositive, rect } records from the renderer, so hit testing
+// works the same for DOM bubbles and bubbles drawn on a canvas.
+
+const SWIPE_MIN_DISTANCE = 12; // px a pointer must travel before its path starts punching
+
+/**
+ * Does the segment (x1, y1) -> (x2, y2) cross a rectangle? (Liang-Barsky clipping)
+ * @param {number} x1 - Segment start x
+ * @param {number} y1 - Segment start y
+ * @param {number} x2 - Segment end x
+ * @param {number} y2 - Segment end y
+ * @param {object} rect - { left, top, right, bottom } in the same coordinate space
+ * @returns {boolean} True if any part of the segment is inside the rectangle
+ */
+export function segmentIntersectsRect(x1, y1, x2, y2, rect) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const edges = [
+    [-dx, x1 - rect.left],
+    [dx, rect.right - x1],
+    [-dy, y1 - rect.top],
+    [dy, rect.bottom - y1]
+  ];
+
+  let enter = 0;
+  let exit = 1;
+
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q < 0) return false; // parallel and outside
+      continue;
+    }
+
+    const t = q / p;
+    if (p < 0) {
+      enter = Math.max(enter, t);
+    } else {
+      exit = Math.min(exit, t);
+    }
+    if (enter > exit) return false;
+  }
+
+  return true;
+}
+
+export class PointerInput {
+  /**
+   * @param {HTMLElement} surface - Element receiving pointer events (the game area)
+   * @param {object} options
+   * @param {Function} options.getTargets - Returns the punchable targets on screen as [{ id, isPositive, rect }]
+   * @param {Function} options.onPunch - Called with (target, { x, y, pointerId, pointerType, direction })
+   * @param {Function} [options.isDwellTarget] - True for targets that can be absorbed by dwelling on them
+   * @param {Function} [options.getDwellTime] - ms a pointer must rest on a dwell target
+   * @param {Function} [options.onDwellStart] - Called with (target, dwellTime) when a dwell begins
+   * @param {Function} [options.onDwellCancel] - Called with (target) when the pointer leaves or lifts early
+   * @param {Function} [options.onDwellComplete] - Called with (target, { x, y, pointerId, pointerType })
+   */
+  constructor(surface, {
+    getTargets,
+    onPunch,
+    isDwellTarget = () => false,
+    getDwellTime = () => 800,
+    onDwellStart = () => {},
+    onDwellCancel = () => {},
+    onDwellComplete = () => {}
+  }) {
+    this.surface = surface;
+    this.getTargets = getTargets;
+    this.onPunch = onPunch;
+    this.isDwellTarget = isDwellTarget;
+    this.getDwellTime = getDwellTime;
+    this.onDwellStart = onDwellStart;
+    this.onDwellCancel = onDwellCancel;
+    this.onDwellComplete = onDwellComplete;
+    this.pointers = new Map(); // pointerId -> { startX, startY, lastX, lastY, isSwiping, punched (ids), pendingTap }
+    this.dwells = new Map(); // pointerId -> { target, timer, x, y }
+    this.attached = false;
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerEnd = this.handlePointerEnd.bind(this);
+    this.handlePointerLeave = this.handlePointerLeave.bind(this);
+  }
+
+  /**
+   * Start listening for pointers on the surface
+   */
+  attach() {
+    if (this.attached || !this.surface) return;
+
+    this.surface.addEventListener('pointerdown', this.handlePointerDown);
+    this.surface.addEventListener('pointermove', this.handlePointerMove);
+    this.surface.addEventListener('pointerup', this.handlePointerEnd);
+    this.surface.addEventListener('pointercancel', this.handlePointerEnd);
+    this.surface.addEventListener('lostpointercapture', this.handlePointerEnd);
+    this.surface.addEventListener('pointerleave', this.handlePointerLeave);
+    this.attached = true;
+  }
+
+  /**
+   * Stop listening and forget every active pointer
+   */
+  detach() {
+    if (!this.attached) return;
+
+    this.surface.removeEventListener('pointerdown', this.handlePointerDown);
+    this.surface.removeEventListener('pointermove', this.handlePointerMove);
+    this.surface.removeEventListener('pointerup', this.handlePointerEnd);
+    this.surface.removeEventListener('pointercancel', this.handlePointerEnd);
+    this.surface.removeEventListener('lostpointercapture', this.handlePointerEnd);
+    this.surface.removeEventListener('pointerleave', this.handlePointerLeave);
+    this.cancelDwells();
+    this.pointers.clear();
+    this.attached = false;
+  }
+
+  handlePointerDown(event) {
+    // Only the primary mouse button punches
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+
+    const pointer = {
+      startX: event.clientX,
+      startY: event.clientY,
+      lastX: event.clientX,
+      lastY: event.clientY,
+      isSwiping: false,
+      punched: new Set(),
+      pendingTap: null // dwell target touched; punched on lift unless the dwell completes first
+    };
+    this.pointers.set(event.pointerId, pointer);
+
+    // Pressing the mouse button ends a hover dwell
+    this.cancelDwell(event.pointerId);
+
+    // Keep receiving moves for this pointer even when it leaves the bubble it started on
+    if (this.surface.setPointerCapture) {
+      try {
+        this.surface.setPointerCapture(event.pointerId);
+      } catch (error) {
+        console.debug('POINTER_INPUT: Pointer capture unavailable:', error.message);
+      }
+    }
+
+    const target = this.findTargetAt(event.clientX, event.clientY);
+    if (!target) return;
+    event.preventDefault();
+
+    // A finger resting on an affirmation starts absorbing it instead of punching
+    if (event.pointerType !== 'mouse' && this.isDwellTarget(target)) {
+      pointer.pendingTap = target;
+      this.startDwell(event, target);
+      return;
+    }
+
+    // A tap punches the bubble under the pointer straight away (no click delay)
+    this.punch(target, event, pointer, null);
+  }
+
+  handlePointerMove(event) {
+    const pointer = this.pointers.get(event.pointerId);
+
+    // A hovering mouse (no button down) dwells on whatever affirmation it rests on
+    if (!pointer) {
+      if (event.pointerType === 'mouse') this.updateHoverDwell(event);
+      return;
+    }
+
+    let fromX = pointer.lastX;
+    let fromY = pointer.lastY;
+    pointer.lastX = event.clientX;
+    pointer.lastY = event.clientY;
+
+    if (!pointer.isSwiping) {
+      const travelled = Math.hypot(event.clientX - pointer.startX, event.clientY - pointer.startY);
+      if (travelled < SWIPE_MIN_DISTANCE) return;
+      pointer.isSwiping = true;
+
+      // Moving off turns a held affirmation into part of the swipe
+      if (pointer.pendingTap) {
+        this.cancelDwell(event.pointerId);
+        pointer.pendingTap = null;
+        fromX = pointer.startX;
+        fromY = pointer.startY;
+      }
+    }
+
+    const dx = event.clientX - fromX;
+    const dy = event.clientY - fromY;
+    const length = Math.hypot(dx, dy);
+    if (length === 0) return;
+
+    const direction = { x: dx / length, y: dy / length };
+
+    this.getTargets().forEach(target => {
+      if (pointer.punched.has(target.id)) return;
+
+      if (segmentIntersectsRect(fromX, fromY, event.clientX, event.clientY, target.rect)) {
+        this.punch(target, event, pointer, direction);
+      }
+    });
+  }
+
+  handlePointerEnd(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    this.pointers.delete(event.pointerId);
+    if (!pointer) return;
+
+    // Lifted before the dwell finished: it was a tap, so it's a punch
+    if (pointer.pendingTap && event.type === 'pointerup') {
+      this.cancelDwell(event.pointerId);
+      if (this.isOnScreen(pointer.pendingTap)) {
+        this.punch(pointer.pendingTap, event, pointer, null);
+      }
+    } else {
+      this.cancelDwell(event.pointerId);
+    }
+  }
+
+  handlePointerLeave(event) {
+    if (event.pointerType === 'mouse' && !this.pointers.has(event.pointerId)) {
+      this.cancelDwell(event.pointerId);
+    }
+  }
+
+  /**
+   * Start, keep or cancel a hover dwell as the mouse moves
+   */
+  updateHoverDwell(event) {
+    const target = this.findTargetAt(event.clientX, event.clientY);
+    const dwell = this.dwells.get(event.pointerId);
+    if (dwell && target && dwell.target.id === target.id) {
+      dwell.x = event.clientX;
+      dwell.y = event.clientY;
+      return;
+    }
+
+    this.cancelDwell(event.pointerId);
+    if (target && this.isDwellTarget(target)) {
+      this.startDwell(event, target);
+    }
+  }
+
+  startDwell(event, target) {
+    const dwellTime = this.getDwellTime();
+    const { pointerId, pointerType } = event;
+    const dwell = { target, timer: null, x: event.clientX, y: event.clientY };
+
+    dwell.timer = setTimeout(() => {
+      this.dwells.delete(pointerId);
+      const pointer = this.pointers.get(pointerId);
+
+      // The affirmation may have gone, or drifted out from under the pointer, while it rested
+      const current = this.findTargetAt(dwell.x, dwell.y);
+      if (!current || current.id !== target.id) {
+        if (pointer) pointer.pendingTap = null;
+        if (this.isOnScreen(target)) this.onDwellCancel(target);
+        return;
+      }
+
+      if (pointer) {
+        pointer.pendingTap = null;
+        pointer.punched.add(target.id); // don't punch it on lift or on the way out
+      }
+      this.onDwellComplete(target, { x: dwell.x, y: dwell.y, pointerId, pointerType });
+    }, dwellTime);
+
+    this.dwells.set(pointerId, dwell);
+    this.onDwellStart(target, dwellTime);
+  }
+
+  cancelDwell(pointerId) {
+    const dwell = this.dwells.get(pointerId);
+    if (!dwell) return;
+
+    clearTimeout(dwell.timer);
+    this.dwells.delete(pointerId);
+    this.onDwellCancel(dwell.target);
+  }
+
+  /**
+   * Cancel every dwell in progress (e.g. when the session pauses)
+   */
+  cancelDwells() {
+    Array.from(this.dwells.keys()).forEach(pointerId => this.cancelDwell(pointerId));
+  }
+
+  /**
+   * Is a target still punchable?
+   */
+  isOnScreen(target) {
+    return this.getTargets().some(candidate => candidate.id === target.id);
+  }
+
+  /**
+   * Topmost punchable target under a point
+   */
+  findTargetAt(x, y) {
+    const targets = this.getTargets();
+    for (let i = targets.length - 1; i >= 0; i--) {
+      const { rect } = targets[i];
+      if (rect && x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
+        return targets[i];
+      }
+    }
+    return null;
+  }
+
+  punch(target, event, pointer, direction) {
+    pointer.punched.add(target.id);
+    this.onPunch(target, {
+      x: event.clientX,
+      y: event.clientY,
+      pointerId: event.pointerId,
+      pointerType: event.pointerType,
+      direction
+    });
+  }
+
+  /**
+   * Get current status
+   */
+  getStatus() {
+    return {
+      attached: this.attached,
+      activePointers: this.pointers.size,
+      activeDwells: this.dwells.size
+    };
+  }
+}
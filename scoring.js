@@ -0,0 +1,84 @@
+// Scoring for the boxing game
+// A punch is worth the base points times a combo multiplier (consecutive doubts punched
+// without a penalty or a miss) times a reaction multiplier (how soon after spawning it landed).
+
+/**
+ * Tunable scoring table
+ * - comboStep: punches in a row needed for each combo multiplier step
+ * - comboMultiplierStep: multiplier added per step
+ * - maxComboMultiplier: combo multiplier cap
+ * - reactionTiers: fastest first; the first tier whose `within` (ms since spawn) covers the punch applies
+ * - comboMilestones: combo counts that trigger a celebration message
+ */
+export const SCORING_RULES = {
+  comboStep: 5,
+  comboMultiplierStep: 0.5,
+  maxComboMultiplier: 3,
+  reactionTiers: [
+    { within: 1000, multiplier: 2, label: 'Lightning' },
+    { within: 2000, multiplier: 1.5, label: 'Quick' },
+    { within: 3500, multiplier: 1.2, label: 'Sharp' },
+    { within: Infinity, multiplier: 1, label: null }
+  ],
+  comboMilestones: [5, 10, 15, 20, 30, 50]
+};
+
+/**
+ * Combo multiplier for the number of consecutive punches (including the current one)
+ * @param {number} combo - Current combo count
+ * @param {object} scoring - Scoring table
+ * @returns {number} Multiplier, 1 with no combo
+ */
+export function getComboMultiplier(combo, scoring = SCORING_RULES) {
+  const steps = Math.floor(combo / scoring.comboStep);
+  return Math.min(scoring.maxComboMultiplier, 1 + steps * scoring.comboMultiplierStep);
+}
+
+/**
+ * Reaction tier for the time between a doubt spawning and being punched
+ * @param {number} reactionTime - ms since spawn
+ * @param {object} scoring - Scoring table
+ * @returns {object} Tier { within, multiplier, label }
+ */
+export function getReactionTier(reactionTime, scoring = SCORING_RULES) {
+  return scoring.reactionTiers.find(tier => reactionTime <= tier.within)
+    || scoring.reactionTiers[scoring.reactionTiers.length - 1];
+}
+
+/**
+ * Points for punching a doubt
+ * @param {object} punch - { basePoints, combo, reactionTime }
+ * @param {object} scoring - Scoring table
+ * @returns {object} { points, comboMultiplier, reactionMultiplier, reactionLabel }
+ */
+export function scorePunch({ basePoints, combo, reactionTime }, scoring = SCORING_RULES) {
+  const comboMultiplier = getComboMultiplier(combo, scoring);
+  const tier = getReactionTier(reactionTime, scoring);
+
+  return {
+    points: Math.round(basePoints * comboMultiplier * tier.multiplier),
+    comboMultiplier,
+    reactionMultiplier: tier.multiplier,
+    reactionLabel: tier.label
+  };
+}
+
+/**
+ * Is this combo count worth celebrating?
+ * @param {number} combo - Current combo count
+ * @param {object} scoring - Scoring table
+ * @returns {boolean}
+ */
+export function isComboMilestone(combo, scoring = SCORING_RULES) {
+  return scoring.comboMilestones.includes(combo);
+}
+
+/**
+ * Share of actions that were correct: doubts punched out of punches, penalties and missed doubts
+ * @param {object} counts - { hits, penalties, misses }
+ * @returns {number|null} Accuracy between 0 and 1, or null before any action
+ */
+export function calculateAccuracy({ hits, penalties, misses }) {
+  const total = hits + penalties + misses;
+  return total === 0 ? null : hits / total;
+}
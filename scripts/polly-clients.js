@@ -0,0 +1,79 @@
+// Polly clients for the Node-side tools (scripts/presynthesize.js, scripts/tts-proxy.js)
+// The real client takes its credentials from the server's environment, never from the bundle.
+// The stub answers like Polly without a network or credentials, for running the tools offline.
+import { Readable } from 'node:stream';
+import { PollyClient, DescribeVoicesCommand } from '@aws-sdk/client-polly';
+import { loadEnv } from 'vite';
+import { awsConfig } from '../config.js';
+
+/**
+ * Environment variables from the shell and the project's .env files (shell wins)
+ * @param {string} root - Project root
+ * @returns {object} Variables
+ */
+export function loadServerEnv(root) {
+  return { ...loadEnv('production', root, ''), ...process.env };
+}
+
+/**
+ * Real Polly client, or null when no credentials are configured. Only the server-side
+ * AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY are read: Vite inlines VITE_* variables into the
+ * client bundle, so credentials must never be given that way.
+ * @param {object} env - From loadServerEnv()
+ * @returns {PollyClient|null}
+ */
+export function createPollyClientFromEnv(env) {
+  const accessKeyId = env.AWS_ACCESS_KEY_ID;
+  const secretAccessKey = env.AWS_SECRET_ACCESS_KEY;
+  if (!accessKeyId || !secretAccessKey) return null;
+
+  return new PollyClient({
+    region: env.AWS_REGION || awsConfig.region,
+    credentials: { accessKeyId, secretAccessKey }
+  });
+}
+
+// A few voices for the stub's DescribeVoices, including standard-only ones to exercise the
+// engine fallback
+const STUB_VOICES = [
+  { Id: 'Joanna', Name: 'Joanna', Gender: 'Female', LanguageCode: 'en-US', LanguageName: 'US English', SupportedEngines: ['neural', 'standard'] },
+  { Id: 'Matthew', Name: 'Matthew', Gender: 'Male', LanguageCode: 'en-US', LanguageName: 'US English', SupportedEngines: ['neural', 'standard'] },
+  { Id: 'Ivy', Name: 'Ivy', Gender: 'Female', LanguageCode: 'en-US', LanguageName: 'US English', SupportedEngines: ['neural', 'standard'] },
+  { Id: 'Amy', Name: 'Amy', Gender: 'Female', LanguageCode: 'en-GB', LanguageName: 'British English', SupportedEngines: ['neural', 'standard'] },
+  { Id: 'Brian', Name: 'Brian', Gender: 'Male', LanguageCode: 'en-GB', LanguageName: 'British English', SupportedEngines: ['neural', 'standard'] },
+  { Id: 'Nicole', Name: 'Nicole', Gender: 'Female', LanguageCode: 'en-AU', LanguageName: 'Australian English', SupportedEngines: ['standard'] },
+  { Id: 'Raveena', Name: 'Raveena', Gender: 'Female', LanguageCode: 'en-IN', LanguageName: 'Indian English', SupportedEngines: ['standard'] },
+  { Id: 'Vicki', Name: 'Vicki', Gender: 'Female', LanguageCode: 'de-DE', LanguageName: 'German', SupportedEngines: ['neural', 'standard'] }
+];
+
+/**
+ * Fake Polly client: answers DescribeVoicesCommand with STUB_VOICES and every
+ * SynthesizeSpeechCommand with a few bytes derived from the request, as a stream with the SDK's
+ * transformToByteArray() like the real response
+ * @returns {object} Client with send()
+ */
+export function createStubPollyClient() {
+  return {
+    async send(command) {
+      if (command instanceof DescribeVoicesCommand) {
+        return { Voices: STUB_VOICES };
+      }
+
+      const { Text, VoiceId, Engine } = command.input;
+      const voice = STUB_VOICES.find(candidate => candidate.Id === VoiceId);
+      if (voice && Engine && !voice.SupportedEngines.includes(Engine)) {
+        throw Object.assign(new Error(`This voice does not support the selected engine: ${Engine}`), {
+          name: 'EngineNotSupportedException'
+        });
+      }
+
+      const bytes = new TextEncoder().encode(`ID3 stub audio (${VoiceId}, ${Engine}): ${Text}`);
+      const audioStream = Readable.from([bytes]);
+      audioStream.transformToByteArray = async () => bytes;
+      return {
+        AudioStream: audioStream,
+        ContentType: 'audio/mpeg'
+      };
+    }
+  };
+}
@@ -0,0 +1,169 @@
+// Build-time pre-synthesis
+// Runs every built-in affirmation, reframe and breathing cue through Amazon Polly once and writes
+// the MP3s to public/tts/ with a manifest, so the site can speak them without AWS credentials in
+// the browser (see loadAudioManifest() in aws-polly-client.js). Runs before `vite build`; without
+// credentials it leaves public/tts/ alone and the build carries on.
+//
+//   node scripts/presynthesize.js [--stub] [--out <dir>]
+//
+// Credentials come from AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY, which stay out of the
+// bundle. --stub swaps in a fake Polly client that needs no network or credentials, for checking
+// the step offline. Clips already in the output directory are reused, so a rebuild only pays for
+// new text. Affirmations with SSML in
+// their pack are synthesized from it, keyed by the markup as the browser looks them up.
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, unlink, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { SynthesizeSpeechCommand } from '@aws-sdk/client-polly';
+import { BUILT_IN_PACKS } from '../built-in-packs.js';
+import { BREATHING_PATTERNS } from '../breathing.js';
+import { getAudioCacheKey } from '../audio-cache.js';
+import { pollyConfig } from '../config.js';
+import { validateSsml } from '../ssml.js';
+import { loadServerEnv, createPollyClientFromEnv, createStubPollyClient } from './polly-clients.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_OUT_DIR = path.join(ROOT, 'public', 'tts');
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+const CLIP_FILE_PATTERN = /^[0-9a-f]{16}\.\w+$/;
+
+/**
+ * Everything the game speaks that is known at build time
+ * @param {string} engine - Polly engine, to check SSML against
+ * @returns {object[]} Unique [{ text, textType }], where text is SSML markup when textType is 'ssml'
+ */
+function collectSpokenTexts(engine) {
+  const texts = new Map();
+  const addText = (text, textType = 'text') => texts.set(text, textType);
+
+  BUILT_IN_PACKS.forEach(pack => {
+    pack.positiveAffirmations.forEach(text => {
+      const ssml = pack.ssml && pack.ssml[text];
+      if (!ssml) {
+        addText(text);
+        return;
+      }
+
+      // Same rule as the browser: SSML that doesn't validate is spoken as plain text
+      const { valid, errors } = validateSsml(ssml, { engine });
+      if (valid) {
+        addText(ssml.trim(), 'ssml');
+      } else {
+        console.warn(`PRESYNTHESIS: Using plain text for "${text}", its SSML is invalid: ${errors.join('; ')}`);
+        addText(text);
+      }
+    });
+    Object.values(pack.reframes || {}).forEach(text => addText(text));
+  });
+
+  Object.values(BREATHING_PATTERNS).forEach(pattern => {
+    pattern.phases.forEach(phase => addText(phase.label));
+  });
+
+  return [...texts].map(([text, textType]) => ({ text, textType }));
+}
+
+/**
+ * Stable file name for a clip, from its cache key
+ * @param {string} key - Key from getAudioCacheKey()
+ * @param {string} outputFormat - e.g. 'mp3'
+ * @returns {string} e.g. '3f2a9c1b7d4e6a80.mp3'
+ */
+function getClipFileName(key, outputFormat) {
+  return `${createHash('sha256').update(key).digest('hex').slice(0, 16)}.${outputFormat}`;
+}
+
+/**
+ * Synthesize every text that doesn't have a clip yet, then write the manifest and remove clips
+ * nothing refers to any more
+ * @param {object} client - Polly client (or the stub)
+ * @param {string} outDir - Output directory
+ * @returns {Promise<object>} { synthesized, reused, failed, removed }
+ */
+export async function presynthesize(client, outDir) {
+  const params = {
+    OutputFormat: pollyConfig.outputFormat || 'mp3',
+    VoiceId: pollyConfig.voiceId || 'Joanna',
+    Engine: pollyConfig.engine || 'standard'
+  };
+  const entries = {};
+  const result = { synthesized: 0, reused: 0, failed: 0, removed: 0 };
+
+  await mkdir(outDir, { recursive: true });
+
+  for (const { text, textType } of collectSpokenTexts(params.Engine)) {
+    const key = getAudioCacheKey({
+      text,
+      voiceId: params.VoiceId,
+      engine: params.Engine,
+      outputFormat: params.OutputFormat
+    });
+    const fileName = getClipFileName(key, params.OutputFormat);
+
+    if (existsSync(path.join(outDir, fileName))) {
+      entries[key] = fileName;
+      result.reused++;
+      continue;
+    }
+
+    try {
+      const response = await client.send(new SynthesizeSpeechCommand({ ...params, Text: text, TextType: textType }));
+      const bytes = await response.AudioStream.transformToByteArray();
+      if (!bytes || bytes.length === 0) throw new Error('Empty audio data received');
+
+      await writeFile(path.join(outDir, fileName), bytes);
+      entries[key] = fileName;
+      result.synthesized++;
+    } catch (error) {
+      result.failed++;
+      console.warn(`PRESYNTHESIS: Failed to synthesize "${text}": ${error.message}`);
+
+      // Every other request would fail the same way
+      if (error.name === 'CredentialsProviderError' || error.name === 'UnrecognizedClientException') break;
+    }
+  }
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    voiceId: params.VoiceId,
+    engine: params.Engine,
+    outputFormat: params.OutputFormat,
+    entries
+  };
+  await writeFile(path.join(outDir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+
+  const referenced = new Set(Object.values(entries));
+  for (const fileName of await readdir(outDir)) {
+    if (!CLIP_FILE_PATTERN.test(fileName) || referenced.has(fileName)) continue;
+    await unlink(path.join(outDir, fileName));
+    result.removed++;
+  }
+
+  return result;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const useStub = args.includes('--stub');
+  const outIndex = args.indexOf('--out');
+  const outDir = outIndex !== -1 && args[outIndex + 1] ? path.resolve(args[outIndex + 1]) : DEFAULT_OUT_DIR;
+
+  const client = useStub ? createStubPollyClient() : createPollyClientFromEnv(loadServerEnv(ROOT));
+  if (!client) {
+    console.warn('PRESYNTHESIS: No AWS credentials (AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY), skipping. The site will use the browser voice.');
+    return;
+  }
+
+  const result = await presynthesize(client, outDir);
+  console.log(`PRESYNTHESIS: ${result.synthesized} synthesized, ${result.reused} reused, ${result.failed} failed, ${result.removed} removed${useStub ? ' (stub client)' : ''} -> ${path.relative(ROOT, outDir) || '.'}`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('PRESYNTHESIS: Failed:', error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createHash } from 'node:crypto';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { presynthesize } from './presynthesize.js';
+import { createStubPollyClient } from './polly-clients.js';
+import { getAudioCacheKey } from '../audio-cache.js';
+import { BUILT_IN_PACKS } from '../built-in-packs.js';
+import { pollyConfig } from '../config.js';
+
+const keyFor = text => getAudioCacheKey({
+  text,
+  voiceId: pollyConfig.voiceId,
+  engine: pollyConfig.engine,
+  outputFormat: pollyConfig.outputFormat
+});
+const fileNameFor = key => `${createHash('sha256').update(key).digest('hex').slice(0, 16)}.mp3`;
+
+describe('presynthesize', () => {
+  let outDir;
+
+  beforeEach(async () => {
+    outDir = await mkdtemp(path.join(tmpdir(), 'presynthesis-'));
+  });
+
+  afterEach(async () => {
+    await rm(outDir, { recursive: true, force: true });
+  });
+
+  it('writes hashed clips and a manifest pointing at them', async () => {
+    const result = await presynthesize(createStubPollyClient(), outDir);
+    const manifest = JSON.parse(await readFile(path.join(outDir, 'manifest.json'), 'utf8'));
+    const entries = Object.entries(manifest.entries);
+
+    expect(result).toMatchObject({ reused: 0, failed: 0, removed: 0 });
+    expect(result.synthesized).toBe(entries.length);
+    expect(manifest).toMatchObject({
+      version: 1,
+      voiceId: pollyConfig.voiceId,
+      engine: pollyConfig.engine,
+      outputFormat: pollyConfig.outputFormat
+    });
+
+    entries.forEach(([key, fileName]) => expect(fileName).toBe(fileNameFor(key)));
+    const files = await readdir(outDir);
+    expect(files.sort()).toEqual([...entries.map(([, fileName]) => fileName), 'manifest.json'].sort());
+
+    // Plain affirmations are keyed by their text, those with SSML by the markup
+    const workplace = BUILT_IN_PACKS.find(pack => pack.id === 'workplace');
+    const [withSsml, ssml] = Object.entries(workplace.ssml)[0];
+    const plain = workplace.positiveAffirmations.find(text => !workplace.ssml[text]);
+    expect(manifest.entries[keyFor(plain)]).toBe(fileNameFor(keyFor(plain)));
+    expect(manifest.entries[keyFor(ssml)]).toBeDefined();
+    expect(manifest.entries[keyFor(withSsml)]).toBeUndefined();
+
+    const clip = await readFile(path.join(outDir, manifest.entries[keyFor(plain)]), 'utf8');
+    expect(clip).toContain(plain);
+  });
+
+  it('reuses clips that already exist and removes ones nothing refers to', async () => {
+    const first = await presynthesize(createStubPollyClient(), outDir);
+    const stale = 'ffffffffffffffff.mp3';
+    await writeFile(path.join(outDir, stale), 'old clip');
+    await writeFile(path.join(outDir, 'notes.txt'), 'not a clip');
+
+    const client = createStubPollyClient();
+    const send = vi.spyOn(client, 'send');
+    const second = await presynthesize(client, outDir);
+
+    expect(send).not.toHaveBeenCalled();
+    expect(second).toEqual({ synthesized: 0, reused: first.synthesized, failed: 0, removed: 1 });
+    const files = await readdir(outDir);
+    expect(files).not.toContain(stale);
+    expect(files).toContain('notes.txt');
+  });
+});
@@ -0,0 +1,322 @@
+// TTS proxy
+// A small HTTP service that keeps the AWS credentials on the server: the browser POSTs text to
+// /api/tts and gets Polly's MP3 streamed back (see the proxy mode in aws-polly-client.js). Each
+// client IP gets a fixed number of requests per minute, and text longer than the cap is refused.
+//
+//   POST /api/tts     { text, textType?: 'text' | 'ssml', voiceId?, engine?: 'standard' | 'neural' }
+//   GET /api/voices   { voices: [...] } from DescribeVoices, for the browser's voice picker
+//
+// SSML is checked with the same rules as the browser (ssml.js) and the length cap counts only
+// the words it speaks.
+//   node scripts/tts-proxy.js [--stub]
+//
+// Environment (shell or .env):
+//   AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_REGION   Polly credentials
+//   TTS_PROXY_PORT            port to listen on (default 8787)
+//   TTS_PROXY_RATE_LIMIT      requests per IP per minute (default 30)
+//   TTS_PROXY_MAX_TEXT        longest text accepted, in characters (default 500)
+//   TTS_PROXY_ALLOWED_ORIGIN  value for Access-Control-Allow-Origin (default '*')
+//   TTS_PROXY_TRUST_PROXY     '1' to take the client IP from X-Forwarded-For behind a load balancer
+// --stub answers with a fake Polly client, for running the proxy without AWS.
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { SynthesizeSpeechCommand, DescribeVoicesCommand } from '@aws-sdk/client-polly';
+import { pollyConfig } from '../config.js';
+import { validateSsml, getSsmlText } from '../ssml.js';
+import { loadServerEnv, createPollyClientFromEnv, createStubPollyClient } from './polly-clients.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const TTS_PATH = '/api/tts';
+const VOICES_PATH = '/api/voices';
+const POLLY_ENGINES = ['standard', 'neural'];
+const VOICE_ID_PATTERN = /^[A-Za-z-]{2,30}$/;
+const RATE_WINDOW = 60000; // ms
+const MAX_BODY_BYTES = 16 * 1024;
+const POLLY_TIMEOUT = 10000; // ms, same as the browser client
+
+/**
+ * Fixed-window request counter per client IP
+ * @param {number} limit - Requests allowed per window
+ * @returns {object} { take(ip) -> { allowed, retryAfter } }
+ */
+function createRateLimiter(limit) {
+  const windows = new Map();
+
+  // Forget clients whose window has passed so the map doesn't grow forever
+  setInterval(() => {
+    const now = Date.now();
+    windows.forEach((entry, ip) => {
+      if (now - entry.start >= RATE_WINDOW) windows.delete(ip);
+    });
+  }, RATE_WINDOW).unref();
+
+  return {
+    take(ip) {
+      const now = Date.now();
+      let entry = windows.get(ip);
+      if (!entry || now - entry.start >= RATE_WINDOW) {
+        entry = { start: now, count: 0 };
+        windows.set(ip, entry);
+      }
+
+      entry.count++;
+      if (entry.count > limit) {
+        return { allowed: false, retryAfter: Math.ceil((entry.start + RATE_WINDOW - now) / 1000) };
+      }
+      return { allowed: true, retryAfter: 0 };
+    }
+  };
+}
+
+/**
+ * Read a request body up to a size limit. Past the limit it stops reading, leaving the socket
+ * open so the 413 can still be sent; the caller closes the connection with the response.
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<string>} Body text
+ * @throws {Error} With status 413 when the body is too large
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        request.off('data', onData);
+        request.unpipe();
+        request.pause();
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    request.on('data', onData);
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Call Polly, giving up after a timeout
+ * @param {object} client - Polly client
+ * @param {object} command - SDK command
+ * @param {number} timeoutMs - ms to wait for Polly
+ * @returns {Promise<object>} Response
+ */
+async function sendWithTimeout(client, command, timeoutMs) {
+  let timeout;
+  return Promise.race([
+    client.send(command),
+    new Promise((_, reject) => {
+      timeout = setTimeout(() => reject(new Error('API_TIMEOUT')), timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timeout));
+}
+
+/**
+ * Every Polly voice, with just the fields the voice picker needs
+ * @param {object} client - Polly client
+ * @param {number} timeoutMs - ms to wait for each page
+ * @returns {Promise<object[]>} [{ Id, Name, Gender, LanguageCode, LanguageName, SupportedEngines }]
+ */
+async function listVoices(client, timeoutMs) {
+  const voices = [];
+  let nextToken;
+  do {
+    const response = await sendWithTimeout(client, new DescribeVoicesCommand({ NextToken: nextToken }), timeoutMs);
+    (response.Voices || []).forEach(({ Id, Name, Gender, LanguageCode, LanguageName, SupportedEngines }) => {
+      voices.push({ Id, Name, Gender, LanguageCode, LanguageName, SupportedEngines });
+    });
+    nextToken = response.NextToken;
+  } while (nextToken);
+  return voices;
+}
+
+/**
+ * Check a /api/tts body and turn it into SynthesizeSpeech parameters
+ * @param {object} body - Parsed JSON body
+ * @param {number} maxTextLength - Longest text accepted
+ * @returns {object} { params } or { status, message } when the request must be refused
+ */
+function getSynthesizeParams(body, maxTextLength) {
+  const text = body && typeof body.text === 'string' ? body.text.trim() : '';
+  const textType = body.textType === undefined ? 'text' : body.textType;
+  const voiceId = body.voiceId === undefined ? (pollyConfig.voiceId || 'Joanna') : body.voiceId;
+  const engine = body.engine === undefined ? (pollyConfig.engine || 'standard') : body.engine;
+
+  if (!text) return { status: 400, message: 'Missing text' };
+  if (textType !== 'text' && textType !== 'ssml') return { status: 400, message: 'textType must be "text" or "ssml"' };
+  if (typeof voiceId !== 'string' || !VOICE_ID_PATTERN.test(voiceId)) return { status: 400, message: 'Invalid voiceId' };
+  if (!POLLY_ENGINES.includes(engine)) return { status: 400, message: `engine must be one of ${POLLY_ENGINES.join(', ')}` };
+
+  if (textType === 'ssml') {
+    const { valid, errors } = validateSsml(text, { engine });
+    if (!valid) return { status: 400, message: `Invalid SSML: ${errors[0]}` };
+  }
+  if ((textType === 'ssml' ? getSsmlText(text) : text).length > maxTextLength) {
+    return { status: 413, message: `Text is longer than ${maxTextLength} characters` };
+  }
+
+  return {
+    params: {
+      Text: text,
+      TextType: textType,
+      OutputFormat: pollyConfig.outputFormat || 'mp3',
+      VoiceId: voiceId,
+      Engine: engine
+    }
+  };
+}
+
+/**
+ * Map a Polly error to an HTTP status and the error type the browser client understands
+ * @param {Error} error - Error from the SDK (or the timeout)
+ * @returns {object} { status, type }
+ */
+function classifyPollyError(error) {
+  if (error.message === 'API_TIMEOUT') return { status: 504, type: 'TIMEOUT' };
+  if (error.name === 'ThrottlingException' || error.code === 'Throttling') return { status: 503, type: 'RATE_LIMIT' };
+  if (error.name === 'EngineNotSupportedException') return { status: 400, type: 'ENGINE' };
+  if (error.name === 'ValidationException' || error.name === 'InvalidParameterValue' ||
+      error.name === 'TextLengthExceededException' || error.name === 'InvalidSsmlException') {
+    return { status: 400, type: 'PARAMETER' };
+  }
+  if (error.name === 'ServiceUnavailableException' || error.name === 'ServiceFailureException') {
+    return { status: 503, type: 'SERVICE' };
+  }
+  // Credential problems are the server's to fix; don't tell clients more than that
+  return { status: 502, type: 'SERVICE' };
+}
+
+/**
+ * Create the proxy server
+ * @param {object} options
+ * @param {object} options.client - Polly client (or the stub)
+ * @param {number} options.rateLimit - Requests per IP per minute
+ * @param {number} options.maxTextLength - Longest text accepted
+ * @param {string} options.allowedOrigin - Access-Control-Allow-Origin value
+ * @param {boolean} options.trustProxy - Take the client IP from X-Forwarded-For
+ * @param {number} options.pollyTimeout - ms to wait for Polly before answering 504
+ * @returns {http.Server}
+ */
+export function createTtsProxy({ client, rateLimit, maxTextLength, allowedOrigin, trustProxy, pollyTimeout = POLLY_TIMEOUT }) {
+  const limiter = createRateLimiter(rateLimit);
+  // The voice list rarely changes, so DescribeVoices is only called once
+  let voicesPromise = null;
+
+  const sendError = (response, status, type, message, headers = {}) => {
+    response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    response.end(JSON.stringify({ error: message, type }));
+  };
+
+  return http.createServer(async (request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+    response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (pathname !== TTS_PATH && pathname !== VOICES_PATH) {
+      sendError(response, 404, 'NOT_FOUND', 'Not found');
+      return;
+    }
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+    const method = pathname === TTS_PATH ? 'POST' : 'GET';
+    if (request.method !== method) {
+      sendError(response, 405, 'PARAMETER', `Use ${method}`, { Allow: `${method}, OPTIONS` });
+      return;
+    }
+
+    const forwardedFor = trustProxy && request.headers['x-forwarded-for'];
+    const ip = forwardedFor ? forwardedFor.split(',')[0].trim() : request.socket.remoteAddress;
+    const { allowed, retryAfter } = limiter.take(ip);
+    if (!allowed) {
+      sendError(response, 429, 'RATE_LIMIT', 'Too many requests', { 'Retry-After': String(retryAfter) });
+      return;
+    }
+
+    if (pathname === VOICES_PATH) {
+      try {
+        voicesPromise = voicesPromise || listVoices(client, pollyTimeout);
+        const voices = await voicesPromise;
+        response.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'max-age=3600' });
+        response.end(JSON.stringify({ voices }));
+      } catch (error) {
+        voicesPromise = null;
+        const { status, type } = classifyPollyError(error);
+        console.warn(`TTS_PROXY: DescribeVoices failed (${type}): ${error.name}: ${error.message}`);
+        sendError(response, status, type, 'Could not list voices');
+      }
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(request));
+    } catch (error) {
+      // The rest of an oversized body is never read, so the connection can't be reused
+      const headers = error.status === 413 ? { Connection: 'close' } : {};
+      sendError(response, error.status || 400, 'PARAMETER', error.status ? error.message : 'Body must be JSON', headers);
+      return;
+    }
+    const { params, status, message } = getSynthesizeParams(body || {}, maxTextLength);
+    if (!params) {
+      sendError(response, status, 'PARAMETER', message);
+      return;
+    }
+
+    try {
+      const result = await sendWithTimeout(client, new SynthesizeSpeechCommand(params), pollyTimeout);
+
+      response.writeHead(200, {
+        'Content-Type': result.ContentType || 'audio/mpeg',
+        'Cache-Control': 'no-store'
+      });
+      result.AudioStream.on('error', error => {
+        console.warn('TTS_PROXY: Audio stream failed:', error.message);
+        response.destroy();
+      });
+      // Stop reading from Polly when the client goes away mid-stream
+      response.on('close', () => {
+        if (!response.writableFinished) result.AudioStream.destroy();
+      });
+      result.AudioStream.pipe(response);
+    } catch (error) {
+      const { status, type } = classifyPollyError(error);
+      console.warn(`TTS_PROXY: Polly request failed (${type}): ${error.name}: ${error.message}`);
+      sendError(response, status, type, type === 'ENGINE' ? `${params.VoiceId} does not support the ${params.Engine} engine` : 'Speech synthesis failed');
+    }
+  });
+}
+
+function main() {
+  const env = loadServerEnv(ROOT);
+  const useStub = process.argv.includes('--stub');
+  const client = useStub ? createStubPollyClient() : createPollyClientFromEnv(env);
+  if (!client) {
+    console.error('TTS_PROXY: Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY (or run with --stub)');
+    process.exitCode = 1;
+    return;
+  }
+
+  const port = Number(env.TTS_PROXY_PORT) || 8787;
+  const server = createTtsProxy({
+    client,
+    rateLimit: Number(env.TTS_PROXY_RATE_LIMIT) || 30,
+    maxTextLength: Number(env.TTS_PROXY_MAX_TEXT) || 500,
+    allowedOrigin: env.TTS_PROXY_ALLOWED_ORIGIN || '*',
+    trustProxy: env.TTS_PROXY_TRUST_PROXY === '1'
+  });
+  server.listen(port, () => {
+    console.log(`TTS_PROXY: Listening on http://localhost:${port}${TTS_PATH}${useStub ? ' (stub client)' : ''}`);
+  });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
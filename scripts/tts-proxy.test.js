@@ -0,0 +1,112 @@
+import { describe, it, expect, afterEach, beforeEach, vi } from 'vitest';
+import { Readable } from 'node:stream';
+import { once } from 'node:events';
+import { createTtsProxy } from './tts-proxy.js';
+import { createStubPollyClient } from './polly-clients.js';
+
+const servers = [];
+
+async function startProxy(options = {}) {
+  const server = createTtsProxy({
+    client: createStubPollyClient(),
+    rateLimit: 30,
+    maxTextLength: 100,
+    allowedOrigin: '*',
+    trustProxy: false,
+    ...options
+  });
+  servers.push(server);
+  server.listen(0);
+  await once(server, 'listening');
+  return `http://localhost:${server.address().port}/api/tts`;
+}
+
+const postText = (url, body, init = {}) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: typeof body === 'string' ? body : JSON.stringify(body),
+  ...init
+});
+
+describe('createTtsProxy', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    await Promise.all(servers.splice(0).map(server => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }));
+  });
+
+  it('streams synthesized audio back', async () => {
+    const url = await startProxy();
+    const response = await postText(url, { text: 'I belong here' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('audio/mpeg');
+    expect(response.headers.get('access-control-allow-origin')).toBe('*');
+    expect(await response.text()).toBe('ID3 stub audio (Joanna, standard): I belong here');
+  });
+
+  it('refuses text over the length cap', async () => {
+    const url = await startProxy({ maxTextLength: 10 });
+    const response = await postText(url, { text: 'This is longer than ten characters' });
+
+    expect(response.status).toBe(413);
+    expect(await response.json()).toEqual({ error: 'Text is longer than 10 characters', type: 'PARAMETER' });
+  });
+
+  it('answers an oversized body with 413 instead of dropping the connection', async () => {
+    const url = await startProxy();
+    const response = await postText(url, JSON.stringify({ text: 'x'.repeat(20 * 1024) }));
+
+    expect(response.status).toBe(413);
+    expect(response.headers.get('connection')).toBe('close');
+    expect(await response.json()).toMatchObject({ type: 'PARAMETER' });
+  });
+
+  it('rate limits each client and lets it back in when the window resets', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+    const url = await startProxy({ rateLimit: 2 });
+
+    expect((await postText(url, { text: 'one' })).status).toBe(200);
+    expect((await postText(url, { text: 'two' })).status).toBe(200);
+
+    const limited = await postText(url, { text: 'three' });
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('retry-after')).toBe('60');
+    expect(await limited.json()).toMatchObject({ type: 'RATE_LIMIT' });
+
+    vi.setSystemTime(new Date('2024-01-01T00:01:00Z'));
+    expect((await postText(url, { text: 'four' })).status).toBe(200);
+  });
+
+  it('answers 504 when Polly doesn\'t respond in time', async () => {
+    const client = { send: () => new Promise(() => {}) };
+    const url = await startProxy({ client, pollyTimeout: 50 });
+    const response = await postText(url, { text: 'Hello' });
+
+    expect(response.status).toBe(504);
+    expect(await response.json()).toEqual({ error: 'Speech synthesis failed', type: 'TIMEOUT' });
+  });
+
+  it('stops reading from Polly when the client disconnects mid-stream', async () => {
+    const audioStream = new Readable({ read() {} });
+    audioStream.push(Buffer.from('ID3 first chunk'));
+    const client = { send: async () => ({ AudioStream: audioStream, ContentType: 'audio/mpeg' }) };
+    const url = await startProxy({ client });
+
+    const controller = new AbortController();
+    const response = await postText(url, { text: 'Hello' }, { signal: controller.signal });
+    expect(response.status).toBe(200);
+
+    const closed = once(audioStream, 'close');
+    controller.abort();
+    await closed;
+    expect(audioStream.destroyed).toBe(true);
+  });
+});
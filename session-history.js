@@ -0,0 +1,212 @@
+// Session History for Boxing Game
+// Persists a record of every finished session (IndexedDB, falling back to localStorage)
+// and computes the trends shown on the History screen.
+
+import { openAppDatabase, withStore } from './app-database.js';
+
+const STORE_NAME = 'sessions';
+const LOCAL_STORAGE_KEY = 'imposterSyndromeDefeato.sessionHistory';
+const MAX_LOCAL_RECORDS = 200; // localStorage is small, keep only the most recent sessions
+
+/**
+ * Build a history record from a GameSession end summary
+ * @param {object} summary - Summary emitted with the session's 'end' event
+ * @param {object} details - Extra context such as { packId }
+ * @returns {object} Session record
+ */
+export function createSessionRecord(summary, details = {}) {
+  const savedAt = Date.now();
+
+  return {
+    id: `${savedAt}-${summary.seed}`,
+    date: new Date(savedAt).toISOString(),
+    mode: summary.modeId || 'classic',
+    packId: details.packId || null,
+    seed: summary.seed,
+    duration: summary.elapsedSeconds,
+    score: summary.score,
+    punches: summary.thoughtsDefeated,
+    penalties: summary.penalties,
+    expired: summary.expired,
+    absorbed: summary.affirmationsAbsorbed ?? 0,
+    bestStreak: summary.bestStreak,
+    accuracy: summary.accuracy ?? null,
+    averageReactionTime: summary.averageReactionTime ?? null,
+    endReason: summary.endReason,
+    knockdowns: summary.knockdowns ?? 0,
+    startConfidence: summary.confidenceTimeline.length > 0 ? summary.confidenceTimeline[0].confidence : null,
+    endConfidence: summary.confidence,
+    timeToMaxSeconds: summary.reachedMaxAt === null ? null : Math.round(summary.reachedMaxAt / 1000),
+    confidenceTimeline: summary.confidenceTimeline
+  };
+}
+
+/**
+ * Compute trends across a list of records
+ * @param {object[]} records - Session records, newest first
+ * @returns {object} Aggregated trends
+ */
+export function computeHistoryTrends(records) {
+  const average = (values) => values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  const penaltyRate = (items) => {
+    const punches = items.reduce((sum, record) => sum + record.punches, 0);
+    const penalties = items.reduce((sum, record) => sum + record.penalties, 0);
+    const total = punches + penalties;
+    return total === 0 ? null : penalties / total;
+  };
+
+  const timesToMax = records
+    .filter(record => record.timeToMaxSeconds !== null && record.timeToMaxSeconds !== undefined)
+    .map(record => record.timeToMaxSeconds);
+
+  // Compare the last five sessions against the five before them
+  const recent = records.slice(0, 5);
+  const previous = records.slice(5, 10);
+
+  return {
+    totalSessions: records.length,
+    averageTimeToMaxSeconds: average(timesToMax),
+    penaltyRate: penaltyRate(records),
+    recentPenaltyRate: penaltyRate(recent),
+    previousPenaltyRate: previous.length > 0 ? penaltyRate(previous) : null,
+    averageScore: average(records.map(record => record.score)),
+    bestScore: records.length === 0 ? null : Math.max(...records.map(record => record.score)),
+    totalPunches: records.reduce((sum, record) => sum + record.punches, 0)
+  };
+}
+
+class SessionHistoryStore {
+  constructor() {
+    this.dbPromise = null;
+    this.backend = null; // 'indexeddb' or 'localstorage' once resolved
+  }
+
+  /**
+   * Open the IndexedDB database (see app-database.js), resolving to null when IndexedDB is unavailable
+   */
+  openDatabase() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = openAppDatabase().then(db => {
+      this.backend = db ? 'indexeddb' : 'localstorage';
+      return db;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request against the sessions store
+   */
+  runTransaction(mode, operation) {
+    return withStore(STORE_NAME, mode, (store, setResult) => {
+      const request = operation(store);
+      request.onsuccess = () => setResult(request.result);
+    });
+  }
+
+  readLocalRecords() {
+    try {
+      const stored = localStorage.getItem(LOCAL_STORAGE_KEY);
+      const records = stored ? JSON.parse(stored) : [];
+      return Array.isArray(records) ? records : [];
+    } catch (error) {
+      console.warn('SESSION_HISTORY: Failed to read localStorage history:', error.message);
+      return [];
+    }
+  }
+
+  writeLocalRecords(records) {
+    try {
+      localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(records.slice(0, MAX_LOCAL_RECORDS)));
+    } catch (error) {
+      console.warn('SESSION_HISTORY: Failed to write localStorage history:', error.message);
+    }
+  }
+
+  /**
+   * Save a session record
+   * @param {object} record - Record from createSessionRecord()
+   */
+  async save(record) {
+    const db = await this.openDatabase();
+
+    if (db) {
+      try {
+        await this.runTransaction('readwrite', store => store.put(record));
+        console.log('SESSION_HISTORY: Session saved to IndexedDB');
+        return;
+      } catch (error) {
+        console.warn('SESSION_HISTORY: IndexedDB write failed, using localStorage:', error?.message);
+      }
+    }
+
+    const records = this.readLocalRecords().filter(existing => existing.id !== record.id);
+    records.unshift(record);
+    this.writeLocalRecords(records);
+    console.log('SESSION_HISTORY: Session saved to localStorage');
+  }
+
+  /**
+   * Get all saved sessions, newest first
+   * @returns {Promise<object[]>} Session records
+   */
+  async getAll() {
+    const db = await this.openDatabase();
+    let records = null;
+
+    if (db) {
+      try {
+        records = await this.runTransaction('readonly', store => store.getAll());
+      } catch (error) {
+        console.warn('SESSION_HISTORY: IndexedDB read failed, using localStorage:', error?.message);
+      }
+    }
+
+    // Include anything written to the fallback (e.g. while IndexedDB was failing)
+    const byId = new Map();
+    [...(records || []), ...this.readLocalRecords()].forEach(record => byId.set(record.id, record));
+
+    return Array.from(byId.values()).sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  /**
+   * Delete every saved session
+   */
+  async clear() {
+    const db = await this.openDatabase();
+    if (db) {
+      try {
+        await this.runTransaction('readwrite', store => store.clear());
+      } catch (error) {
+        console.warn('SESSION_HISTORY: IndexedDB clear failed:', error?.message);
+      }
+    }
+
+    try {
+      localStorage.removeItem(LOCAL_STORAGE_KEY);
+    } catch (error) {
+      console.warn('SESSION_HISTORY: Failed to clear localStorage history:', error.message);
+    }
+    console.log('SESSION_HISTORY: History cleared');
+  }
+
+  /**
+   * Get current status
+   */
+  getStatus() {
+    return {
+      backend: this.backend || 'not opened'
+    };
+  }
+}
+
+// Create and export singleton instance
+export const sessionHistory = new SessionHistoryStore();
+
+// Export individual functions for convenience
+export const saveSessionRecord = (record) => sessionHistory.save(record);
+export const getSessionHistory = () => sessionHistory.getAll();
+export const clearSessionHistory = () => sessionHistory.clear();
+export const getHistoryStatus = () => sessionHistory.getStatus();
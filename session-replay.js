@@ -0,0 +1,308 @@
+// Session replay
+// ReplayRecorder turns a running session into a compact, JSON-friendly event log: what the
+// player saw (where and when each thought appeared) and what they did (where punches landed,
+// how long they took, what was missed), plus the engine's confidence, level and combo changes.
+// ReplayPlayer plays a log back at 1x, 2x or 4x so a session can be reviewed after it ends.
+//
+// Times are session ms (pauses excluded). Positions are fractions of the game area, so a log
+// recorded on a phone plays back on a desktop.
+
+export const REPLAY_VERSION = 1;
+export const REPLAY_SPEEDS = [1, 2, 4];
+
+const EVENT_TYPES = ['spawn', 'punch', 'absorb', 'expire', 'confidence', 'level', 'combo'];
+
+/**
+ * Error thrown when a replay log can't be parsed or isn't a replay
+ */
+export class ReplayError extends Error {
+  /**
+   * @param {string} message - Summary of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ReplayError';
+  }
+}
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+export class ReplayRecorder {
+  /**
+   * @param {GameSession} session - Session to record (subscribe before it starts)
+   * @param {object} options
+   * @param {string} options.packId - Thought pack being played
+   * @param {Function} options.getAreaRect - Returns the game area's client rect
+   */
+  constructor(session, { packId, getAreaRect }) {
+    this.session = session;
+    this.getAreaRect = getAreaRect;
+    this.log = {
+      version: REPLAY_VERSION,
+      recordedAt: new Date().toISOString(),
+      seed: session.seed,
+      modeId: session.modeId,
+      packId,
+      startingConfidence: session.rules.startingConfidence,
+      scoringEnabled: session.rules.scoringEnabled,
+      duration: 0,
+      endReason: null,
+      finalScore: null,
+      finalConfidence: null,
+      events: []
+    };
+
+    session.on('confidence', ({ confidence }) => this.push('confidence', { value: round(confidence, 1) }));
+    session.on('level', ({ level }) => this.push('level', { level }));
+    session.on('combo', ({ combo, comboMultiplier }) => this.push('combo', { combo, multiplier: comboMultiplier }));
+  }
+
+  push(type, data) {
+    this.log.events.push({ t: Math.round(this.session.getSessionTime()), type, ...data });
+  }
+
+  /**
+   * Client point as a fraction of the game area
+   */
+  toAreaPoint(x, y) {
+    const area = this.getAreaRect();
+    if (!area.width || !area.height) return { x: 0, y: 0 };
+    return {
+      x: round((x - area.left) / area.width, 4),
+      y: round((y - area.top) / area.height, 4)
+    };
+  }
+
+  /**
+   * Bubble's top-left corner as a fraction of the game area
+   */
+  toBubblePoint(rect) {
+    if (!rect) return {};
+    const point = this.toAreaPoint(rect.left, rect.top);
+    return { bx: point.x, by: point.y };
+  }
+
+  /**
+   * Record a thought appearing
+   * @param {object} thought - Thought from the session ({ id, text, isPositive })
+   * @param {object} rect - Bubble's client rect where it was placed
+   * @param {string} [pattern] - Motion pattern it was given
+   */
+  recordSpawn(thought, rect, pattern = null) {
+    this.push('spawn', {
+      id: thought.id,
+      text: thought.text,
+      positive: thought.isPositive,
+      ...(thought.isPersonal ? { personal: true } : {}),
+      ...(thought.reframeOf ? { from: thought.reframeOf } : {}),
+      ...this.toBubblePoint(rect),
+      ...(pattern ? { pattern } : {})
+    });
+  }
+
+  /**
+   * Record a punch that landed
+   * @param {number} id - Thought id
+   * @param {object} outcome - Outcome from GameSession.punchThought
+   * @param {object} rect - Bubble's client rect when it was hit
+   * @param {object} point - { x, y } client point the punch landed on
+   * @param {object|null} direction - Swipe direction, null for taps and keyboard punches
+   */
+  recordPunch(id, outcome, rect, point, direction = null) {
+    const hit = this.toAreaPoint(point.x, point.y);
+    this.push('punch', {
+      id,
+      x: hit.x,
+      y: hit.y,
+      ...this.toBubblePoint(rect),
+      ...(direction ? { dx: round(direction.x, 3), dy: round(direction.y, 3) } : {}),
+      penalty: outcome.isPenalty,
+      ...(outcome.reframe ? { reframed: true } : {}),
+      reaction: Math.round(outcome.reactionTime),
+      score: this.session.state.score,
+      combo: outcome.combo,
+      multiplier: outcome.comboMultiplier
+    });
+  }
+
+  /**
+   * Record an absorbed affirmation
+   * @param {number} id - Thought id
+   * @param {object} rect - Bubble's client rect when it was absorbed
+   */
+  recordAbsorb(id, rect) {
+    this.push('absorb', { id, ...this.toBubblePoint(rect), score: this.session.state.score });
+  }
+
+  /**
+   * Record a doubt that expired unpunched
+   * @param {number} id - Thought id
+   * @param {object|null} rect - Bubble's client rect when it expired
+   * @param {number} confidenceDelta - Confidence it drained
+   */
+  recordExpire(id, rect, confidenceDelta) {
+    this.push('expire', { id, ...this.toBubblePoint(rect), drain: round(confidenceDelta, 1) });
+  }
+
+  /**
+   * Close the log once the session has ended
+   * @param {object} summary - Session summary from the 'end' event
+   * @returns {object} The finished replay log
+   */
+  finish(summary) {
+    this.log.duration = Math.round(this.session.getSessionTime());
+    this.log.endReason = summary.endReason || null;
+    this.log.finalScore = summary.score;
+    this.log.finalConfidence = round(summary.confidence, 1);
+    return this.log;
+  }
+}
+
+/**
+ * Serialize a replay log for export
+ * @param {object} log - Replay log
+ * @returns {string} JSON
+ */
+export function serializeReplay(log) {
+  return JSON.stringify(log);
+}
+
+/**
+ * Parse and check a replay log (JSON text or an already parsed object)
+ * @param {string|object} input - Replay JSON
+ * @returns {object} Replay log
+ */
+export function parseReplay(input) {
+  let log = input;
+  if (typeof input === 'string') {
+    try {
+      log = JSON.parse(input);
+    } catch (error) {
+      throw new ReplayError(`Replay is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!log || typeof log !== 'object' || !Array.isArray(log.events)) {
+    throw new ReplayError('Not a replay log: missing events');
+  }
+  if (log.version !== REPLAY_VERSION) {
+    throw new ReplayError(`Unsupported replay version: ${log.version}`);
+  }
+
+  const badEvent = log.events.find(event => !event || !Number.isFinite(event.t) || !EVENT_TYPES.includes(event.type));
+  if (badEvent) {
+    throw new ReplayError(`Invalid replay event: ${JSON.stringify(badEvent)}`);
+  }
+  return log;
+}
+
+export class ReplayPlayer {
+  /**
+   * @param {object} log - Replay log (see ReplayRecorder)
+   * @param {object} callbacks
+   * @param {Function} callbacks.onEvent - Called with (event) as replay time passes each event
+   * @param {Function} [callbacks.onFrame] - Called with (time) every animation frame
+   * @param {Function} [callbacks.onFinish] - Called once the whole session has played
+   */
+  constructor(log, { onEvent, onFrame = () => {}, onFinish = () => {} }) {
+    this.log = log;
+    this.events = [...log.events].sort((a, b) => a.t - b.t);
+    this.duration = Math.max(log.duration || 0, this.events.length ? this.events[this.events.length - 1].t : 0);
+    this.onEvent = onEvent;
+    this.onFrame = onFrame;
+    this.onFinish = onFinish;
+    this.paths = this.buildPaths();
+    this.speed = 1;
+    this.time = 0;
+    this.nextEvent = 0;
+    this.lastFrameAt = null;
+    this.frameHandle = null;
+    this.isPlaying = false;
+
+    this.frame = this.frame.bind(this);
+  }
+
+  /**
+   * Where each thought was when it appeared and when it left, to glide it between the two
+   */
+  buildPaths() {
+    const paths = new Map();
+    this.events.forEach(event => {
+      if (event.type === 'spawn') {
+        paths.set(event.id, { from: { t: event.t, x: event.bx, y: event.by }, to: null });
+      } else if (['punch', 'absorb', 'expire'].includes(event.type) && paths.has(event.id) && event.bx !== undefined) {
+        paths.get(event.id).to = { t: event.t, x: event.bx, y: event.by };
+      }
+    });
+    return paths;
+  }
+
+  /**
+   * Position of a thought at a replay time, as a fraction of the game area
+   * @param {number} id - Thought id
+   * @param {number} time - Replay time in ms
+   * @returns {object|null} { x, y }
+   */
+  positionAt(id, time) {
+    const path = this.paths.get(id);
+    if (!path || path.from.x === undefined) return null;
+    if (!path.to || path.to.t <= path.from.t) return { x: path.from.x, y: path.from.y };
+
+    const progress = Math.min(1, Math.max(0, (time - path.from.t) / (path.to.t - path.from.t)));
+    return {
+      x: path.from.x + (path.to.x - path.from.x) * progress,
+      y: path.from.y + (path.to.y - path.from.y) * progress
+    };
+  }
+
+  play() {
+    if (this.isPlaying) return;
+    this.isPlaying = true;
+    this.lastFrameAt = null;
+    this.frameHandle = requestAnimationFrame(this.frame);
+  }
+
+  /**
+   * @param {number} speed - One of REPLAY_SPEEDS
+   */
+  setSpeed(speed) {
+    this.speed = REPLAY_SPEEDS.includes(speed) ? speed : 1;
+  }
+
+  stop() {
+    this.isPlaying = false;
+    cancelAnimationFrame(this.frameHandle);
+    this.frameHandle = null;
+  }
+
+  frame(timestamp) {
+    if (!this.isPlaying) return;
+
+    const elapsed = this.lastFrameAt === null ? 0 : timestamp - this.lastFrameAt;
+    this.lastFrameAt = timestamp;
+    this.time = Math.min(this.duration, this.time + elapsed * this.speed);
+
+    while (this.nextEvent < this.events.length && this.events[this.nextEvent].t <= this.time) {
+      this.onEvent(this.events[this.nextEvent++]);
+    }
+    this.onFrame(this.time);
+
+    if (this.time >= this.duration && this.nextEvent >= this.events.length) {
+      this.stop();
+      this.onFinish();
+      return;
+    }
+    this.frameHandle = requestAnimationFrame(this.frame);
+  }
+
+  getStatus() {
+    return {
+      isPlaying: this.isPlaying,
+      speed: this.speed,
+      time: Math.round(this.time),
+      duration: this.duration,
+      eventsPlayed: this.nextEvent,
+      events: this.events.length
+    };
+  }
+}
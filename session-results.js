@@ -0,0 +1,128 @@
+// Session results
+// Turns a session's end summary into what the results screen shows: how confidence moved over
+// time, how long was spent in each confidence zone, and which thoughts gave the most trouble.
+
+// Confidence zones shown under the progress ring, lowest first
+export const CONFIDENCE_ZONES = [
+  { zone: 1, min: 0, range: '0 - 25%', color: 'var(--color-accent-red)' },
+  { zone: 2, min: 25, range: '25 - 50%', color: 'var(--color-accent-orange)' },
+  { zone: 3, min: 50, range: '50 - 75%', color: 'var(--color-accent-teal)' },
+  { zone: 4, min: 75, range: '75 - 100%', color: 'var(--color-secondary)' }
+];
+
+const SLOWEST_DOUBTS_SHOWN = 3;
+
+/**
+ * Zone a confidence value falls in
+ * @param {number} confidence - Confidence percentage
+ * @returns {object} { zone, min, range, color }
+ */
+export function getConfidenceZone(confidence) {
+  for (let i = CONFIDENCE_ZONES.length - 1; i > 0; i--) {
+    if (confidence >= CONFIDENCE_ZONES[i].min) return CONFIDENCE_ZONES[i];
+  }
+  return CONFIDENCE_ZONES[0];
+}
+
+/**
+ * Time spent in each zone; confidence holds its value between timeline points
+ * @param {object[]} timeline - [{ t, confidence }] from the session summary
+ * @param {number} duration - Session length in ms
+ * @returns {object[]} Every zone with { time (ms), share (0-1) } added
+ */
+export function getZoneTimes(timeline, duration) {
+  const times = new Map(CONFIDENCE_ZONES.map(zone => [zone.zone, 0]));
+
+  timeline.forEach((point, index) => {
+    const next = index + 1 < timeline.length ? timeline[index + 1].t : duration;
+    const zone = getConfidenceZone(point.confidence).zone;
+    times.set(zone, times.get(zone) + Math.max(0, next - point.t));
+  });
+
+  return CONFIDENCE_ZONES.map(zone => ({
+    ...zone,
+    time: times.get(zone.zone),
+    share: duration > 0 ? times.get(zone.zone) / duration : 0
+  }));
+}
+
+/**
+ * Points for a stepped confidence-over-time chart
+ * @param {object[]} timeline - [{ t, confidence }]
+ * @param {number} duration - Session length in ms
+ * @param {number} maxConfidence - Confidence at the top of the chart
+ * @returns {object[]} [{ x, y }] as fractions, x left to right and y bottom to top
+ */
+export function getChartPoints(timeline, duration, maxConfidence = 100) {
+  if (timeline.length === 0) return [];
+
+  const toX = t => duration > 0 ? Math.min(1, t / duration) : 0;
+  const toY = confidence => Math.min(1, Math.max(0, confidence / maxConfidence));
+  const points = [{ x: 0, y: toY(timeline[0].confidence) }];
+
+  timeline.slice(1).forEach((point, index) => {
+    points.push({ x: toX(point.t), y: toY(timeline[index].confidence) });
+    points.push({ x: toX(point.t), y: toY(point.confidence) });
+  });
+  points.push({ x: 1, y: toY(timeline[timeline.length - 1].confidence) });
+  return points;
+}
+
+/**
+ * Doubts that took longest to punch, slowest first
+ * @param {object[]} thoughtResults - [{ text, isPositive, outcome, reactionTime }]
+ * @param {number} limit - How many to return
+ * @returns {object[]} [{ text, reactionTime }]
+ */
+export function getSlowestDoubts(thoughtResults, limit = SLOWEST_DOUBTS_SHOWN) {
+  return thoughtResults
+    .filter(result => result.outcome === 'punched')
+    .sort((a, b) => b.reactionTime - a.reactionTime)
+    .slice(0, limit)
+    .map(({ text, reactionTime }) => ({ text, reactionTime }));
+}
+
+/**
+ * Affirmations that were punched, with how many times each was
+ * @param {object[]} thoughtResults - [{ text, isPositive, outcome, reactionTime }]
+ * @returns {object[]} [{ text, count }], most often punched first
+ */
+export function getMistakenAffirmations(thoughtResults) {
+  const counts = new Map();
+  thoughtResults
+    .filter(result => result.outcome === 'penalty')
+    .forEach(result => counts.set(result.text, (counts.get(result.text) || 0) + 1));
+
+  return Array.from(counts, ([text, count]) => ({ text, count })).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Everything the results screen shows for a finished session
+ * @param {object} summary - Summary emitted with the session's 'end' event
+ * @param {number} maxConfidence - Confidence at the top of the chart
+ * @returns {object} Results
+ */
+export function buildSessionResults(summary, maxConfidence = 100) {
+  const timeline = summary.confidenceTimeline || [];
+  const thoughtResults = summary.thoughtResults || [];
+  const lastPoint = timeline[timeline.length - 1];
+  const duration = Math.max(summary.sessionTime ?? summary.elapsedSeconds * 1000, lastPoint ? lastPoint.t : 0);
+  const confidences = timeline.map(point => point.confidence);
+
+  return {
+    duration,
+    startConfidence: timeline.length ? timeline[0].confidence : summary.confidence,
+    endConfidence: summary.confidence,
+    lowestConfidence: confidences.length ? Math.min(...confidences) : summary.confidence,
+    highestConfidence: confidences.length ? Math.max(...confidences) : summary.confidence,
+    chartPoints: getChartPoints(timeline, duration, maxConfidence),
+    zoneTimes: getZoneTimes(timeline, duration),
+    accuracy: summary.accuracy,
+    doubtsPunched: summary.thoughtsDefeated,
+    affirmationsPunched: summary.penalties,
+    doubtsMissed: summary.expired,
+    averageReactionTime: summary.averageReactionTime,
+    slowestDoubts: getSlowestDoubts(thoughtResults),
+    mistakenAffirmations: getMistakenAffirmations(thoughtResults)
+  };
+}
@@ -0,0 +1,55 @@
+// Player settings, kept in localStorage between visits
+
+const SETTINGS_STORAGE_KEY = 'imposterSyndromeDefeato.settings';
+
+export const DEFAULT_SETTINGS = {
+  renderer: 'dom', // 'dom' (accessible, default) or 'canvas' (fastest with many thoughts)
+  roundCount: 0, // rounds per session, 0 for one continuous bout
+  roundLength: 60, // seconds per round
+  breathingPattern: 'box', // 'box' or '4-7-8' (see breathing.js)
+  breathingDuration: 120, // seconds of guided breathing
+  breathingVoice: false, // speak the breathing cues aloud
+  reframeVoice: true, // speak each reframe aloud in Reframe mode
+  ttsProvider: 'auto', // 'auto' (best available), 'polly', 'speech' (browser voice) or 'silent'
+  pollyVoice: '', // Polly voice ID, '' for the one in config.js
+  pollyEngine: '' // 'standard' or 'neural', '' for the one in config.js
+};
+
+/**
+ * Load saved settings merged over the defaults
+ * @returns {object} Settings
+ */
+export function loadSettings() {
+  try {
+    const stored = localStorage.getItem(SETTINGS_STORAGE_KEY);
+    const saved = stored ? JSON.parse(stored) : {};
+    return { ...DEFAULT_SETTINGS, ...(saved && typeof saved === 'object' ? saved : {}) };
+  } catch (error) {
+    console.warn('SETTINGS: Failed to load settings:', error.message);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Get a single setting
+ * @param {string} key - Setting name
+ * @returns {*} Saved value or the default
+ */
+export function getSetting(key) {
+  return loadSettings()[key];
+}
+
+/**
+ * Save one or more settings
+ * @param {object} changes - Settings to update
+ * @returns {object} All settings after the update
+ */
+export function saveSettings(changes) {
+  const settings = { ...loadSettings(), ...changes };
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('SETTINGS: Failed to save settings:', error.message);
+  }
+  return settings;
+}
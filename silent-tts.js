@@ -0,0 +1,93 @@
+// Silent voice
+// TTS provider (see tts.js) that goes through the whole speech pipeline without making a sound:
+// each clip "plays" for about as long as reading the text aloud would take. For tests, offline
+// play and anyone who'd rather read the affirmations. getSpokenLog() lists what would have been said.
+
+const WORDS_PER_MINUTE = 150;
+const MIN_CLIP_DURATION = 500; // ms
+
+let spokenLog = [];
+
+/**
+ * Silent TTS provider
+ */
+export const silentProvider = {
+  id: 'silent',
+  label: 'Silent',
+
+  isSupported() {
+    return true;
+  },
+
+  initialize() {
+    return true;
+  },
+
+  async synthesize(text) {
+    return createSilentClip(text);
+  },
+
+  getStatus() {
+    return { spokenCount: spokenLog.length };
+  }
+};
+
+/**
+ * What the silent provider has "said" so far
+ * @returns {object[]} [{ text, time }], time from Date.now() when the clip started
+ */
+export function getSpokenLog() {
+  return spokenLog.map(entry => ({ ...entry }));
+}
+
+/**
+ * Forget the spoken log
+ */
+export function clearSpokenLog() {
+  spokenLog = [];
+}
+
+/**
+ * Clip that lasts as long as the text would take to say
+ * @param {string} text - Text being "spoken"
+ * @returns {object} Clip
+ */
+function createSilentClip(text) {
+  const wordCount = text.split(/\s+/).filter(Boolean).length;
+  let remaining = Math.max(MIN_CLIP_DURATION, wordCount / WORDS_PER_MINUTE * 60000);
+  let startedAt = null;
+  let endTimeout = null;
+  let hasStarted = false;
+  let isFinished = false;
+
+  let finish;
+  const ended = new Promise(resolve => { finish = resolve; });
+  const end = () => {
+    clearTimeout(endTimeout);
+    isFinished = true;
+    finish();
+  };
+
+  return {
+    ended,
+    async play() {
+      if (isFinished || startedAt !== null) return;
+      if (!hasStarted) {
+        hasStarted = true;
+        spokenLog.push({ text, time: Date.now() });
+      }
+      startedAt = Date.now();
+      endTimeout = setTimeout(end, remaining);
+    },
+    pause() {
+      if (startedAt === null) return;
+      clearTimeout(endTimeout);
+      remaining = Math.max(0, remaining - (Date.now() - startedAt));
+      startedAt = null;
+    },
+    stop() {
+      end();
+    },
+    setVolume() {}
+  };
+}
@@ -1,5 +1,5 @@
 // Sound Effects System for Boxing Game
-// Handles punch sound effects and other game audio
+// Handles punch sound effects, the ring bell and other game audio
 
 class SoundEffectsManager {
   constructor() {
@@ -133,10 +133,60 @@ class SoundEffectsManager {
     }
   }
 
+  /**
+   * Generate a boxing ring bell: a bright metallic strike that rings out
+   */
+  async generateBellSound() {
+    if (!this.audioContext) return null;
+
+    try {
+      const duration = 1.2; // 1.2s ring-out
+      const sampleRate = this.audioContext.sampleRate;
+      const frameCount = duration * sampleRate;
+      
+      // Create audio buffer
+      const audioBuffer = this.audioContext.createBuffer(1, frameCount, sampleRate);
+      const channelData = audioBuffer.getChannelData(0);
+      
+      // Bells ring with inharmonic partials; the higher ones die away first
+      const baseFreq = 830;
+      const partials = [
+        { ratio: 1, gain: 0.5, decay: 3 },
+        { ratio: 2.76, gain: 0.3, decay: 5 },
+        { ratio: 5.4, gain: 0.15, decay: 8 },
+        { ratio: 8.93, gain: 0.08, decay: 12 }
+      ];
+      
+      for (let i = 0; i < frameCount; i++) {
+        const t = i / sampleRate;
+        
+        // Sum of the partials, each with its own decay
+        let tone = 0;
+        partials.forEach(({ ratio, gain, decay }) => {
+          tone += Math.sin(2 * Math.PI * baseFreq * ratio * t) * gain * Math.exp(-t * decay);
+        });
+        
+        // Hammer strike (short noise burst)
+        const strike = (Math.random() * 2 - 1) * 0.3 * Math.exp(-t * 60);
+        
+        // Quick attack so the strike doesn't click
+        const attack = 1 - Math.exp(-t * 400);
+        
+        channelData[i] = (tone + strike) * attack * 0.8;
+      }
+      
+      return audioBuffer;
+    } catch (error) {
+      console.warn('SOUND_EFFECTS: Failed to generate bell sound:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Play a sound effect from an audio buffer
+   * @param {number} delay - Seconds from now to start playing
    */
-  async playSound(audioBuffer, volume = 1.0) {
+  async playSound(audioBuffer, volume = 1.0, delay = 0) {
     if (!this.isEnabled || !this.audioContext || !audioBuffer) return;
 
     try {
@@ -153,7 +203,7 @@ class SoundEffectsManager {
       gainNode.connect(this.audioContext.destination);
       
       // Play sound
-      source.start();
+      source.start(this.audioContext.currentTime + delay);
       
       // Clean up after sound finishes
       source.onended = () => {
@@ -206,6 +256,28 @@ class SoundEffectsManager {
     }
   }
 
+  /**
+   * Ring the bell, e.g. once to start a round and three times to end it
+   */
+  async playBellSound(rings = 1) {
+    await this.initialize();
+    
+    if (!this.soundCache.has('bell')) {
+      const bellBuffer = await this.generateBellSound();
+      if (bellBuffer) {
+        this.soundCache.set('bell', bellBuffer);
+      }
+    }
+    
+    const bellBuffer = this.soundCache.get('bell');
+    if (bellBuffer) {
+      for (let ring = 0; ring < rings; ring++) {
+        await this.playSound(bellBuffer, 0.9, ring * 0.35);
+      }
+      console.log(`SOUND_EFFECTS: Played bell sound (${rings}x)`);
+    }
+  }
+
   /**
    * Load external sound file (for future use with actual audio files)
    */
@@ -258,6 +330,34 @@ class SoundEffectsManager {
     console.log(`SOUND_EFFECTS: ${enabled ? 'Enabled' : 'Disabled'}`);
   }
 
+  /**
+   * Suspend the audio context (e.g. while the game is paused)
+   */
+  async suspend() {
+    if (!this.audioContext || this.audioContext.state !== 'running') return;
+
+    try {
+      await this.audioContext.suspend();
+      console.log('SOUND_EFFECTS: Audio context suspended');
+    } catch (error) {
+      console.warn('SOUND_EFFECTS: Failed to suspend audio context:', error.message);
+    }
+  }
+
+  /**
+   * Resume a suspended audio context
+   */
+  async resume() {
+    if (!this.audioContext || this.audioContext.state !== 'suspended') return;
+
+    try {
+      await this.audioContext.resume();
+      console.log('SOUND_EFFECTS: Audio context resumed');
+    } catch (error) {
+      console.warn('SOUND_EFFECTS: Failed to resume audio context:', error.message);
+    }
+  }
+
   /**
    * Get current status
    */
@@ -297,6 +397,14 @@ class SoundEffectsManager {
       }
     }
     
+    if (!this.soundCache.has('bell')) {
+      const bellBuffer = await this.generateBellSound();
+      if (bellBuffer) {
+        this.soundCache.set('bell', bellBuffer);
+        console.log('SOUND_EFFECTS: Bell sound preloaded');
+      }
+    }
+    
     console.log('SOUND_EFFECTS: Game sounds preloaded successfully');
   }
 
@@ -320,7 +428,10 @@ export const soundEffects = new SoundEffectsManager();
 // Export individual functions for convenience
 export const playPunchSound = (intensity) => soundEffects.playPunchSound(intensity);
 export const playCollectionSound = () => soundEffects.playCollectionSound();
+export const playBellSound = (rings) => soundEffects.playBellSound(rings);
 export const setSoundVolume = (volume) => soundEffects.setVolume(volume);
 export const setSoundEnabled = (enabled) => soundEffects.setEnabled(enabled);
 export const getSoundStatus = () => soundEffects.getStatus();
-export const preloadGameSounds = () => soundEffects.preloadGameSounds();
\ No newline at end of file
+export const preloadGameSounds = () => soundEffects.preloadGameSounds();
+export const suspendSoundEffects = () => soundEffects.suspend();
+export const resumeSoundEffects = () => soundEffects.resume();
\ No newline at end of file
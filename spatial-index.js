@@ -0,0 +1,170 @@
+// Spatial index for thought placement
+// A uniform grid of buckets holding cached bubble rectangles, so finding a free spot
+// only checks nearby bubbles and never reads layout from the DOM.
+
+const DEFAULT_CELL_SIZE = 120; // px, roughly one bubble tall
+const PLACEMENT_ATTEMPTS = 50;
+const BUBBLE_MARGIN = 10; // px kept clear around every bubble
+const EDGE_PADDING = 20; // px kept clear along the edges of the game area
+
+export class SpatialGrid {
+  /**
+   * @param {number} cellSize - Bucket size in px
+   */
+  constructor(cellSize = DEFAULT_CELL_SIZE) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // "col,row" -> Set of ids
+    this.rects = new Map(); // id -> { x, y, width, height }
+  }
+
+  cellKeysFor(rect) {
+    const keys = [];
+    const firstCol = Math.floor(rect.x / this.cellSize);
+    const lastCol = Math.floor((rect.x + rect.width) / this.cellSize);
+    const firstRow = Math.floor(rect.y / this.cellSize);
+    const lastRow = Math.floor((rect.y + rect.height) / this.cellSize);
+
+    for (let col = firstCol; col <= lastCol; col++) {
+      for (let row = firstRow; row <= lastRow; row++) {
+        keys.push(`${col},${row}`);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Add or move a rectangle
+   * @param {*} id - Thought id
+   * @param {object} rect - { x, y, width, height } relative to the game area
+   */
+  insert(id, rect) {
+    if (this.rects.has(id)) this.remove(id);
+
+    const stored = { x: rect.x, y: rect.y, width: rect.width, height: rect.height };
+    this.rects.set(id, stored);
+    this.cellKeysFor(stored).forEach(key => {
+      if (!this.cells.has(key)) this.cells.set(key, new Set());
+      this.cells.get(key).add(id);
+    });
+  }
+
+  /**
+   * Remove a rectangle
+   * @param {*} id - Thought id
+   */
+  remove(id) {
+    const rect = this.rects.get(id);
+    if (!rect) return;
+
+    this.cellKeysFor(rect).forEach(key => {
+      const cell = this.cells.get(key);
+      if (!cell) return;
+      cell.delete(id);
+      if (cell.size === 0) this.cells.delete(key);
+    });
+    this.rects.delete(id);
+  }
+
+  /**
+   * Cached rectangle for an id
+   * @param {*} id - Thought id
+   * @returns {object|null} { x, y, width, height }
+   */
+  get(id) {
+    return this.rects.get(id) || null;
+  }
+
+  /**
+   * Ids whose rectangles overlap a rectangle (grown by a margin)
+   * @param {object} rect - { x, y, width, height }
+   * @param {number} margin - Extra space required between rectangles
+   * @returns {Array} Overlapping ids
+   */
+  query(rect, margin = 0) {
+    const area = {
+      x: rect.x - margin,
+      y: rect.y - margin,
+      width: rect.width + margin * 2,
+      height: rect.height + margin * 2
+    };
+    const found = new Set();
+
+    this.cellKeysFor(area).forEach(key => {
+      const cell = this.cells.get(key);
+      if (!cell) return;
+      cell.forEach(id => {
+        if (found.has(id)) return;
+        const other = this.rects.get(id);
+        if (area.x < other.x + other.width && area.x + area.width > other.x &&
+            area.y < other.y + other.height && area.y + area.height > other.y) {
+          found.add(id);
+        }
+      });
+    });
+
+    return Array.from(found);
+  }
+
+  clear() {
+    this.cells.clear();
+    this.rects.clear();
+  }
+
+  get size() {
+    return this.rects.size;
+  }
+}
+
+/**
+ * Find a spot for a bubble that doesn't overlap the others
+ * Tries random positions first, then a shuffled grid, then takes the least crowded grid spot.
+ * @param {SpatialGrid} grid - Index of the bubbles already on screen
+ * @param {object} area - { width, height } of the game area
+ * @param {object} size - { width, height } of the new bubble
+ * @param {function(): number} random - Session layout random generator
+ * @returns {object} { x, y } relative to the game area
+ */
+export function findFreePosition(grid, area, size, random) {
+  const maxX = Math.max(EDGE_PADDING, area.width - size.width - EDGE_PADDING);
+  const maxY = Math.max(EDGE_PADDING, area.height - size.height - EDGE_PADDING);
+  const fits = (x, y) => grid.query({ x, y, width: size.width, height: size.height }, BUBBLE_MARGIN).length === 0;
+
+  for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS; attempt++) {
+    const x = random() * maxX;
+    const y = random() * maxY;
+    if (fits(x, y)) return { x, y };
+  }
+
+  // Grid-based fallback positioning to minimize overlaps
+  console.debug('SPATIAL_INDEX: No free random position after', PLACEMENT_ATTEMPTS, 'attempts, using grid fallback');
+  const stepX = size.width + BUBBLE_MARGIN * 2;
+  const stepY = size.height + BUBBLE_MARGIN * 2;
+  const cols = Math.max(1, Math.floor(maxX / stepX) + 1);
+  const rows = Math.max(1, Math.floor(maxY / stepY) + 1);
+
+  const positions = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      positions.push({ x: Math.min(maxX, col * stepX), y: Math.min(maxY, row * stepY) });
+    }
+  }
+
+  // Shuffle grid positions for variety
+  for (let i = positions.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [positions[i], positions[j]] = [positions[j], positions[i]];
+  }
+
+  let best = positions[0];
+  let fewestOverlaps = Infinity;
+  for (const position of positions) {
+    const overlaps = grid.query({ ...position, width: size.width, height: size.height }, BUBBLE_MARGIN).length;
+    if (overlaps === 0) return position;
+    if (overlaps < fewestOverlaps) {
+      fewestOverlaps = overlaps;
+      best = position;
+    }
+  }
+
+  return best;
+}
@@ -0,0 +1,156 @@
+// SSML for affirmations
+// A thought pack can give an affirmation SSML so Polly says it the way it's meant: slower, with a
+// pause or some emphasis. Polly rejects a whole request over one bad tag, so SSML is checked
+// against the subset below before it is sent (in the browser, in scripts/tts-proxy.js and when
+// packs are imported), and anything that fails is spoken as plain text instead.
+//
+//   <speak><prosody rate="90%">I belong here.</prosody> <break time="400ms"/> I earned it.</speak>
+
+export const MAX_SSML_LENGTH = 1000;
+
+// Allowed tags and their attributes, each with a pattern for the value
+const SSML_TAGS = {
+  speak: {},
+  p: {},
+  s: {},
+  break: {
+    time: /^\d{1,5}m?s$/,
+    strength: /^(none|x-weak|weak|medium|strong|x-strong)$/
+  },
+  prosody: {
+    rate: /^(x-slow|slow|medium|fast|x-fast|\d{2,3}%)$/,
+    volume: /^(silent|x-soft|soft|medium|loud|x-loud|[+-]\d{1,2}(\.\d+)?dB)$/,
+    pitch: /^(x-low|low|medium|high|x-high|[+-]\d{1,2}%)$/
+  },
+  emphasis: {
+    level: /^(strong|moderate|reduced)$/
+  },
+  'say-as': {
+    'interpret-as': /^(characters|spell-out|cardinal|number|ordinal|digits|fraction|unit|date|time|address|expletive|telephone)$/,
+    format: /^[a-z]{1,5}$/
+  },
+  sub: {
+    alias: /^[^<>&]{1,100}$/
+  }
+};
+
+// Tags that never have content and must be written self-closing
+const EMPTY_TAGS = new Set(['break']);
+
+// The neural engine ignores or rejects these (https://docs.aws.amazon.com/polly/latest/dg/supportedtags.html)
+const NEURAL_UNSUPPORTED = {
+  tags: new Set(['emphasis']),
+  attributes: { prosody: new Set(['pitch']) }
+};
+
+const TAG_PATTERN = /^<(\/?)([a-z][a-z-]*)((?:\s+[a-z:-]+\s*=\s*"[^"]*")*)\s*(\/?)>$/;
+const ATTRIBUTE_PATTERN = /([a-z:-]+)\s*=\s*"([^"]*)"/g;
+const ENTITY_PATTERN = /&(?!(amp|lt|gt|quot|apos);)/;
+
+/**
+ * Check SSML against the supported subset
+ * @param {string} ssml - SSML document, <speak> at the root
+ * @param {object} options
+ * @param {string} options.engine - 'standard' or 'neural' (neural supports fewer tags)
+ * @returns {{valid: boolean, errors: string[]}} Validation result
+ */
+export function validateSsml(ssml, { engine = 'standard' } = {}) {
+  const errors = [];
+
+  if (typeof ssml !== 'string' || ssml.trim() === '') {
+    return { valid: false, errors: ['SSML must be a non-empty string'] };
+  }
+
+  const source = ssml.trim();
+  if (source.length > MAX_SSML_LENGTH) {
+    return { valid: false, errors: [`SSML is longer than ${MAX_SSML_LENGTH} characters`] };
+  }
+
+  const tokens = source.match(/<[^>]*>|[^<]+/g);
+  const stack = [];
+  let hasText = false;
+
+  tokens.forEach((token, index) => {
+    if (!token.startsWith('<')) {
+      if (stack.length === 0) {
+        errors.push('Text must be inside <speak>');
+      } else if (ENTITY_PATTERN.test(token)) {
+        errors.push('Use &amp; for a literal "&"');
+      }
+      if (token.trim()) hasText = true;
+      return;
+    }
+
+    const match = token.match(TAG_PATTERN);
+    if (!match) {
+      errors.push(`Malformed tag ${token}`);
+      return;
+    }
+
+    const [, closing, name, attributeText, selfClosing] = match;
+    const allowedAttributes = SSML_TAGS[name];
+    if (!allowedAttributes) {
+      errors.push(`<${name}> is not supported`);
+      return;
+    }
+
+    if (closing) {
+      const open = stack.pop();
+      if (open !== name) errors.push(`</${name}> doesn't match ${open ? `<${open}>` : 'any open tag'}`);
+      return;
+    }
+
+    if (name === 'speak' ? index !== 0 : stack.length === 0) {
+      errors.push(name === 'speak' ? '<speak> can only be the root' : 'SSML must start with <speak>');
+    }
+    if (engine === 'neural' && NEURAL_UNSUPPORTED.tags.has(name)) {
+      errors.push(`<${name}> isn't supported by the neural engine`);
+    }
+
+    for (const [, attribute, value] of attributeText.matchAll(ATTRIBUTE_PATTERN)) {
+      if (!allowedAttributes[attribute]) {
+        errors.push(`<${name}> doesn't support the ${attribute} attribute`);
+      } else if (!allowedAttributes[attribute].test(value)) {
+        errors.push(`<${name} ${attribute}="${value}"> is not a valid value`);
+      } else if (engine === 'neural' && NEURAL_UNSUPPORTED.attributes[name]?.has(attribute)) {
+        errors.push(`<${name} ${attribute}> isn't supported by the neural engine`);
+      }
+    }
+
+    if (EMPTY_TAGS.has(name) !== Boolean(selfClosing)) {
+      errors.push(EMPTY_TAGS.has(name) ? `<${name}> must be self-closing, e.g. <${name}/>` : `<${name}/> must have content`);
+    }
+    if (!selfClosing) stack.push(name);
+  });
+
+  if (tokens[0] !== undefined && !/^<speak[\s>]/.test(tokens[0])) {
+    errors.push('SSML must start with <speak>');
+  }
+  if (stack.length > 0) {
+    errors.push(`<${stack[stack.length - 1]}> is never closed`);
+  }
+  if (!hasText) {
+    errors.push('SSML has nothing to say');
+  }
+
+  // One message per problem is plenty
+  const uniqueErrors = [...new Set(errors)];
+  return { valid: uniqueErrors.length === 0, errors: uniqueErrors };
+}
+
+/**
+ * The words an SSML document speaks, without tags
+ * @param {string} ssml - SSML document
+ * @returns {string} Plain text
+ */
+export function getSsmlText(ssml) {
+  return ssml
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { MAX_SSML_LENGTH, validateSsml, getSsmlText } from './ssml.js';
+
+// The errors validateSsml reports, [] when valid
+function ssmlErrors(ssml, options) {
+  return validateSsml(ssml, options).errors;
+}
+
+describe('validateSsml', () => {
+  it('accepts every allowed tag and attribute', () => {
+    const ssml = '<speak><p><s><prosody rate="90%" volume="+2dB" pitch="low">I belong here.</prosody></s>' +
+      '<break time="400ms"/><break strength="strong"/><emphasis level="moderate">I earned it</emphasis>' +
+      '<say-as interpret-as="ordinal">1</say-as><sub alias="Doctor">Dr</sub></p></speak>';
+    expect(validateSsml(ssml)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('rejects tags outside the allow-list', () => {
+    expect(ssmlErrors('<speak><audio src="x.mp3"/>Hello</speak>')).toEqual(['<audio> is not supported']);
+    expect(ssmlErrors('<speak><lang xml:lang="fr-FR">Bonjour</lang></speak>')).toEqual(['<lang> is not supported']);
+  });
+
+  it('rejects attributes outside the allow-list and values that don\'t match', () => {
+    expect(ssmlErrors('<speak><break time="400ms" count="2"/>Hello</speak>')).toEqual([
+      '<break> doesn\'t support the count attribute'
+    ]);
+    expect(ssmlErrors('<speak><prosody rate="very fast">Hello</prosody></speak>')).toEqual([
+      '<prosody rate="very fast"> is not a valid value'
+    ]);
+  });
+
+  it('rejects what the neural engine doesn\'t support', () => {
+    const ssml = '<speak><emphasis level="strong">I belong</emphasis><prosody pitch="high">here</prosody></speak>';
+    expect(validateSsml(ssml).valid).toBe(true);
+    expect(ssmlErrors(ssml, { engine: 'neural' })).toEqual([
+      '<emphasis> isn\'t supported by the neural engine',
+      '<prosody pitch> isn\'t supported by the neural engine'
+    ]);
+    expect(ssmlErrors('<speak><prosody rate="slow">I belong</prosody></speak>', { engine: 'neural' })).toEqual([]);
+  });
+
+  it('requires &amp; for a literal "&" but allows the XML entities', () => {
+    expect(ssmlErrors('<speak>Salt & pepper</speak>')).toEqual(['Use &amp; for a literal "&"']);
+    expect(ssmlErrors('<speak>Salt &amp; pepper &lt;3 &quot;yes&quot; &apos;ok&apos; &gt;</speak>')).toEqual([]);
+    expect(ssmlErrors('<speak>Salt &nbsp; pepper</speak>')).toEqual(['Use &amp; for a literal "&"']);
+  });
+
+  it('requires a single <speak> root with all text inside it', () => {
+    expect(ssmlErrors('Hello <speak>there</speak>')).toEqual([
+      'Text must be inside <speak>',
+      '<speak> can only be the root',
+      'SSML must start with <speak>'
+    ]);
+    expect(ssmlErrors('<speak>Hello</speak> there')).toEqual(['Text must be inside <speak>']);
+    expect(ssmlErrors('<speak>Hello <speak>there</speak></speak>')).toEqual(['<speak> can only be the root']);
+    expect(ssmlErrors('<p>Hello</p>')).toEqual(['SSML must start with <speak>']);
+  });
+
+  it('checks nesting, self-closing tags and content', () => {
+    expect(ssmlErrors('<speak><break time="1s">Hello</break></speak>')).toEqual([
+      '<break> must be self-closing, e.g. <break/>'
+    ]);
+    expect(ssmlErrors('<speak><p/>Hello</speak>')).toEqual(['<p/> must have content']);
+    expect(ssmlErrors('<speak><p>Hello</s></speak>')).toEqual(['</s> doesn\'t match <p>']);
+    expect(ssmlErrors('<speak><p>Hello</speak>')).toEqual(['</speak> doesn\'t match <p>', '<speak> is never closed']);
+    expect(ssmlErrors('<speak><break time="1s"/></speak>')).toEqual(['SSML has nothing to say']);
+    expect(ssmlErrors('<speak><p class=x>Hello</p></speak>')).toEqual([
+      'Malformed tag <p class=x>',
+      '</p> doesn\'t match <speak>',
+      '</speak> doesn\'t match any open tag'
+    ]);
+  });
+
+  it('rejects empty and overlong SSML', () => {
+    expect(ssmlErrors('  ')).toEqual(['SSML must be a non-empty string']);
+    expect(ssmlErrors(null)).toEqual(['SSML must be a non-empty string']);
+    expect(ssmlErrors(`<speak>${'a'.repeat(MAX_SSML_LENGTH)}</speak>`)).toEqual([
+      `SSML is longer than ${MAX_SSML_LENGTH} characters`
+    ]);
+  });
+});
+
+describe('getSsmlText', () => {
+  it('strips tags, decodes entities and collapses whitespace', () => {
+    expect(getSsmlText('<speak><prosody rate="90%">Salt &amp; pepper,</prosody>\n<break time="400ms"/>  &quot;please&quot;</speak>'))
+      .toBe('Salt & pepper, "please"');
+  });
+});
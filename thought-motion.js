@@ -0,0 +1,364 @@
+// Motion patterns for thought bubbles
+// Every bubble on the board gets a pattern when it spawns: doubts drift and bounce off the
+// walls, approach the player (growing as their time runs out) or orbit the confidence ring;
+// affirmations float gently. Positions are integrated here and written back into the
+// renderer's spatial index, where overlapping bubbles are pushed apart and bounce off each other.
+
+export const MOTION_PATTERNS = {
+  DRIFT: 'drift',
+  APPROACH: 'approach',
+  ORBIT: 'orbit',
+  FLOAT: 'float',
+  SCRIPTED: 'scripted' // only moved by moveTo (replays)
+};
+
+const DOUBT_PATTERNS = [MOTION_PATTERNS.DRIFT, MOTION_PATTERNS.APPROACH, MOTION_PATTERNS.ORBIT];
+
+/**
+ * Motion tuning, in px per second at a motion speed of 1
+ * - approachStartScale / approachEndScale: size of an approaching doubt at spawn and at expiry
+ * - orbitMinRadius / orbitMaxRadius: distance kept from the orbit center
+ * - orbitPull: how strongly an orbiting bubble is pulled back onto its circle
+ * - floatBob / floatBobPeriod: height (px) and period (ms) of an affirmation's bob
+ */
+export const MOTION_RULES = {
+  driftSpeed: 45,
+  approachSpeed: 20,
+  approachStartScale: 0.75,
+  approachEndScale: 1.5,
+  orbitSpeed: 55,
+  orbitMinRadius: 90,
+  orbitMaxRadius: 220,
+  orbitPull: 1.5,
+  floatSpeed: 10,
+  floatBob: 6,
+  floatBobPeriod: 3500,
+  edgePadding: 10, // px kept clear along the edges of the game area
+  bubbleMargin: 6, // px kept clear between moving bubbles
+  separationPasses: 2, // overlap-resolving passes per step (more settle a crowded board faster)
+  maxStep: 0.05 // s, longest step integrated at once so a slow frame doesn't teleport bubbles
+};
+
+/**
+ * Pick a motion pattern for a new thought
+ * @param {boolean} isPositive - Affirmation (true) or doubt (false)
+ * @param {function(): number} random - Session layout random generator
+ * @returns {string} One of MOTION_PATTERNS
+ */
+export function pickMotionPattern(isPositive, random) {
+  if (isPositive) return MOTION_PATTERNS.FLOAT;
+  return DOUBT_PATTERNS[Math.floor(random() * DOUBT_PATTERNS.length)];
+}
+
+/**
+ * Bubbles that don't move on their own: held while being absorbed, or scripted
+ */
+function isPinned(motion) {
+  return motion.held || motion.pattern === MOTION_PATTERNS.SCRIPTED;
+}
+
+/**
+ * Bubble rectangle grown or shrunk around its center
+ */
+function scaledRect(motion) {
+  const width = motion.width * motion.scale;
+  const height = motion.height * motion.scale;
+  return {
+    x: motion.x + (motion.width - width) / 2,
+    y: motion.y + (motion.height - height) / 2,
+    width,
+    height
+  };
+}
+
+export class ThoughtMotion {
+  /**
+   * @param {SpatialGrid} grid - The renderer's spatial index, kept in sync with the moving bubbles
+   * @param {object} [rules] - Overrides for MOTION_RULES
+   */
+  constructor(grid, rules = {}) {
+    this.grid = grid;
+    this.rules = { ...MOTION_RULES, ...rules };
+    this.motions = new Map(); // id -> { pattern, x, y, width, height, vx, vy, scale, age, lifetime, orbit, held }
+    this.bounds = { width: 0, height: 0 };
+    this.anchor = null; // orbit center relative to the game area
+    this.speed = 1;
+  }
+
+  /**
+   * Size of the area bubbles move in
+   * @param {object} bounds - { width, height }
+   */
+  setBounds(bounds) {
+    this.bounds = { width: bounds.width, height: bounds.height };
+  }
+
+  /**
+   * Point orbiting bubbles circle (the confidence ring), relative to the game area
+   * @param {object|null} anchor - { x, y }, or null for the top center of the area
+   */
+  setAnchor(anchor) {
+    this.anchor = anchor ? { x: anchor.x, y: anchor.y } : null;
+  }
+
+  /**
+   * Scale every pattern's speed (follows the level; 0 keeps bubbles still)
+   * @param {number} speed - Speed multiplier
+   */
+  setSpeed(speed) {
+    this.speed = Math.max(0, speed);
+  }
+
+  /**
+   * Start moving a placed bubble
+   * @param {number} id - Thought id
+   * @param {object} rect - { x, y, width, height } where the bubble was placed
+   * @param {object} options
+   * @param {string} options.pattern - One of MOTION_PATTERNS
+   * @param {number} [options.lifetime] - ms until the thought expires (approaching doubts grow over it)
+   * @param {function(): number} options.random - Session layout random generator
+   */
+  add(id, rect, { pattern, lifetime = null, random }) {
+    const { rules } = this;
+    const angle = random() * Math.PI * 2;
+    const motion = {
+      pattern,
+      x: rect.x,
+      y: rect.y,
+      width: rect.width,
+      height: rect.height,
+      vx: 0,
+      vy: 0,
+      scale: 1,
+      age: 0,
+      lifetime,
+      orbit: null,
+      held: false
+    };
+
+    if (pattern === MOTION_PATTERNS.DRIFT) {
+      motion.vx = Math.cos(angle) * rules.driftSpeed;
+      motion.vy = Math.sin(angle) * rules.driftSpeed;
+    } else if (pattern === MOTION_PATTERNS.FLOAT) {
+      motion.vx = Math.cos(angle) * rules.floatSpeed;
+      motion.vy = Math.sin(angle) * rules.floatSpeed;
+      motion.bobPhase = random() * Math.PI * 2;
+    } else if (pattern === MOTION_PATTERNS.APPROACH) {
+      motion.scale = rules.approachStartScale;
+      this.aimAtCenter(motion, rules.approachSpeed);
+    } else if (pattern === MOTION_PATTERNS.ORBIT) {
+      const center = this.getOrbitCenter();
+      const distance = Math.hypot(rect.x + rect.width / 2 - center.x, rect.y + rect.height / 2 - center.y);
+      motion.orbit = {
+        radius: Math.min(this.getMaxOrbitRadius(), Math.max(rules.orbitMinRadius, distance)),
+        direction: random() < 0.5 ? -1 : 1
+      };
+    }
+
+    this.motions.set(id, motion);
+    this.grid.insert(id, scaledRect(motion));
+  }
+
+  /**
+   * Put a scripted bubble somewhere
+   * @param {number} id - Thought id
+   * @param {object} position - { x, y } top-left corner relative to the game area
+   */
+  moveTo(id, position) {
+    const motion = this.motions.get(id);
+    if (!motion) return;
+
+    motion.x = position.x;
+    motion.y = position.y;
+    this.grid.insert(id, scaledRect(motion));
+  }
+
+  remove(id) {
+    this.motions.delete(id);
+  }
+
+  has(id) {
+    return this.motions.has(id);
+  }
+
+  /**
+   * Current position and scale of a bubble
+   * @param {number} id - Thought id
+   * @returns {object|null} { x, y, scale } (x and y are the unscaled top-left corner)
+   */
+  get(id) {
+    const motion = this.motions.get(id);
+    return motion ? { x: motion.x, y: motion.y, scale: motion.scale } : null;
+  }
+
+  /**
+   * Hold a bubble still (while an affirmation is being absorbed)
+   * @param {number} id - Thought id
+   * @param {boolean} held - True to stop it, false to let it move again
+   */
+  setHeld(id, held) {
+    const motion = this.motions.get(id);
+    if (motion) motion.held = held;
+  }
+
+  clear() {
+    this.motions.clear();
+  }
+
+  get size() {
+    return this.motions.size;
+  }
+
+  aimAtCenter(motion, speed) {
+    const dx = this.bounds.width / 2 - (motion.x + motion.width / 2);
+    const dy = this.bounds.height / 2 - (motion.y + motion.height / 2);
+    const distance = Math.hypot(dx, dy) || 1;
+    motion.vx = (dx / distance) * speed;
+    motion.vy = (dy / distance) * speed;
+  }
+
+  getMaxOrbitRadius() {
+    return Math.max(this.rules.orbitMinRadius, Math.min(this.rules.orbitMaxRadius, Math.min(this.bounds.width, this.bounds.height) * 0.4));
+  }
+
+  /**
+   * Orbit center: the ring's position pulled into the game area far enough for a full circle
+   */
+  getOrbitCenter() {
+    const { width, height } = this.bounds;
+    const inset = Math.min(this.getMaxOrbitRadius(), width / 2, height / 2);
+    const anchor = this.anchor || { x: width / 2, y: 0 };
+    return {
+      x: Math.min(width - inset, Math.max(inset, anchor.x)),
+      y: Math.min(height - inset, Math.max(inset, anchor.y))
+    };
+  }
+
+  /**
+   * Advance every bubble and keep them apart
+   * @param {number} elapsed - ms since the last step
+   * @returns {number[]} Ids of the bubbles that moved
+   */
+  step(elapsed) {
+    if (this.motions.size === 0 || this.speed === 0 || this.bounds.width === 0) return [];
+
+    const dt = Math.min(this.rules.maxStep, elapsed / 1000);
+    const moved = [];
+
+    this.motions.forEach((motion, id) => {
+      if (isPinned(motion)) return;
+      motion.age += dt * 1000;
+      this.advance(motion, dt * this.speed);
+      this.keepInBounds(motion);
+      this.grid.insert(id, scaledRect(motion));
+      moved.push(id);
+    });
+
+    for (let pass = 0; pass < this.rules.separationPasses; pass++) {
+      this.separate();
+    }
+    return moved;
+  }
+
+  advance(motion, dt) {
+    const { rules } = this;
+
+    if (motion.pattern === MOTION_PATTERNS.FLOAT) {
+      // Gentle bob on top of a slow drift
+      const bobRate = (Math.PI * 2) / rules.floatBobPeriod;
+      const bob = rules.floatBob * bobRate * 1000 * Math.cos(motion.bobPhase + motion.age * bobRate);
+      motion.x += motion.vx * dt;
+      motion.y += (motion.vy + bob) * dt;
+      return;
+    }
+
+    if (motion.pattern === MOTION_PATTERNS.APPROACH && motion.lifetime) {
+      const progress = Math.min(1, motion.age / motion.lifetime);
+      motion.scale = rules.approachStartScale + (rules.approachEndScale - rules.approachStartScale) * progress;
+    }
+
+    if (motion.pattern === MOTION_PATTERNS.ORBIT) {
+      // Circle the center, pulled back onto the orbit after being bumped
+      const center = this.getOrbitCenter();
+      const dx = motion.x + motion.width / 2 - center.x;
+      const dy = motion.y + motion.height / 2 - center.y;
+      const distance = Math.hypot(dx, dy) || 1;
+      const pull = (motion.orbit.radius - distance) * rules.orbitPull;
+      motion.vx = (-dy / distance) * rules.orbitSpeed * motion.orbit.direction + (dx / distance) * pull;
+      motion.vy = (dx / distance) * rules.orbitSpeed * motion.orbit.direction + (dy / distance) * pull;
+    }
+
+    motion.x += motion.vx * dt;
+    motion.y += motion.vy * dt;
+  }
+
+  /**
+   * Bounce off the walls of the game area
+   */
+  keepInBounds(motion) {
+    const padding = this.rules.edgePadding;
+    const rect = scaledRect(motion);
+    const right = this.bounds.width - padding;
+    const bottom = this.bounds.height - padding;
+
+    if (rect.x < padding) {
+      motion.x += padding - rect.x;
+      motion.vx = Math.abs(motion.vx);
+    } else if (rect.x + rect.width > right) {
+      motion.x -= Math.min(rect.x + rect.width - right, rect.x - padding);
+      motion.vx = -Math.abs(motion.vx);
+    }
+
+    if (rect.y < padding) {
+      motion.y += padding - rect.y;
+      motion.vy = Math.abs(motion.vy);
+    } else if (rect.y + rect.height > bottom) {
+      motion.y -= Math.min(rect.y + rect.height - bottom, rect.y - padding);
+      motion.vy = -Math.abs(motion.vy);
+    }
+  }
+
+  /**
+   * Push overlapping bubbles apart along the shallower axis and swap their velocities on it,
+   * so moving bubbles bounce off each other instead of stacking up
+   */
+  separate() {
+    const margin = this.rules.bubbleMargin;
+
+    this.motions.forEach((motion, id) => {
+      this.grid.query(this.grid.get(id), margin).forEach(otherId => {
+        if (otherId === id) return;
+        const other = this.motions.get(otherId);
+        if (!other) return; // a bubble on its way out
+
+        const a = this.grid.get(id);
+        const b = this.grid.get(otherId);
+        const overlapX = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x) + margin;
+        const overlapY = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y) + margin;
+        if (overlapX <= 0 || overlapY <= 0) return;
+
+        // A held bubble stays put, the other one takes the whole push
+        const motionPinned = isPinned(motion);
+        const otherPinned = isPinned(other);
+        const share = motionPinned || otherPinned ? 1 : 0.5;
+        const axis = overlapX < overlapY ? 'x' : 'y';
+        const velocity = axis === 'x' ? 'vx' : 'vy';
+        const sign = axis === 'x' ? Math.sign(a.x - b.x) || 1 : Math.sign(a.y - b.y) || 1;
+        const push = (axis === 'x' ? overlapX : overlapY) * share;
+
+        if (!motionPinned) motion[axis] += sign * push;
+        if (!otherPinned) other[axis] -= sign * push;
+
+        // Only bounce bubbles that are heading into each other
+        if ((motion[velocity] - other[velocity]) * sign < 0 && !motionPinned && !otherPinned) {
+          [motion[velocity], other[velocity]] = [other[velocity], motion[velocity]];
+        }
+
+        this.keepInBounds(motion);
+        this.keepInBounds(other);
+        this.grid.insert(id, scaledRect(motion));
+        this.grid.insert(otherId, scaledRect(other));
+      });
+    });
+  }
+}
@@ -0,0 +1,474 @@
+// Thought packs: validation, JSON/CSV import and export, and local storage of imported packs
+//
+// Pack format (JSON):
+// {
+//   "name": "Students",
+//   "locale": "en",
+//   "negativeThoughts": ["Everyone else understands this except me", ...],
+//   "positiveAffirmations": ["Questions are how I learn", ...],
+//   "reframes": { "Everyone else understands this except me": "Other people are unsure too", ... },
+//   "ssml": { "Questions are how I learn": "<speak><prosody rate=\"90%\">Questions are how I learn</prosody></speak>", ... }
+// }
+//
+// reframes is optional: it pairs doubts from negativeThoughts with the thought that replaces them
+// in Reframe mode. ssml is optional too: it gives affirmations from positiveAffirmations an SSML
+// version for Polly to speak (see ssml.js for what's supported).
+//
+// CSV format: one "type,text" row per entry, where type is name, locale, negative or affirmation,
+// plus "reframe,doubt,reframe" and "ssml,affirmation,ssml" rows. A "type,text" header row is
+// optional. Fields containing commas or quotes use standard CSV quoting.
+
+import { BUILT_IN_PACKS } from './built-in-packs.js';
+import { validateSsml } from './ssml.js';
+
+export { BUILT_IN_PACKS };
+
+export const DEFAULT_PACK_ID = 'workplace';
+
+const MAX_THOUGHT_LENGTH = 200;
+const MAX_THOUGHTS_PER_LIST = 500;
+const CUSTOM_PACKS_STORAGE_KEY = 'imposterSyndromeDefeato.customPacks';
+const LOCALE_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;
+
+/**
+ * Error thrown when a thought pack can't be parsed or fails validation
+ */
+export class ThoughtPackError extends Error {
+  /**
+   * @param {string} message - Summary of the problem
+   * @param {string[]} details - Individual validation errors
+   */
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ThoughtPackError';
+    this.details = details;
+  }
+}
+
+/**
+ * Turn a pack name into a stable id
+ * @param {string} name - Pack name
+ * @returns {string} Slug id
+ */
+function slugify(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return slug || 'custom-pack';
+}
+
+/**
+ * Trim, drop empties and de-duplicate a list of thoughts, recording problems
+ */
+function normalizeThoughtList(list, fieldName, errors) {
+  if (!Array.isArray(list)) {
+    errors.push(`${fieldName} must be an array of strings`);
+    return [];
+  }
+
+  const seen = new Set();
+  const thoughts = [];
+
+  list.forEach((item, index) => {
+    if (typeof item !== 'string') {
+      errors.push(`${fieldName}[${index}] must be a string`);
+      return;
+    }
+
+    const text = item.trim();
+    if (text.length === 0) return;
+
+    if (text.length > MAX_THOUGHT_LENGTH) {
+      errors.push(`${fieldName}[${index}] is longer than ${MAX_THOUGHT_LENGTH} characters`);
+      return;
+    }
+
+    if (!seen.has(text)) {
+      seen.add(text);
+      thoughts.push(text);
+    }
+  });
+
+  if (thoughts.length === 0) {
+    errors.push(`${fieldName} must contain at least one thought`);
+  } else if (thoughts.length > MAX_THOUGHTS_PER_LIST) {
+    errors.push(`${fieldName} can't contain more than ${MAX_THOUGHTS_PER_LIST} thoughts`);
+  }
+
+  return thoughts;
+}
+
+/**
+ * Check reframes against the pack's doubts, recording problems
+ */
+function normalizeReframes(reframes, negativeThoughts, errors) {
+  if (reframes === undefined || reframes === null) return {};
+  if (typeof reframes !== 'object' || Array.isArray(reframes)) {
+    errors.push('reframes must be an object mapping doubts to reframes');
+    return {};
+  }
+
+  const normalized = {};
+  Object.entries(reframes).forEach(([doubt, reframe]) => {
+    const key = doubt.trim();
+    if (!negativeThoughts.includes(key)) {
+      errors.push(`reframes["${key}"] doesn't match any of negativeThoughts`);
+      return;
+    }
+
+    if (typeof reframe !== 'string' || reframe.trim().length === 0) {
+      errors.push(`reframes["${key}"] must be a non-empty string`);
+      return;
+    }
+
+    if (reframe.trim().length > MAX_THOUGHT_LENGTH) {
+      errors.push(`reframes["${key}"] is longer than ${MAX_THOUGHT_LENGTH} characters`);
+      return;
+    }
+
+    normalized[key] = reframe.trim();
+  });
+
+  return normalized;
+}
+
+/**
+ * Check SSML against the pack's affirmations, recording problems
+ */
+function normalizeSsml(ssml, positiveAffirmations, errors) {
+  if (ssml === undefined || ssml === null) return {};
+  if (typeof ssml !== 'object' || Array.isArray(ssml)) {
+    errors.push('ssml must be an object mapping affirmations to SSML');
+    return {};
+  }
+
+  const normalized = {};
+  Object.entries(ssml).forEach(([affirmation, markup]) => {
+    const key = affirmation.trim();
+    if (!positiveAffirmations.includes(key)) {
+      errors.push(`ssml["${key}"] doesn't match any of positiveAffirmations`);
+      return;
+    }
+
+    const { valid, errors: ssmlErrors } = validateSsml(markup);
+    if (!valid) {
+      errors.push(`ssml["${key}"]: ${ssmlErrors[0]}`);
+      return;
+    }
+
+    normalized[key] = markup.trim();
+  });
+
+  return normalized;
+}
+
+/**
+ * Validate a thought pack and return a normalized copy
+ * @param {object} pack - Candidate pack
+ * @returns {{valid: boolean, errors: string[], pack: object|null}} Validation result
+ */
+export function validateThoughtPack(pack) {
+  const errors = [];
+
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return { valid: false, errors: ['Thought pack must be an object'], pack: null };
+  }
+
+  const name = typeof pack.name === 'string' ? pack.name.trim() : '';
+  if (!name) {
+    errors.push('name is required');
+  }
+
+  const locale = pack.locale === undefined || pack.locale === '' ? 'en' : pack.locale;
+  if (typeof locale !== 'string' || !LOCALE_PATTERN.test(locale)) {
+    errors.push(`locale "${locale}" is not a valid language tag (e.g. "en" or "en-GB")`);
+  }
+
+  const negativeThoughts = normalizeThoughtList(pack.negativeThoughts, 'negativeThoughts', errors);
+  const positiveAffirmations = normalizeThoughtList(pack.positiveAffirmations, 'positiveAffirmations', errors);
+  const reframes = normalizeReframes(pack.reframes, negativeThoughts, errors);
+  const ssml = normalizeSsml(pack.ssml, positiveAffirmations, errors);
+
+  if (errors.length > 0) {
+    return { valid: false, errors, pack: null };
+  }
+
+  return {
+    valid: true,
+    errors: [],
+    pack: {
+      id: typeof pack.id === 'string' && pack.id.trim() ? pack.id.trim() : slugify(name),
+      name,
+      locale,
+      negativeThoughts,
+      positiveAffirmations,
+      reframes,
+      ssml
+    }
+  };
+}
+
+/**
+ * Validate a pack and throw a ThoughtPackError if it's invalid
+ * @param {object} pack - Candidate pack
+ * @returns {object} Normalized pack
+ */
+function assertValidPack(pack) {
+  const result = validateThoughtPack(pack);
+  if (!result.valid) {
+    throw new ThoughtPackError(`Invalid thought pack: ${result.errors[0]}`, result.errors);
+  }
+  return result.pack;
+}
+
+/**
+ * Parse a thought pack from JSON text
+ * @param {string} text - JSON document
+ * @returns {object} Normalized pack
+ */
+export function parseThoughtPackJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ThoughtPackError(`Thought pack is not valid JSON: ${error.message}`);
+  }
+  return assertValidPack(data);
+}
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ * @param {string} text - CSV document
+ * @returns {string[][]} Rows
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ThoughtPackError('Thought pack CSV has an unterminated quoted field');
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse a thought pack from CSV text
+ * @param {string} text - CSV document with type,text rows
+ * @param {object} defaults - Values used when the CSV has no name/locale rows (e.g. { name: fileName })
+ * @returns {object} Normalized pack
+ */
+export function parseThoughtPackCsv(text, defaults = {}) {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const pack = {
+    name: defaults.name,
+    locale: defaults.locale,
+    negativeThoughts: [],
+    positiveAffirmations: [],
+    reframes: {},
+    ssml: {}
+  };
+  const errors = [];
+
+  rows.forEach((fields, index) => {
+    const type = (fields[0] || '').trim().toLowerCase();
+    const value = fields.slice(1).join(',');
+
+    if (index === 0 && type === 'type') return; // header row
+
+    switch (type) {
+      case 'name':
+        pack.name = value.trim();
+        break;
+      case 'locale':
+        pack.locale = value.trim();
+        break;
+      case 'negative':
+        pack.negativeThoughts.push(value);
+        break;
+      case 'affirmation':
+      case 'positive':
+        pack.positiveAffirmations.push(value);
+        break;
+      case 'reframe':
+        if (fields.length < 3) {
+          errors.push(`line ${index + 1}: reframe rows need a doubt and its reframe`);
+        } else {
+          pack.reframes[fields[1].trim()] = fields.slice(2).join(',');
+        }
+        break;
+      case 'ssml':
+        if (fields.length < 3) {
+          errors.push(`line ${index + 1}: ssml rows need an affirmation and its SSML`);
+        } else {
+          pack.ssml[fields[1].trim()] = fields.slice(2).join(',');
+        }
+        break;
+      default:
+        errors.push(`line ${index + 1}: unknown type "${fields[0]}" (expected name, locale, negative, affirmation, reframe or ssml)`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ThoughtPackError(`Invalid thought pack CSV: ${errors[0]}`, errors);
+  }
+
+  return assertValidPack(pack);
+}
+
+/**
+ * Serialize a pack to JSON
+ * @param {object} pack - Thought pack
+ * @returns {string} Pretty-printed JSON
+ */
+export function serializeThoughtPackJson(pack) {
+  const { name, locale, negativeThoughts, positiveAffirmations, reframes, ssml } = assertValidPack(pack);
+  const data = { name, locale, negativeThoughts, positiveAffirmations };
+  if (Object.keys(reframes).length > 0) data.reframes = reframes;
+  if (Object.keys(ssml).length > 0) data.ssml = ssml;
+  return JSON.stringify(data, null, 2) + '\n';
+}
+
+/**
+ * Quote a CSV field when needed
+ */
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Serialize a pack to CSV
+ * @param {object} pack - Thought pack
+ * @returns {string} CSV document
+ */
+export function serializeThoughtPackCsv(pack) {
+  const { name, locale, negativeThoughts, positiveAffirmations, reframes, ssml } = assertValidPack(pack);
+  const rows = [
+    ['type', 'text'],
+    ['name', name],
+    ['locale', locale],
+    ...negativeThoughts.map(text => ['negative', text]),
+    ...positiveAffirmations.map(text => ['affirmation', text]),
+    ...Object.entries(reframes).map(([doubt, reframe]) => ['reframe', doubt, reframe]),
+    ...Object.entries(ssml).map(([affirmation, markup]) => ['ssml', affirmation, markup])
+  ];
+  return rows.map(fields => fields.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Import a pack from a File chosen on the start screen
+ * @param {File} file - .json or .csv file
+ * @returns {Promise<object>} Normalized pack
+ */
+export async function importThoughtPackFile(file) {
+  const text = await file.text();
+  const fileName = file.name || '';
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+
+  if (/\.csv$/i.test(fileName) || file.type === 'text/csv') {
+    return parseThoughtPackCsv(text, { name: baseName });
+  }
+
+  if (/\.json$/i.test(fileName) || file.type === 'application/json') {
+    return parseThoughtPackJson(text);
+  }
+
+  // Unknown extension: sniff the content
+  return text.trim().startsWith('{') ? parseThoughtPackJson(text) : parseThoughtPackCsv(text, { name: baseName });
+}
+
+/**
+ * Load packs imported in previous visits
+ * @returns {object[]} Valid custom packs
+ */
+export function loadCustomPacks() {
+  try {
+    const stored = localStorage.getItem(CUSTOM_PACKS_STORAGE_KEY);
+    if (!stored) return [];
+
+    const packs = JSON.parse(stored);
+    if (!Array.isArray(packs)) return [];
+
+    return packs
+      .map(pack => validateThoughtPack(pack))
+      .filter(result => result.valid)
+      .map(result => result.pack);
+  } catch (error) {
+    console.warn('THOUGHT_PACKS: Failed to load custom packs:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Save an imported pack so it's available next time (replaces a pack with the same id)
+ * @param {object} pack - Normalized pack
+ * @returns {object} The saved pack, with an id that doesn't clash with a built-in pack
+ */
+export function saveCustomPack(pack) {
+  const savedPack = { ...pack };
+  if (BUILT_IN_PACKS.some(builtIn => builtIn.id === savedPack.id)) {
+    savedPack.id = `custom-${savedPack.id}`;
+  }
+
+  try {
+    const packs = loadCustomPacks().filter(existing => existing.id !== savedPack.id);
+    packs.push(savedPack);
+    localStorage.setItem(CUSTOM_PACKS_STORAGE_KEY, JSON.stringify(packs));
+  } catch (error) {
+    console.warn('THOUGHT_PACKS: Failed to save custom pack:', error.message);
+  }
+
+  return savedPack;
+}
+
+/**
+ * All packs available to choose from: built-in packs followed by imported ones
+ * @returns {object[]} Packs
+ */
+export function getAvailablePacks() {
+  return [...BUILT_IN_PACKS, ...loadCustomPacks()];
+}
+
+/**
+ * Find a pack by id, falling back to the default pack
+ * @param {string} packId - Pack id
+ * @returns {object} Pack
+ */
+export function getThoughtPack(packId) {
+  return getAvailablePacks().find(pack => pack.id === packId)
+    || BUILT_IN_PACKS.find(pack => pack.id === DEFAULT_PACK_ID);
+}
@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ThoughtPackError,
+  validateThoughtPack,
+  parseThoughtPackJson,
+  parseThoughtPackCsv,
+  serializeThoughtPackJson,
+  serializeThoughtPackCsv
+} from './thought-packs.js';
+
+const pack = {
+  name: 'Students',
+  locale: 'en-GB',
+  negativeThoughts: ['Everyone else understands this except me', 'I asked a "stupid" question'],
+  positiveAffirmations: ['Questions are how I learn', 'I can ask, wait, and try again'],
+  reframes: { 'Everyone else understands this except me': 'Other people are unsure too' },
+  ssml: { 'Questions are how I learn': '<speak><prosody rate="90%">Questions are how I learn</prosody></speak>' }
+};
+
+// The first validation error a parse throws
+function parseError(parse) {
+  try {
+    parse();
+  } catch (error) {
+    expect(error).toBeInstanceOf(ThoughtPackError);
+    return error;
+  }
+  throw new Error('Expected a ThoughtPackError');
+}
+
+describe('validateThoughtPack', () => {
+  it('normalizes a valid pack and gives it an id from its name', () => {
+    const { valid, pack: normalized } = validateThoughtPack({
+      ...pack,
+      negativeThoughts: ['  Everyone else understands this except me ', '', 'I asked a "stupid" question', 'I asked a "stupid" question']
+    });
+    expect(valid).toBe(true);
+    expect(normalized.id).toBe('students');
+    expect(normalized.negativeThoughts).toEqual(pack.negativeThoughts);
+  });
+
+  it('reports every problem', () => {
+    const { valid, errors } = validateThoughtPack({
+      name: '',
+      locale: 'english',
+      negativeThoughts: [],
+      positiveAffirmations: ['I belong', 42],
+      reframes: { 'Not in the pack': 'A reframe' },
+      ssml: { 'I belong': '<speak><audio src="x.mp3"/>I belong</speak>' }
+    });
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      'name is required',
+      'locale "english" is not a valid language tag (e.g. "en" or "en-GB")',
+      'negativeThoughts must contain at least one thought',
+      'positiveAffirmations[1] must be a string',
+      'reframes["Not in the pack"] doesn\'t match any of negativeThoughts',
+      'ssml["I belong"]: <audio> is not supported'
+    ]);
+  });
+});
+
+describe('parseThoughtPackJson', () => {
+  it('parses a pack', () => {
+    expect(parseThoughtPackJson(JSON.stringify(pack))).toMatchObject(pack);
+  });
+
+  it('rejects text that isn\'t JSON', () => {
+    expect(parseError(() => parseThoughtPackJson('{ name: ')).message).toMatch(/^Thought pack is not valid JSON/);
+  });
+
+  it('rejects an invalid pack with all of its errors', () => {
+    const error = parseError(() => parseThoughtPackJson(JSON.stringify({ ...pack, name: '', positiveAffirmations: [] })));
+    expect(error.message).toBe('Invalid thought pack: name is required');
+    expect(error.details).toEqual([
+      'name is required',
+      'positiveAffirmations must contain at least one thought',
+      'ssml["Questions are how I learn"] doesn\'t match any of positiveAffirmations'
+    ]);
+  });
+});
+
+describe('parseThoughtPackCsv', () => {
+  it('reads quoted fields with commas, escaped quotes and line breaks', () => {
+    const parsed = parseThoughtPackCsv([
+      'type,text',
+      'name,Students',
+      'negative,"I asked a ""stupid"" question"',
+      'negative,"Everyone else,\nsomehow, gets it"',
+      'affirmation,"I can ask, wait, and try again"'
+    ].join('\n'));
+
+    expect(parsed.negativeThoughts).toEqual(['I asked a "stupid" question', 'Everyone else,\nsomehow, gets it']);
+    expect(parsed.positiveAffirmations).toEqual(['I can ask, wait, and try again']);
+  });
+
+  it('reads CRLF line endings, a byte order mark and blank lines', () => {
+    const parsed = parseThoughtPackCsv('\uFEFFname,Students\r\n\r\nnegative,I am behind\r\naffirmation,I am learning\r\n');
+    expect(parsed).toMatchObject({ name: 'Students', negativeThoughts: ['I am behind'], positiveAffirmations: ['I am learning'] });
+  });
+
+  it('joins unquoted commas in the last field back into the text and reads reframe and ssml rows', () => {
+    const parsed = parseThoughtPackCsv([
+      'name,Students',
+      'negative,I am behind, again',
+      'affirmation,I am learning',
+      'reframe,"I am behind, again",Everyone learns, at their own pace',
+      'ssml,I am learning,"<speak><break time=""300ms""/>I am learning</speak>"'
+    ].join('\n'));
+
+    expect(parsed.negativeThoughts).toEqual(['I am behind, again']);
+    expect(parsed.reframes).toEqual({ 'I am behind, again': 'Everyone learns, at their own pace' });
+    expect(parsed.ssml).toEqual({ 'I am learning': '<speak><break time="300ms"/>I am learning</speak>' });
+  });
+
+  it('uses the defaults when the CSV has no name row', () => {
+    expect(parseThoughtPackCsv('negative,I am behind\naffirmation,I am learning', { name: 'my-pack' }).name).toBe('my-pack');
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    const error = parseError(() => parseThoughtPackCsv('name,Students\nnegative,"I never finish'));
+    expect(error.message).toBe('Thought pack CSV has an unterminated quoted field');
+  });
+
+  it('rejects unknown row types with their line number', () => {
+    const error = parseError(() => parseThoughtPackCsv('name,Students\nthought,I am behind'));
+    expect(error.message).toBe('Invalid thought pack CSV: line 2: unknown type "thought" (expected name, locale, negative, affirmation, reframe or ssml)');
+  });
+});
+
+describe('export and import', () => {
+  it('round-trips a pack through JSON', () => {
+    expect(parseThoughtPackJson(serializeThoughtPackJson(pack))).toEqual(validateThoughtPack(pack).pack);
+  });
+
+  it('round-trips a pack through CSV, quoting what needs it', () => {
+    const csv = serializeThoughtPackCsv(pack);
+    expect(csv).toContain('negative,"I asked a ""stupid"" question"');
+    expect(csv).toContain('affirmation,"I can ask, wait, and try again"');
+    expect(parseThoughtPackCsv(csv)).toEqual(validateThoughtPack(pack).pack);
+  });
+});
@@ -0,0 +1,733 @@
+// Text-to-speech
+// One speakText() for the whole game on top of interchangeable providers: Amazon Polly
+// (aws-polly-client.js), the browser's own voice (web-speech-tts.js) and a silent provider for
+// tests and offline play (silent-tts.js). This layer picks the provider, queues requests beyond
+// the concurrency limit, holds speech while the game is paused and backs off when a provider
+// keeps failing, so providers only have to turn text into something playable.
+//
+// A provider is an object with:
+//   id, label            e.g. 'polly', 'Amazon Polly'
+//   maxConcurrentAudio   optional cap on simultaneous clips (e.g. 1 for speechSynthesis)
+//   isSupported()        whether it can work here at all (browser support, credentials)
+//   initialize()         get ready to speak, returns true on success
+//   synthesize(text, options)
+//                        resolves with a clip, or rejects with a TtsError; options are
+//                        speakText()'s (e.g. { ssml }, which only Polly uses)
+//   getStatus()          optional provider-specific diagnostics
+// A clip is { play(volume), pause(), stop(), setVolume(volume), ended }: play() starts or
+// continues playback and resolves once it is audible, ended resolves when the clip finishes,
+// fails or is stopped.
+import { getAudioCacheStats } from './audio-cache.js';
+
+export const TTS_PROVIDER_AUTO = 'auto';
+
+const MAX_ERROR_COUNT = 5;
+const ERROR_RESET_TIME = 300000; // 5 minutes in milliseconds
+const MAX_TEXT_LENGTH = 3000; // AWS Polly limit for standard voices
+
+export class TtsError extends Error {
+  /**
+   * @param {string} type - 'TIMEOUT', 'CREDENTIALS', 'NETWORK', 'RATE_LIMIT', 'PARAMETER', 'SERVICE',
+   *   'STREAM', 'PLAYBACK', 'UNAVAILABLE' or 'UNKNOWN'
+   * @param {string} message - Summary of the problem
+   * @param {object} options
+   * @param {boolean} options.counts - Counts toward temporarily disabling TTS (false for problems
+   *   with our own request rather than the service)
+   * @param {boolean} options.fatal - The provider can't be used again this visit (e.g. bad credentials)
+   * @param {boolean} options.fallback - The provider can't say this text, but the next one may
+   */
+  constructor(type, message, { counts = true, fatal = false, fallback = false } = {}) {
+    super(message);
+    this.name = 'TtsError';
+    this.type = type;
+    this.counts = counts;
+    this.fatal = fatal;
+    this.fallback = fallback;
+  }
+}
+
+let providers = [];
+let activeProvider = null;
+let preferredProviderId = TTS_PROVIDER_AUTO;
+const failedProviders = new Set();
+const fadingClips = new WeakSet();
+let ttsErrorCount = 0;
+let lastErrorTime = null;
+
+// Audio management for concurrent playback and performance optimization
+let activeClips = new Set();
+let audioQueue = [];
+let isProcessingQueue = false;
+let isAudioPaused = false;
+let pausedClips = new Set();
+let audioSettings = {
+  maxConcurrentAudio: 3, // Maximum simultaneous audio streams (Requirement 3.3)
+  defaultVolume: 0.7,
+  fadeOutDuration: 500, // ms for smooth audio transitions
+  queueProcessingDelay: 100 // ms between queue processing attempts
+};
+
+// Performance monitoring
+let performanceMetrics = {
+  totalRequests: 0,
+  successfulRequests: 0,
+  averageResponseTime: 0,
+  lastRequestTime: 0,
+  queuedRequests: 0
+};
+
+/**
+ * Register the providers and start speaking with the best one available
+ * @param {object[]} providerList - Providers, best first
+ * @param {string} preferredId - Provider to use when it works here, or 'auto'
+ * @returns {string|null} Id of the provider in use, or null when none is available
+ */
+export function initializeTts(providerList, preferredId = TTS_PROVIDER_AUTO) {
+  providers = providerList;
+  return setTtsProvider(preferredId);
+}
+
+/**
+ * Switch provider. A preferred provider that isn't available falls back to the best one that is.
+ * @param {string} providerId - Provider id or 'auto'
+ * @returns {string|null} Id of the provider in use, or null when none is available
+ */
+export function setTtsProvider(providerId = TTS_PROVIDER_AUTO) {
+  preferredProviderId = providerId;
+
+  const preferred = providers.find(provider => provider.id === providerId);
+  const candidates = preferred
+    ? [preferred, ...providers.filter(provider => provider !== preferred)]
+    : providers;
+  const selected = candidates.find(initializeProvider) || null;
+
+  if (preferred && selected !== preferred) {
+    console.warn(`TTS_INIT_ERROR: ${preferred.label} is not available, falling back`);
+  }
+
+  // Audio from the previous provider stops only when the provider actually changes
+  if (selected !== activeProvider) {
+    if (activeProvider) stopAllAudio();
+    activeProvider = selected;
+
+    if (activeProvider) {
+      console.log(`TTS_SUCCESS: Speaking with ${activeProvider.label}`);
+    } else {
+      console.warn('TTS_INIT_ERROR: No TTS provider available. TTS functionality will be disabled.');
+    }
+  }
+
+  return activeProvider ? activeProvider.id : null;
+}
+
+/**
+ * List the registered providers, for a settings picker
+ * @returns {object[]} [{ id, label, supported, active }], best first
+ */
+export function getTtsProviders() {
+  return providers.map(provider => ({
+    id: provider.id,
+    label: provider.label,
+    supported: !failedProviders.has(provider.id) && isProviderSupported(provider),
+    active: provider === activeProvider
+  }));
+}
+
+/**
+ * Check if a provider is ready and TTS isn't backing off after repeated errors
+ * @returns {boolean} True if speakText() will be heard (or, with the silent provider, logged)
+ */
+export function isTtsAvailable() {
+  return activeProvider !== null && !isTtsTemporarilyDisabled();
+}
+
+function isProviderSupported(provider) {
+  try {
+    return provider.isSupported();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get a provider ready to speak, unless it has failed for good or can't work here
+ * @param {object} provider - Provider
+ * @returns {boolean} True if it can speak
+ */
+function initializeProvider(provider) {
+  if (failedProviders.has(provider.id) || !isProviderSupported(provider)) return false;
+
+  try {
+    return provider.initialize();
+  } catch (error) {
+    console.warn(`TTS_INIT_ERROR: Failed to initialize ${provider.label}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Check if TTS is temporarily disabled due to repeated errors
+ * @returns {boolean} True if TTS should be disabled, false otherwise
+ */
+function isTtsTemporarilyDisabled() {
+  if (ttsErrorCount < MAX_ERROR_COUNT) {
+    return false;
+  }
+
+  // Check if enough time has passed to reset error count
+  const now = Date.now();
+  if (lastErrorTime && (now - lastErrorTime) > ERROR_RESET_TIME) {
+    console.log('TTS_RECOVERY: Error count reset after timeout, re-enabling TTS');
+    ttsErrorCount = 0;
+    lastErrorTime = null;
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Record a TTS error for tracking and potential temporary disabling
+ * @param {string} errorType - Type of error that occurred
+ */
+function recordTtsError(errorType) {
+  ttsErrorCount++;
+  lastErrorTime = Date.now();
+
+  console.warn(`TTS_ERROR_TRACKING: Error count increased to ${ttsErrorCount}/${MAX_ERROR_COUNT} (${errorType})`);
+
+  if (ttsErrorCount >= MAX_ERROR_COUNT) {
+    console.warn(`TTS_CIRCUIT_BREAKER: TTS temporarily disabled due to repeated errors. Will retry in ${ERROR_RESET_TIME / 60000} minutes.`);
+  }
+}
+
+/**
+ * Track a failed request. A provider that can't work again (bad credentials) is dropped and the
+ * next best one takes over.
+ * @param {object} provider - Provider that failed
+ * @param {Error} error - TtsError from the provider, or anything it didn't classify
+ */
+function handleTtsError(provider, error) {
+  const ttsError = error instanceof TtsError ? error : new TtsError('UNKNOWN', error.message);
+  console.warn(`TTS_${ttsError.type}_ERROR: ${provider.label}: ${ttsError.message}`);
+
+  // Errors in our own requests aren't the service's fault
+  if (ttsError.counts) recordTtsError(ttsError.type);
+
+  if (ttsError.fatal && provider === activeProvider) {
+    failedProviders.add(provider.id);
+    setTtsProvider(preferredProviderId);
+  }
+}
+
+/**
+ * Get TTS system status and diagnostics
+ * @returns {object} Status information for debugging
+ */
+export function getTtsStatus() {
+  return {
+    provider: activeProvider ? activeProvider.id : null,
+    preferredProvider: preferredProviderId,
+    providers: getTtsProviders(),
+    errorCount: ttsErrorCount,
+    lastErrorTime: lastErrorTime,
+    temporarilyDisabled: isTtsTemporarilyDisabled(),
+    ...(activeProvider && activeProvider.getStatus ? activeProvider.getStatus() : {})
+  };
+}
+
+/**
+ * Reset TTS error tracking (for manual recovery)
+ */
+export function resetTtsErrors() {
+  ttsErrorCount = 0;
+  lastErrorTime = null;
+  failedProviders.clear();
+  console.log('TTS_RECOVERY: Error tracking manually reset');
+}
+
+/**
+ * Configure audio settings for concurrent playback and performance
+ * @param {object} settings - Audio configuration settings
+ */
+export function configureAudioSettings(settings = {}) {
+  audioSettings = {
+    ...audioSettings,
+    ...settings
+  };
+
+  // Validate settings
+  audioSettings.maxConcurrentAudio = Math.max(1, Math.min(10, audioSettings.maxConcurrentAudio));
+  audioSettings.defaultVolume = Math.max(0, Math.min(1, audioSettings.defaultVolume));
+  audioSettings.fadeOutDuration = Math.max(0, Math.min(5000, audioSettings.fadeOutDuration));
+
+  console.log('TTS_AUDIO_CONFIG: Audio settings updated:', audioSettings);
+}
+
+/**
+ * Get current audio settings and status
+ * @returns {object} Audio configuration and status
+ */
+export function getAudioStatus() {
+  return {
+    provider: activeProvider ? activeProvider.id : null,
+    settings: { ...audioSettings },
+    activeAudioCount: activeClips.size,
+    queuedAudioCount: audioQueue.length,
+    isProcessingQueue: isProcessingQueue,
+    isPaused: isAudioPaused,
+    performanceMetrics: { ...performanceMetrics, ...getAudioCacheStats() }
+  };
+}
+
+/**
+ * Stop all active audio playback and clear the queue (queued speakText() calls resolve unspoken)
+ */
+export function stopAllAudio() {
+  console.log('TTS_AUDIO_CONTROL: Stopping all active audio');
+
+  activeClips.forEach(clip => {
+    try {
+      clip.stop();
+    } catch (error) {
+      console.warn('TTS_AUDIO_WARNING: Error stopping audio clip:', error.message);
+    }
+  });
+
+  activeClips.clear();
+  pausedClips.clear();
+
+  // Queued requests are dropped unspoken, which speakText() treats like a skipped request
+  audioQueue.forEach(queueItem => queueItem.resolve());
+  performanceMetrics.queuedRequests -= audioQueue.length;
+  audioQueue.length = 0; // Clear queue
+  isProcessingQueue = false;
+  isAudioPaused = false;
+
+  console.log('TTS_AUDIO_SUCCESS: All audio stopped and queue cleared');
+}
+
+/**
+ * Pause in-flight audio without discarding it, so it can continue with resumeAllAudio().
+ * New requests are queued until audio is resumed.
+ */
+export function pauseAllAudio() {
+  if (isAudioPaused) return;
+  isAudioPaused = true;
+
+  activeClips.forEach(clip => {
+    if (pausedClips.has(clip)) return;
+    try {
+      clip.pause();
+      pausedClips.add(clip);
+    } catch (error) {
+      console.warn('TTS_AUDIO_WARNING: Error pausing audio clip:', error.message);
+    }
+  });
+
+  console.log(`TTS_AUDIO_CONTROL: Paused ${pausedClips.size} audio stream(s)`);
+}
+
+/**
+ * Resume audio paused by pauseAllAudio() and process anything queued meanwhile
+ */
+export function resumeAllAudio() {
+  if (!isAudioPaused) return;
+  isAudioPaused = false;
+
+  pausedClips.forEach(clip => {
+    clip.play(audioSettings.defaultVolume).catch(error => {
+      console.warn('TTS_AUDIO_WARNING: Error resuming audio clip:', error.message);
+      activeClips.delete(clip);
+    });
+  });
+
+  console.log(`TTS_AUDIO_CONTROL: Resumed ${pausedClips.size} audio stream(s)`);
+  pausedClips.clear();
+
+  setTimeout(() => processAudioQueue(), audioSettings.queueProcessingDelay);
+}
+
+/**
+ * Set volume for all active and future audio
+ * @param {number} volume - Volume level (0.0 to 1.0)
+ */
+export function setAudioVolume(volume) {
+  const normalizedVolume = Math.max(0, Math.min(1, volume));
+  audioSettings.defaultVolume = normalizedVolume;
+
+  activeClips.forEach(clip => clip.setVolume(normalizedVolume));
+
+  console.log('TTS_AUDIO_CONTROL: Volume set to', normalizedVolume);
+}
+
+// Simultaneous clips allowed with the active provider
+function getMaxConcurrentAudio() {
+  const providerLimit = activeProvider && activeProvider.maxConcurrentAudio;
+  return providerLimit ? Math.min(providerLimit, audioSettings.maxConcurrentAudio) : audioSettings.maxConcurrentAudio;
+}
+
+/**
+ * Manage concurrent audio playback by limiting active streams
+ */
+function manageAudioConcurrency() {
+  // If we're at or over the limit, fade out oldest audio
+  if (activeClips.size >= getMaxConcurrentAudio()) {
+    const oldestClip = Array.from(activeClips).find(clip => !pausedClips.has(clip));
+    fadeOutClip(oldestClip);
+  }
+}
+
+/**
+ * Fade a clip out smoothly, then stop it
+ * @param {object} clip - Clip to fade out
+ */
+function fadeOutClip(clip) {
+  if (!clip || fadingClips.has(clip)) return;
+  fadingClips.add(clip);
+
+  const originalVolume = audioSettings.defaultVolume;
+  const fadeSteps = 20;
+  const stepDuration = audioSettings.fadeOutDuration / fadeSteps;
+  const volumeStep = originalVolume / fadeSteps;
+
+  let currentStep = 0;
+  const fadeInterval = setInterval(() => {
+    currentStep++;
+    clip.setVolume(Math.max(0, originalVolume - (volumeStep * currentStep)));
+
+    if (currentStep >= fadeSteps) {
+      clearInterval(fadeInterval);
+      clip.stop();
+    }
+  }, stepDuration);
+}
+
+/**
+ * Process queued audio requests with performance optimization
+ */
+async function processAudioQueue() {
+  if (isProcessingQueue || isAudioPaused || audioQueue.length === 0) {
+    return;
+  }
+
+  isProcessingQueue = true;
+
+  while (audioQueue.length > 0 && !isAudioPaused && activeClips.size < getMaxConcurrentAudio()) {
+    const queueItem = audioQueue.shift();
+    performanceMetrics.queuedRequests--;
+
+    try {
+      await processAudioRequest(queueItem);
+    } catch (error) {
+      console.warn('TTS_QUEUE_ERROR: Failed to process queued audio:', error.message);
+    }
+
+    // Small delay to prevent overwhelming the browser
+    if (audioQueue.length > 0) {
+      await new Promise(resolve => setTimeout(resolve, audioSettings.queueProcessingDelay));
+    }
+  }
+
+  isProcessingQueue = false;
+
+  // Schedule next queue processing if items remain
+  if (audioQueue.length > 0) {
+    setTimeout(() => processAudioQueue(), audioSettings.queueProcessingDelay * 2);
+  }
+}
+
+/**
+ * Process individual audio request from queue
+ * @param {object} queueItem - Queued audio request
+ */
+async function processAudioRequest(queueItem) {
+  const { text, options, resolve, reject } = queueItem;
+
+  try {
+    await synthesizeAndPlay(text, options);
+    resolve();
+  } catch (error) {
+    reject(error);
+  }
+}
+
+/**
+ * Speak text with the active provider, queuing it while the game is paused or enough is already
+ * playing. Failures are logged and tracked but never thrown, so the game carries on without audio.
+ * @param {string} text - The text to be spoken
+ * @param {object} options
+ * @param {string} options.ssml - SSML version of the text (see ssml.js), for providers that support
+ *   it; the others speak the text
+ * @returns {Promise<void>} - Resolves when audio playback begins or is queued
+ */
+export async function speakText(text, options = {}) {
+  // Performance tracking
+  const requestStartTime = Date.now();
+  performanceMetrics.totalRequests++;
+
+  // Validate input with detailed logging
+  if (!text || typeof text !== 'string' || text.trim().length === 0) {
+    console.warn('TTS_INPUT_ERROR: Invalid or empty text provided to speakText');
+    console.debug('TTS_DEBUG: Received text:', { text, type: typeof text });
+    return;
+  }
+
+  if (!activeProvider) {
+    console.warn('TTS_CLIENT_ERROR: No TTS provider available, skipping TTS');
+    return;
+  }
+
+  if (isTtsTemporarilyDisabled()) {
+    console.warn('TTS_CIRCUIT_BREAKER: TTS temporarily disabled due to repeated errors, skipping request');
+    return;
+  }
+
+  // Make room for the new clip
+  manageAudioConcurrency();
+
+  // If we're at capacity or paused, queue the request (Requirement 3.3)
+  if (isAudioPaused || activeClips.size >= getMaxConcurrentAudio()) {
+    console.log(isAudioPaused ? 'TTS_QUEUE: Audio paused, queuing request' : 'TTS_QUEUE: Audio at capacity, queuing request');
+    performanceMetrics.queuedRequests++;
+
+    return new Promise((resolve, reject) => {
+      audioQueue.push({ text, options, resolve, reject });
+      // Start processing queue if not already running
+      setTimeout(() => processAudioQueue(), audioSettings.queueProcessingDelay);
+    });
+  }
+
+  await synthesizeAndPlay(text, options, requestStartTime);
+}
+
+/**
+ * Synthesize with the active provider and start playback
+ * @param {string} text - The text to be spoken
+ * @param {object} options - From speakText()
+ * @param {number} requestStartTime - When the request started (for performance tracking)
+ */
+async function synthesizeAndPlay(text, options = {}, requestStartTime = Date.now()) {
+  const provider = activeProvider;
+  if (!provider) return;
+
+  if (text.length > MAX_TEXT_LENGTH) {
+    console.warn(`TTS_INPUT_ERROR: Text too long (${text.length} chars). Truncating to ${MAX_TEXT_LENGTH} characters.`);
+    text = text.substring(0, MAX_TEXT_LENGTH);
+  }
+
+  const clip = await synthesizeWithFallback(provider, text.trim(), options);
+  if (!clip) return;
+
+  // Switched provider while synthesizing
+  if (provider !== activeProvider) {
+    clip.stop();
+    return;
+  }
+
+  activeClips.add(clip);
+  clip.ended.then(() => {
+    activeClips.delete(clip);
+    pausedClips.delete(clip);
+    // Process queue in case this frees up capacity
+    setTimeout(() => processAudioQueue(), audioSettings.queueProcessingDelay);
+  });
+
+  // Synthesis finished while the game was paused: hold playback until resumeAllAudio()
+  if (isAudioPaused) {
+    pausedClips.add(clip);
+    console.log('TTS_AUDIO_CONTROL: Audio ready while paused, holding playback');
+    return;
+  }
+
+  try {
+    await clip.play(audioSettings.defaultVolume);
+
+    // Update performance metrics
+    const responseTime = Date.now() - requestStartTime;
+    performanceMetrics.successfulRequests++;
+    performanceMetrics.averageResponseTime =
+      (performanceMetrics.averageResponseTime * (performanceMetrics.successfulRequests - 1) + responseTime) /
+      performanceMetrics.successfulRequests;
+    performanceMetrics.lastRequestTime = responseTime;
+  } catch (error) {
+    activeClips.delete(clip);
+    handleTtsError(provider, error);
+  }
+}
+
+/**
+ * Synthesize with a provider, handing the text to the next available provider when the first
+ * can't say it (e.g. custom text with only pre-synthesized Polly clips)
+ * @param {object} provider - Provider to try first
+ * @param {string} text - The text to be spoken
+ * @param {object} options - From speakText()
+ * @returns {Promise<object|null>} Clip, or null when nothing could synthesize it
+ */
+async function synthesizeWithFallback(provider, text, options) {
+  const candidates = [provider, ...providers.slice(providers.indexOf(provider) + 1)];
+
+  for (const candidate of candidates) {
+    if (candidate !== provider && !initializeProvider(candidate)) continue;
+
+    try {
+      return await candidate.synthesize(text, options);
+    } catch (error) {
+      if (error instanceof TtsError && error.fallback) {
+        console.debug(`TTS_DEBUG: ${candidate.label} can't say this, trying the next provider`);
+        continue;
+      }
+      handleTtsError(candidate, error);
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Clip that plays encoded audio through an <audio> element, for providers that synthesize
+ * audio files. Playback blocked by the browser's autoplay policy waits for the next interaction.
+ * @param {Blob} audioBlob - Encoded audio (e.g. MP3)
+ * @returns {object} Clip
+ */
+export function createAudioClip(audioBlob) {
+  const audioUrl = URL.createObjectURL(audioBlob);
+  const audioElement = new Audio();
+  audioElement.src = audioUrl;
+  audioElement.preload = 'auto';
+
+  let finish;
+  const ended = new Promise(resolve => { finish = resolve; });
+  const release = () => {
+    URL.revokeObjectURL(audioUrl);
+    finish();
+  };
+
+  // Handle audio events with detailed logging
+  audioElement.addEventListener('loadeddata', () => {
+    console.log('TTS_AUDIO_SUCCESS: Audio loaded successfully');
+  });
+
+  audioElement.addEventListener('error', () => {
+    const audioError = audioElement.error;
+    console.warn('TTS_AUDIO_ERROR: Audio playback error occurred');
+    console.debug('TTS_DEBUG: Audio error details:', {
+      code: audioError?.code,
+      message: audioError?.message,
+      networkState: audioElement.networkState,
+      readyState: audioElement.readyState
+    });
+    release();
+  });
+
+  audioElement.addEventListener('ended', () => {
+    console.log('TTS_AUDIO_SUCCESS: Audio playback completed');
+    release();
+  });
+
+  return {
+    ended,
+    async play(volume) {
+      audioElement.volume = volume;
+      try {
+        // Optimize for browser autoplay policies (Requirement: optimize for browser audio autoplay policies)
+        await handleAutoplayOptimization(audioElement);
+        console.log('TTS_AUDIO_SUCCESS: Audio playback started successfully');
+      } catch (playError) {
+        if (playError.name === 'NotAllowedError') {
+          console.warn('TTS_AUDIO_POLICY: Audio autoplay blocked by browser policy');
+          console.debug('TTS_DEBUG: User interaction required for audio playback');
+          // Try again when the user interacts
+          handleAutoplayBlocked(audioElement, release);
+          return;
+        }
+
+        release();
+        if (playError.name === 'NotSupportedError') {
+          throw new TtsError('PLAYBACK', 'Audio format not supported by browser', { counts: false });
+        }
+        throw new TtsError('PLAYBACK', `Audio playback failed: ${playError.message}`, { counts: false });
+      }
+    },
+    pause() {
+      audioElement.pause();
+    },
+    stop() {
+      audioElement.pause();
+      audioElement.currentTime = 0;
+      release();
+    },
+    setVolume(volume) {
+      audioElement.volume = volume;
+    }
+  };
+}
+
+/**
+ * Handle autoplay optimization for different browsers and policies
+ * @param {HTMLAudioElement} audioElement - Audio element to play
+ */
+async function handleAutoplayOptimization(audioElement) {
+  // Check if autoplay is likely to work
+  if (document.visibilityState === 'hidden') {
+    throw new Error('NotAllowedError: Page not visible');
+  }
+
+  // Try to play with different strategies
+  try {
+    // Strategy 1: Direct play (works if user has interacted)
+    await audioElement.play();
+  } catch (error) {
+    if (error.name === 'NotAllowedError') {
+      // Strategy 2: Lower volume and try again
+      const originalVolume = audioElement.volume;
+      audioElement.volume = 0.1;
+      try {
+        await audioElement.play();
+        // Gradually increase volume
+        setTimeout(() => {
+          audioElement.volume = originalVolume;
+        }, 100);
+      } catch (secondError) {
+        audioElement.volume = originalVolume;
+        throw secondError;
+      }
+    } else {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Handle autoplay blocked scenario
+ * @param {HTMLAudioElement} audioElement - Blocked audio element
+ * @param {Function} release - Frees the clip when it can't be played after all
+ */
+function handleAutoplayBlocked(audioElement, release) {
+  const removeListeners = () => {
+    document.removeEventListener('click', playOnInteraction);
+    document.removeEventListener('keydown', playOnInteraction);
+    document.removeEventListener('touchstart', playOnInteraction);
+  };
+
+  // Store for potential later playback when user interacts
+  const playOnInteraction = () => {
+    clearTimeout(giveUpTimeout);
+    removeListeners();
+    audioElement.play().then(() => {
+      console.log('TTS_AUDIO_SUCCESS: Delayed audio playback after user interaction');
+    }).catch(release);
+  };
+
+  // Add temporary listeners for user interaction
+  document.addEventListener('click', playOnInteraction, { once: true });
+  document.addEventListener('keydown', playOnInteraction, { once: true });
+  document.addEventListener('touchstart', playOnInteraction, { once: true });
+
+  // Clean up after timeout
+  const giveUpTimeout = setTimeout(() => {
+    removeListeners();
+    release();
+  }, 30000); // 30 second timeout
+}
@@ -0,0 +1,113 @@
+// Browser voice
+// TTS provider (see tts.js) using the Web Speech API's speechSynthesis: no credentials and no
+// cost, but the voice depends on the device and only one utterance is spoken at a time.
+import { TtsError } from './tts.js';
+
+const SPEECH_LANGUAGE = 'en';
+const SPEECH_RATE = 0.95; // a touch slower than default, affirmations aren't a race
+const START_TIMEOUT = 5000; // ms to wait for an utterance to start before giving up
+
+/**
+ * Pick an English voice, preferring one that runs on the device
+ * @returns {SpeechSynthesisVoice|null} Voice, or null to use the browser default
+ */
+function pickVoice() {
+  const voices = window.speechSynthesis.getVoices()
+    .filter(voice => voice.lang.toLowerCase().startsWith(SPEECH_LANGUAGE));
+  return voices.find(voice => voice.localService) || voices[0] || null;
+}
+
+/**
+ * Web Speech API TTS provider
+ */
+export const webSpeechProvider = {
+  id: 'speech',
+  label: 'Browser voice',
+  maxConcurrentAudio: 1,
+
+  isSupported() {
+    return typeof window !== 'undefined' &&
+      'speechSynthesis' in window &&
+      typeof window.SpeechSynthesisUtterance === 'function';
+  },
+
+  initialize() {
+    // Some browsers load voices lazily, asking early gets them ready for the first affirmation
+    window.speechSynthesis.getVoices();
+    return true;
+  },
+
+  async synthesize(text) {
+    const utterance = new window.SpeechSynthesisUtterance(text);
+    const voice = pickVoice();
+    if (voice) utterance.voice = voice;
+    utterance.lang = voice ? voice.lang : SPEECH_LANGUAGE;
+    utterance.rate = SPEECH_RATE;
+    return createSpeechClip(utterance);
+  },
+
+  getStatus() {
+    const voice = pickVoice();
+    return {
+      voice: voice ? voice.name : null,
+      voiceCount: window.speechSynthesis.getVoices().length
+    };
+  }
+};
+
+/**
+ * Clip for one utterance. speechSynthesis pauses and cancels globally, which is fine because
+ * this provider only ever has one clip playing.
+ * @param {SpeechSynthesisUtterance} utterance - Utterance to speak
+ * @returns {object} Clip
+ */
+function createSpeechClip(utterance) {
+  let finish;
+  const ended = new Promise(resolve => { finish = resolve; });
+  let started = false;
+
+  utterance.addEventListener('end', () => finish());
+  utterance.addEventListener('error', () => finish());
+
+  return {
+    ended,
+    play(volume) {
+      if (started) {
+        window.speechSynthesis.resume();
+        return Promise.resolve();
+      }
+      started = true;
+      utterance.volume = volume;
+
+      return new Promise((resolve, reject) => {
+        const startTimeout = setTimeout(() => {
+          window.speechSynthesis.cancel();
+          reject(new TtsError('TIMEOUT', 'Speech did not start'));
+        }, START_TIMEOUT);
+
+        utterance.addEventListener('start', () => {
+          clearTimeout(startTimeout);
+          resolve();
+        }, { once: true });
+        utterance.addEventListener('error', event => {
+          clearTimeout(startTimeout);
+          // Cancelled by stop() or another clip, not a failure
+          const interrupted = event.error === 'interrupted' || event.error === 'canceled';
+          reject(new TtsError('PLAYBACK', `Speech synthesis failed: ${event.error}`, { counts: !interrupted }));
+        }, { once: true });
+
+        window.speechSynthesis.speak(utterance);
+      });
+    },
+    pause() {
+      window.speechSynthesis.pause();
+    },
+    stop() {
+      if (started) window.speechSynthesis.cancel();
+      finish();
+    },
+    setVolume() {
+      // An utterance's volume can't change once it has been queued
+    }
+  };
+}